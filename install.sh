@@ -78,6 +78,12 @@ else
     echo -e "${GREEN}✔ PM2 installé${NC}"
 fi
 
+# ACL POSIX : droits des utilisateurs d'exécution des projets sur leurs fichiers
+if ! command -v setfacl &> /dev/null; then
+    echo "Installation de acl..."
+    apt-get install -y acl
+fi
+
 # Copier les fichiers
 echo -e "${CYAN}[4/6]${NC} Installation de l'outil..."
 
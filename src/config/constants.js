@@ -14,6 +14,36 @@ export const SFTP_GROUP = 'sftpusers';
 // Fichier de configuration SSH
 export const SSH_CONFIG_PATH = '/etc/ssh/sshd_config';
 
+// Historique des versions de sshd_config (sauvegardes conservées)
+export const SSH_CONFIG_BACKUP_DIR = '/etc/nodejs-project-manager/sshd-backups';
+export const SSH_CONFIG_BACKUP_RETENTION = 20;
+
+// Dossier des clés publiques SFTP (hors chroot, non modifiable par les utilisateurs SFTP)
+export const SFTP_AUTHORIZED_KEYS_DIR = '/etc/ssh/authorized_keys';
+
+// Configuration nginx : un fichier de server blocks par projet (project-<nom>.conf)
+export const NGINX_CONFIG = {
+    sitesAvailable: '/etc/nginx/sites-available',
+    sitesEnabled: '/etc/nginx/sites-enabled',
+    filePrefix: 'project-',
+    logPath: '/var/log/nginx'
+};
+
+// Certificats TLS obtenus par ACME (Let's Encrypt)
+// (surchargeable via /etc/nodejs-project-manager/acme.json, ex: directoryUrl d'un serveur Pebble de test)
+export const ACME_CONFIG = {
+    directoryUrl: 'https://acme-v02.api.letsencrypt.org/directory',
+    email: null,
+    certsPath: '/etc/nodejs-project-manager/certs',
+    // Dossier des challenges HTTP-01, dans le dossier du projet (servi par nginx)
+    webrootDir: 'acme',
+    // Renouvellement lorsqu'il reste moins de 30 jours de validité
+    renewBeforeDays: 30,
+    // Vérification des renouvellements par le serveur Web (toutes les 12 heures)
+    renewCheckInterval: 12 * 60 * 60 * 1000,
+    skipChallengeVerification: false
+};
+
 // Fichier de configuration des projets de l'outil
 export const TOOL_CONFIG_PATH = '/etc/nodejs-project-manager';
 export const PROJECTS_CONFIG_FILE = '/etc/nodejs-project-manager/projects.json';
@@ -22,9 +52,13 @@ export const PROJECTS_CONFIG_FILE = '/etc/nodejs-project-manager/projects.json';
 export const PROJECT_STRUCTURE = {
     sites: 'sites',
     scripts: 'scripts',
-    config: 'project.json'
+    config: 'project.json',
+    ecosystem: 'ecosystem.config.cjs'
 };
 
+// Espace disque occupé par un projet, recalculé au plus toutes les 10 minutes (`du` parcourt tout le dossier)
+export const DISK_USAGE_CACHE_TTL = 10 * 60 * 1000;
+
 // Nom des scripts générés
 export const SCRIPTS = {
     start: 'start.sh',
@@ -37,6 +71,165 @@ export const PM2_CONFIG = {
     pidPath: '/var/run/pm2'
 };
 
+// Services gérés par systemd (unité <projet>-<service>.service)
+// Les variables secrètes sont écrites à part, dans un EnvironmentFile lisible par root seulement
+export const SYSTEMD_CONFIG = {
+    unitPath: '/etc/systemd/system',
+    envPath: '/etc/nodejs-project-manager/units'
+};
+
+// Utilisateur Linux sous lequel tournent les services d'un projet (app_<projet>, sans shell ni accès SFTP),
+// avec son propre démon PM2 (PM2_HOME: <homeBase>/<projet>/.pm2)
+export const RUNTIME_CONFIG = {
+    userPrefix: 'app_',
+    homeBase: '/var/lib/nodejs-project-manager/runtime'
+};
+
+// Contrôles de santé des services, exécutés par le serveur Web
+// (un service est redémarré après `threshold` échecs consécutifs)
+export const HEALTH_CONFIG = {
+    stateFile: '/var/lib/nodejs-project-manager/health.json',
+    // Fréquence à laquelle le serveur cherche les contrôles à exécuter (ms)
+    tickInterval: 5 * 1000,
+    // Valeurs par défaut d'un contrôle (secondes)
+    defaultInterval: 30,
+    defaultTimeout: 5,
+    defaultThreshold: 3,
+    // Nombre de résultats conservés par service
+    historySize: 50,
+    // Sonde de disponibilité attendue au démarrage de tous les services (secondes) :
+    // attente maximale et intervalle entre deux tentatives
+    readinessTimeout: 60,
+    readinessInterval: 2
+};
+
+// Historique des métriques des services (CPU, mémoire, redémarrages, uptime), échantillonnées
+// par le serveur Web et conservées à plusieurs résolutions (pas et durée de conservation en secondes)
+export const METRICS_CONFIG = {
+    dataPath: '/var/lib/nodejs-project-manager/metrics',
+    sampleInterval: 60 * 1000,
+    tiers: [
+        { step: 60, retention: 24 * 60 * 60 },
+        { step: 10 * 60, retention: 7 * 24 * 60 * 60 },
+        { step: 60 * 60, retention: 90 * 24 * 60 * 60 }
+    ],
+    // Nombre maximal de points renvoyés par requête
+    maxPoints: 1000
+};
+
+// Alertes : règles, canaux de notification et silences configurés par l'administrateur,
+// évalués par le serveur Web (l'état des alertes en cours est conservé entre deux redémarrages)
+export const ALERTS_CONFIG = {
+    configFile: '/etc/nodejs-project-manager/alerts.json',
+    stateFile: '/var/lib/nodejs-project-manager/alerts-state.json',
+    evaluateInterval: 30 * 1000,
+    // Nouvelle notification d'une alerte toujours active (minutes, 0 : jamais)
+    defaultRepeatInterval: 60,
+    // Délai d'envoi d'une notification (ms)
+    sendTimeout: 10 * 1000,
+    // Nombre d'événements (déclenchements, résolutions) conservés
+    historySize: 200
+};
+
+// Point de collecte Prometheus (GET /metrics du serveur Web), protégé par un jeton
+export const PROMETHEUS_CONFIG = {
+    tokenFile: '/etc/nodejs-project-manager/metrics.token',
+    prefix: 'projectmanager',
+    // Bornes de l'histogramme des durées des requêtes de l'API (secondes)
+    durationBuckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+};
+
+// Déploiement des services depuis un dépôt git : chaque déploiement est cloné dans
+// sites/.deploy/<service>/releases/<horodatage>, et le lien `current` pointe sur la release active
+export const DEPLOY_CONFIG = {
+    dirName: '.deploy',
+    historyPath: '/var/lib/nodejs-project-manager/deployments',
+    // Releases conservées par service (la release active n'est jamais supprimée)
+    defaultKeepReleases: 5,
+    maxKeepReleases: 50,
+    // Délai du clone (ms)
+    cloneTimeout: 5 * 60 * 1000,
+    // Nombre de déploiements conservés dans l'historique
+    historySize: 50
+};
+
+// Webhooks de déploiement appelés par les forges git (POST /api/hooks/<projet>/<service>) :
+// secrets par service, et historique des livraisons reçues
+export const WEBHOOKS_CONFIG = {
+    secretsFile: '/etc/nodejs-project-manager/webhooks.json',
+    deliveriesPath: '/var/lib/nodejs-project-manager/webhooks',
+    // Taille maximale d'une livraison (les forges envoient la liste des commits poussés)
+    maxPayloadSize: '5mb',
+    // Nombre de livraisons conservées par service
+    historySize: 50
+};
+
+// Tâches de fond (setup, démarrage, création de projet, déploiement, upload) : chacune est exécutée
+// par un processus détaché, qui survit au redémarrage du serveur Web. Les tâches d'un même projet
+// s'exécutent l'une après l'autre.
+export const JOBS_CONFIG = {
+    dataPath: '/var/lib/nodejs-project-manager/jobs',
+    // Nombre de tâches terminées conservées (avec leur journal)
+    historySize: 200,
+    // Attente du tour d'une tâche et lecture de son journal pendant le suivi (ms)
+    pollInterval: 500
+};
+
+// Tâches planifiées des projets (expression cron), exécutées par le serveur Web sous l'utilisateur
+// d'exécution du projet : historique des exécutions et sortie capturée par tâche
+export const TASKS_CONFIG = {
+    historyPath: '/var/lib/nodejs-project-manager/tasks',
+    // Fréquence à laquelle le serveur cherche les tâches à lancer (ms)
+    tickInterval: 15 * 1000,
+    // Durée maximale d'une exécution (secondes)
+    defaultTimeout: 60 * 60,
+    maxTimeout: 24 * 60 * 60,
+    // Nombre d'exécutions conservées par tâche
+    historySize: 50,
+    // Sortie conservée par exécution (fin de la sortie, en caractères)
+    maxOutput: 64 * 1024
+};
+
+// Suivi en direct des logs des services
+export const LOG_STREAM_CONFIG = {
+    // Fréquence de lecture des fichiers de logs PM2 (ms)
+    pollInterval: 500,
+    // Lignes envoyées à l'ouverture du flux (sans offset de reprise)
+    defaultLines: 50,
+    maxLines: 1000,
+    // Taille maximale d'un filtre
+    maxFilterLength: 200,
+    // Commentaire SSE envoyé régulièrement pour garder la connexion ouverte (ms)
+    heartbeatInterval: 15 * 1000
+};
+
+// Configuration des sessions de l'interface Web
+export const SESSION_CONFIG = {
+    cookieName: 'websftp_session',
+    // Durée de vie maximale d'une session (8 heures)
+    maxAge: 8 * 60 * 60 * 1000,
+    // Expiration après inactivité (2 heures)
+    idleTimeout: 2 * 60 * 60 * 1000
+};
+
+// Politique de mots de passe des utilisateurs de l'interface Web
+// (surchargeable via /etc/nodejs-project-manager/password-policy.json)
+export const PASSWORD_POLICY = {
+    minLength: 8,
+    requireLowercase: true,
+    requireUppercase: false,
+    requireDigit: true,
+    requireSymbol: false
+};
+
+// Paramètres scrypt pour le hash des mots de passe
+export const SCRYPT_PARAMS = {
+    N: 16384,
+    r: 8,
+    p: 1,
+    keyLength: 64
+};
+
 // Couleurs pour l'interface
 export const COLORS = {
     success: 'green',
@@ -18,6 +18,9 @@
 import chalk from 'chalk';
 import menu from './ui/menu.js';
 import projects from './modules/projects.js';
+import sftp from './modules/sftp.js';
+import jobs from './modules/jobs.js';
+import audit from './utils/audit.js';
 import shell from './utils/shell.js';
 import logger from './utils/logger.js';
 
@@ -113,6 +116,14 @@ async function mainLoop() {
                     await menu.regenerateAllScriptsAction();
                     break;
 
+                case 'sshd_history':
+                    await menu.sshConfigHistoryMenu();
+                    break;
+
+                case 'jobs':
+                    await menu.jobsMenu();
+                    break;
+
                 case 'exit':
                     console.log(chalk.cyan('\n👋 Au revoir !\n'));
                     process.exit(0);
@@ -136,6 +147,76 @@ async function mainLoop() {
     }
 }
 
+/**
+ * Commande non interactive : sshd-config history | restore <id>
+ * @param {Array} args - Arguments de la ligne de commande
+ * @returns {Promise<void>}
+ */
+async function sshConfigCommand(args) {
+    const [subcommand, id] = args;
+
+    if (subcommand === 'history') {
+        const backups = sftp.listSSHConfigBackups();
+        if (backups.length === 0) {
+            console.log('Aucune sauvegarde disponible');
+        }
+        for (const backup of backups) {
+            console.log(`${backup.id}  ${new Date(backup.createdAt).toLocaleString('fr-FR')}  ${backup.size} octets`);
+        }
+        return;
+    }
+
+    if (subcommand === 'restore' && id) {
+        await audit.track('sshd-config.restore', {}, { id }, () => sftp.restoreSSHConfig(id));
+        return;
+    }
+
+    throw new Error('Usage: project-manager sshd-config history | sshd-config restore <id>');
+}
+
+/**
+ * Commande non interactive : jobs [list] | jobs watch <id> | jobs cancel <id>
+ * @param {Array} args - Arguments de la ligne de commande
+ * @returns {Promise<void>}
+ */
+async function jobsCommand(args) {
+    const [subcommand = 'list', id] = args;
+
+    if (subcommand === 'list') {
+        const recentJobs = jobs.listJobs({ limit: 50 });
+        if (recentJobs.length === 0) {
+            console.log('Aucune tâche');
+        }
+        for (const job of recentJobs) {
+            console.log(`${job.id}  ${new Date(job.createdAt).toLocaleString('fr-FR')}  ${job.status.padEnd(9)}  ${job.title}`);
+        }
+        return;
+    }
+
+    if (subcommand === 'watch' && id) {
+        // Ctrl+C arrête le suivi, pas la tâche
+        const job = await new Promise((resolve, reject) => {
+            try {
+                jobs.followJobLog(id, {}, (entry) => console.log(entry.line), resolve);
+            } catch (error) {
+                reject(error);
+            }
+        });
+        if (job.status !== 'succeeded') {
+            throw new Error(`Tâche ${job.status}${job.error ? `: ${job.error}` : ''}`);
+        }
+        return;
+    }
+
+    if (subcommand === 'cancel' && id) {
+        jobs.cancelJob(id);
+        console.log('Annulation demandée');
+        return;
+    }
+
+    throw new Error('Usage: project-manager jobs [list] | jobs watch <id> | jobs cancel <id>');
+}
+
 /**
  * Gestion des signaux
  */
@@ -181,6 +262,17 @@ async function main() {
         // Initialisation
         await initialize();
 
+        // Commandes non interactives
+        const [command, ...args] = process.argv.slice(2);
+        if (command === 'sshd-config') {
+            await sshConfigCommand(args);
+            process.exit(0);
+        }
+        if (command === 'jobs') {
+            await jobsCommand(args);
+            process.exit(0);
+        }
+
         // Démarrer la boucle principale
         await mainLoop();
 
@@ -0,0 +1,826 @@
+/**
+ * Module d'alertes : règles évaluées périodiquement par le serveur Web (service arrêté
+ * anormalement, redémarrages répétés, mémoire, espace disque, expiration des certificats),
+ * notifications envoyées sur les canaux configurés, silences temporaires.
+ * Une alerte est identifiée par sa règle et sa cible : elle n'est notifiée qu'à son
+ * déclenchement, puis à intervalle régulier tant qu'elle reste active, et à sa résolution.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { ALERTS_CONFIG, BASE_PATH } from '../config/constants.js';
+import projects from './projects.js';
+import services from './services.js';
+import metrics from './metrics.js';
+import certificates from './certificates.js';
+import notifiers from './notifiers.js';
+import { SECRET_MASK } from './environment.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Types de règles : portée (service ou projet), durée par défaut avant déclenchement (secondes)
+ * et seuil par défaut (null : requis)
+ *  - service_down : service ni en ligne ni arrêté volontairement, ou contrôle de santé en échec
+ *  - restarts : nombre de redémarrages sur la dernière heure supérieur au seuil
+ *  - memory : mémoire supérieure au seuil (Mo)
+ *  - disk : occupation (%) du système de fichiers du projet, ou du quota (Mo) s'il est défini
+ *  - certificate : certificat HTTPS expirant dans moins de `threshold` jours
+ */
+export const RULE_TYPES = {
+    service_down: { scope: 'service', duration: 60, threshold: 0 },
+    restarts: { scope: 'service', duration: 0, threshold: 5 },
+    memory: { scope: 'service', duration: 0, threshold: null },
+    disk: { scope: 'project', duration: 0, threshold: 90 },
+    certificate: { scope: 'service', duration: 0, threshold: 14 }
+};
+
+const NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+/**
+ * Charge la configuration des alertes
+ * @returns {object} - { channels: [], rules: [], silences: [] }
+ */
+function loadConfig() {
+    try {
+        if (fs.existsSync(ALERTS_CONFIG.configFile)) {
+            const config = JSON.parse(fs.readFileSync(ALERTS_CONFIG.configFile, 'utf8'));
+            return { channels: [], rules: [], silences: [], ...config };
+        }
+    } catch (error) {
+        logger.error(`Erreur lors du chargement de la configuration des alertes: ${error.message}`);
+    }
+    return { channels: [], rules: [], silences: [] };
+}
+
+/**
+ * Sauvegarde la configuration des alertes (lisible par root seulement : mots de passe SMTP, URLs de webhooks)
+ * @param {object} config
+ */
+function saveConfig(config) {
+    fs.mkdirSync(path.dirname(ALERTS_CONFIG.configFile), { recursive: true });
+    const tmpPath = `${ALERTS_CONFIG.configFile}.tmp-${process.pid}`;
+    fs.writeFileSync(tmpPath, JSON.stringify(config, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, ALERTS_CONFIG.configFile);
+}
+
+/**
+ * Charge l'état des alertes
+ * @returns {object} - { alerts: { <règle>:<cible>: alerte }, events: [] }
+ */
+function loadState() {
+    try {
+        if (fs.existsSync(ALERTS_CONFIG.stateFile)) {
+            return { alerts: {}, events: [], ...JSON.parse(fs.readFileSync(ALERTS_CONFIG.stateFile, 'utf8')) };
+        }
+    } catch (error) {
+        logger.error(`Erreur lors du chargement de l'état des alertes: ${error.message}`);
+    }
+    return { alerts: {}, events: [] };
+}
+
+/**
+ * Sauvegarde l'état des alertes
+ * @param {object} state
+ */
+function saveState(state) {
+    fs.mkdirSync(path.dirname(ALERTS_CONFIG.stateFile), { recursive: true });
+    const tmpPath = `${ALERTS_CONFIG.stateFile}.tmp-${process.pid}`;
+    fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tmpPath, ALERTS_CONFIG.stateFile);
+}
+
+/**
+ * Identifiant court d'une règle, d'un canal ou d'un silence
+ * @returns {string}
+ */
+function createId() {
+    return crypto.randomBytes(6).toString('hex');
+}
+
+/**
+ * Lit un entier borné
+ * @param {*} value - Valeur saisie
+ * @param {number|null} defaultValue - Valeur si non renseignée (null : valeur requise)
+ * @param {number} min
+ * @param {number} max
+ * @param {string} label - Libellé pour le message d'erreur
+ * @returns {number}
+ */
+function parseBoundedInt(value, defaultValue, min, max, label) {
+    if (value === undefined || value === null || value === '') {
+        if (defaultValue === null) {
+            throw new Error(`${label} requis`);
+        }
+        return defaultValue;
+    }
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw new Error(`${label} invalide: ${value} (${min} à ${max})`);
+    }
+    return number;
+}
+
+/**
+ * Valide un libellé (nom de règle ou de canal)
+ * @param {string} value
+ * @returns {string}
+ */
+function validateLabel(value) {
+    const label = String(value || '').trim();
+    if (!label || label.length > 100) {
+        throw new Error('Nom requis (100 caractères maximum)');
+    }
+    return label;
+}
+
+/**
+ * Valide un nom de projet ou de service optionnel (portée d'une règle ou d'un silence)
+ * @param {*} value
+ * @param {string} label
+ * @returns {string|null}
+ */
+function validateScopeName(value, label) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (!NAME_PATTERN.test(String(value))) {
+        throw new Error(`${label} invalide: ${value}`);
+    }
+    return String(value);
+}
+
+// ============================================
+// Canaux de notification
+// ============================================
+
+/**
+ * Canal avec ses secrets masqués
+ * @param {object} channel
+ * @returns {object}
+ */
+function maskChannel(channel) {
+    const settings = { ...channel.settings };
+    for (const field of notifiers.SECRET_FIELDS[channel.type]) {
+        if (settings[field]) {
+            settings[field] = SECRET_MASK;
+        }
+    }
+    return { ...channel, settings };
+}
+
+/**
+ * Liste les canaux de notification, secrets masqués
+ * @returns {Array}
+ */
+export function listChannels() {
+    return loadConfig().channels.map(maskChannel);
+}
+
+/**
+ * Valide un canal. Un secret absent ou masqué conserve la valeur existante.
+ * @param {object} input - { name, type, enabled, settings }
+ * @param {object|null} existing - Canal modifié
+ * @returns {object}
+ */
+function normalizeChannel(input, existing = null) {
+    const type = String(input.type || existing?.type || '').trim().toLowerCase();
+    if (!notifiers.CHANNEL_TYPES.includes(type)) {
+        throw new Error(`Type de canal invalide: ${input.type} (${notifiers.CHANNEL_TYPES.join(', ')})`);
+    }
+
+    // Paramètres absents (ex: simple activation) : ceux du canal existant sont conservés
+    const sameType = existing?.type === type;
+    const settings = { ...(input.settings || (sameType ? existing.settings : {})) };
+    for (const field of notifiers.SECRET_FIELDS[type]) {
+        if ((settings[field] === undefined || settings[field] === SECRET_MASK) && sameType) {
+            settings[field] = existing.settings[field];
+        }
+    }
+
+    return {
+        id: existing?.id || createId(),
+        name: validateLabel(input.name ?? existing?.name),
+        type,
+        enabled: input.enabled === undefined ? existing?.enabled ?? true : Boolean(input.enabled),
+        settings: notifiers.normalizeSettings(type, settings)
+    };
+}
+
+/**
+ * Ajoute un canal de notification
+ * @param {object} input - { name, type (email, webhook, slack), enabled, settings }
+ * @returns {object} - Canal créé (secrets masqués)
+ */
+export function createChannel(input) {
+    const config = loadConfig();
+    const channel = normalizeChannel(input);
+    config.channels.push(channel);
+    saveConfig(config);
+
+    logger.success(`Canal de notification ${channel.name} ajouté`);
+    return maskChannel(channel);
+}
+
+/**
+ * Modifie un canal de notification
+ * @param {string} id - Identifiant du canal
+ * @param {object} input - { name, type, enabled, settings }
+ * @returns {object} - Canal modifié (secrets masqués)
+ */
+export function updateChannel(id, input) {
+    const config = loadConfig();
+    const index = config.channels.findIndex(c => c.id === id);
+    if (index === -1) {
+        throw new Error(`Le canal ${id} n'existe pas`);
+    }
+
+    config.channels[index] = normalizeChannel(input, config.channels[index]);
+    saveConfig(config);
+    return maskChannel(config.channels[index]);
+}
+
+/**
+ * Supprime un canal de notification (et le retire des règles qui l'utilisent)
+ * @param {string} id - Identifiant du canal
+ */
+export function deleteChannel(id) {
+    const config = loadConfig();
+    if (!config.channels.some(c => c.id === id)) {
+        throw new Error(`Le canal ${id} n'existe pas`);
+    }
+
+    config.channels = config.channels.filter(c => c.id !== id);
+    for (const rule of config.rules) {
+        rule.channels = rule.channels.filter(channelId => channelId !== id);
+    }
+    saveConfig(config);
+}
+
+/**
+ * Envoie une notification de test sur un canal
+ * @param {string} id - Identifiant du canal
+ * @returns {Promise<void>}
+ */
+export async function testChannel(id) {
+    const channel = loadConfig().channels.find(c => c.id === id);
+    if (!channel) {
+        throw new Error(`Le canal ${id} n'existe pas`);
+    }
+
+    const now = new Date().toISOString();
+    await notifiers.send(channel, {
+        status: 'firing',
+        rule: { id: null, name: 'Notification de test', type: 'test' },
+        project: null,
+        service: null,
+        target: channel.name,
+        message: `Notification de test du canal ${channel.name}`,
+        value: null,
+        since: now,
+        at: now
+    });
+}
+
+// ============================================
+// Règles
+// ============================================
+
+/**
+ * Liste les règles d'alerte
+ * @returns {Array}
+ */
+export function listRules() {
+    return loadConfig().rules;
+}
+
+/**
+ * Valide une règle
+ * @param {object} input - { name, type, project, service, threshold, quota, duration, repeatInterval, channels, enabled }
+ * @param {Array} channels - Canaux existants
+ * @param {object|null} existing - Règle modifiée
+ * @returns {object}
+ */
+function normalizeRule(input, channels, existing = null) {
+    const merged = { ...existing, ...input };
+    const type = String(merged.type || '').trim().toLowerCase();
+    const definition = RULE_TYPES[type];
+    if (!definition) {
+        throw new Error(`Type de règle invalide: ${merged.type} (${Object.keys(RULE_TYPES).join(', ')})`);
+    }
+
+    const project = validateScopeName(merged.project, 'Projet');
+    const service = validateScopeName(merged.service, 'Service');
+    if (service && !project) {
+        throw new Error('Le projet est requis pour cibler un service');
+    }
+    if (service && definition.scope === 'project') {
+        throw new Error(`Une règle ${type} s'applique à un projet, pas à un service`);
+    }
+    if (project && !projects.projectExists(project)) {
+        throw new Error(`Le projet ${project} n'existe pas`);
+    }
+
+    const channelIds = [...new Set(Array.isArray(merged.channels) ? merged.channels : [])];
+    for (const channelId of channelIds) {
+        if (!channels.some(c => c.id === channelId)) {
+            throw new Error(`Le canal ${channelId} n'existe pas`);
+        }
+    }
+
+    const rule = {
+        id: existing?.id || createId(),
+        name: validateLabel(merged.name),
+        type,
+        project,
+        service,
+        duration: parseBoundedInt(merged.duration, definition.duration, 0, 86400, 'Durée'),
+        repeatInterval: parseBoundedInt(merged.repeatInterval, ALERTS_CONFIG.defaultRepeatInterval, 0, 7 * 24 * 60, 'Intervalle de rappel'),
+        channels: channelIds,
+        enabled: merged.enabled === undefined ? true : Boolean(merged.enabled)
+    };
+
+    // Seuil : redémarrages par heure, Mo, pourcentage ou jours selon le type
+    if (type === 'restarts') {
+        rule.threshold = parseBoundedInt(merged.threshold, definition.threshold, 0, 10000, 'Nombre de redémarrages');
+    } else if (type === 'memory') {
+        rule.threshold = parseBoundedInt(merged.threshold, definition.threshold, 1, 1024 * 1024, 'Seuil mémoire (Mo)');
+    } else if (type === 'disk') {
+        rule.threshold = parseBoundedInt(merged.threshold, definition.threshold, 1, 100, 'Seuil d\'occupation (%)');
+        rule.quota = merged.quota ? parseBoundedInt(merged.quota, null, 1, 1024 * 1024 * 1024, 'Quota (Mo)') : null;
+    } else if (type === 'certificate') {
+        rule.threshold = parseBoundedInt(merged.threshold, definition.threshold, 1, 365, 'Nombre de jours');
+    }
+
+    return rule;
+}
+
+/**
+ * Ajoute une règle d'alerte
+ * @param {object} input - Voir normalizeRule
+ * @returns {object} - Règle créée
+ */
+export function createRule(input) {
+    const config = loadConfig();
+    const rule = normalizeRule(input, config.channels);
+    config.rules.push(rule);
+    saveConfig(config);
+
+    logger.success(`Règle d'alerte ${rule.name} ajoutée`);
+    return rule;
+}
+
+/**
+ * Modifie une règle d'alerte (les champs absents sont conservés)
+ * @param {string} id - Identifiant de la règle
+ * @param {object} input - Voir normalizeRule
+ * @returns {object} - Règle modifiée
+ */
+export function updateRule(id, input) {
+    const config = loadConfig();
+    const index = config.rules.findIndex(r => r.id === id);
+    if (index === -1) {
+        throw new Error(`La règle ${id} n'existe pas`);
+    }
+
+    config.rules[index] = normalizeRule(input, config.channels, config.rules[index]);
+    saveConfig(config);
+    return config.rules[index];
+}
+
+/**
+ * Supprime une règle d'alerte et ses alertes en cours
+ * @param {string} id - Identifiant de la règle
+ */
+export function deleteRule(id) {
+    const config = loadConfig();
+    if (!config.rules.some(r => r.id === id)) {
+        throw new Error(`La règle ${id} n'existe pas`);
+    }
+
+    config.rules = config.rules.filter(r => r.id !== id);
+    saveConfig(config);
+
+    const state = loadState();
+    for (const [key, alert] of Object.entries(state.alerts)) {
+        if (alert.ruleId === id) {
+            delete state.alerts[key];
+        }
+    }
+    saveState(state);
+}
+
+// ============================================
+// Silences
+// ============================================
+
+/**
+ * Liste les silences en cours
+ * @returns {Array}
+ */
+export function listSilences() {
+    const now = Date.now();
+    return loadConfig().silences.filter(s => new Date(s.until).getTime() > now);
+}
+
+/**
+ * Ajoute un silence : les alertes correspondantes restent suivies mais ne sont pas notifiées
+ * @param {object} input - { ruleId, project, service (critères optionnels), duration (minutes) ou until (date ISO), comment }
+ * @param {string|null} createdBy - Utilisateur à l'origine du silence
+ * @returns {object} - Silence créé
+ */
+export function createSilence(input, createdBy = null) {
+    const config = loadConfig();
+
+    const ruleId = input.ruleId ? String(input.ruleId) : null;
+    if (ruleId && !config.rules.some(r => r.id === ruleId)) {
+        throw new Error(`La règle ${ruleId} n'existe pas`);
+    }
+    const project = validateScopeName(input.project, 'Projet');
+    const service = validateScopeName(input.service, 'Service');
+    if (service && !project) {
+        throw new Error('Le projet est requis pour cibler un service');
+    }
+
+    let until;
+    if (input.until) {
+        until = Date.parse(input.until);
+        if (Number.isNaN(until) || until <= Date.now()) {
+            throw new Error(`Date de fin invalide: ${input.until}`);
+        }
+    } else {
+        until = Date.now() + parseBoundedInt(input.duration, null, 1, 30 * 24 * 60, 'Durée (minutes)') * 60 * 1000;
+    }
+
+    const silence = {
+        id: createId(),
+        ruleId,
+        project,
+        service,
+        until: new Date(until).toISOString(),
+        comment: String(input.comment || '').trim().slice(0, 500),
+        createdBy,
+        createdAt: new Date().toISOString()
+    };
+
+    // Les silences expirés sont retirés à chaque ajout
+    config.silences = [...config.silences.filter(s => new Date(s.until).getTime() > Date.now()), silence];
+    saveConfig(config);
+    return silence;
+}
+
+/**
+ * Supprime un silence
+ * @param {string} id - Identifiant du silence
+ */
+export function deleteSilence(id) {
+    const config = loadConfig();
+    if (!config.silences.some(s => s.id === id)) {
+        throw new Error(`Le silence ${id} n'existe pas`);
+    }
+
+    config.silences = config.silences.filter(s => s.id !== id);
+    saveConfig(config);
+}
+
+/**
+ * Indique si une alerte est couverte par un silence en cours
+ * @param {Array} silences
+ * @param {object} alert - { ruleId, project, service }
+ * @param {number} now
+ * @returns {boolean}
+ */
+function isSilenced(silences, alert, now) {
+    return silences.some(silence =>
+        new Date(silence.until).getTime() > now &&
+        (!silence.ruleId || silence.ruleId === alert.ruleId) &&
+        (!silence.project || silence.project === alert.project) &&
+        (!silence.service || silence.service === alert.service));
+}
+
+// ============================================
+// Évaluation
+// ============================================
+
+/**
+ * Nombre de redémarrages sur la dernière heure, d'après l'historique des métriques
+ * (un compteur qui diminue a été remis à zéro : sa nouvelle valeur est comptée)
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {number|null} current - Compteur actuel
+ * @param {number} now
+ * @returns {number}
+ */
+function countRecentRestarts(projectName, serviceName, current, now) {
+    const values = metrics.getMetrics(projectName, serviceName, { from: now - 60 * 60 * 1000, to: now }).points
+        .map(point => point.restarts)
+        .filter(value => value !== null);
+    if (current !== null && current !== undefined) {
+        values.push(current);
+    }
+
+    let count = 0;
+    for (let i = 1; i < values.length; i++) {
+        count += values[i] >= values[i - 1] ? values[i] - values[i - 1] : values[i];
+    }
+    return count;
+}
+
+/**
+ * Mesure une règle sur chacune de ses cibles
+ * @param {object} rule
+ * @param {Function} getStatus - Statut d'un service (mis en cache pour la passe d'évaluation)
+ * @param {number} now
+ * @returns {Promise<Array>} - [{ target, project, service, active, value, message }]
+ */
+async function observeRule(rule, getStatus, now) {
+    const observations = [];
+    const projectNames = projects.loadProjects()
+        .map(p => p.name)
+        .filter(name => !rule.project || name === rule.project);
+
+    for (const projectName of projectNames) {
+        if (rule.type === 'disk') {
+            const directory = path.join(BASE_PATH, projectName);
+            if (!fs.existsSync(directory)) continue;
+
+            let percent;
+            let detail;
+            if (rule.quota) {
+                const size = await projects.getProjectDiskUsage(projectName);
+                percent = size / (rule.quota * 1024 * 1024) * 100;
+                detail = `${Math.round(size / 1024 / 1024)} Mo sur un quota de ${rule.quota} Mo`;
+            } else {
+                // Occupation calculée comme df (espace réservé à root exclu)
+                const stats = fs.statfsSync(directory);
+                const used = stats.blocks - stats.bfree;
+                percent = used / (used + stats.bavail) * 100;
+                detail = `système de fichiers de ${directory}`;
+            }
+
+            observations.push({
+                target: projectName,
+                project: projectName,
+                service: null,
+                active: percent >= rule.threshold,
+                value: Math.round(percent * 10) / 10,
+                message: `Espace disque du projet ${projectName} occupé à ${Math.round(percent)} % (${detail}, seuil : ${rule.threshold} %)`
+            });
+            continue;
+        }
+
+        for (const service of projects.loadProjectConfig(projectName).services || []) {
+            if (rule.service && service.name !== rule.service) continue;
+
+            const observation = { target: `${projectName}/${service.name}`, project: projectName, service: service.name };
+
+            if (rule.type === 'certificate') {
+                const info = service.vhost ? certificates.getCertificateInfo(service.vhost.domain) : null;
+                if (!info) continue;
+
+                observations.push({
+                    ...observation,
+                    active: info.daysLeft <= rule.threshold,
+                    value: info.daysLeft,
+                    message: info.daysLeft < 0
+                        ? `Le certificat de ${service.vhost.domain} a expiré le ${new Date(info.validTo).toLocaleDateString('fr-FR')}`
+                        : `Le certificat de ${service.vhost.domain} expire dans ${info.daysLeft} jour(s) (seuil : ${rule.threshold})`
+                });
+                continue;
+            }
+
+            if (services.isStaticService(service)) continue;
+            const status = await getStatus(projectName, service.name);
+
+            if (rule.type === 'service_down') {
+                const crashed = !['online', 'stopped'].includes(status.status);
+                const unhealthy = status.health?.status === 'unhealthy';
+                observations.push({
+                    ...observation,
+                    active: crashed || unhealthy,
+                    value: status.status,
+                    message: unhealthy && !crashed
+                        ? `Contrôle de santé de ${observation.target} en échec: ${status.health.message || ''}`
+                        : `Le service ${observation.target} est ${status.status}`
+                });
+            } else if (rule.type === 'restarts') {
+                const count = countRecentRestarts(projectName, service.name, status.status === 'online' ? status.restarts : null, now);
+                observations.push({
+                    ...observation,
+                    active: count > rule.threshold,
+                    value: count,
+                    message: `${count} redémarrage(s) de ${observation.target} en une heure (seuil : ${rule.threshold})`
+                });
+            } else if (rule.type === 'memory') {
+                const memoryMb = status.memory === null ? null : Math.round(status.memory / 1024 / 1024);
+                observations.push({
+                    ...observation,
+                    active: memoryMb !== null && memoryMb > rule.threshold,
+                    value: memoryMb,
+                    message: `Mémoire de ${observation.target} : ${memoryMb ?? '-'} Mo (seuil : ${rule.threshold} Mo)`
+                });
+            }
+        }
+    }
+
+    return observations;
+}
+
+/**
+ * Notification d'une alerte
+ * @param {object} alert - Alerte en cours
+ * @param {object} rule
+ * @param {string} status - firing ou resolved
+ * @param {string} at - Date ISO
+ * @returns {object}
+ */
+function buildNotification(alert, rule, status, at) {
+    return {
+        status,
+        rule: { id: rule.id, name: rule.name, type: rule.type },
+        project: alert.project,
+        service: alert.service,
+        target: alert.target,
+        message: alert.message,
+        value: alert.value,
+        since: alert.since,
+        at
+    };
+}
+
+/**
+ * Envoie une notification sur les canaux d'une règle (tous les canaux actifs si la règle n'en précise pas)
+ * @param {object} config
+ * @param {object} rule
+ * @param {object} notification
+ * @returns {Promise<Array>} - [{ channel, success, error }]
+ */
+async function dispatch(config, rule, notification) {
+    const channels = config.channels.filter(c => c.enabled && (rule.channels.length === 0 || rule.channels.includes(c.id)));
+    const results = [];
+
+    for (const channel of channels) {
+        try {
+            await notifiers.send(channel, notification);
+            results.push({ channel: channel.name, success: true });
+        } catch (error) {
+            logger.error(`Notification ${channel.name} (${notification.target}) impossible: ${error.message}`);
+            results.push({ channel: channel.name, success: false, error: error.message });
+        }
+    }
+    return results;
+}
+
+/**
+ * Évalue toutes les règles actives et envoie les notifications.
+ * Une alerte passe par « pending » tant que la condition n'a pas duré `duration` secondes,
+ * puis « firing » (notifiée, puis rappelée toutes les `repeatInterval` minutes hors silence) ;
+ * elle est supprimée à sa résolution (notifiée si son déclenchement l'a été).
+ * @returns {Promise<Array>} - Notifications envoyées [{ rule, target, status, channels: [{ channel, success, error }] }]
+ */
+export async function evaluateAlerts() {
+    const config = loadConfig();
+    const state = loadState();
+    const now = Date.now();
+    const at = new Date(now).toISOString();
+    const pending = [];
+    const seen = new Set();
+
+    const statuses = new Map();
+    const getStatus = async (projectName, serviceName) => {
+        const key = `${projectName}/${serviceName}`;
+        if (!statuses.has(key)) {
+            statuses.set(key, await services.getServiceStatus(projectName, serviceName));
+        }
+        return statuses.get(key);
+    };
+
+    const recordEvent = (alert, rule, status) => {
+        state.events = [
+            { at, ruleId: rule.id, rule: rule.name, target: alert.target, status, message: alert.message },
+            ...state.events
+        ].slice(0, ALERTS_CONFIG.historySize);
+    };
+
+    for (const rule of config.rules.filter(r => r.enabled)) {
+        let observations;
+        try {
+            observations = await observeRule(rule, getStatus, now);
+        } catch (error) {
+            // Mesure impossible : les alertes de la règle restent en l'état
+            logger.error(`Évaluation de la règle ${rule.name} impossible: ${error.message}`);
+            Object.keys(state.alerts).filter(key => state.alerts[key].ruleId === rule.id).forEach(key => seen.add(key));
+            continue;
+        }
+
+        for (const observation of observations) {
+            const key = `${rule.id}:${observation.target}`;
+            seen.add(key);
+            const alert = state.alerts[key];
+
+            if (!observation.active) {
+                if (alert?.status === 'firing') {
+                    alert.message = observation.message;
+                    alert.value = observation.value;
+                    recordEvent(alert, rule, 'resolved');
+                    if (alert.notifiedAt) {
+                        pending.push({ rule, notification: buildNotification(alert, rule, 'resolved', at) });
+                    }
+                }
+                delete state.alerts[key];
+                continue;
+            }
+
+            const current = alert || {
+                ruleId: rule.id,
+                target: observation.target,
+                project: observation.project,
+                service: observation.service,
+                status: 'pending',
+                since: at,
+                firedAt: null,
+                notifiedAt: null
+            };
+            current.value = observation.value;
+            current.message = observation.message;
+            state.alerts[key] = current;
+
+            if (current.status === 'pending' && now - new Date(current.since).getTime() >= rule.duration * 1000) {
+                current.status = 'firing';
+                current.firedAt = at;
+                recordEvent(current, rule, 'firing');
+            }
+            if (current.status !== 'firing') continue;
+
+            current.silenced = isSilenced(config.silences, current, now);
+            const repeatDue = current.notifiedAt && rule.repeatInterval > 0 &&
+                now - new Date(current.notifiedAt).getTime() >= rule.repeatInterval * 60 * 1000;
+            if (!current.silenced && (!current.notifiedAt || repeatDue)) {
+                current.notifiedAt = at;
+                pending.push({ rule, notification: buildNotification(current, rule, 'firing', at) });
+            }
+        }
+    }
+
+    // Règle supprimée ou désactivée, service ou projet disparu : alerte abandonnée sans notification
+    for (const key of Object.keys(state.alerts)) {
+        if (!seen.has(key)) {
+            delete state.alerts[key];
+        }
+    }
+    saveState(state);
+
+    const sent = [];
+    for (const { rule, notification } of pending) {
+        const channels = await dispatch(config, rule, notification);
+        sent.push({ rule: rule.name, target: notification.target, status: notification.status, channels });
+    }
+    return sent;
+}
+
+/**
+ * Alertes en cours (en attente ou déclenchées)
+ * @returns {Array} - [{ ruleId, rule, type, target, project, service, status, since, firedAt, notifiedAt, silenced, value, message }]
+ */
+export function getActiveAlerts() {
+    const config = loadConfig();
+    const now = Date.now();
+
+    return Object.values(loadState().alerts).map(alert => {
+        const rule = config.rules.find(r => r.id === alert.ruleId);
+        return {
+            ...alert,
+            rule: rule?.name || null,
+            type: rule?.type || null,
+            silenced: alert.status === 'firing' && isSilenced(config.silences, alert, now)
+        };
+    });
+}
+
+/**
+ * Derniers déclenchements et résolutions d'alertes
+ * @returns {Array} - [{ at, ruleId, rule, target, status, message }]
+ */
+export function getAlertEvents() {
+    return loadState().events;
+}
+
+export default {
+    RULE_TYPES,
+    listChannels,
+    createChannel,
+    updateChannel,
+    deleteChannel,
+    testChannel,
+    listRules,
+    createRule,
+    updateRule,
+    deleteRule,
+    listSilences,
+    createSilence,
+    deleteSilence,
+    evaluateAlerts,
+    getActiveAlerts,
+    getAlertEvents
+};
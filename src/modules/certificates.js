@@ -0,0 +1,201 @@
+/**
+ * Module de gestion des certificats TLS (ACME / Let's Encrypt, challenge HTTP-01)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import acme from 'acme-client';
+import { ACME_CONFIG, BASE_PATH, TOOL_CONFIG_PATH } from '../config/constants.js';
+import logger from '../utils/logger.js';
+
+const ACME_CONFIG_FILE = path.join(TOOL_CONFIG_PATH, 'acme.json');
+
+/**
+ * Retourne la configuration ACME effective
+ * (valeurs par défaut surchargées par acme.json s'il existe)
+ * @returns {object}
+ */
+export function getAcmeConfig() {
+    try {
+        if (fs.existsSync(ACME_CONFIG_FILE)) {
+            const overrides = JSON.parse(fs.readFileSync(ACME_CONFIG_FILE, 'utf8'));
+            return { ...ACME_CONFIG, ...overrides };
+        }
+    } catch (error) {
+        logger.warn(`Configuration ACME invalide, valeurs par défaut utilisées: ${error.message}`);
+    }
+    return { ...ACME_CONFIG };
+}
+
+/**
+ * Dossier servant les challenges HTTP-01 d'un projet
+ * @param {string} projectName - Nom du projet
+ * @returns {string}
+ */
+export function getAcmeWebroot(projectName) {
+    return path.join(BASE_PATH, projectName, ACME_CONFIG.webrootDir);
+}
+
+/**
+ * Chemins des fichiers du certificat d'un domaine
+ * @param {string} domain - Domaine principal
+ * @returns {{dir: string, key: string, cert: string}}
+ */
+export function getCertificatePaths(domain) {
+    const dir = path.join(getAcmeConfig().certsPath, domain);
+    return {
+        dir,
+        key: path.join(dir, 'privkey.pem'),
+        cert: path.join(dir, 'fullchain.pem')
+    };
+}
+
+/**
+ * Informations sur le certificat d'un domaine
+ * @param {string} domain - Domaine principal
+ * @returns {object|null} - { domain, names, issuer, validFrom, validTo, daysLeft } ou null
+ */
+export function getCertificateInfo(domain) {
+    const { cert, key } = getCertificatePaths(domain);
+    if (!fs.existsSync(cert) || !fs.existsSync(key)) {
+        return null;
+    }
+
+    try {
+        const x509 = new crypto.X509Certificate(fs.readFileSync(cert));
+        const validTo = new Date(x509.validTo);
+        const names = (x509.subjectAltName || '')
+            .split(',')
+            .map(n => n.trim())
+            .filter(n => n.startsWith('DNS:'))
+            .map(n => n.slice(4));
+
+        return {
+            domain,
+            names,
+            issuer: x509.issuer.split('\n').find(l => l.startsWith('CN='))?.slice(3) || x509.issuer,
+            validFrom: new Date(x509.validFrom).toISOString(),
+            validTo: validTo.toISOString(),
+            daysLeft: Math.floor((validTo.getTime() - Date.now()) / (24 * 60 * 60 * 1000))
+        };
+    } catch (error) {
+        logger.warn(`Certificat illisible pour ${domain}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Indique si le certificat du domaine principal couvre tous les domaines donnés
+ * @param {Array<string>} domains - Domaine principal puis alias
+ * @returns {boolean}
+ */
+export function hasCertificate(domains) {
+    const info = getCertificateInfo(domains[0]);
+    return Boolean(info) && domains.every(d => info.names.includes(d));
+}
+
+/**
+ * Indique si un certificat doit être renouvelé
+ * @param {object} info - Résultat de getCertificateInfo()
+ * @returns {boolean}
+ */
+export function isRenewalDue(info) {
+    return !info || info.daysLeft < getAcmeConfig().renewBeforeDays;
+}
+
+/**
+ * Charge (ou crée) la clé du compte ACME associé à un annuaire
+ * @param {string} directoryUrl - URL de l'annuaire ACME
+ * @returns {Promise<Buffer>}
+ */
+async function getAccountKey(directoryUrl) {
+    const accountsDir = path.join(getAcmeConfig().certsPath, 'accounts');
+    const keyPath = path.join(accountsDir, `${new URL(directoryUrl).host}.pem`);
+
+    if (fs.existsSync(keyPath)) {
+        return fs.readFileSync(keyPath);
+    }
+
+    fs.mkdirSync(accountsDir, { recursive: true, mode: 0o700 });
+    const key = await acme.crypto.createPrivateKey();
+    fs.writeFileSync(keyPath, key, { mode: 0o600 });
+    logger.debug(`Compte ACME créé: ${keyPath}`);
+    return key;
+}
+
+/**
+ * Demande (ou renouvelle) un certificat pour des domaines via le challenge HTTP-01.
+ * Le fichier de challenge est déposé dans le webroot du projet, déjà servi par nginx.
+ * @param {string} projectName - Nom du projet
+ * @param {Array<string>} domains - Domaine principal puis alias
+ * @returns {Promise<object>} - Informations du certificat obtenu
+ */
+export async function issueCertificate(projectName, domains) {
+    if (domains.some(d => d.startsWith('*.'))) {
+        throw new Error('Les domaines joker nécessitent un challenge DNS-01, non supporté');
+    }
+
+    const config = getAcmeConfig();
+    const challengeDir = path.join(getAcmeWebroot(projectName), '.well-known', 'acme-challenge');
+
+    const client = new acme.Client({
+        directoryUrl: config.directoryUrl,
+        accountKey: await getAccountKey(config.directoryUrl)
+    });
+
+    const [key, csr] = await acme.crypto.createCsr({
+        commonName: domains[0],
+        altNames: domains
+    });
+
+    logger.info(`Demande de certificat pour ${domains.join(', ')}...`);
+
+    let cert;
+    try {
+        cert = await client.auto({
+            csr,
+            email: config.email,
+            termsOfServiceAgreed: true,
+            challengePriority: ['http-01'],
+            skipChallengeVerification: config.skipChallengeVerification,
+            challengeCreateFn: async (authz, challenge, keyAuthorization) => {
+                fs.mkdirSync(challengeDir, { recursive: true, mode: 0o755 });
+                fs.writeFileSync(path.join(challengeDir, challenge.token), keyAuthorization, { mode: 0o644 });
+            },
+            challengeRemoveFn: async (authz, challenge) => {
+                fs.rmSync(path.join(challengeDir, challenge.token), { force: true });
+            }
+        });
+    } catch (error) {
+        throw new Error(`Échec de la demande de certificat: ${error.message}`);
+    }
+
+    // Remplacer la clé et le certificat ensemble, seulement une fois le nouveau certificat obtenu
+    const paths = getCertificatePaths(domains[0]);
+    fs.mkdirSync(paths.dir, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(`${paths.key}.tmp`, key, { mode: 0o600 });
+    fs.writeFileSync(`${paths.cert}.tmp`, cert, { mode: 0o644 });
+    fs.renameSync(`${paths.key}.tmp`, paths.key);
+    fs.renameSync(`${paths.cert}.tmp`, paths.cert);
+    fs.writeFileSync(path.join(paths.dir, 'meta.json'), JSON.stringify({
+        project: projectName,
+        domains,
+        directoryUrl: config.directoryUrl,
+        issuedAt: new Date().toISOString()
+    }, null, 2));
+
+    const info = getCertificateInfo(domains[0]);
+    logger.success(`Certificat obtenu pour ${domains[0]} (expire le ${new Date(info.validTo).toLocaleDateString('fr-FR')})`);
+    return info;
+}
+
+export default {
+    getAcmeConfig,
+    getAcmeWebroot,
+    getCertificatePaths,
+    getCertificateInfo,
+    hasCertificate,
+    isRenewalDue,
+    issueCertificate
+};
@@ -0,0 +1,200 @@
+/**
+ * Module des expressions cron (5 champs : minute heure jour-du-mois mois jour-de-la-semaine),
+ * évaluées à l'heure locale du serveur : listes (1,15), intervalles (1-5), pas (0-30/5, ou `*` suivi de /10),
+ * noms de mois et de jours (jan, mon) et raccourcis (@hourly, @daily, @weekly, @monthly, @yearly).
+ */
+
+const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+    { label: 'minute', min: 0, max: 59 },
+    { label: 'heure', min: 0, max: 23 },
+    { label: 'jour du mois', min: 1, max: 31 },
+    { label: 'mois', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+    // 7 est un autre nom du dimanche
+    { label: 'jour de la semaine', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+// Recherche de la prochaine exécution : au-delà, l'expression ne correspond à aucune date (ex: 31 février)
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * Lit une valeur d'un champ (nombre ou nom)
+ * @param {string} value
+ * @param {object} field
+ * @returns {number}
+ */
+function parseValue(value, field) {
+    const index = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+    // Nombre décimal (ni 0x1 ni 1e1) ou nom de mois / de jour
+    const number = index !== -1 ? index + field.offset : /^\d+$/.test(value) ? Number(value) : NaN;
+
+    if (Number.isNaN(number) || number < field.min || number > field.max) {
+        throw new Error(`Valeur invalide pour le champ ${field.label}: ${value} (${field.min} à ${field.max})`);
+    }
+    return number;
+}
+
+/**
+ * Lit un champ d'une expression
+ * @param {string} expression - Champ (ex: 1-5,10,30-59/15)
+ * @param {object} field
+ * @returns {{values: Set<number>, any: boolean}}
+ */
+function parseField(expression, field) {
+    const values = new Set();
+
+    for (const part of expression.split(',')) {
+        const [range, stepValue, extra] = part.split('/');
+        if (extra !== undefined || !range) {
+            throw new Error(`Champ ${field.label} invalide: ${expression}`);
+        }
+
+        const step = stepValue === undefined ? 1 : Number(stepValue);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Pas invalide pour le champ ${field.label}: ${stepValue}`);
+        }
+
+        let start = field.min;
+        let end = field.max;
+        if (range !== '*') {
+            const [from, to, more] = range.split('-');
+            if (more !== undefined) {
+                throw new Error(`Intervalle invalide pour le champ ${field.label}: ${range}`);
+            }
+            start = parseValue(from, field);
+            // "5/15" : de 5 jusqu'à la fin du champ
+            end = to !== undefined ? parseValue(to, field) : stepValue !== undefined ? field.max : start;
+            if (end < start) {
+                throw new Error(`Intervalle invalide pour le champ ${field.label}: ${range}`);
+            }
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    // Comme cron, un champ commençant par * (ex: */2) n'est pas considéré comme restreint
+    return { values, any: expression.startsWith('*') };
+}
+
+/**
+ * Analyse une expression cron
+ * @param {string} expression - ex: "0 3 * * *", "@daily"
+ * @returns {object} - { minute, hour, dayOfMonth, month, dayOfWeek }
+ */
+export function parseCron(expression) {
+    const normalized = String(expression || '').trim().toLowerCase();
+    const fields = (MACROS[normalized] || normalized).split(/\s+/);
+
+    if (fields.length !== 5 || !fields[0]) {
+        throw new Error(`Expression cron invalide: "${expression}" (5 champs attendus : minute heure jour mois jour-de-la-semaine)`);
+    }
+
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = fields.map((field, index) => parseField(field, FIELDS[index]));
+
+    // Dimanche : 0 ou 7
+    if (dayOfWeek.values.has(7)) {
+        dayOfWeek.values.delete(7);
+        dayOfWeek.values.add(0);
+    }
+
+    return { minute, hour, dayOfMonth, month, dayOfWeek };
+}
+
+/**
+ * Valide une expression cron (qui doit correspondre à au moins une date)
+ * @param {string} expression
+ * @returns {string} - Expression normalisée (espaces simples)
+ */
+export function normalizeCron(expression) {
+    if (!getNextRun(expression)) {
+        throw new Error(`L'expression cron "${expression}" ne correspond à aucune date`);
+    }
+    return String(expression).trim().split(/\s+/).join(' ');
+}
+
+/**
+ * Indique si le jour d'une date correspond à l'expression. Comme cron, lorsque le jour du mois
+ * et le jour de la semaine sont tous deux restreints, l'un ou l'autre suffit.
+ * @param {object} cron - Expression analysée
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function matchesDay(cron, date) {
+    const dayOfMonth = cron.dayOfMonth.values.has(date.getDate());
+    const dayOfWeek = cron.dayOfWeek.values.has(date.getDay());
+
+    if (cron.dayOfMonth.any || cron.dayOfWeek.any) {
+        return dayOfMonth && dayOfWeek;
+    }
+    return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Indique si une date (à la minute près) correspond à l'expression
+ * @param {string|object} expression - Expression ou expression analysée
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export function matchesCron(expression, date) {
+    const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+    return cron.minute.values.has(date.getMinutes())
+        && cron.hour.values.has(date.getHours())
+        && cron.month.values.has(date.getMonth() + 1)
+        && matchesDay(cron, date);
+}
+
+/**
+ * Prochaine date correspondant à l'expression, strictement après `from`
+ * @param {string} expression
+ * @param {Date} from - Date de départ (maintenant par défaut)
+ * @returns {Date|null} - null si aucune date ne correspond
+ */
+export function getNextRun(expression, from = new Date()) {
+    const cron = parseCron(expression);
+    const date = new Date(from.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = new Date(date.getTime());
+    limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+    // Avance par mois, jour puis heure entiers tant que ceux-ci ne correspondent pas
+    while (date < limit) {
+        if (!cron.month.values.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0);
+        } else if (!matchesDay(cron, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0);
+        } else if (!cron.hour.values.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0);
+        } else if (!cron.minute.values.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1);
+        } else {
+            return date;
+        }
+    }
+
+    return null;
+}
+
+export default {
+    parseCron,
+    normalizeCron,
+    matchesCron,
+    getNextRun
+};
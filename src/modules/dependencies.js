@@ -0,0 +1,138 @@
+/**
+ * Module des dépendances entre les services d'un projet (`dependsOn`) : validation,
+ * détection des cycles et ordre de démarrage (tri topologique)
+ */
+
+/**
+ * Valide et normalise les dépendances d'un service
+ * @param {Array|string} value - Noms des services requis (tableau, ou liste séparée par des virgules)
+ * @param {string} serviceName - Nom du service
+ * @returns {Array}
+ */
+export function normalizeDependsOn(value, serviceName) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+
+    const names = Array.isArray(value) ? value : String(value).split(',');
+    const dependsOn = [];
+
+    for (const raw of names) {
+        const name = String(raw).trim();
+        if (!name) continue;
+
+        if (!/^[a-zA-Z][a-zA-Z0-9_-]*$/.test(name)) {
+            throw new Error(`Dépendance invalide: ${name}`);
+        }
+        if (name === serviceName) {
+            throw new Error(`Le service ${serviceName} ne peut pas dépendre de lui-même`);
+        }
+        if (!dependsOn.includes(name)) {
+            dependsOn.push(name);
+        }
+    }
+
+    return dependsOn;
+}
+
+/**
+ * Recherche un cycle de dépendances
+ * @param {Array} services - Services du projet
+ * @returns {Array|null} - Chemin du cycle (ex: ['api', 'worker', 'api']), null sans cycle
+ */
+export function findCycle(services) {
+    const byName = new Map(services.map(s => [s.name, s]));
+    // 1 : en cours de visite, 2 : visité
+    const visited = new Map();
+    const stack = [];
+
+    const visit = (name) => {
+        visited.set(name, 1);
+        stack.push(name);
+
+        for (const dependency of byName.get(name).dependsOn || []) {
+            if (!byName.has(dependency)) continue;
+            if (visited.get(dependency) === 1) {
+                return [...stack.slice(stack.indexOf(dependency)), dependency];
+            }
+            if (!visited.has(dependency)) {
+                const cycle = visit(dependency);
+                if (cycle) return cycle;
+            }
+        }
+
+        stack.pop();
+        visited.set(name, 2);
+        return null;
+    };
+
+    for (const service of services) {
+        if (visited.has(service.name)) continue;
+        const cycle = visit(service.name);
+        if (cycle) return cycle;
+    }
+
+    return null;
+}
+
+/**
+ * Trie les services dans leur ordre de démarrage : chaque service après ceux dont il dépend,
+ * l'ordre de configuration étant conservé entre services indépendants.
+ * Les dépendances absentes de la liste (ex: sites statiques écartés des scripts) sont ignorées.
+ * @param {Array} services - Services du projet
+ * @returns {Array}
+ */
+export function sortServices(services) {
+    const cycle = findCycle(services);
+    if (cycle) {
+        throw new Error(`Dépendance circulaire entre les services: ${cycle.join(' → ')}`);
+    }
+
+    const names = new Set(services.map(s => s.name));
+    const sorted = [];
+    const placed = new Set();
+
+    while (sorted.length < services.length) {
+        const next = services.find(s => !placed.has(s.name)
+            && (s.dependsOn || []).every(d => placed.has(d) || !names.has(d)));
+        sorted.push(next);
+        placed.add(next.name);
+    }
+
+    return sorted;
+}
+
+/**
+ * Vérifie que les dépendances des services existent et ne forment pas de cycle
+ * @param {Array} services - Services du projet
+ */
+export function assertDependencies(services) {
+    const names = new Set(services.map(s => s.name));
+
+    for (const service of services) {
+        const missing = (service.dependsOn || []).filter(d => !names.has(d));
+        if (missing.length > 0) {
+            throw new Error(`Le service ${service.name} dépend de services inexistants: ${missing.join(', ')}`);
+        }
+    }
+
+    sortServices(services);
+}
+
+/**
+ * Services qui dépendent directement d'un service
+ * @param {Array} services - Services du projet
+ * @param {string} serviceName - Nom du service
+ * @returns {Array} - Noms des services
+ */
+export function getDependents(services, serviceName) {
+    return services.filter(s => (s.dependsOn || []).includes(serviceName)).map(s => s.name);
+}
+
+export default {
+    normalizeDependsOn,
+    findCycle,
+    sortServices,
+    assertDependencies,
+    getDependents
+};
@@ -0,0 +1,345 @@
+/**
+ * Module de déploiement des services depuis un dépôt git : chaque déploiement est cloné
+ * dans un dossier de release horodaté, puis le lien symbolique `current` (dossier du service)
+ * est basculé de manière atomique. L'historique des déploiements est conservé dans un fichier par service.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { BASE_PATH, PROJECT_STRUCTURE, DEPLOY_CONFIG } from '../config/constants.js';
+import shell from '../utils/shell.js';
+import logger from '../utils/logger.js';
+
+// Dépôt : URL http(s), ssh ou git, syntaxe scp (git@hôte:chemin) ou chemin absolu
+const REPOSITORY_PATTERN = /^(?:(?:https?|ssh|git):\/\/|[\w.-]+@[\w.-]+:|\/)[^\s"'`$\\]+$/;
+const BRANCH_PATTERN = /^\w[\w./-]*$/;
+
+/**
+ * Valide et normalise la configuration git d'un service
+ * @param {object} config - { repository, branch, keepReleases }
+ * @returns {object} - { repository, branch, keepReleases }
+ */
+export function normalizeGitConfig(config) {
+    const repository = String(config.repository || '').trim();
+    if (!repository) {
+        throw new Error('Dépôt git requis');
+    }
+    if (!REPOSITORY_PATTERN.test(repository)) {
+        throw new Error(`Dépôt git invalide: ${repository} (URL https, ssh, git@hôte:chemin ou chemin absolu)`);
+    }
+
+    const branch = String(config.branch || 'main').trim();
+    if (!BRANCH_PATTERN.test(branch) || branch.includes('..') || branch.endsWith('/') || branch.endsWith('.lock')) {
+        throw new Error(`Branche invalide: ${branch}`);
+    }
+
+    let keepReleases = DEPLOY_CONFIG.defaultKeepReleases;
+    if (config.keepReleases !== undefined && config.keepReleases !== null && config.keepReleases !== '') {
+        keepReleases = Number(config.keepReleases);
+        if (!Number.isInteger(keepReleases) || keepReleases < 1 || keepReleases > DEPLOY_CONFIG.maxKeepReleases) {
+            throw new Error(`Nombre de releases conservées invalide: ${config.keepReleases} (1 à ${DEPLOY_CONFIG.maxKeepReleases})`);
+        }
+    }
+
+    return { repository, branch, keepReleases };
+}
+
+/**
+ * Dossier de déploiement d'un service (releases/ et lien current)
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @returns {string}
+ */
+export function getDeployRoot(projectName, serviceName) {
+    return path.join(BASE_PATH, projectName, PROJECT_STRUCTURE.sites, DEPLOY_CONFIG.dirName, serviceName);
+}
+
+/**
+ * Lien symbolique vers la release active, utilisé comme dossier du service
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @returns {string}
+ */
+export function getCurrentPath(projectName, serviceName) {
+    return path.join(getDeployRoot(projectName, serviceName), 'current');
+}
+
+/**
+ * Dossier d'une release
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {string} releaseId - Identifiant (horodatage) de la release
+ * @returns {string}
+ */
+function getReleasePath(projectName, serviceName, releaseId) {
+    if (!/^\d{14}(-\d+)?$/.test(releaseId)) {
+        throw new Error(`Release invalide: ${releaseId}`);
+    }
+    return path.join(getDeployRoot(projectName, serviceName), 'releases', releaseId);
+}
+
+/**
+ * Fichier d'historique des déploiements d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @returns {string}
+ */
+function getHistoryFile(projectName, serviceName) {
+    return path.join(DEPLOY_CONFIG.historyPath, projectName, `${serviceName}.json`);
+}
+
+/**
+ * Release active d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @returns {string|null} - Identifiant de la release, null si rien n'est déployé
+ */
+export function getCurrentRelease(projectName, serviceName) {
+    try {
+        return path.basename(fs.readlinkSync(getCurrentPath(projectName, serviceName)));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Historique des déploiements d'un service (le plus récent en premier)
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @returns {Array} - [{ id, type (deploy, rollback), status (success, failed), commit, message,
+ *                    branch, error, deployedBy, deployedAt }]
+ */
+export function getDeployHistory(projectName, serviceName) {
+    const file = getHistoryFile(projectName, serviceName);
+    if (!fs.existsSync(file)) {
+        return [];
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        logger.warn(`Historique des déploiements illisible (${file}): ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Ajoute un déploiement à l'historique d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {object} entry - Déploiement
+ */
+export function recordDeployment(projectName, serviceName, entry) {
+    const file = getHistoryFile(projectName, serviceName);
+    const history = [{ ...entry, deployedAt: new Date().toISOString() }, ...getDeployHistory(projectName, serviceName)]
+        .slice(0, DEPLOY_CONFIG.historySize);
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.tmp-${process.pid}`;
+    fs.writeFileSync(tmpFile, JSON.stringify(history, null, 2));
+    fs.renameSync(tmpFile, file);
+}
+
+/**
+ * Releases présentes sur le disque (la plus récente en premier), complétées de leur déploiement
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @returns {Array} - [{ id, current, commit, message, branch, deployedBy, deployedAt }]
+ */
+export function listReleases(projectName, serviceName) {
+    const releasesPath = path.join(getDeployRoot(projectName, serviceName), 'releases');
+    if (!fs.existsSync(releasesPath)) {
+        return [];
+    }
+
+    const current = getCurrentRelease(projectName, serviceName);
+    const history = getDeployHistory(projectName, serviceName);
+
+    return fs.readdirSync(releasesPath)
+        .filter(id => /^\d{14}(-\d+)?$/.test(id))
+        .sort()
+        .reverse()
+        .map(id => {
+            const deployment = history.find(entry => entry.id === id && entry.type === 'deploy') || {};
+            return {
+                id,
+                current: id === current,
+                commit: deployment.commit || null,
+                message: deployment.message || null,
+                branch: deployment.branch || null,
+                deployedBy: deployment.deployedBy || null,
+                deployedAt: deployment.deployedAt || null
+            };
+        });
+}
+
+/**
+ * Exécute une opération de déploiement en excluant toute autre sur le même service
+ * (y compris depuis un autre processus : CLI et serveur Web)
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {Function} fn - Opération
+ * @returns {Promise<*>}
+ */
+export async function withDeployLock(projectName, serviceName, fn) {
+    const lockFile = path.join(DEPLOY_CONFIG.historyPath, projectName, `${serviceName}.lock`);
+    fs.mkdirSync(path.dirname(lockFile), { recursive: true });
+
+    try {
+        fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx' });
+    } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        // Verrou laissé par un processus disparu : on le reprend
+        const pid = Number(fs.readFileSync(lockFile, 'utf8'));
+        let alive = false;
+        try {
+            process.kill(pid, 0);
+            alive = true;
+        } catch {
+            // Processus terminé
+        }
+        if (alive) {
+            throw new Error(`Un déploiement du service ${serviceName} est déjà en cours`);
+        }
+        fs.writeFileSync(lockFile, String(process.pid));
+    }
+
+    try {
+        return await fn();
+    } finally {
+        fs.rmSync(lockFile, { force: true });
+    }
+}
+
+/**
+ * Clone la branche configurée dans un nouveau dossier de release. Le dossier .git est retiré
+ * une fois le commit relevé (il serait sinon servi avec un site statique).
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {object} git - { repository, branch }
+ * @returns {Promise<object>} - { id, path, commit, message }
+ */
+export async function createRelease(projectName, serviceName, git) {
+    const timestamp = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+    let id = timestamp;
+    for (let suffix = 1; fs.existsSync(getReleasePath(projectName, serviceName, id)); suffix++) {
+        id = `${timestamp}-${suffix}`;
+    }
+    const releasePath = getReleasePath(projectName, serviceName, id);
+    fs.mkdirSync(path.dirname(releasePath), { recursive: true });
+
+    logger.info(`Clone de ${git.repository} (${git.branch})...`);
+
+    const options = {
+        timeout: DEPLOY_CONFIG.cloneTimeout,
+        env: {
+            ...process.env,
+            GIT_TERMINAL_PROMPT: '0',
+            GIT_SSH_COMMAND: 'ssh -o BatchMode=yes -o StrictHostKeyChecking=accept-new'
+        }
+    };
+
+    try {
+        await shell.execCommand(
+            `git clone --quiet --depth 1 --single-branch --branch "${git.branch}" "${git.repository}" "${releasePath}"`,
+            options
+        );
+        const { stdout } = await shell.execCommand(`git -C "${releasePath}" log -1 --format=%H%n%s`);
+        const [commit, ...message] = stdout.split('\n');
+        fs.rmSync(path.join(releasePath, '.git'), { recursive: true, force: true });
+
+        logger.success(`Release ${id} créée (${commit.slice(0, 7)})`);
+        return { id, path: releasePath, commit, message: message.join('\n') };
+    } catch (error) {
+        fs.rmSync(releasePath, { recursive: true, force: true });
+        const details = (error.stderr || '').split('\n').filter(line => line.trim() && !line.startsWith('warning:'));
+        throw new Error(`Clone impossible: ${details.join(' ') || error.message}`);
+    }
+}
+
+/**
+ * Supprime une release (jamais la release active)
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {string} releaseId - Identifiant de la release
+ */
+export function removeRelease(projectName, serviceName, releaseId) {
+    if (releaseId === getCurrentRelease(projectName, serviceName)) {
+        throw new Error(`La release ${releaseId} est active`);
+    }
+    fs.rmSync(getReleasePath(projectName, serviceName, releaseId), { recursive: true, force: true });
+}
+
+/**
+ * Bascule le lien current sur une release : le nouveau lien est créé à côté puis renommé
+ * par-dessus l'ancien, le service voit donc toujours une release complète
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {string} releaseId - Identifiant de la release
+ */
+export function activateRelease(projectName, serviceName, releaseId) {
+    if (!fs.existsSync(getReleasePath(projectName, serviceName, releaseId))) {
+        throw new Error(`La release ${releaseId} n'existe pas`);
+    }
+
+    const currentPath = getCurrentPath(projectName, serviceName);
+    const tmpLink = `${currentPath}.tmp-${process.pid}`;
+    fs.rmSync(tmpLink, { force: true });
+    // Cible relative : le lien reste valide vu depuis le chroot SFTP
+    fs.symlinkSync(path.join('releases', releaseId), tmpLink);
+    fs.renameSync(tmpLink, currentPath);
+
+    logger.success(`Release ${releaseId} active pour ${serviceName}`);
+}
+
+/**
+ * Supprime les releases les plus anciennes au-delà du nombre à conserver
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {number} keepReleases - Nombre de releases conservées
+ * @returns {Array<string>} - Releases supprimées
+ */
+export function pruneReleases(projectName, serviceName, keepReleases) {
+    const removed = [];
+
+    for (const release of listReleases(projectName, serviceName).slice(keepReleases)) {
+        if (release.current) continue;
+        removeRelease(projectName, serviceName, release.id);
+        removed.push(release.id);
+    }
+
+    if (removed.length > 0) {
+        logger.info(`Anciennes releases supprimées: ${removed.join(', ')}`);
+    }
+    return removed;
+}
+
+/**
+ * Supprime l'historique des déploiements d'un service, ou de tout un projet
+ * (les releases, dans le dossier sites/, suivent les fichiers du projet)
+ * @param {string} projectName - Nom du projet
+ * @param {string|null} serviceName - Nom du service (null : tout le projet)
+ */
+export function removeDeployHistory(projectName, serviceName = null) {
+    const target = serviceName
+        ? getHistoryFile(projectName, serviceName)
+        : path.join(DEPLOY_CONFIG.historyPath, projectName);
+    fs.rmSync(target, { recursive: true, force: true });
+}
+
+export default {
+    normalizeGitConfig,
+    getDeployRoot,
+    getCurrentPath,
+    getCurrentRelease,
+    getDeployHistory,
+    recordDeployment,
+    listReleases,
+    withDeployLock,
+    createRelease,
+    removeRelease,
+    activateRelease,
+    pruneReleases,
+    removeDeployHistory
+};
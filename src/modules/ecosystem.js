@@ -0,0 +1,272 @@
+/**
+ * Module de génération du fichier PM2 ecosystem.config.cjs des projets.
+ * Définition unique des processus, utilisée par le CLI, l'API Web et les scripts générés.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { BASE_PATH, PROJECT_STRUCTURE } from '../config/constants.js';
+import projects from './projects.js';
+import environment from './environment.js';
+import runtime from './runtime.js';
+import logger from '../utils/logger.js';
+
+// Interpréteur utilisé lorsque la commande lance directement un fichier source
+const INTERPRETERS = {
+    nodejs: 'node',
+    python: 'python3',
+    php: 'php'
+};
+
+const SOURCE_EXTENSIONS = ['.js', '.cjs', '.mjs', '.py', '.php'];
+
+// Opérateurs nécessitant un shell (enchaînements, redirections, variables)
+const SHELL_OPERATORS = /[;&|<>$`]/;
+
+// Limite mémoire PM2 (ex: 512M, 1G)
+const MEMORY_PATTERN = /^\d+[KMG]?$/i;
+
+// Nombre maximal d'instances d'un service en mode cluster
+const MAX_INSTANCES = 64;
+
+/**
+ * Chemin du fichier ecosystem d'un projet
+ * @param {string} projectName - Nom du projet
+ * @returns {string}
+ */
+export function getEcosystemPath(projectName) {
+    return path.join(BASE_PATH, projectName, PROJECT_STRUCTURE.ecosystem);
+}
+
+/**
+ * Nom du processus PM2 d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @returns {string}
+ */
+export function getPm2Name(projectName, service) {
+    return service.pm2Name || `${projectName}-${service.name}`;
+}
+
+/**
+ * Fichiers de logs PM2 d'un service (sorties standard et d'erreur)
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @returns {{out: string, err: string}}
+ */
+export function getLogFiles(projectName, service) {
+    const pm2Name = getPm2Name(projectName, service);
+    const logDir = runtime.getLogDir(projectName);
+    return {
+        out: path.join(logDir, `${pm2Name}.out.log`),
+        err: path.join(logDir, `${pm2Name}.error.log`)
+    };
+}
+
+/**
+ * Valide une limite mémoire PM2 (max_memory_restart)
+ * @param {string} value - ex: 512M
+ * @returns {string|null} - Valeur normalisée, null si vide
+ */
+export function normalizeMaxMemory(value) {
+    const normalized = String(value ?? '').trim().toUpperCase();
+    if (!normalized) {
+        return null;
+    }
+    if (!MEMORY_PATTERN.test(normalized)) {
+        throw new Error(`Limite mémoire invalide: ${value} (ex: 512M, 1G)`);
+    }
+    return normalized;
+}
+
+/**
+ * Valide un nombre d'instances PM2
+ * @param {number|string} value - Nombre d'instances ou "max" (une par cœur)
+ * @returns {number|string}
+ */
+export function normalizeInstances(value) {
+    if (String(value).trim().toLowerCase() === 'max') {
+        return 'max';
+    }
+
+    const instances = Number(value);
+    if (!Number.isInteger(instances) || instances < 1 || instances > MAX_INSTANCES) {
+        throw new Error(`Nombre d'instances invalide: ${value} (1 à ${MAX_INSTANCES} ou "max")`);
+    }
+    return instances;
+}
+
+/**
+ * Nombre effectif d'instances ("max" : une par cœur)
+ * @param {object} service - Service
+ * @returns {number}
+ */
+export function getInstanceCount(service) {
+    return service.instances === 'max' ? os.cpus().length : service.instances || 1;
+}
+
+/**
+ * Indique si un service tourne en mode cluster (plusieurs instances ou "max")
+ * @param {object} service - Service
+ * @returns {boolean}
+ */
+export function isClustered(service) {
+    return Boolean(service.instances) && service.instances !== 1;
+}
+
+/**
+ * Vérifie qu'un service peut tourner en mode cluster : PM2 ne répartit la charge
+ * qu'entre processus Node.js lancés directement (node server.js, pas npm start)
+ * @param {object} service - Service
+ */
+export function assertClusterable(service) {
+    if ((service.technology || 'nodejs') !== 'nodejs' || parseCommand(service).interpreter !== 'node') {
+        throw new Error('Le mode cluster nécessite un service Node.js lancé directement (ex: node server.js)');
+    }
+}
+
+/**
+ * Découpe une commande en arguments (guillemets simples et doubles pris en compte)
+ * @param {string} command
+ * @returns {Array<string>}
+ */
+function splitCommand(command) {
+    const tokens = [];
+    const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(command)) !== null) {
+        tokens.push(match[1] ?? match[2] ?? match[3]);
+    }
+    return tokens;
+}
+
+/**
+ * Traduit la commande d'un service en script / arguments / interpréteur PM2
+ * @param {object} service - Service
+ * @returns {{script: string, args: Array<string>, interpreter: string}}
+ */
+function parseCommand(service) {
+    const command = (service.command || 'npm start').trim();
+
+    if (SHELL_OPERATORS.test(command)) {
+        return { script: 'bash', args: ['-c', command], interpreter: 'none' };
+    }
+
+    const [first, ...rest] = splitCommand(command);
+    const interpreter = INTERPRETERS[service.technology || 'nodejs'];
+
+    // node server.js, python3 app.py, php artisan serve
+    if (Object.values(INTERPRETERS).includes(first) || first === 'python') {
+        if (rest.length > 0) {
+            return { script: rest[0], args: rest.slice(1), interpreter: first };
+        }
+    }
+
+    // server.js, app.py
+    if (interpreter && SOURCE_EXTENSIONS.includes(path.extname(first))) {
+        return { script: first, args: rest, interpreter };
+    }
+
+    // Exécutable (npm, npx, gunicorn, ./bin/server...)
+    return { script: first, args: rest, interpreter: 'none' };
+}
+
+/**
+ * Définition PM2 d'un service.
+ * Les variables secrètes ne sont pas écrites dans le fichier : elles sont transmises
+ * dans l'environnement de la commande pm2, que PM2 fusionne avec celui de l'application.
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @returns {object}
+ */
+function generateApp(projectName, service) {
+    const pm2Name = getPm2Name(projectName, service);
+    const { script, args, interpreter } = parseCommand(service);
+    const logFiles = getLogFiles(projectName, service);
+
+    const env = {};
+    if (service.vhost?.port) {
+        env.PORT = String(service.vhost.port);
+    }
+    for (const variable of [...environment.listVariables(projectName), ...environment.listVariables(projectName, service.name)]) {
+        if (variable.secret) {
+            delete env[variable.key];
+        } else {
+            env[variable.key] = variable.value;
+        }
+    }
+
+    return {
+        name: pm2Name,
+        cwd: service.directory,
+        script,
+        args,
+        interpreter,
+        instances: service.instances || 1,
+        exec_mode: isClustered(service) ? 'cluster' : 'fork',
+        ...(service.maxMemoryRestart && { max_memory_restart: service.maxMemoryRestart }),
+        ...(service.cronRestart && { cron_restart: service.cronRestart }),
+        env,
+        out_file: logFiles.out,
+        error_file: logFiles.err,
+        // Un seul fichier par sortie, quel que soit le nombre d'instances (suivi en direct des logs)
+        merge_logs: true,
+        time: true
+    };
+}
+
+/**
+ * Génère le contenu du fichier ecosystem d'un projet
+ * @param {string} projectName - Nom du projet
+ * @param {Array} services - Services du projet
+ * @returns {string}
+ */
+export function generateEcosystem(projectName, services) {
+    // Les sites statiques sont servis par nginx et les services systemd ont leur unité : pas de processus PM2
+    const apps = services
+        .filter(s => !s.vhost?.static && (s.processManager || 'pm2') === 'pm2')
+        .map(service => generateApp(projectName, service));
+
+    return `// ============================================
+// Configuration PM2
+// Projet: ${projectName}
+// Généré automatiquement - Ne pas modifier
+// (les variables secrètes sont injectées au démarrage par le gestionnaire)
+// ============================================
+
+module.exports = ${JSON.stringify({ apps }, null, 4)};
+`;
+}
+
+/**
+ * Écrit le fichier ecosystem d'un projet à partir de son project.json
+ * @param {string} projectName - Nom du projet
+ * @returns {string} - Chemin du fichier
+ */
+export function writeEcosystem(projectName) {
+    const projectConfig = projects.loadProjectConfig(projectName);
+    const ecosystemPath = getEcosystemPath(projectName);
+    const content = generateEcosystem(projectName, projectConfig.services || []);
+
+    fs.mkdirSync(path.dirname(ecosystemPath), { recursive: true });
+    const tmpPath = `${ecosystemPath}.tmp-${process.pid}`;
+    fs.writeFileSync(tmpPath, content, { mode: 0o644 });
+    fs.renameSync(tmpPath, ecosystemPath);
+
+    logger.debug(`Fichier ecosystem généré: ${ecosystemPath}`);
+    return ecosystemPath;
+}
+
+export default {
+    getEcosystemPath,
+    getPm2Name,
+    getLogFiles,
+    normalizeMaxMemory,
+    normalizeInstances,
+    getInstanceCount,
+    isClustered,
+    assertClusterable,
+    generateEcosystem,
+    writeEcosystem
+};
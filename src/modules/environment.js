@@ -0,0 +1,283 @@
+/**
+ * Module de gestion des variables d'environnement des projets et des services.
+ * Les valeurs secrètes sont chiffrées (AES-256-GCM) dans le fichier de configuration de l'outil.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { TOOL_CONFIG_PATH } from '../config/constants.js';
+import logger from '../utils/logger.js';
+
+const ENVIRONMENT_FILE = path.join(TOOL_CONFIG_PATH, 'environment.json');
+const ENCRYPTION_KEY_FILE = path.join(TOOL_CONFIG_PATH, 'environment.key');
+
+// Nom de variable POSIX
+const ENV_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Valeur affichée à la place d'un secret (renvoyée telle quelle, elle conserve la valeur existante)
+export const SECRET_MASK = '********';
+
+const CIPHER = 'aes-256-gcm';
+
+/**
+ * Charge (ou crée) la clé de chiffrement des secrets
+ * @returns {Buffer}
+ */
+function getEncryptionKey() {
+    if (fs.existsSync(ENCRYPTION_KEY_FILE)) {
+        return Buffer.from(fs.readFileSync(ENCRYPTION_KEY_FILE, 'utf8').trim(), 'base64');
+    }
+
+    const key = crypto.randomBytes(32);
+    fs.mkdirSync(TOOL_CONFIG_PATH, { recursive: true });
+    fs.writeFileSync(ENCRYPTION_KEY_FILE, key.toString('base64'), { mode: 0o600 });
+    logger.debug(`Clé de chiffrement des secrets créée: ${ENCRYPTION_KEY_FILE}`);
+    return key;
+}
+
+/**
+ * Chiffre une valeur secrète
+ * @param {string} value
+ * @returns {string} - iv.tag.données (base64)
+ */
+function encrypt(value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, getEncryptionKey(), iv);
+    const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), data].map(b => b.toString('base64')).join('.');
+}
+
+/**
+ * Déchiffre une valeur secrète
+ * @param {string} payload - Résultat de encrypt()
+ * @returns {string}
+ */
+function decrypt(payload) {
+    const [iv, tag, data] = payload.split('.').map(p => Buffer.from(p, 'base64'));
+    const decipher = crypto.createDecipheriv(CIPHER, getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Charge le fichier des variables d'environnement
+ * @returns {object} - { <projet>: { project: [...], services: { <service>: [...] } } }
+ */
+function loadStore() {
+    try {
+        if (fs.existsSync(ENVIRONMENT_FILE)) {
+            return JSON.parse(fs.readFileSync(ENVIRONMENT_FILE, 'utf8'));
+        }
+    } catch (error) {
+        logger.error(`Erreur lors du chargement des variables d'environnement: ${error.message}`);
+    }
+    return {};
+}
+
+/**
+ * Sauvegarde le fichier des variables d'environnement (lisible par root seulement)
+ * @param {object} store
+ */
+function saveStore(store) {
+    fs.mkdirSync(TOOL_CONFIG_PATH, { recursive: true });
+    const tmpPath = `${ENVIRONMENT_FILE}.tmp-${process.pid}`;
+    fs.writeFileSync(tmpPath, JSON.stringify(store, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, ENVIRONMENT_FILE);
+}
+
+/**
+ * Variables enregistrées pour un projet ou un de ses services
+ * @param {object} store
+ * @param {string} projectName - Nom du projet
+ * @param {string|null} serviceName - Nom du service (null : variables communes du projet)
+ * @returns {Array} - Entrées { key, value, secret } (valeurs secrètes chiffrées)
+ */
+function getScope(store, projectName, serviceName) {
+    const project = store[projectName];
+    if (!project) return [];
+    return (serviceName ? project.services?.[serviceName] : project.project) || [];
+}
+
+/**
+ * Remplace les variables d'un projet ou d'un service dans le fichier
+ * @param {object} store
+ * @param {string} projectName - Nom du projet
+ * @param {string|null} serviceName - Nom du service
+ * @param {Array} entries - Entrées chiffrées
+ */
+function setScope(store, projectName, serviceName, entries) {
+    const project = store[projectName] || { project: [], services: {} };
+
+    if (serviceName) {
+        project.services = project.services || {};
+        if (entries.length > 0) {
+            project.services[serviceName] = entries;
+        } else {
+            delete project.services[serviceName];
+        }
+    } else {
+        project.project = entries;
+    }
+
+    if (project.project.length === 0 && Object.keys(project.services).length === 0) {
+        delete store[projectName];
+    } else {
+        store[projectName] = project;
+    }
+}
+
+/**
+ * Valide un nom de variable
+ * @param {string} key
+ * @returns {string}
+ */
+function validateKey(key) {
+    const normalized = String(key || '').trim();
+    if (!ENV_KEY_PATTERN.test(normalized)) {
+        throw new Error(`Nom de variable invalide: ${key} (lettres, chiffres et underscores, sans chiffre en tête)`);
+    }
+    return normalized;
+}
+
+/**
+ * Liste les variables d'un projet ou d'un service, valeurs secrètes masquées
+ * @param {string} projectName - Nom du projet
+ * @param {string|null} serviceName - Nom du service (null : variables communes du projet)
+ * @returns {Array} - [{ key, value, secret }]
+ */
+export function listVariables(projectName, serviceName = null) {
+    return getScope(loadStore(), projectName, serviceName).map(entry => ({
+        key: entry.key,
+        value: entry.secret ? SECRET_MASK : entry.value,
+        secret: Boolean(entry.secret)
+    }));
+}
+
+/**
+ * Remplace toutes les variables d'un projet ou d'un service.
+ * Un secret déjà enregistré dont la valeur est absente ou masquée conserve sa valeur.
+ * @param {string} projectName - Nom du projet
+ * @param {string|null} serviceName - Nom du service (null : variables communes du projet)
+ * @param {Array} variables - [{ key, value, secret }]
+ * @returns {Array} - Variables enregistrées (valeurs secrètes masquées)
+ */
+export function setVariables(projectName, serviceName, variables) {
+    if (!Array.isArray(variables)) {
+        throw new Error('Liste de variables invalide');
+    }
+
+    const store = loadStore();
+    const existing = getScope(store, projectName, serviceName);
+    const entries = [];
+
+    for (const variable of variables) {
+        const key = validateKey(variable.key);
+        if (entries.some(e => e.key === key)) {
+            throw new Error(`Variable ${key} définie plusieurs fois`);
+        }
+
+        const secret = Boolean(variable.secret);
+        const previous = existing.find(e => e.key === key);
+        const keepSecret = secret && previous?.secret &&
+            (variable.value === undefined || variable.value === null || variable.value === SECRET_MASK);
+
+        if (keepSecret) {
+            entries.push(previous);
+            continue;
+        }
+
+        const value = String(variable.value ?? '');
+        entries.push({ key, value: secret ? encrypt(value) : value, secret });
+    }
+
+    setScope(store, projectName, serviceName, entries);
+    saveStore(store);
+
+    logger.success(`Variables d'environnement de ${serviceName ? `${projectName}/${serviceName}` : projectName} enregistrées`);
+    return listVariables(projectName, serviceName);
+}
+
+/**
+ * Ajoute ou modifie une variable
+ * @param {string} projectName - Nom du projet
+ * @param {string|null} serviceName - Nom du service (null : variable commune du projet)
+ * @param {string} key - Nom de la variable
+ * @param {string} value - Valeur
+ * @param {boolean} secret - Valeur chiffrée et masquée
+ * @returns {Array} - Variables enregistrées (valeurs secrètes masquées)
+ */
+export function setVariable(projectName, serviceName, key, value, secret = false) {
+    const name = validateKey(key);
+    const variables = listVariables(projectName, serviceName).filter(v => v.key !== name);
+    variables.push({ key: name, value, secret });
+    return setVariables(projectName, serviceName, variables);
+}
+
+/**
+ * Supprime une variable
+ * @param {string} projectName - Nom du projet
+ * @param {string|null} serviceName - Nom du service (null : variable commune du projet)
+ * @param {string} key - Nom de la variable
+ */
+export function removeVariable(projectName, serviceName, key) {
+    const store = loadStore();
+    const entries = getScope(store, projectName, serviceName);
+
+    if (!entries.some(e => e.key === key)) {
+        throw new Error(`La variable ${key} n'existe pas`);
+    }
+
+    setScope(store, projectName, serviceName, entries.filter(e => e.key !== key));
+    saveStore(store);
+    logger.success(`Variable ${key} supprimée`);
+}
+
+/**
+ * Supprime toutes les variables d'un projet (et de ses services) ou d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {string|null} serviceName - Nom du service (null : tout le projet)
+ */
+export function removeEnvironment(projectName, serviceName = null) {
+    const store = loadStore();
+    if (!store[projectName]) return;
+
+    if (serviceName) {
+        setScope(store, projectName, serviceName, []);
+    } else {
+        delete store[projectName];
+    }
+    saveStore(store);
+}
+
+/**
+ * Environnement effectif d'un service, secrets déchiffrés :
+ * variables communes du projet, surchargées par celles du service
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @returns {object} - { NOM: valeur }
+ */
+export function resolveEnvironment(projectName, serviceName) {
+    const store = loadStore();
+    const env = {};
+
+    for (const entry of [...getScope(store, projectName, null), ...getScope(store, projectName, serviceName)]) {
+        try {
+            env[entry.key] = entry.secret ? decrypt(entry.value) : entry.value;
+        } catch (error) {
+            throw new Error(`Impossible de déchiffrer la variable ${entry.key}: ${error.message}`);
+        }
+    }
+
+    return env;
+}
+
+export default {
+    SECRET_MASK,
+    listVariables,
+    setVariables,
+    setVariable,
+    removeVariable,
+    removeEnvironment,
+    resolveEnvironment
+};
@@ -0,0 +1,417 @@
+/**
+ * Module de contrôle de santé des services : requête HTTP (statut attendu), connexion TCP
+ * ou commande, exécutés périodiquement par le serveur Web. L'état (échecs consécutifs,
+ * historique des résultats) est partagé avec la CLI via un fichier.
+ * Les mêmes contrôles servent de sondes de disponibilité au démarrage des services.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import net from 'net';
+import http from 'http';
+import { HEALTH_CONFIG } from '../config/constants.js';
+import runtime from './runtime.js';
+import shell from '../utils/shell.js';
+import logger from '../utils/logger.js';
+
+export const CHECK_TYPES = ['http', 'tcp', 'command'];
+
+/**
+ * Lit un entier borné
+ * @param {*} value - Valeur saisie
+ * @param {number} defaultValue - Valeur si non renseignée
+ * @param {number} min
+ * @param {number} max
+ * @param {string} label - Libellé pour le message d'erreur
+ * @returns {number}
+ */
+function parseBoundedInt(value, defaultValue, min, max, label) {
+    if (value === undefined || value === null || value === '') {
+        return defaultValue;
+    }
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw new Error(`${label} invalide: ${value} (${min} à ${max})`);
+    }
+    return number;
+}
+
+/**
+ * Valide la cible d'un contrôle (type, commande ou port, chemin et statut HTTP)
+ * @param {object} config - { type, path, expectedStatus, port, command }
+ * @param {object} service - Service (le port de son virtual host sert de port par défaut)
+ * @param {object} healthCheck - Contrôle à compléter
+ * @returns {object}
+ */
+function normalizeCheckTarget(config, service, healthCheck) {
+    const { type } = healthCheck;
+
+    if (type === 'command') {
+        const command = String(config.command || '').trim();
+        if (!command) {
+            throw new Error('La commande du contrôle est requise');
+        }
+        return { ...healthCheck, command };
+    }
+
+    // Contrôles réseau : port explicite, sinon celui du virtual host
+    const port = parseBoundedInt(config.port, null, 1, 65535, 'Port');
+    if (!port && !service.vhost?.port) {
+        throw new Error('Port requis : le service n\'a pas de virtual host');
+    }
+    if (port) {
+        healthCheck.port = port;
+    }
+
+    if (type === 'http') {
+        const checkPath = String(config.path || '/').trim();
+        if (!checkPath.startsWith('/') || /\s/.test(checkPath)) {
+            throw new Error(`Chemin invalide: ${checkPath} (ex: /health)`);
+        }
+        healthCheck.path = checkPath;
+        healthCheck.expectedStatus = parseBoundedInt(config.expectedStatus, 200, 100, 599, 'Statut HTTP attendu');
+    }
+
+    return healthCheck;
+}
+
+/**
+ * Lit le type d'un contrôle
+ * @param {string} value
+ * @returns {string}
+ */
+function parseCheckType(value) {
+    const type = String(value || '').trim().toLowerCase();
+    if (!CHECK_TYPES.includes(type)) {
+        throw new Error(`Type de contrôle invalide: ${value} (${CHECK_TYPES.join(', ')})`);
+    }
+    return type;
+}
+
+/**
+ * Valide et normalise la configuration du contrôle de santé d'un service
+ * @param {object} config - { type, path, expectedStatus, port, command, interval, timeout, threshold }
+ * @param {object} service - Service (le port de son virtual host sert de port par défaut)
+ * @returns {object}
+ */
+export function normalizeHealthCheck(config, service) {
+    return normalizeCheckTarget(config, service, {
+        type: parseCheckType(config.type),
+        interval: parseBoundedInt(config.interval, HEALTH_CONFIG.defaultInterval, 5, 3600, 'Intervalle'),
+        timeout: parseBoundedInt(config.timeout, HEALTH_CONFIG.defaultTimeout, 1, 60, 'Délai'),
+        threshold: parseBoundedInt(config.threshold, HEALTH_CONFIG.defaultThreshold, 1, 20, 'Seuil d\'échecs')
+    });
+}
+
+/**
+ * Valide et normalise la sonde de disponibilité d'un service, attendue au démarrage de tous les services
+ * avant de démarrer ceux qui en dépendent
+ * @param {object} config - { type, path, expectedStatus, port, command, timeout (attente maximale), interval }
+ * @param {object} service - Service (le port de son virtual host sert de port par défaut)
+ * @returns {object}
+ */
+export function normalizeReadinessProbe(config, service) {
+    return normalizeCheckTarget(config, service, {
+        type: parseCheckType(config.type),
+        timeout: parseBoundedInt(config.timeout, HEALTH_CONFIG.readinessTimeout, 1, 600, 'Attente maximale'),
+        interval: parseBoundedInt(config.interval, HEALTH_CONFIG.readinessInterval, 1, 60, 'Intervalle')
+    });
+}
+
+/**
+ * Requête HTTP GET locale, réussie si le statut est celui attendu
+ * @param {number} port
+ * @param {object} healthCheck
+ * @returns {Promise<string>} - Message de succès
+ */
+function checkHttp(port, healthCheck) {
+    return new Promise((resolve, reject) => {
+        const request = http.get({
+            host: '127.0.0.1',
+            port,
+            path: healthCheck.path,
+            timeout: healthCheck.timeout * 1000
+        }, (response) => {
+            response.resume();
+            if (response.statusCode === healthCheck.expectedStatus) {
+                resolve(`HTTP ${response.statusCode}`);
+            } else {
+                reject(new Error(`HTTP ${response.statusCode} (attendu: ${healthCheck.expectedStatus})`));
+            }
+        });
+
+        request.on('timeout', () => request.destroy(new Error(`Pas de réponse après ${healthCheck.timeout}s`)));
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Connexion TCP locale
+ * @param {number} port
+ * @param {object} healthCheck
+ * @returns {Promise<string>} - Message de succès
+ */
+function checkTcp(port, healthCheck) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect({ host: '127.0.0.1', port });
+        socket.setTimeout(healthCheck.timeout * 1000);
+        socket.on('connect', () => {
+            socket.destroy();
+            resolve(`Port ${port} ouvert`);
+        });
+        socket.on('timeout', () => socket.destroy(new Error(`Pas de connexion après ${healthCheck.timeout}s`)));
+        socket.on('error', reject);
+    });
+}
+
+/**
+ * Commande lancée dans le dossier du service, sous l'utilisateur d'exécution du projet,
+ * réussie si elle se termine avec le code 0
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @param {object} env - Environnement du service
+ * @returns {Promise<string>} - Message de succès
+ */
+async function checkCommand(projectName, service, env) {
+    const { healthCheck } = service;
+    // Jamais sous root : l'utilisateur d'exécution est créé s'il n'existe pas encore
+    const projectRuntime = await runtime.ensureRuntimeUser(projectName);
+
+    try {
+        await shell.execCommand(healthCheck.command, {
+            cwd: service.directory,
+            timeout: healthCheck.timeout * 1000,
+            ...shell.runtimeOptions(projectRuntime, env)
+        });
+        return 'Commande réussie';
+    } catch (error) {
+        if (error.killed) {
+            throw new Error(`Commande interrompue après ${healthCheck.timeout}s`);
+        }
+        const output = (error.stderr || error.stdout || '').trim().split('\n').pop();
+        throw new Error(`Code de sortie ${error.code}${output ? `: ${output.slice(0, 200)}` : ''}`);
+    }
+}
+
+/**
+ * Exécute le contrôle de santé d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service (avec healthCheck)
+ * @param {object} env - Environnement du service (contrôles par commande)
+ * @returns {Promise<object>} - { healthy, message, duration }
+ */
+export async function runHealthCheck(projectName, service, env = {}) {
+    const { healthCheck } = service;
+    const startedAt = Date.now();
+
+    try {
+        let message;
+        if (healthCheck.type === 'command') {
+            message = await checkCommand(projectName, service, env);
+        } else {
+            const port = healthCheck.port || service.vhost?.port;
+            message = healthCheck.type === 'http'
+                ? await checkHttp(port, healthCheck)
+                : await checkTcp(port, healthCheck);
+        }
+        return { healthy: true, message, duration: Date.now() - startedAt };
+    } catch (error) {
+        return { healthy: false, message: error.message, duration: Date.now() - startedAt };
+    }
+}
+
+/**
+ * Attend qu'un service démarré réponde à sa sonde de disponibilité
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service (avec readiness)
+ * @param {object} env - Environnement du service (sondes par commande)
+ * @returns {Promise<object>} - { message, duration } ; rejetée après l'attente maximale
+ */
+export async function waitForReady(projectName, service, env = {}) {
+    const { readiness } = service;
+    const startedAt = Date.now();
+    const deadline = startedAt + readiness.timeout * 1000;
+    // Chaque tentative est bornée par le délai des contrôles de santé
+    const probe = { ...service, healthCheck: { ...readiness, timeout: HEALTH_CONFIG.defaultTimeout } };
+
+    for (;;) {
+        const check = await runHealthCheck(projectName, probe, env);
+        if (check.healthy) {
+            return { message: check.message, duration: Date.now() - startedAt };
+        }
+        if (Date.now() + readiness.interval * 1000 > deadline) {
+            throw new Error(`Service ${service.name} non disponible après ${readiness.timeout}s: ${check.message}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, readiness.interval * 1000));
+    }
+}
+
+/**
+ * Charge l'état des contrôles de santé
+ * @returns {object} - { <projet>: { <service>: état } }
+ */
+function loadState() {
+    try {
+        if (fs.existsSync(HEALTH_CONFIG.stateFile)) {
+            return JSON.parse(fs.readFileSync(HEALTH_CONFIG.stateFile, 'utf8'));
+        }
+    } catch (error) {
+        logger.error(`Erreur lors du chargement de l'état des contrôles de santé: ${error.message}`);
+    }
+    return {};
+}
+
+/**
+ * Sauvegarde l'état des contrôles de santé
+ * @param {object} state
+ */
+function saveState(state) {
+    fs.mkdirSync(path.dirname(HEALTH_CONFIG.stateFile), { recursive: true });
+    const tmpPath = `${HEALTH_CONFIG.stateFile}.tmp-${process.pid}`;
+    fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tmpPath, HEALTH_CONFIG.stateFile);
+}
+
+/**
+ * État initial d'un service contrôlé
+ * @returns {object}
+ */
+function createEntry() {
+    return {
+        status: 'unknown',
+        consecutiveFailures: 0,
+        lastCheckAt: null,
+        lastSuccessAt: null,
+        lastRestartAt: null,
+        restarts: 0,
+        history: []
+    };
+}
+
+/**
+ * État du contrôle de santé d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @returns {object} - { status (healthy, unhealthy, unknown), consecutiveFailures, lastCheckAt,
+ *                     lastSuccessAt, lastRestartAt, restarts, history: [{ at, healthy, message, duration }] }
+ */
+export function getHealth(projectName, serviceName) {
+    return loadState()[projectName]?.[serviceName] || createEntry();
+}
+
+/**
+ * Indique si le contrôle d'un service doit être exécuté (intervalle écoulé depuis le dernier)
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service (avec healthCheck)
+ * @returns {boolean}
+ */
+export function isCheckDue(projectName, service) {
+    const { lastCheckAt } = getHealth(projectName, service.name);
+    return !lastCheckAt || Date.now() - new Date(lastCheckAt).getTime() >= service.healthCheck.interval * 1000;
+}
+
+/**
+ * Modifie l'état d'un service et le sauvegarde
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {Function} update - Reçoit l'état du service à modifier
+ * @returns {object} - État mis à jour
+ */
+function updateEntry(projectName, serviceName, update) {
+    const state = loadState();
+    state[projectName] = state[projectName] || {};
+    const entry = state[projectName][serviceName] || createEntry();
+    update(entry);
+    state[projectName][serviceName] = entry;
+    saveState(state);
+    return entry;
+}
+
+/**
+ * Enregistre le résultat d'un contrôle
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {object} result - Résultat de runHealthCheck
+ * @returns {object} - État mis à jour
+ */
+export function recordResult(projectName, serviceName, result) {
+    return updateEntry(projectName, serviceName, (entry) => {
+        const at = new Date().toISOString();
+        entry.status = result.healthy ? 'healthy' : 'unhealthy';
+        entry.consecutiveFailures = result.healthy ? 0 : entry.consecutiveFailures + 1;
+        entry.lastCheckAt = at;
+        if (result.healthy) {
+            entry.lastSuccessAt = at;
+        }
+        entry.history = [
+            { at, healthy: result.healthy, message: result.message, duration: result.duration },
+            ...entry.history
+        ].slice(0, HEALTH_CONFIG.historySize);
+    });
+}
+
+/**
+ * Enregistre le redémarrage d'un service après des échecs répétés
+ * (le décompte des échecs repart de zéro)
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @returns {object} - État mis à jour
+ */
+export function recordRestart(projectName, serviceName) {
+    return updateEntry(projectName, serviceName, (entry) => {
+        entry.consecutiveFailures = 0;
+        entry.lastRestartAt = new Date().toISOString();
+        entry.restarts++;
+    });
+}
+
+/**
+ * Remet l'état d'un service à « inconnu » (service arrêté : rien à contrôler), historique conservé
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ */
+export function resetHealth(projectName, serviceName) {
+    const entry = loadState()[projectName]?.[serviceName];
+    if (!entry || (entry.status === 'unknown' && entry.consecutiveFailures === 0)) {
+        return;
+    }
+
+    updateEntry(projectName, serviceName, (current) => {
+        current.status = 'unknown';
+        current.consecutiveFailures = 0;
+    });
+}
+
+/**
+ * Supprime l'état des contrôles d'un projet ou d'un de ses services
+ * @param {string} projectName - Nom du projet
+ * @param {string|null} serviceName - Nom du service (null : tout le projet)
+ */
+export function removeHealth(projectName, serviceName = null) {
+    const state = loadState();
+    if (!state[projectName]) return;
+
+    if (serviceName) {
+        delete state[projectName][serviceName];
+    }
+    // Le projet n'est retiré qu'une fois vide
+    if (!serviceName || Object.keys(state[projectName]).length === 0) {
+        delete state[projectName];
+    }
+    saveState(state);
+}
+
+export default {
+    CHECK_TYPES,
+    normalizeHealthCheck,
+    normalizeReadinessProbe,
+    runHealthCheck,
+    waitForReady,
+    getHealth,
+    isCheckDue,
+    recordResult,
+    recordRestart,
+    resetHealth,
+    removeHealth
+};
@@ -0,0 +1,613 @@
+/**
+ * Module des tâches de fond : les opérations longues (setup, démarrage, création de projet,
+ * déploiement, upload) sont enregistrées comme tâches et exécutées par un processus détaché
+ * (src/worker.js), dont la sortie forme le journal de la tâche. Les tâches d'un même projet
+ * s'exécutent dans leur ordre de création, l'une après l'autre.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { JOBS_CONFIG } from '../config/constants.js';
+import audit from '../utils/audit.js';
+import logger from '../utils/logger.js';
+
+export const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+const WORKER_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'worker.js');
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const LOCKS_DIR = 'locks';
+
+// Taille maximale lue en une fois dans un journal
+const READ_CHUNK = 256 * 1024;
+
+/**
+ * Fichier de description d'une tâche
+ * @param {string} id - Identifiant de la tâche
+ * @returns {string}
+ */
+function getJobFile(id) {
+    return path.join(JOBS_CONFIG.dataPath, `${id}.json`);
+}
+
+/**
+ * Journal (sortie) d'une tâche
+ * @param {string} id - Identifiant de la tâche
+ * @returns {string}
+ */
+function getLogFile(id) {
+    return path.join(JOBS_CONFIG.dataPath, `${id}.log`);
+}
+
+/**
+ * Vérifie qu'un processus est toujours en vie
+ * @param {number} pid
+ * @returns {boolean}
+ */
+function isAlive(pid) {
+    if (!pid) return false;
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Lit une tâche telle qu'enregistrée (paramètres compris)
+ * @param {string} id - Identifiant de la tâche
+ * @returns {object|null}
+ */
+function readJob(id) {
+    if (!JOB_ID_PATTERN.test(String(id))) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(getJobFile(id), 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.warn(`Tâche ${id} illisible: ${error.message}`);
+        }
+        return null;
+    }
+}
+
+/**
+ * Enregistre une tâche (lisible par root seulement : les paramètres peuvent contenir des secrets
+ * jusqu'au démarrage de la tâche)
+ * @param {object} job
+ */
+function saveJob(job) {
+    fs.mkdirSync(JOBS_CONFIG.dataPath, { recursive: true, mode: 0o700 });
+    const file = getJobFile(job.id);
+    const tmpFile = `${file}.tmp-${process.pid}`;
+    fs.writeFileSync(tmpFile, JSON.stringify(job, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpFile, file);
+}
+
+/**
+ * Met à jour une tâche
+ * @param {string} id - Identifiant de la tâche
+ * @param {object} updates
+ * @returns {object|null} - Tâche mise à jour
+ */
+function updateJob(id, updates) {
+    const job = readJob(id);
+    if (!job) return null;
+
+    Object.assign(job, updates);
+    saveJob(job);
+    return job;
+}
+
+/**
+ * Exécute une fonction sous le verrou d'une tâche, partagé entre les processus : les modifications
+ * d'une tâche en attente et son démarrage par le worker ne se chevauchent pas
+ * @param {string} id - Identifiant de la tâche
+ * @param {Function} fn - Section critique (synchrone)
+ * @returns {*} - Valeur renvoyée par fn
+ */
+function withJobLock(id, fn) {
+    const lockFile = path.join(JOBS_CONFIG.dataPath, LOCKS_DIR, `${id}.job.lock`);
+    fs.mkdirSync(path.dirname(lockFile), { recursive: true });
+
+    while (true) {
+        try {
+            fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx' });
+            break;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+
+        // Verrou laissé par un processus disparu : le reprendre
+        let owner;
+        try {
+            owner = fs.readFileSync(lockFile, 'utf8');
+        } catch {
+            continue;
+        }
+        if (owner && !isAlive(Number(owner))) {
+            fs.rmSync(lockFile, { force: true });
+            continue;
+        }
+        Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 10);
+    }
+
+    try {
+        return fn();
+    } finally {
+        fs.rmSync(lockFile, { force: true });
+    }
+}
+
+/**
+ * Marque comme échouée une tâche non terminée dont le processus a disparu
+ * (serveur arrêté brutalement, processus tué)
+ * @param {object} job
+ * @returns {object}
+ */
+function reconcile(job) {
+    if (FINISHED_STATUSES.includes(job.status) || isAlive(job.pid)) {
+        return job;
+    }
+
+    // Tâche à peine créée : le processus n'est pas encore lancé
+    if (!job.pid && Date.now() - new Date(job.createdAt).getTime() < 10 * 1000) {
+        return job;
+    }
+
+    return updateJob(job.id, {
+        status: 'failed',
+        error: 'Tâche interrompue (processus arrêté)',
+        finishedAt: new Date().toISOString()
+    }) || job;
+}
+
+/**
+ * Vue d'une tâche renvoyée aux appelants : secrets des paramètres masqués
+ * @param {object} job
+ * @returns {object}
+ */
+function toPublic(job) {
+    return { ...job, params: audit.redact(job.params || {}) };
+}
+
+/**
+ * Crée une tâche et lance le processus qui l'exécute
+ * @param {object} options
+ * @param {string} options.type - Type de tâche (ex: service.setup), connu du worker
+ * @param {string} options.title - Description lisible
+ * @param {object} options.target - { project, service }
+ * @param {object} options.params - Paramètres de la tâche
+ * @param {object} options.actor - Auteur (même forme que dans le journal d'audit)
+ * @returns {object} - Tâche créée (statut queued)
+ */
+export function createJob({ type, title, target, params = {}, actor }) {
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        title,
+        target,
+        params,
+        actor,
+        status: 'queued',
+        progress: null,
+        result: null,
+        error: null,
+        pid: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null
+    };
+    saveJob(job);
+
+    const logFd = fs.openSync(getLogFile(job.id), 'a', 0o600);
+    try {
+        // Processus détaché (son propre groupe) : il survit au serveur Web et à la CLI,
+        // et l'annulation arrête aussi les commandes qu'il a lancées
+        const child = spawn(process.execPath, [WORKER_PATH, job.id], {
+            detached: true,
+            stdio: ['ignore', logFd, logFd],
+            env: { ...process.env, FORCE_COLOR: '0' }
+        });
+        child.unref();
+        job.pid = child.pid;
+    } finally {
+        fs.closeSync(logFd);
+    }
+
+    const started = withJobLock(job.id, () => updateJob(job.id, { pid: job.pid }));
+    pruneJobs();
+
+    logger.debug(`Tâche ${job.id} créée: ${title}`);
+    return toPublic(started || job);
+}
+
+/**
+ * Détail d'une tâche
+ * @param {string} id - Identifiant de la tâche
+ * @returns {object|null}
+ */
+export function getJob(id) {
+    const job = readJob(id);
+    return job ? toPublic(reconcile(job)) : null;
+}
+
+/**
+ * Tâches enregistrées (la plus récente en premier)
+ * @param {object} filters - { project, status, limit }
+ * @returns {Array}
+ */
+export function listJobs({ project, status, limit } = {}) {
+    if (!fs.existsSync(JOBS_CONFIG.dataPath)) {
+        return [];
+    }
+
+    const jobs = fs.readdirSync(JOBS_CONFIG.dataPath)
+        .filter(file => file.endsWith('.json'))
+        .map(file => readJob(file.slice(0, -'.json'.length)))
+        .filter(job => job && (!project || job.target?.project === project))
+        .map(reconcile)
+        .filter(job => !status || job.status === status)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    const max = parseInt(limit);
+    return (max > 0 ? jobs.slice(0, max) : jobs).map(toPublic);
+}
+
+/**
+ * Supprime les tâches terminées les plus anciennes, au-delà de la taille de l'historique
+ */
+function pruneJobs() {
+    const finished = listJobs().filter(job => FINISHED_STATUSES.includes(job.status));
+    for (const job of finished.slice(JOBS_CONFIG.historySize)) {
+        fs.rmSync(getJobFile(job.id), { force: true });
+        fs.rmSync(getLogFile(job.id), { force: true });
+    }
+}
+
+/**
+ * Modifie une tâche qui n'a pas encore démarré (ex: regrouper plusieurs demandes en une)
+ * @param {string} id - Identifiant de la tâche
+ * @param {Function} fn - Reçoit les paramètres enregistrés et les modifie
+ * @returns {boolean} - false si la tâche a déjà démarré
+ */
+export function amendQueuedJob(id, fn) {
+    return withJobLock(id, () => {
+        const job = readJob(id);
+        if (!job || job.status !== 'queued') {
+            return false;
+        }
+
+        fn(job.params);
+        saveJob(job);
+        return true;
+    });
+}
+
+/**
+ * Annule une tâche : une tâche en attente ne démarrera pas, une tâche en cours est arrêtée
+ * avec les commandes qu'elle a lancées
+ * @param {string} id - Identifiant de la tâche
+ * @returns {object} - Tâche
+ */
+export function cancelJob(id) {
+    const job = readJob(id);
+    if (!job) {
+        throw new Error('Tâche non trouvée');
+    }
+    if (FINISHED_STATUSES.includes(reconcile(job).status)) {
+        throw new Error('La tâche est déjà terminée');
+    }
+
+    if (isAlive(job.pid)) {
+        // Le worker consigne lui-même l'annulation avant de s'arrêter
+        process.kill(-job.pid, 'SIGTERM');
+    } else {
+        updateJob(id, { status: 'cancelled', error: 'Tâche annulée', finishedAt: new Date().toISOString() });
+    }
+
+    logger.info(`Annulation de la tâche ${job.title}`);
+    return getJob(id);
+}
+
+/**
+ * Lit une plage d'octets d'un fichier
+ * @param {string} filePath
+ * @param {number} start
+ * @returns {Buffer}
+ */
+function readFrom(filePath, start) {
+    let fd;
+    try {
+        fd = fs.openSync(filePath, 'r');
+    } catch {
+        return Buffer.alloc(0);
+    }
+
+    try {
+        const buffer = Buffer.alloc(READ_CHUNK);
+        const bytesRead = fs.readSync(fd, buffer, 0, READ_CHUNK, start);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Journal complet d'une tâche
+ * @param {string} id - Identifiant de la tâche
+ * @returns {string}
+ */
+export function getJobLog(id) {
+    if (!readJob(id)) {
+        throw new Error('Tâche non trouvée');
+    }
+
+    try {
+        return fs.readFileSync(getLogFile(id), 'utf8');
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Suit le journal d'une tâche : envoie les lignes à partir de l'offset, puis chaque nouvelle ligne,
+ * jusqu'à la fin de la tâche
+ * @param {string} id - Identifiant de la tâche
+ * @param {object} options - { offset: octets déjà reçus (reprise) }
+ * @param {Function} onLine - Reçoit { line, offset } ; offset permet de reprendre après cette ligne
+ * @param {Function} onEnd - Reçoit la tâche terminée, une fois tout le journal envoyé
+ * @returns {Function} - Arrête le suivi
+ */
+export function followJobLog(id, options, onLine, onEnd) {
+    if (!readJob(id)) {
+        throw new Error('Tâche non trouvée');
+    }
+
+    const offset = options.offset === undefined || options.offset === null || options.offset === ''
+        ? 0
+        : Number(options.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+        throw new Error(`Offset invalide: ${options.offset}`);
+    }
+
+    let position = offset;
+    let immediate = null;
+    let interval = null;
+
+    const stop = () => {
+        clearImmediate(immediate);
+        clearInterval(interval);
+    };
+
+    const readNewLines = () => {
+        // Statut lu avant le journal : une tâche terminée n'écrit plus rien après
+        const job = getJob(id);
+        const finished = !job || FINISHED_STATUSES.includes(job.status);
+
+        let buffer;
+        while ((buffer = readFrom(getLogFile(id), position)).length > 0) {
+            let lineStart = 0;
+            let lineEnd;
+            while ((lineEnd = buffer.indexOf(0x0a, lineStart)) !== -1) {
+                position += lineEnd + 1 - lineStart;
+                onLine({ line: buffer.subarray(lineStart, lineEnd).toString('utf8').replace(/\r$/, ''), offset: position });
+                lineStart = lineEnd + 1;
+            }
+
+            // Dernière ligne sans retour à la ligne : envoyée seulement une fois la tâche terminée
+            // (ou si elle remplit tout le bloc lu)
+            if (lineStart < buffer.length && (finished || lineStart === 0 && buffer.length === READ_CHUNK)) {
+                position += buffer.length - lineStart;
+                onLine({ line: buffer.subarray(lineStart).toString('utf8'), offset: position });
+            } else if (lineStart === 0) {
+                break;
+            }
+        }
+
+        if (finished) {
+            stop();
+            onEnd(job);
+        }
+    };
+
+    // Lignes existantes envoyées après le retour de l'appel (l'appelant est prêt à les recevoir)
+    immediate = setImmediate(readNewLines);
+    interval = setInterval(readNewLines, JOBS_CONFIG.pollInterval);
+
+    return stop;
+}
+
+/**
+ * Attend une durée
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Fichier verrou des tâches d'un projet
+ * @param {string} projectName - Nom du projet
+ * @returns {string}
+ */
+function getLockFile(projectName) {
+    return path.join(JOBS_CONFIG.dataPath, LOCKS_DIR, `${projectName}.lock`);
+}
+
+/**
+ * Prend le verrou des tâches d'un projet (repris s'il a été laissé par un processus disparu)
+ * @param {string} projectName - Nom du projet
+ * @returns {boolean}
+ */
+function tryLock(projectName) {
+    const lockFile = getLockFile(projectName);
+    fs.mkdirSync(path.dirname(lockFile), { recursive: true });
+
+    try {
+        fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx' });
+        return true;
+    } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+    }
+
+    if (isAlive(Number(fs.readFileSync(lockFile, 'utf8')))) {
+        return false;
+    }
+    fs.writeFileSync(lockFile, String(process.pid));
+    return true;
+}
+
+/**
+ * Libère le verrou des tâches d'un projet, s'il appartient à ce processus
+ * @param {string} projectName - Nom du projet
+ */
+function unlock(projectName) {
+    const lockFile = getLockFile(projectName);
+    try {
+        if (Number(fs.readFileSync(lockFile, 'utf8')) === process.pid) {
+            fs.rmSync(lockFile, { force: true });
+        }
+    } catch {
+        // Verrou déjà libéré
+    }
+}
+
+/**
+ * Attend que les tâches créées avant celle-ci sur le même projet soient terminées, puis prend le verrou du projet
+ * @param {object} job
+ * @returns {Promise<boolean>} - false si la tâche a été annulée entre-temps
+ */
+async function waitForTurn(job) {
+    const project = job.target.project;
+    let waiting = false;
+
+    while (true) {
+        const current = readJob(job.id);
+        if (!current || current.status !== 'queued') {
+            return false;
+        }
+
+        const earlier = listJobs({ project, status: 'queued' })
+            .some(other => other.createdAt < job.createdAt || (other.createdAt === job.createdAt && other.id < job.id));
+        if (!earlier && tryLock(project)) {
+            return true;
+        }
+
+        if (!waiting) {
+            logger.info(`En attente des tâches précédentes du projet ${project}...`);
+            waiting = true;
+        }
+        await sleep(JOBS_CONFIG.pollInterval);
+    }
+}
+
+/**
+ * Termine une tâche et consigne son résultat dans le journal d'audit
+ * @param {object} job
+ * @param {object} updates - { status, result, error }
+ */
+function finishJob(job, { status, result = null, error = null }) {
+    updateJob(job.id, { status, result, error, finishedAt: new Date().toISOString() });
+    audit.record({
+        actor: job.actor,
+        action: job.type,
+        target: job.target,
+        params: { job: job.id },
+        result: status === 'succeeded' ? 'success' : 'failure',
+        error
+    });
+}
+
+/**
+ * Exécute une tâche (appelé par le worker, dans le processus détaché créé pour elle)
+ * @param {string} id - Identifiant de la tâche
+ * @param {object} handlers - Fonction d'exécution de chaque type de tâche, reçoit
+ *                            { id, target, params, actor, progress(current, total, step) }
+ * @returns {Promise<void>}
+ */
+export async function runJob(id, handlers) {
+    const job = readJob(id);
+    if (!job || job.status !== 'queued') {
+        return;
+    }
+
+    const project = job.target.project;
+    let finished = false;
+
+    process.on('SIGTERM', () => {
+        if (!finished) {
+            finished = true;
+            logger.warn('Tâche annulée');
+            finishJob(job, { status: 'cancelled', error: 'Tâche annulée' });
+        }
+        unlock(project);
+        process.exit(143);
+    });
+
+    const handler = handlers[job.type];
+    if (!handler) {
+        finished = true;
+        finishJob(job, { status: 'failed', error: `Type de tâche inconnu: ${job.type}` });
+        return;
+    }
+
+    if (!await waitForTurn(job)) {
+        return;
+    }
+
+    try {
+        // Paramètres relus au démarrage : la tâche a pu être modifiée pendant l'attente.
+        // Les paramètres secrets (mot de passe) ne restent enregistrés que le temps de l'attente.
+        const params = withJobLock(id, () => {
+            const current = readJob(id);
+            if (!current || current.status !== 'queued') {
+                return null;
+            }
+            updateJob(id, { status: 'running', startedAt: new Date().toISOString(), params: audit.redact(current.params) });
+            return current.params;
+        });
+        if (!params) {
+            finished = true;
+            return;
+        }
+        logger.info(job.title);
+
+        const progress = (current, total, step = null) => {
+            updateJob(id, { progress: { current, total, step } });
+        };
+
+        const result = await handler({ id, target: job.target, params, actor: job.actor, progress });
+        if (!finished) {
+            finished = true;
+            logger.success('Tâche terminée');
+            finishJob(job, { status: 'succeeded', result: result ?? null });
+        }
+    } catch (error) {
+        if (!finished) {
+            finished = true;
+            logger.error(error.message);
+            finishJob(job, { status: 'failed', error: error.message });
+        }
+    } finally {
+        unlock(project);
+    }
+}
+
+export default {
+    FINISHED_STATUSES,
+    createJob,
+    getJob,
+    listJobs,
+    amendQueuedJob,
+    cancelJob,
+    getJobLog,
+    followJobLog,
+    runJob
+};
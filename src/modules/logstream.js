@@ -0,0 +1,188 @@
+/**
+ * Module de suivi en direct des logs : lecture continue des fichiers de logs PM2
+ * (sorties standard et d'erreur séparées), avec reprise à partir d'un offset
+ * et filtrage des lignes côté serveur.
+ */
+
+import fs from 'fs';
+import { LOG_STREAM_CONFIG } from '../config/constants.js';
+import logger from '../utils/logger.js';
+
+export const STREAMS = ['out', 'err'];
+
+// Taille maximale lue en une fois dans un fichier
+const READ_CHUNK = 1024 * 1024;
+
+/**
+ * Nombre de lignes à envoyer à l'ouverture d'un flux
+ * @param {*} value - Valeur demandée
+ * @returns {number}
+ */
+export function normalizeLines(value) {
+    const lines = parseInt(value);
+    if (!Number.isInteger(lines) || lines < 0) {
+        return LOG_STREAM_CONFIG.defaultLines;
+    }
+    return Math.min(lines, LOG_STREAM_CONFIG.maxLines);
+}
+
+/**
+ * Crée le filtre des lignes : texte recherché sans tenir compte de la casse.
+ * Pas d'expression régulière : le filtre est appliqué dans le processus du serveur Web,
+ * qu'une expression au temps d'exécution exponentiel bloquerait.
+ * @param {string} grep - Filtre saisi (vide : toutes les lignes)
+ * @returns {Function} - (ligne) => boolean
+ */
+export function createLineFilter(grep) {
+    const pattern = String(grep || '');
+    if (!pattern) {
+        return () => true;
+    }
+    if (pattern.length > LOG_STREAM_CONFIG.maxFilterLength) {
+        throw new Error(`Filtre trop long (${LOG_STREAM_CONFIG.maxFilterLength} caractères maximum)`);
+    }
+
+    const needle = pattern.toLowerCase();
+    return (line) => line.toLowerCase().includes(needle);
+}
+
+/**
+ * Lit une plage d'octets d'un fichier
+ * @param {string} filePath
+ * @param {number} start
+ * @param {number} length
+ * @returns {Buffer}
+ */
+function readRange(filePath, start, length) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(length);
+        const bytesRead = fs.readSync(fd, buffer, 0, length, start);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Taille d'un fichier (0 s'il n'existe pas encore)
+ * @param {string} filePath
+ * @returns {number}
+ */
+function fileSize(filePath) {
+    try {
+        return fs.statSync(filePath).size;
+    } catch {
+        return 0;
+    }
+}
+
+/**
+ * Position à partir de laquelle lire les N dernières lignes complètes d'un fichier
+ * @param {string} filePath
+ * @param {number} lines
+ * @returns {number}
+ */
+function tailPosition(filePath, lines) {
+    const size = fileSize(filePath);
+    if (size === 0) {
+        return 0;
+    }
+
+    const start = Math.max(0, size - READ_CHUNK);
+    const buffer = readRange(filePath, start, size - start);
+    // Fin de la dernière ligne complète : la suivante peut être en cours d'écriture
+    let position = buffer.lastIndexOf(0x0a) + 1;
+    if (position === 0) {
+        return start === 0 ? 0 : size;
+    }
+
+    for (let count = 0; count < lines; count++) {
+        const previous = position >= 2 ? buffer.lastIndexOf(0x0a, position - 2) : -1;
+        if (previous === -1) {
+            // Première ligne du bloc lu : complète seulement si c'est le début du fichier
+            return start === 0 ? 0 : start + position;
+        }
+        position = previous + 1;
+    }
+    return start + position;
+}
+
+/**
+ * Décode l'offset de reprise d'un flux PM2
+ * @param {string} offset - "<octets out>:<octets err>"
+ * @returns {{out: number, err: number}}
+ */
+export function parseFileOffset(offset) {
+    const match = /^(\d+):(\d+)$/.exec(String(offset).trim());
+    if (!match) {
+        throw new Error(`Offset invalide: ${offset} (format attendu: <out>:<err>)`);
+    }
+    return { out: parseInt(match[1]), err: parseInt(match[2]) };
+}
+
+/**
+ * Suit des fichiers de logs : envoie les lignes existantes (les dernières, ou à partir de l'offset),
+ * puis chaque nouvelle ligne complète. Un fichier vidé (pm2 flush) est relu depuis le début.
+ * @param {{out: string, err: string}} files - Fichiers des sorties standard et d'erreur
+ * @param {object} options - { offset: "<out>:<err>" (reprise), lines: lignes initiales sans offset }
+ * @param {Function} onLine - Reçoit { stream, line, offset } ; offset permet de reprendre après cette ligne
+ * @returns {Function} - Arrête le suivi
+ */
+export function followFiles(files, options, onLine) {
+    const offsets = options.offset ? parseFileOffset(options.offset) : null;
+    const positions = {};
+    for (const stream of STREAMS) {
+        positions[stream] = offsets ? offsets[stream] : tailPosition(files[stream], options.lines);
+    }
+
+    const readStream = (stream) => {
+        const size = fileSize(files[stream]);
+        if (size < positions[stream]) {
+            positions[stream] = 0;
+        }
+        if (size === positions[stream]) return;
+
+        const buffer = readRange(files[stream], positions[stream], Math.min(size - positions[stream], READ_CHUNK));
+        let lineStart = 0;
+        let lineEnd;
+        while ((lineEnd = buffer.indexOf(0x0a, lineStart)) !== -1) {
+            const line = buffer.subarray(lineStart, lineEnd).toString('utf8').replace(/\r$/, '');
+            positions[stream] += lineEnd + 1 - lineStart;
+            lineStart = lineEnd + 1;
+            onLine({ stream, line, offset: `${positions.out}:${positions.err}` });
+        }
+        // Ligne trop longue pour un seul bloc : l'envoyer telle quelle
+        if (lineStart === 0 && buffer.length === READ_CHUNK) {
+            positions[stream] += buffer.length;
+            onLine({ stream, line: buffer.toString('utf8'), offset: `${positions.out}:${positions.err}` });
+        }
+    };
+
+    const readNewLines = () => {
+        for (const stream of STREAMS) {
+            try {
+                readStream(stream);
+            } catch (error) {
+                logger.debug(`Lecture de ${files[stream]} impossible: ${error.message}`);
+            }
+        }
+    };
+
+    // Lignes existantes envoyées après le retour de l'appel (l'appelant est prêt à les recevoir)
+    const immediate = setImmediate(readNewLines);
+    const interval = setInterval(readNewLines, LOG_STREAM_CONFIG.pollInterval);
+
+    return () => {
+        clearImmediate(immediate);
+        clearInterval(interval);
+    };
+}
+
+export default {
+    STREAMS,
+    normalizeLines,
+    createLineFilter,
+    parseFileOffset,
+    followFiles
+};
@@ -0,0 +1,244 @@
+/**
+ * Module d'historique des métriques des services : chaque échantillon (CPU, mémoire,
+ * redémarrages, uptime) est agrégé dans plusieurs séries de résolution décroissante
+ * (1 min sur 24 h, 10 min sur 7 jours, 1 h sur 90 jours), chacune tronquée à sa durée
+ * de conservation. Un fichier JSON par service.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { METRICS_CONFIG } from '../config/constants.js';
+import logger from '../utils/logger.js';
+
+// Durée affichée par défaut (1 heure) et nombre de points visé sans pas explicite
+const DEFAULT_RANGE = 60 * 60 * 1000;
+const DEFAULT_POINTS = 300;
+
+/**
+ * Fichier des métriques d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @returns {string}
+ */
+function getMetricsFile(projectName, serviceName) {
+    return path.join(METRICS_CONFIG.dataPath, projectName, `${serviceName}.json`);
+}
+
+/**
+ * Charge les séries d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @returns {object} - { tiers: [{ step, points: [[t, cpu, memory, restarts, uptime]], bucket }] }
+ */
+function loadSeries(projectName, serviceName) {
+    const file = getMetricsFile(projectName, serviceName);
+    try {
+        if (fs.existsSync(file)) {
+            const series = JSON.parse(fs.readFileSync(file, 'utf8'));
+            // Niveaux de résolution modifiés depuis l'écriture : repartir de séries vides
+            if (series.tiers?.map(t => t.step).join() === METRICS_CONFIG.tiers.map(t => t.step).join()) {
+                return series;
+            }
+        }
+    } catch (error) {
+        logger.error(`Erreur lors du chargement des métriques de ${projectName}/${serviceName}: ${error.message}`);
+    }
+    return { tiers: METRICS_CONFIG.tiers.map(({ step }) => ({ step, points: [], bucket: null })) };
+}
+
+/**
+ * Sauvegarde les séries d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {object} series
+ */
+function saveSeries(projectName, serviceName, series) {
+    const file = getMetricsFile(projectName, serviceName);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpPath = `${file}.tmp-${process.pid}`;
+    fs.writeFileSync(tmpPath, JSON.stringify(series));
+    fs.renameSync(tmpPath, file);
+}
+
+/**
+ * Moyenne des valeurs renseignées
+ * @param {number} sum
+ * @param {number} count
+ * @param {number} decimals
+ * @returns {number|null}
+ */
+function average(sum, count, decimals = 0) {
+    if (!count) return null;
+    const factor = 10 ** decimals;
+    return Math.round(sum / count * factor) / factor;
+}
+
+/**
+ * Point agrégé d'un intervalle : CPU et mémoire moyens, derniers compteur de redémarrages et uptime
+ * @param {object} bucket - { t, cpu, cpuCount, memory, memoryCount, restarts, uptime }
+ * @returns {Array} - [t, cpu, memory, restarts, uptime]
+ */
+function closeBucket(bucket) {
+    return [
+        bucket.t,
+        average(bucket.cpu, bucket.cpuCount, 1),
+        average(bucket.memory, bucket.memoryCount),
+        bucket.restarts,
+        bucket.uptime
+    ];
+}
+
+/**
+ * Ajoute une valeur à l'intervalle en cours
+ * @param {object} bucket
+ * @param {object} sample - { cpu, memory, restarts, uptime }
+ */
+function addToBucket(bucket, sample) {
+    if (sample.cpu !== null && sample.cpu !== undefined) {
+        bucket.cpu += sample.cpu;
+        bucket.cpuCount++;
+    }
+    if (sample.memory !== null && sample.memory !== undefined) {
+        bucket.memory += sample.memory;
+        bucket.memoryCount++;
+    }
+    bucket.restarts = sample.restarts ?? bucket.restarts;
+    bucket.uptime = sample.uptime ?? bucket.uptime;
+}
+
+/**
+ * Enregistre un échantillon dans toutes les séries d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {object} sample - { cpu (%), memory (octets), restarts, uptime (secondes) }
+ * @param {number} timestamp - Date de l'échantillon (ms)
+ */
+export function recordSample(projectName, serviceName, sample, timestamp = Date.now()) {
+    const series = loadSeries(projectName, serviceName);
+    const now = Math.floor(timestamp / 1000);
+
+    series.tiers.forEach((tier, index) => {
+        const bucketStart = now - (now % tier.step);
+
+        if (tier.bucket && tier.bucket.t !== bucketStart) {
+            tier.points.push(closeBucket(tier.bucket));
+            tier.bucket = null;
+        }
+        if (!tier.bucket) {
+            tier.bucket = { t: bucketStart, cpu: 0, cpuCount: 0, memory: 0, memoryCount: 0, restarts: null, uptime: null };
+        }
+        addToBucket(tier.bucket, sample);
+
+        // Tampon circulaire : les points au-delà de la durée de conservation sont retirés
+        const oldest = now - METRICS_CONFIG.tiers[index].retention;
+        const expired = tier.points.findIndex(point => point[0] >= oldest);
+        tier.points.splice(0, expired === -1 ? tier.points.length : expired);
+    });
+
+    saveSeries(projectName, serviceName, series);
+}
+
+/**
+ * Convertit une date de requête (timestamp en ms ou date ISO)
+ * @param {*} value
+ * @param {number} defaultValue
+ * @param {string} label - Paramètre, pour le message d'erreur
+ * @returns {number} - Timestamp (ms)
+ */
+function parseTime(value, defaultValue, label) {
+    if (value === undefined || value === null || value === '') {
+        return defaultValue;
+    }
+
+    const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new Error(`Date invalide pour ${label}: ${value} (timestamp en ms ou date ISO)`);
+    }
+    return time;
+}
+
+/**
+ * Historique des métriques d'un service sur une période
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {object} options - { from, to (timestamp en ms ou date ISO ; défaut : dernière heure), step (secondes) }
+ * @returns {object} - { from, to, step, points: [{ t (ms), cpu, memory, restarts, uptime }] }
+ */
+export function getMetrics(projectName, serviceName, options = {}) {
+    const to = parseTime(options.to, Date.now(), 'to');
+    const from = parseTime(options.from, to - DEFAULT_RANGE, 'from');
+    if (from >= to) {
+        throw new Error('La date de début doit précéder la date de fin');
+    }
+
+    let requestedStep = null;
+    if (options.step !== undefined && options.step !== null && options.step !== '') {
+        requestedStep = Number(options.step);
+        if (!Number.isInteger(requestedStep) || requestedStep < 1) {
+            throw new Error(`Pas invalide: ${options.step} (secondes)`);
+        }
+    }
+
+    const rangeSeconds = (to - from) / 1000;
+
+    // Série la plus fine qui couvre encore le début de la période (à défaut, la plus longue)
+    const age = (Date.now() - from) / 1000;
+    let tierIndex = METRICS_CONFIG.tiers.findIndex(tier => tier.retention >= age);
+    if (tierIndex === -1) {
+        tierIndex = METRICS_CONFIG.tiers.length - 1;
+    }
+    // Un pas demandé plus grossier permet d'utiliser une série moins détaillée
+    while (requestedStep && tierIndex < METRICS_CONFIG.tiers.length - 1 && METRICS_CONFIG.tiers[tierIndex + 1].step <= requestedStep) {
+        tierIndex++;
+    }
+    const tierStep = METRICS_CONFIG.tiers[tierIndex].step;
+
+    // Pas effectif : multiple du pas de la série, sans dépasser le nombre maximal de points
+    let step = Math.max(requestedStep || Math.ceil(rangeSeconds / DEFAULT_POINTS), tierStep);
+    step = Math.max(step, Math.ceil(rangeSeconds / METRICS_CONFIG.maxPoints));
+    step = Math.ceil(step / tierStep) * tierStep;
+
+    const tier = loadSeries(projectName, serviceName).tiers[tierIndex];
+    const points = tier.bucket ? [...tier.points, closeBucket(tier.bucket)] : tier.points;
+
+    // Regroupement des points de la série par intervalle de `step` secondes
+    const buckets = new Map();
+    for (const point of points) {
+        const time = point[0] * 1000;
+        if (time < from || time > to) continue;
+
+        const bucketStart = point[0] - (point[0] % step);
+        if (!buckets.has(bucketStart)) {
+            buckets.set(bucketStart, { t: bucketStart, cpu: 0, cpuCount: 0, memory: 0, memoryCount: 0, restarts: null, uptime: null });
+        }
+        addToBucket(buckets.get(bucketStart), { cpu: point[1], memory: point[2], restarts: point[3], uptime: point[4] });
+    }
+
+    return {
+        from,
+        to,
+        step,
+        points: [...buckets.values()].map(bucket => {
+            const [t, cpu, memory, restarts, uptime] = closeBucket(bucket);
+            return { t: t * 1000, cpu, memory, restarts, uptime };
+        })
+    };
+}
+
+/**
+ * Supprime les métriques d'un projet ou d'un de ses services
+ * @param {string} projectName - Nom du projet
+ * @param {string|null} serviceName - Nom du service (null : tout le projet)
+ */
+export function removeMetrics(projectName, serviceName = null) {
+    const target = serviceName
+        ? getMetricsFile(projectName, serviceName)
+        : path.join(METRICS_CONFIG.dataPath, projectName);
+    fs.rmSync(target, { recursive: true, force: true });
+}
+
+export default {
+    recordSample,
+    getMetrics,
+    removeMetrics
+};
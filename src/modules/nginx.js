@@ -0,0 +1,327 @@
+/**
+ * Module de génération des virtual hosts nginx des services
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { BASE_PATH, PROJECT_STRUCTURE, NGINX_CONFIG } from '../config/constants.js';
+import certificates from './certificates.js';
+import shell from '../utils/shell.js';
+import logger from '../utils/logger.js';
+
+// Nom d'hôte (sous-domaines autorisés, joker en tête accepté : *.example.com)
+const DOMAIN_PATTERN = /^(\*\.)?[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/;
+
+// Caractères autorisés dans un dossier servi (écrit sans guillemets dans la configuration nginx)
+const SAFE_PATH_PATTERN = /^[A-Za-z0-9._@+\/-]*$/;
+
+/**
+ * Indique si nginx est installé
+ * @returns {boolean}
+ */
+export function isNginxInstalled() {
+    return shell.commandExists('nginx');
+}
+
+/**
+ * Chemins du fichier de server blocks d'un projet
+ * @param {string} projectName - Nom du projet
+ * @returns {{available: string, enabled: string}}
+ */
+export function getVhostPaths(projectName) {
+    const fileName = `${NGINX_CONFIG.filePrefix}${projectName}.conf`;
+    return {
+        available: path.join(NGINX_CONFIG.sitesAvailable, fileName),
+        enabled: path.join(NGINX_CONFIG.sitesEnabled, fileName)
+    };
+}
+
+/**
+ * Valide un nom de domaine
+ * @param {string} domain
+ * @returns {string} - Domaine normalisé (minuscules)
+ */
+function normalizeDomain(domain) {
+    const normalized = String(domain || '').trim().toLowerCase();
+    if (!normalized || normalized.length > 253 || !DOMAIN_PATTERN.test(normalized)) {
+        throw new Error(`Nom de domaine invalide: ${domain}`);
+    }
+    return normalized;
+}
+
+/**
+ * Valide et normalise la configuration vhost d'un service
+ * @param {object} vhost - { domain, aliases, port, static, root }
+ * @returns {object}
+ */
+export function normalizeVhost(vhost) {
+    const domain = normalizeDomain(vhost.domain);
+
+    const rawAliases = Array.isArray(vhost.aliases)
+        ? vhost.aliases
+        : String(vhost.aliases || '').split(/[\s,]+/);
+    const aliases = [...new Set(rawAliases.filter(a => a && a.trim()).map(normalizeDomain))]
+        .filter(a => a !== domain);
+
+    const isStatic = Boolean(vhost.static);
+
+    if (isStatic) {
+        // Dossier servi, relatif au dossier du service (ex: dist, public)
+        const root = String(vhost.root || '').trim().replace(/^\/+|\/+$/g, '');
+        if (!SAFE_PATH_PATTERN.test(root)) {
+            throw new Error('Le dossier servi ne peut contenir que des lettres, chiffres et les caractères . _ - @ + /');
+        }
+        if (root.split('/').includes('..')) {
+            throw new Error('Le dossier servi doit rester dans le dossier du service');
+        }
+        return { domain, aliases, static: true, port: null, root };
+    }
+
+    const port = parseInt(vhost.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535 || String(port) !== String(vhost.port).trim()) {
+        throw new Error('Port interne invalide (1-65535)');
+    }
+
+    return { domain, aliases, static: false, port, root: null };
+}
+
+/**
+ * Dossier servi par un site statique, qui doit rester dans le dossier sites/ du projet
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service (avec vhost)
+ * @returns {string}
+ */
+function getStaticRoot(projectName, service) {
+    const sitesPath = path.join(BASE_PATH, projectName, PROJECT_STRUCTURE.sites);
+    const root = path.resolve(service.directory, service.vhost.root || '.');
+
+    if (!SAFE_PATH_PATTERN.test(root)) {
+        throw new Error(`Dossier servi invalide pour le service ${service.name}: ${JSON.stringify(root)}`);
+    }
+    if (root !== sitesPath && !root.startsWith(sitesPath + path.sep)) {
+        throw new Error(`Le dossier servi par le service ${service.name} doit se trouver dans ${sitesPath}`);
+    }
+    return root;
+}
+
+/**
+ * Directives servant le contenu d'un service (site statique ou reverse proxy)
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service (avec vhost)
+ * @returns {string}
+ */
+function generateContentDirectives(projectName, service) {
+    const { vhost } = service;
+
+    if (vhost.static) {
+        let directives = `    root ${getStaticRoot(projectName, service)};\n`;
+        directives += `    index index.html index.htm;\n\n`;
+        directives += `    location / {\n`;
+        directives += `        try_files $uri $uri/ =404;\n`;
+        directives += `    }\n`;
+        return directives;
+    }
+
+    let directives = `    location / {\n`;
+    directives += `        proxy_pass http://127.0.0.1:${vhost.port};\n`;
+    directives += `        proxy_http_version 1.1;\n`;
+    directives += `        proxy_set_header Host $host;\n`;
+    directives += `        proxy_set_header X-Real-IP $remote_addr;\n`;
+    directives += `        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;\n`;
+    directives += `        proxy_set_header X-Forwarded-Proto $scheme;\n`;
+    directives += `        proxy_set_header Upgrade $http_upgrade;\n`;
+    directives += `        proxy_set_header Connection "upgrade";\n`;
+    directives += `    }\n`;
+    return directives;
+}
+
+/**
+ * Génère le(s) server block(s) d'un service.
+ * Le port 80 sert toujours les challenges ACME ; lorsqu'un certificat couvre les domaines,
+ * il redirige le reste vers un server block HTTPS.
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service (avec vhost)
+ * @returns {string}
+ */
+function generateServerBlock(projectName, service) {
+    const { vhost } = service;
+    const domains = [vhost.domain, ...(vhost.aliases || [])];
+    const logName = `${projectName}-${service.name}`;
+    const tls = certificates.hasCertificate(domains);
+
+    const header = `    server_name ${domains.join(' ')};\n\n` +
+        `    access_log ${NGINX_CONFIG.logPath}/${logName}.access.log;\n` +
+        `    error_log ${NGINX_CONFIG.logPath}/${logName}.error.log;\n\n`;
+
+    let block = `# Service: ${service.name}\n`;
+    block += `server {\n`;
+    block += `    listen 80;\n`;
+    block += `    listen [::]:80;\n`;
+    block += header;
+    block += `    location ^~ /.well-known/acme-challenge/ {\n`;
+    block += `        root ${certificates.getAcmeWebroot(projectName)};\n`;
+    block += `        default_type text/plain;\n`;
+    block += `    }\n\n`;
+
+    if (!tls) {
+        block += generateContentDirectives(projectName, service);
+        block += `}\n`;
+        return block;
+    }
+
+    const { key, cert } = certificates.getCertificatePaths(vhost.domain);
+
+    block += `    location / {\n`;
+    block += `        return 301 https://$host$request_uri;\n`;
+    block += `    }\n`;
+    block += `}\n\n`;
+    block += `server {\n`;
+    block += `    listen 443 ssl http2;\n`;
+    block += `    listen [::]:443 ssl http2;\n`;
+    block += header;
+    block += `    ssl_certificate ${cert};\n`;
+    block += `    ssl_certificate_key ${key};\n`;
+    block += `    ssl_protocols TLSv1.2 TLSv1.3;\n`;
+    block += `    ssl_session_cache shared:SSL:10m;\n\n`;
+    block += generateContentDirectives(projectName, service);
+    block += `}\n`;
+    return block;
+}
+
+/**
+ * Génère le fichier de server blocks d'un projet
+ * @param {string} projectName - Nom du projet
+ * @param {Array} services - Services du projet
+ * @returns {string|null} - null si aucun service n'est exposé
+ */
+export function generateProjectVhosts(projectName, services) {
+    const exposed = services.filter(s => s.vhost?.domain);
+    if (exposed.length === 0) {
+        return null;
+    }
+
+    let config = `# ============================================
+# Virtual hosts nginx
+# Projet: ${projectName}
+# Généré automatiquement - Ne pas modifier
+# ============================================
+
+`;
+    config += exposed.map(service => generateServerBlock(projectName, service)).join('\n');
+    return config;
+}
+
+/**
+ * Lit le fichier de server blocks actuel d'un projet
+ * @param {string} projectName - Nom du projet
+ * @returns {string|null}
+ */
+function readProjectVhosts(projectName) {
+    const { available } = getVhostPaths(projectName);
+    return fs.existsSync(available) ? fs.readFileSync(available, 'utf8') : null;
+}
+
+/**
+ * Écrit (ou supprime si content est null) le fichier de server blocks et son lien dans sites-enabled
+ * @param {string} projectName - Nom du projet
+ * @param {string|null} content - Contenu du fichier
+ */
+function writeProjectVhosts(projectName, content) {
+    const { available, enabled } = getVhostPaths(projectName);
+
+    if (content === null) {
+        if (fs.existsSync(enabled) || isDanglingLink(enabled)) fs.unlinkSync(enabled);
+        if (fs.existsSync(available)) fs.unlinkSync(available);
+        return;
+    }
+
+    fs.mkdirSync(NGINX_CONFIG.sitesAvailable, { recursive: true });
+    fs.mkdirSync(NGINX_CONFIG.sitesEnabled, { recursive: true });
+
+    const tmpPath = `${available}.tmp-${process.pid}`;
+    fs.writeFileSync(tmpPath, content, { mode: 0o644 });
+    fs.renameSync(tmpPath, available);
+
+    if (!fs.existsSync(enabled)) {
+        if (isDanglingLink(enabled)) fs.unlinkSync(enabled);
+        fs.symlinkSync(available, enabled);
+    }
+}
+
+/**
+ * Indique si un chemin est un lien symbolique cassé
+ * @param {string} linkPath
+ * @returns {boolean}
+ */
+function isDanglingLink(linkPath) {
+    try {
+        return fs.lstatSync(linkPath).isSymbolicLink() && !fs.existsSync(linkPath);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Applique les virtual hosts d'un projet de façon transactionnelle :
+ * écriture du fichier, validation de la configuration complète (nginx -t) puis rechargement ;
+ * la version précédente est restaurée en cas d'échec.
+ * @param {string} projectName - Nom du projet
+ * @param {Array} services - Services du projet
+ * @returns {Promise<boolean>} - false si le fichier est inchangé (rien à faire)
+ */
+export async function applyProjectVhosts(projectName, services) {
+    const content = generateProjectVhosts(projectName, services);
+    const previous = readProjectVhosts(projectName);
+
+    if (content === previous) {
+        logger.debug(`Virtual hosts de ${projectName} inchangés`);
+        return false;
+    }
+
+    if (!isNginxInstalled()) {
+        throw new Error('nginx n\'est pas installé (apt install nginx)');
+    }
+
+    writeProjectVhosts(projectName, content);
+
+    let validated = false;
+    try {
+        if (!await shell.testNginxConfig()) {
+            throw new Error('La configuration nginx générée est invalide');
+        }
+        validated = true;
+        await shell.reloadNginx();
+    } catch (error) {
+        logger.error(`Échec de l'application des virtual hosts, restauration: ${error.message}`);
+        writeProjectVhosts(projectName, previous);
+        if (validated) {
+            try {
+                await shell.reloadNginx();
+            } catch (reloadError) {
+                logger.error(`Rechargement après restauration impossible: ${reloadError.message}`);
+            }
+        }
+        throw new Error(`Virtual hosts non appliqués (version précédente restaurée): ${error.message}`);
+    }
+
+    logger.success(`Virtual hosts nginx de ${projectName} mis à jour`);
+    return true;
+}
+
+/**
+ * Supprime les virtual hosts d'un projet
+ * @param {string} projectName - Nom du projet
+ * @returns {Promise<boolean>}
+ */
+export async function removeProjectVhosts(projectName) {
+    return applyProjectVhosts(projectName, []);
+}
+
+export default {
+    isNginxInstalled,
+    getVhostPaths,
+    normalizeVhost,
+    generateProjectVhosts,
+    applyProjectVhosts,
+    removeProjectVhosts
+};
@@ -0,0 +1,173 @@
+/**
+ * Module d'envoi des notifications d'alertes : e-mail (SMTP), webhook générique (JSON)
+ * et webhook compatible Slack (Mattermost, Rocket.Chat...).
+ */
+
+import nodemailer from 'nodemailer';
+import { ALERTS_CONFIG } from '../config/constants.js';
+
+export const CHANNEL_TYPES = ['email', 'webhook', 'slack'];
+
+// Champs secrets de chaque type de canal (masqués dans les réponses de l'API)
+export const SECRET_FIELDS = {
+    email: ['pass'],
+    webhook: [],
+    slack: ['url']
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Valide une URL de webhook
+ * @param {string} value
+ * @returns {string}
+ */
+function validateUrl(value) {
+    const url = String(value || '').trim();
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        throw new Error(`URL invalide: ${value || '(vide)'}`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error(`URL invalide: ${url} (http ou https)`);
+    }
+    return url;
+}
+
+/**
+ * Valide les paramètres d'un canal selon son type
+ * @param {string} type - email, webhook ou slack
+ * @param {object} settings - email : { host, port, secure, user, pass, from, to },
+ *                            webhook : { url, headers }, slack : { url }
+ * @returns {object} - Paramètres normalisés
+ */
+export function normalizeSettings(type, settings) {
+    if (type === 'email') {
+        const host = String(settings.host || '').trim();
+        if (!host) {
+            throw new Error('Serveur SMTP requis');
+        }
+
+        const port = Number(settings.port || 587);
+        if (!Number.isInteger(port) || port < 1 || port > 65535) {
+            throw new Error(`Port SMTP invalide: ${settings.port}`);
+        }
+
+        const recipients = (Array.isArray(settings.to) ? settings.to : String(settings.to || '').split(','))
+            .map(address => String(address).trim())
+            .filter(Boolean);
+        if (recipients.length === 0) {
+            throw new Error('Au moins un destinataire est requis');
+        }
+        for (const address of [...recipients, settings.from].filter(Boolean)) {
+            if (!EMAIL_PATTERN.test(address)) {
+                throw new Error(`Adresse e-mail invalide: ${address}`);
+            }
+        }
+
+        return {
+            host,
+            port,
+            secure: Boolean(settings.secure),
+            user: String(settings.user || '').trim() || null,
+            pass: settings.pass ? String(settings.pass) : null,
+            from: String(settings.from || '').trim() || null,
+            to: recipients
+        };
+    }
+
+    if (type === 'webhook') {
+        const headers = settings.headers || {};
+        if (typeof headers !== 'object' || Array.isArray(headers)) {
+            throw new Error('En-têtes invalides (objet { nom: valeur } attendu)');
+        }
+        return {
+            url: validateUrl(settings.url),
+            headers: Object.fromEntries(Object.entries(headers).map(([name, value]) => [name, String(value)]))
+        };
+    }
+
+    return { url: validateUrl(settings.url) };
+}
+
+/**
+ * Texte d'une notification
+ * @param {object} notification - { status (firing, resolved), rule, target, message }
+ * @returns {{subject: string, text: string}}
+ */
+export function formatNotification(notification) {
+    const prefix = notification.status === 'firing' ? '[ALERTE]' : '[RÉSOLU]';
+    const subject = `${prefix} ${notification.rule.name} - ${notification.target}`;
+    const lines = [
+        notification.message,
+        '',
+        `Règle : ${notification.rule.name} (${notification.rule.type})`,
+        `Cible : ${notification.target}`,
+        `Depuis : ${new Date(notification.since).toLocaleString('fr-FR')}`
+    ];
+    if (notification.status === 'resolved') {
+        lines.push(`Résolue : ${new Date(notification.at).toLocaleString('fr-FR')}`);
+    }
+    return { subject, text: lines.join('\n') };
+}
+
+/**
+ * Envoie une requête POST JSON
+ * @param {string} url
+ * @param {object} body
+ * @param {object} headers
+ */
+async function postJson(url, body, headers = {}) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(ALERTS_CONFIG.sendTimeout)
+    });
+    if (!response.ok) {
+        throw new Error(`Le webhook a répondu ${response.status}`);
+    }
+}
+
+/**
+ * Envoie une notification sur un canal
+ * @param {object} channel - Canal { type, settings } (secrets en clair)
+ * @param {object} notification - { status, rule: { id, name, type }, project, service, target, message, value, since, at }
+ * @returns {Promise<void>}
+ */
+export async function send(channel, notification) {
+    const { subject, text } = formatNotification(notification);
+    const { settings } = channel;
+
+    if (channel.type === 'email') {
+        const transport = nodemailer.createTransport({
+            host: settings.host,
+            port: settings.port,
+            secure: settings.secure,
+            auth: settings.user ? { user: settings.user, pass: settings.pass || '' } : undefined,
+            connectionTimeout: ALERTS_CONFIG.sendTimeout,
+            greetingTimeout: ALERTS_CONFIG.sendTimeout,
+            socketTimeout: ALERTS_CONFIG.sendTimeout
+        });
+        await transport.sendMail({ from: settings.from || `alerts@${settings.host}`, to: settings.to.join(', '), subject, text });
+        return;
+    }
+
+    if (channel.type === 'slack') {
+        const icon = notification.status === 'firing' ? ':rotating_light:' : ':white_check_mark:';
+        await postJson(settings.url, { text: `${icon} *${subject}*\n${notification.message}` });
+        return;
+    }
+
+    await postJson(settings.url, notification, settings.headers);
+}
+
+export default {
+    CHANNEL_TYPES,
+    SECRET_FIELDS,
+    normalizeSettings,
+    formatNotification,
+    send
+};
@@ -0,0 +1,204 @@
+/**
+ * Gestionnaire de processus PM2 (par défaut) : les services tournent dans le démon PM2
+ * de l'utilisateur d'exécution du projet, à partir du fichier ecosystem du projet
+ */
+
+import ecosystem from './ecosystem.js';
+import runtime from './runtime.js';
+import logstream from './logstream.js';
+import shell from '../utils/shell.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Commande PM2 de redémarrage d'un service : en mode cluster, reload remplace
+ * les instances une à une, sans interruption de service
+ * @param {object} service - Service
+ * @returns {string}
+ */
+function getRestartAction(service) {
+    return ecosystem.isClustered(service) ? 'reload' : 'restart';
+}
+
+/**
+ * Retire du démon PM2 de root un processus lancé avant l'isolation des projets,
+ * pour qu'il soit recréé dans le démon de l'utilisateur d'exécution
+ * @param {string} pm2Name - Nom du processus PM2
+ * @returns {Promise<void>}
+ */
+async function releaseRootProcess(pm2Name) {
+    if (!await shell.getPm2ProcessStatus(pm2Name)) {
+        return;
+    }
+
+    logger.info(`Migration de ${pm2Name} hors du démon PM2 de root...`);
+    await shell.pm2Command(`delete ${pm2Name}`);
+    await shell.pm2Command('save');
+}
+
+/**
+ * Démarre (ou redémarre s'il existe déjà) le processus d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @param {object} env - Environnement du service (secrets compris)
+ * @returns {Promise<void>}
+ */
+export async function start(projectName, service, env) {
+    const pm2Name = ecosystem.getPm2Name(projectName, service);
+    const projectRuntime = await runtime.ensureRuntimeUser(projectName);
+    const ecosystemPath = ecosystem.writeEcosystem(projectName);
+    await releaseRootProcess(pm2Name);
+
+    // Vérifier si le processus existe déjà
+    const status = await shell.getPm2ProcessStatus(pm2Name, projectRuntime);
+
+    if (status) {
+        // Redémarrer si existe (rechargement sans interruption en mode cluster)
+        await shell.pm2Command(`${getRestartAction(service)} "${ecosystemPath}" --only "${pm2Name}" --update-env`, env, projectRuntime);
+    } else {
+        // Créer un nouveau processus
+        await shell.pm2Command(`start "${ecosystemPath}" --only "${pm2Name}"`, env, projectRuntime);
+    }
+
+    // Sauvegarder la configuration PM2
+    await shell.pm2Command('save', null, projectRuntime);
+}
+
+/**
+ * Arrête le processus d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @returns {Promise<void>}
+ */
+export async function stop(projectName, service) {
+    const projectRuntime = runtime.getRuntime(projectName);
+    const ecosystemPath = ecosystem.writeEcosystem(projectName);
+    await shell.pm2Command(`stop "${ecosystemPath}" --only "${ecosystem.getPm2Name(projectName, service)}"`, null, projectRuntime);
+    await shell.pm2Command('save', null, projectRuntime);
+}
+
+/**
+ * Redémarre le processus d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @param {object} env - Environnement du service (secrets compris)
+ * @returns {Promise<void>}
+ */
+export async function restart(projectName, service, env) {
+    const pm2Name = ecosystem.getPm2Name(projectName, service);
+    const projectRuntime = await runtime.ensureRuntimeUser(projectName);
+    const ecosystemPath = ecosystem.writeEcosystem(projectName);
+    await releaseRootProcess(pm2Name);
+    await shell.pm2Command(`${getRestartAction(service)} "${ecosystemPath}" --only "${pm2Name}" --update-env`, env, projectRuntime);
+    await shell.pm2Command('save', null, projectRuntime);
+}
+
+/**
+ * Retire le processus d'un service de PM2
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @returns {Promise<void>}
+ */
+export async function remove(projectName, service) {
+    const projectRuntime = runtime.getRuntime(projectName);
+    await shell.pm2Command(`delete ${ecosystem.getPm2Name(projectName, service)}`, null, projectRuntime);
+    await shell.pm2Command('save', null, projectRuntime);
+}
+
+/**
+ * Processus d'un service (une entrée par instance en mode cluster)
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @returns {Promise<Array>} - [{ id, pid, status, uptime, restarts, memory, cpu, execMode }]
+ */
+export async function getProcesses(projectName, service) {
+    const instances = await shell.getPm2ProcessInstances(ecosystem.getPm2Name(projectName, service), runtime.getRuntime(projectName));
+
+    return instances.map(p => ({
+        id: p.pm_id,
+        pid: p.pid || null,
+        status: p.pm2_env?.status || 'unknown',
+        uptime: p.pm2_env?.pm_uptime || null,
+        restarts: p.pm2_env?.restart_time || 0,
+        memory: p.monit?.memory ?? null,
+        cpu: p.monit?.cpu ?? null,
+        execMode: p.pm2_env?.exec_mode === 'cluster_mode' ? 'cluster' : 'fork'
+    }));
+}
+
+/**
+ * Dernières lignes de logs d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @param {number} lines - Nombre de lignes
+ * @returns {Promise<string>}
+ */
+export async function getLogs(projectName, service, lines) {
+    return shell.getPm2Logs(ecosystem.getPm2Name(projectName, service), lines, runtime.getRuntime(projectName));
+}
+
+/**
+ * Suit en direct les fichiers de logs d'un service (sorties standard et d'erreur)
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @param {object} options - { offset: "<out>:<err>" (reprise), lines: lignes initiales sans offset }
+ * @param {Function} onLine - Reçoit { stream, line, offset }
+ * @returns {Function} - Arrête le suivi
+ */
+export function followLogs(projectName, service, options, onLine) {
+    return logstream.followFiles(ecosystem.getLogFiles(projectName, service), options, onLine);
+}
+
+/**
+ * Vide les fichiers de logs d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @returns {Promise<void>}
+ */
+export async function flushLogs(projectName, service) {
+    await shell.pm2Command(`flush ${ecosystem.getPm2Name(projectName, service)}`, null, runtime.getRuntime(projectName));
+}
+
+/**
+ * Change le nombre d'instances d'un service en cours d'exécution.
+ * Le passage entre les modes fork et cluster recrée le processus.
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service (nombre d'instances déjà mis à jour)
+ * @param {boolean} wasClustered - Le service tournait en mode cluster
+ * @param {object} env - Environnement du service (secrets compris)
+ * @returns {Promise<boolean>} - false si le service n'est pas en cours d'exécution (appliqué au prochain démarrage)
+ */
+export async function scale(projectName, service, wasClustered, env) {
+    const pm2Name = ecosystem.getPm2Name(projectName, service);
+    const ecosystemPath = ecosystem.writeEcosystem(projectName);
+    const projectRuntime = runtime.getRuntime(projectName);
+
+    if (!await shell.getPm2ProcessStatus(pm2Name, projectRuntime)) {
+        return false;
+    }
+    if (!wasClustered && !ecosystem.isClustered(service)) {
+        return true;
+    }
+
+    logger.info(`Mise à l'échelle de ${service.name} (${service.instances || 1} instance(s))...`);
+    if (wasClustered && ecosystem.isClustered(service)) {
+        await shell.pm2Command(`scale ${pm2Name} ${ecosystem.getInstanceCount(service)}`, null, projectRuntime);
+    } else {
+        // Changement de mode d'exécution : recréer le processus
+        await shell.pm2Command(`delete ${pm2Name}`, null, projectRuntime);
+        await shell.pm2Command(`start "${ecosystemPath}" --only "${pm2Name}"`, env, projectRuntime);
+    }
+    await shell.pm2Command('save', null, projectRuntime);
+    return true;
+}
+
+export default {
+    start,
+    stop,
+    restart,
+    remove,
+    getProcesses,
+    getLogs,
+    followLogs,
+    flushLogs,
+    scale
+};
@@ -4,11 +4,24 @@
 
 import fs from 'fs';
 import path from 'path';
-import { BASE_PATH, PROJECT_STRUCTURE, TOOL_CONFIG_PATH, PROJECTS_CONFIG_FILE } from '../config/constants.js';
+import { BASE_PATH, PROJECT_STRUCTURE, TOOL_CONFIG_PATH, PROJECTS_CONFIG_FILE, DISK_USAGE_CACHE_TTL } from '../config/constants.js';
 import sftp from './sftp.js';
+import nginx from './nginx.js';
+import certificates from './certificates.js';
+import environment from './environment.js';
+import runtime from './runtime.js';
+import systemd from './systemd.js';
+import health from './health.js';
+import metrics from './metrics.js';
+import deploy from './deploy.js';
+import webhooks from './webhooks.js';
+import tasks from './tasks.js';
 import shell from '../utils/shell.js';
 import logger from '../utils/logger.js';
 
+// Espace disque des projets : { <projet>: { size, at } }
+const diskUsageCache = new Map();
+
 /**
  * Initialise les dossiers de configuration de l'outil
  */
@@ -117,13 +130,10 @@ export function saveProjectConfig(projectName, config) {
 }
 
 /**
- * Crée un nouveau projet
+ * Vérifie qu'un projet peut être créé sous ce nom
  * @param {string} projectName - Nom du projet
- * @param {string} sftpPassword - Mot de passe SFTP
- * @returns {Promise<object>}
  */
-export async function createProject(projectName, sftpPassword) {
-    // Valider le nom du projet
+export function assertProjectNameAvailable(projectName) {
     if (!/^[a-zA-Z][a-zA-Z0-9_-]*$/.test(projectName)) {
         throw new Error('Le nom du projet doit commencer par une lettre et ne contenir que des lettres, chiffres, tirets et underscores');
     }
@@ -133,12 +143,23 @@ export async function createProject(projectName, sftpPassword) {
         throw new Error(`Le projet ${projectName} existe déjà`);
     }
 
-    const projectPath = path.join(BASE_PATH, projectName);
-
     // Vérifier si le dossier existe déjà
+    const projectPath = path.join(BASE_PATH, projectName);
     if (fs.existsSync(projectPath)) {
         throw new Error(`Le dossier ${projectPath} existe déjà`);
     }
+}
+
+/**
+ * Crée un nouveau projet
+ * @param {string} projectName - Nom du projet
+ * @param {string} sftpPassword - Mot de passe SFTP
+ * @returns {Promise<object>}
+ */
+export async function createProject(projectName, sftpPassword) {
+    assertProjectNameAvailable(projectName);
+
+    const projectPath = path.join(BASE_PATH, projectName);
 
     logger.info(`Création du projet ${projectName}...`);
 
@@ -155,6 +176,9 @@ export async function createProject(projectName, sftpPassword) {
     // Créer l'utilisateur SFTP
     const sftpUsername = await sftp.createSftpUser(projectName, sftpPassword);
 
+    // Créer l'utilisateur d'exécution des services (sans shell, avec son propre démon PM2)
+    await runtime.ensureRuntimeUser(projectName);
+
     // Créer la configuration du projet
     const projectConfig = {
         name: projectName,
@@ -202,10 +226,15 @@ export async function deleteProject(projectName, deleteFiles = false) {
     // Arrêter tous les services PM2 du projet
     try {
         const projectConfig = loadProjectConfig(projectName);
+        const projectRuntime = runtime.getRuntime(projectName);
         for (const service of projectConfig.services || []) {
             const processName = `${projectName}-${service.name}`;
             try {
-                await shell.pm2Command(`delete ${processName}`);
+                if (service.processManager === 'systemd') {
+                    await systemd.remove(projectName, service);
+                } else {
+                    await shell.pm2Command(`delete ${processName}`, null, projectRuntime);
+                }
             } catch {
                 // Ignorer si le processus n'existe pas
             }
@@ -214,7 +243,24 @@ export async function deleteProject(projectName, deleteFiles = false) {
         logger.warn(`Erreur lors de l'arrêt des services: ${error.message}`);
     }
 
-    // Supprimer l'utilisateur SFTP
+    // Supprimer l'utilisateur d'exécution et son démon PM2
+    try {
+        await runtime.deleteRuntimeUser(projectName);
+    } catch (error) {
+        logger.warn(`Erreur lors de la suppression de l'utilisateur d'exécution: ${error.message}`);
+    }
+
+    // Retirer les virtual hosts nginx du projet
+    try {
+        await nginx.removeProjectVhosts(projectName);
+    } catch (error) {
+        logger.warn(`Erreur lors de la suppression des virtual hosts: ${error.message}`);
+    }
+
+    // Supprimer les comptes SFTP additionnels puis l'utilisateur SFTP principal
+    for (const account of project.sftpAccounts || []) {
+        await sftp.deleteSftpAccountUser(projectName, account.username);
+    }
     await sftp.deleteSftpUser(projectName);
 
     // Supprimer le projet de la liste
@@ -222,6 +268,14 @@ export async function deleteProject(projectName, deleteFiles = false) {
     projects = projects.filter(p => p.name !== projectName);
     saveProjects(projects);
 
+    // Supprimer ses variables d'environnement et secrets
+    environment.removeEnvironment(projectName);
+    health.removeHealth(projectName);
+    metrics.removeMetrics(projectName);
+    deploy.removeDeployHistory(projectName);
+    webhooks.removeWebhooks(projectName);
+    tasks.removeTaskHistory(projectName);
+
     // Mettre à jour la configuration SSH
     await sftp.updateSSHConfig(projects);
 
@@ -251,33 +305,218 @@ export async function listProjectsWithStatus() {
         
         let runningServices = 0;
         let totalServices = projectConfig.services?.length || 0;
+        const projectRuntime = runtime.getRuntime(project.name);
 
         for (const service of projectConfig.services || []) {
+            if (service.processManager === 'systemd') {
+                const processes = await systemd.getProcesses(project.name, service);
+                if (processes.some(p => p.status === 'online')) {
+                    runningServices++;
+                }
+                continue;
+            }
+
             const processName = `${project.name}-${service.name}`;
-            const status = await shell.getPm2ProcessStatus(processName);
+            const status = await shell.getPm2ProcessStatus(processName, projectRuntime);
             if (status && status.pm2_env?.status === 'online') {
                 runningServices++;
             }
         }
 
+        // Échéance des certificats HTTPS des services exposés
+        const projectCertificates = (projectConfig.services || [])
+            .filter(service => service.vhost)
+            .map(service => {
+                const info = certificates.getCertificateInfo(service.vhost.domain);
+                return {
+                    service: service.name,
+                    domain: service.vhost.domain,
+                    validTo: info?.validTo || null,
+                    daysLeft: info?.daysLeft ?? null
+                };
+            });
+
+        // État des contrôles de santé (dernier résultat enregistré par le serveur Web)
+        const projectHealth = { checked: 0, healthy: 0, unhealthy: 0 };
+        for (const service of projectConfig.services || []) {
+            if (!service.healthCheck) continue;
+            const { status } = health.getHealth(project.name, service.name);
+            projectHealth.checked++;
+            if (status === 'healthy') projectHealth.healthy++;
+            if (status === 'unhealthy') projectHealth.unhealthy++;
+        }
+
         result.push({
             ...project,
             sftpActive: sftpInfo !== null,
             totalServices,
             runningServices,
-            services: projectConfig.services || []
+            services: projectConfig.services || [],
+            certificates: projectCertificates,
+            health: projectHealth
         });
     }
 
     return result;
 }
 
+/**
+ * Active ou désactive l'authentification SFTP par mot de passe d'un projet
+ * @param {string} projectName - Nom du projet
+ * @param {boolean} enabled - true pour autoriser le mot de passe, false pour les clés uniquement
+ * @returns {Promise<void>}
+ */
+export async function setSftpPasswordAuth(projectName, enabled) {
+    const projects = loadProjects();
+    const project = projects.find(p => p.name === projectName);
+
+    if (!project) {
+        throw new Error(`Le projet ${projectName} n'existe pas`);
+    }
+
+    // Ne pas bloquer l'accès SFTP : au moins une clé doit être autorisée
+    if (!enabled && sftp.listSftpKeys(projectName).length === 0) {
+        throw new Error('Ajoutez au moins une clé publique avant de désactiver l\'authentification par mot de passe');
+    }
+
+    project.sftpPasswordAuth = Boolean(enabled);
+    saveProjects(projects);
+
+    await sftp.updateSSHConfig(projects);
+    logger.success(`Authentification par mot de passe ${enabled ? 'activée' : 'désactivée'} pour ${projectName}`);
+}
+
+/**
+ * Liste les comptes SFTP additionnels d'un projet
+ * @param {string} projectName - Nom du projet
+ * @returns {Array}
+ */
+export function listSftpAccounts(projectName) {
+    const project = getProject(projectName);
+
+    if (!project) {
+        throw new Error(`Le projet ${projectName} n'existe pas`);
+    }
+
+    return project.sftpAccounts || [];
+}
+
+/**
+ * Ajoute un compte SFTP additionnel à un projet
+ * @param {string} projectName - Nom du projet
+ * @param {object} options - { name, password, scope, readOnly }
+ * @returns {Promise<object>} - Compte créé
+ */
+export async function addSftpAccount(projectName, { name, password, scope = '', readOnly = false }) {
+    const projects = loadProjects();
+    const project = projects.find(p => p.name === projectName);
+
+    if (!project) {
+        throw new Error(`Le projet ${projectName} n'existe pas`);
+    }
+
+    if (!name || !/^[a-zA-Z][a-zA-Z0-9_-]*$/.test(name)) {
+        throw new Error('Le nom du compte doit commencer par une lettre et ne contenir que des lettres, chiffres, tirets et underscores');
+    }
+
+    if (!password || password.length < 8) {
+        throw new Error('Le mot de passe doit contenir au moins 8 caractères');
+    }
+
+    project.sftpAccounts = project.sftpAccounts || [];
+    if (project.sftpAccounts.some(a => a.name === name)) {
+        throw new Error(`Le compte ${name} existe déjà`);
+    }
+
+    const account = {
+        name,
+        username: sftp.getSftpAccountUsername(projectName, name),
+        scope: (scope || '').replace(/^\/+|\/+$/g, ''),
+        readOnly: Boolean(readOnly),
+        disabled: false,
+        createdAt: new Date().toISOString()
+    };
+
+    await sftp.createSftpAccountUser(projectName, account, password);
+
+    project.sftpAccounts.push(account);
+    saveProjects(projects);
+
+    await sftp.updateSSHConfig(projects);
+    logger.success(`Compte SFTP ${account.username} ajouté au projet ${projectName}`);
+
+    return account;
+}
+
+/**
+ * Désactive ou réactive un compte SFTP additionnel
+ * @param {string} projectName - Nom du projet
+ * @param {string} accountName - Nom du compte
+ * @param {boolean} disabled - true pour désactiver
+ * @returns {Promise<object>} - Compte mis à jour
+ */
+export async function setSftpAccountDisabled(projectName, accountName, disabled) {
+    const projects = loadProjects();
+    const account = projects.find(p => p.name === projectName)?.sftpAccounts?.find(a => a.name === accountName);
+
+    if (!account) {
+        throw new Error(`Le compte ${accountName} n'existe pas`);
+    }
+
+    await sftp.setSftpAccountLocked(account.username, disabled);
+
+    account.disabled = Boolean(disabled);
+    saveProjects(projects);
+
+    return account;
+}
+
+/**
+ * Supprime un compte SFTP additionnel
+ * @param {string} projectName - Nom du projet
+ * @param {string} accountName - Nom du compte
+ * @returns {Promise<void>}
+ */
+export async function removeSftpAccount(projectName, accountName) {
+    const projects = loadProjects();
+    const project = projects.find(p => p.name === projectName);
+    const account = project?.sftpAccounts?.find(a => a.name === accountName);
+
+    if (!account) {
+        throw new Error(`Le compte ${accountName} n'existe pas`);
+    }
+
+    await sftp.deleteSftpAccountUser(projectName, account.username);
+
+    project.sftpAccounts = project.sftpAccounts.filter(a => a.name !== accountName);
+    saveProjects(projects);
+
+    await sftp.updateSSHConfig(projects);
+}
+
 /**
  * Renomme un projet
  * @param {string} oldName - Ancien nom
  * @param {string} newName - Nouveau nom
  * @returns {Promise<void>}
  */
+/**
+ * Espace disque occupé par le dossier d'un projet (mis en cache DISK_USAGE_CACHE_TTL ms)
+ * @param {string} projectName - Nom du projet
+ * @returns {Promise<number>} - Taille en octets
+ */
+export async function getProjectDiskUsage(projectName) {
+    const cached = diskUsageCache.get(projectName);
+    if (cached && Date.now() - cached.at < DISK_USAGE_CACHE_TTL) {
+        return cached.size;
+    }
+
+    const { stdout } = await shell.execCommand(`du -sb "${path.join(BASE_PATH, projectName)}"`, { timeout: 60 * 1000 });
+    const size = parseInt(stdout.split(/\s/)[0]);
+    diskUsageCache.set(projectName, { size, at: Date.now() });
+    return size;
+}
+
 export async function renameProject(oldName, newName) {
     // Cette fonctionnalité est complexe car elle implique:
     // - Renommer l'utilisateur SFTP
@@ -295,10 +534,17 @@ export default {
     saveProjects,
     getProject,
     projectExists,
+    assertProjectNameAvailable,
     loadProjectConfig,
     saveProjectConfig,
     createProject,
     deleteProject,
     listProjectsWithStatus,
+    setSftpPasswordAuth,
+    listSftpAccounts,
+    addSftpAccount,
+    setSftpAccountDisabled,
+    removeSftpAccount,
+    getProjectDiskUsage,
     renameProject
 };
@@ -0,0 +1,253 @@
+/**
+ * Module d'exposition des métriques au format Prometheus : état des projets et des services
+ * (mesuré à chaque collecte), comptes SFTP, bases de données, espace disque, et compteurs
+ * des requêtes de l'API Web (nombre et durée, tenus en mémoire depuis le démarrage du serveur).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { PROMETHEUS_CONFIG } from '../config/constants.js';
+import projects from './projects.js';
+import services from './services.js';
+import databases from './databases.js';
+import sftp from './sftp.js';
+import logger from '../utils/logger.js';
+
+const { prefix } = PROMETHEUS_CONFIG;
+
+// Requêtes de l'API : { <labels JSON>: nombre } et { <labels JSON>: { buckets, sum, count } }
+const requestCounts = new Map();
+const requestDurations = new Map();
+
+/**
+ * Jeton de collecte (créé au premier appel)
+ * @returns {string}
+ */
+export function getScrapeToken() {
+    if (fs.existsSync(PROMETHEUS_CONFIG.tokenFile)) {
+        return fs.readFileSync(PROMETHEUS_CONFIG.tokenFile, 'utf8').trim();
+    }
+    return regenerateScrapeToken();
+}
+
+/**
+ * Génère un nouveau jeton de collecte (l'ancien cesse d'être accepté)
+ * @returns {string}
+ */
+export function regenerateScrapeToken() {
+    const token = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(path.dirname(PROMETHEUS_CONFIG.tokenFile), { recursive: true });
+    fs.writeFileSync(PROMETHEUS_CONFIG.tokenFile, token, { mode: 0o600 });
+    logger.debug(`Jeton de collecte Prometheus créé: ${PROMETHEUS_CONFIG.tokenFile}`);
+    return token;
+}
+
+/**
+ * Middleware : exige le jeton de collecte (Authorization: Bearer <jeton>)
+ */
+export function requireScrapeToken(req, res, next) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    const expected = Buffer.from(getScrapeToken());
+    const provided = Buffer.from(match ? match[1] : '');
+
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).type('text/plain').send('Jeton de collecte invalide\n');
+    }
+    next();
+}
+
+/**
+ * Middleware : compte les requêtes de l'API et mesure leur durée, par route (et non par URL,
+ * pour borner le nombre de séries) ; les requêtes sans route correspondante sont regroupées
+ */
+export function trackRequests(req, res, next) {
+    // Requête déjà comptée par un routeur précédent (ex: /api/hooks sans route correspondante)
+    if (req.requestTracked) return next();
+    req.requestTracked = true;
+
+    const startedAt = process.hrtime.bigint();
+    const baseUrl = req.baseUrl;
+
+    res.on('finish', () => {
+        const duration = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        const route = req.route ? `${baseUrl}${req.route.path}` : 'unmatched';
+
+        const countKey = JSON.stringify({ method: req.method, route, status: String(res.statusCode) });
+        requestCounts.set(countKey, (requestCounts.get(countKey) || 0) + 1);
+
+        const durationKey = JSON.stringify({ method: req.method, route });
+        const histogram = requestDurations.get(durationKey) ||
+            { buckets: PROMETHEUS_CONFIG.durationBuckets.map(() => 0), sum: 0, count: 0 };
+        PROMETHEUS_CONFIG.durationBuckets.forEach((bound, index) => {
+            if (duration <= bound) histogram.buckets[index]++;
+        });
+        histogram.sum += duration;
+        histogram.count++;
+        requestDurations.set(durationKey, histogram);
+    });
+
+    next();
+}
+
+/**
+ * Formate les labels d'un échantillon
+ * @param {object} labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+/**
+ * Formate une valeur numérique
+ * @param {number} value
+ * @returns {string}
+ */
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+/**
+ * Bloc d'une famille de métriques (HELP, TYPE et échantillons)
+ * @param {string} name - Nom sans préfixe
+ * @param {string} type - gauge, counter ou histogram
+ * @param {string} help - Description
+ * @param {Array} samples - [{ labels, value, suffix }] (les échantillons à valeur nulle sont omis)
+ * @returns {string}
+ */
+function family(name, type, help, samples) {
+    const fullName = `${prefix}_${name}`;
+    const lines = [`# HELP ${fullName} ${help}`, `# TYPE ${fullName} ${type}`];
+    for (const sample of samples) {
+        if (sample.value === null || sample.value === undefined) continue;
+        lines.push(`${fullName}${sample.suffix || ''}${formatLabels(sample.labels || {})} ${formatValue(sample.value)}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Métriques des projets et de leurs services
+ * @returns {Promise<Array>} - Blocs de familles
+ */
+async function collectProjectMetrics() {
+    const series = {
+        up: [], status: [], cpu: [], memory: [], restarts: [], uptime: [], instances: [], healthy: [],
+        servicesTotal: [], sftpUsers: [], disk: []
+    };
+    const now = Date.now();
+    const projectList = projects.loadProjects();
+
+    for (const project of projectList) {
+        const projectConfig = projects.loadProjectConfig(project.name);
+        const projectServices = projectConfig.services || [];
+        series.servicesTotal.push({ labels: { project: project.name }, value: projectServices.length });
+
+        for (const service of projectServices) {
+            const labels = { project: project.name, service: service.name };
+            let status;
+            try {
+                status = await services.getServiceStatus(project.name, service.name);
+            } catch (error) {
+                logger.debug(`Statut de ${project.name}/${service.name} indisponible: ${error.message}`);
+                continue;
+            }
+
+            series.up.push({ labels, value: status.status === 'online' || status.status === 'static' ? 1 : 0 });
+            series.status.push({ labels: { ...labels, status: status.status, process_manager: status.processManager }, value: 1 });
+            if (status.status === 'static') continue;
+
+            series.cpu.push({ labels, value: status.cpu });
+            series.memory.push({ labels, value: status.memory });
+            series.restarts.push({ labels, value: status.restarts });
+            series.uptime.push({ labels, value: status.uptime ? Math.max(0, Math.round((now - status.uptime) / 1000)) : null });
+            series.instances.push({ labels, value: status.processes.filter(p => p.status === 'online').length });
+            if (status.health && status.health.status !== 'unknown') {
+                series.healthy.push({ labels, value: status.health.status === 'healthy' ? 1 : 0 });
+            }
+        }
+
+        // Utilisateur SFTP principal et comptes additionnels actifs
+        const accounts = (project.sftpAccounts || []).filter(account => !account.disabled).length;
+        series.sftpUsers.push({ labels: { project: project.name }, value: (sftp.getSftpUserInfo(project.name) ? 1 : 0) + accounts });
+
+        try {
+            series.disk.push({ labels: { project: project.name }, value: await projects.getProjectDiskUsage(project.name) });
+        } catch (error) {
+            logger.debug(`Espace disque de ${project.name} indisponible: ${error.message}`);
+        }
+    }
+
+    return [
+        family('projects', 'gauge', 'Nombre de projets', [{ value: projectList.length }]),
+        family('project_services', 'gauge', 'Nombre de services du projet', series.servicesTotal),
+        family('project_disk_usage_bytes', 'gauge', 'Espace disque occupé par le dossier du projet', series.disk),
+        family('sftp_users', 'gauge', 'Comptes SFTP actifs du projet', series.sftpUsers),
+        family('service_up', 'gauge', 'Service en ligne (1) ou non (0)', series.up),
+        family('service_status', 'gauge', 'Statut du service (1 pour le statut courant)', series.status),
+        family('service_cpu_percent', 'gauge', 'CPU utilisé par le service (somme des instances)', series.cpu),
+        family('service_memory_bytes', 'gauge', 'Mémoire utilisée par le service (somme des instances)', series.memory),
+        family('service_restarts', 'gauge', 'Redémarrages du service comptés par son gestionnaire de processus', series.restarts),
+        family('service_uptime_seconds', 'gauge', 'Durée depuis le dernier démarrage du service', series.uptime),
+        family('service_instances', 'gauge', 'Instances du service en ligne', series.instances),
+        family('service_healthy', 'gauge', 'Dernier contrôle de santé réussi (1) ou en échec (0)', series.healthy)
+    ];
+}
+
+/**
+ * Métriques des requêtes de l'API
+ * @returns {Array} - Blocs de familles
+ */
+function collectRequestMetrics() {
+    const counts = [...requestCounts].map(([key, value]) => ({ labels: JSON.parse(key), value }));
+
+    const durations = [];
+    for (const [key, histogram] of requestDurations) {
+        const labels = JSON.parse(key);
+        PROMETHEUS_CONFIG.durationBuckets.forEach((bound, index) => {
+            durations.push({ suffix: '_bucket', labels: { ...labels, le: bound }, value: histogram.buckets[index] });
+        });
+        durations.push({ suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: histogram.count });
+        durations.push({ suffix: '_sum', labels, value: histogram.sum });
+        durations.push({ suffix: '_count', labels, value: histogram.count });
+    }
+
+    return [
+        family('http_requests_total', 'counter', 'Requêtes de l\'API Web', counts),
+        family('http_request_duration_seconds', 'histogram', 'Durée des requêtes de l\'API Web', durations)
+    ];
+}
+
+/**
+ * Toutes les métriques au format d'exposition texte de Prometheus
+ * @returns {Promise<string>}
+ */
+export async function renderMetrics() {
+    const startedAt = Date.now();
+    const blocks = await collectProjectMetrics();
+
+    const registry = databases.loadDatabases();
+    blocks.push(family('databases', 'gauge', 'Bases de données enregistrées, par type', [
+        { labels: { type: 'mysql' }, value: registry.mysql?.length || 0 },
+        { labels: { type: 'mongodb' }, value: registry.mongodb?.length || 0 }
+    ]));
+
+    blocks.push(...collectRequestMetrics());
+    blocks.push(family('scrape_duration_seconds', 'gauge', 'Durée de la collecte', [{ value: (Date.now() - startedAt) / 1000 }]));
+
+    return `${blocks.join('\n')}\n`;
+}
+
+export default {
+    getScrapeToken,
+    regenerateScrapeToken,
+    requireScrapeToken,
+    trackRequests,
+    renderMetrics
+};
@@ -0,0 +1,182 @@
+/**
+ * Module de gestion des utilisateurs d'exécution des projets :
+ * les services d'un projet tournent sous un utilisateur Linux dédié (sans shell),
+ * avec son propre démon PM2, plutôt que sous root.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+    BASE_PATH,
+    PROJECT_STRUCTURE,
+    PM2_CONFIG,
+    RUNTIME_CONFIG,
+    SFTP_USER_PREFIX,
+    SFTP_GROUP
+} from '../config/constants.js';
+import shell from '../utils/shell.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Nom de l'utilisateur d'exécution d'un projet
+ * @param {string} projectName - Nom du projet
+ * @returns {string}
+ */
+export function getRuntimeUsername(projectName) {
+    return `${RUNTIME_CONFIG.userPrefix}${projectName}`;
+}
+
+/**
+ * Dossier personnel de l'utilisateur d'exécution (contient son PM2_HOME)
+ * @param {string} projectName - Nom du projet
+ * @returns {string}
+ */
+export function getRuntimeHome(projectName) {
+    return path.join(RUNTIME_CONFIG.homeBase, projectName);
+}
+
+/**
+ * Dossier des logs PM2 des services d'un projet (accessible en écriture par l'utilisateur d'exécution)
+ * @param {string} projectName - Nom du projet
+ * @returns {string}
+ */
+export function getLogDir(projectName) {
+    return path.join(PM2_CONFIG.logPath, projectName);
+}
+
+/**
+ * Contexte d'exécution d'un projet, utilisé pour piloter son démon PM2
+ * @param {string} projectName - Nom du projet
+ * @returns {object|null} - { user, uid, gid, home, pm2Home }, null si l'utilisateur n'existe pas
+ *                          (projet antérieur, dont les services tournent encore sous root)
+ */
+export function getRuntime(projectName) {
+    const user = getRuntimeUsername(projectName);
+    if (!shell.userExists(user)) {
+        return null;
+    }
+
+    const home = getRuntimeHome(projectName);
+    return {
+        user,
+        uid: parseInt(shell.execSyncSafe(`id -u ${user}`)),
+        gid: parseInt(shell.execSyncSafe(`id -g ${user}`)),
+        home,
+        pm2Home: path.join(home, '.pm2')
+    };
+}
+
+/**
+ * Crée (si besoin) l'utilisateur d'exécution d'un projet, son dossier personnel,
+ * son dossier de logs et le démarrage de son démon PM2 au boot
+ * @param {string} projectName - Nom du projet
+ * @returns {Promise<object>} - Contexte d'exécution (voir getRuntime)
+ */
+export async function ensureRuntimeUser(projectName) {
+    const user = getRuntimeUsername(projectName);
+    const home = getRuntimeHome(projectName);
+    const created = !shell.userExists(user);
+
+    if (created) {
+        logger.info(`Création de l'utilisateur d'exécution ${user}...`);
+        await shell.execCommand(`useradd -r -U -M -d ${home} -s /usr/sbin/nologin ${user}`);
+    }
+
+    fs.mkdirSync(path.join(home, '.pm2'), { recursive: true });
+    fs.chmodSync(home, 0o750);
+    await shell.execCommand(`chown -R ${user}:${user} "${home}"`);
+
+    const logDir = getLogDir(projectName);
+    fs.mkdirSync(logDir, { recursive: true });
+    await shell.execCommand(`chown ${user}:${user} "${logDir}"`);
+
+    if (created) {
+        try {
+            await reconcileOwnership(projectName);
+        } catch (error) {
+            logger.warn(`Permissions de sites/ non ajustées (${error.message}) : les services n'y auront qu'un accès en lecture`);
+        }
+
+        // Relancer le démon PM2 de l'utilisateur au démarrage du serveur (unité pm2-<utilisateur>)
+        try {
+            await shell.pm2Command(`startup systemd -u ${user} --hp ${home}`);
+        } catch (error) {
+            logger.warn(`Démarrage automatique de PM2 non configuré pour ${user}: ${error.message}`);
+        }
+
+        logger.success(`Utilisateur d'exécution ${user} créé`);
+    }
+
+    return getRuntime(projectName);
+}
+
+/**
+ * Ajuste les droits du dossier sites/ : l'utilisateur d'exécution y a accès en écriture
+ * (ACL POSIX), et les fichiers créés par l'un restent modifiables par l'autre (ACL par défaut).
+ * Les fichiers laissés à root (commandes de setup lancées avant l'isolation) sont rendus à l'utilisateur SFTP.
+ * @param {string} projectName - Nom du projet
+ * @returns {Promise<void>}
+ */
+export async function reconcileOwnership(projectName) {
+    const user = getRuntimeUsername(projectName);
+    const sftpUser = `${SFTP_USER_PREFIX}${projectName}`;
+    const sitesPath = path.join(BASE_PATH, projectName, PROJECT_STRUCTURE.sites);
+
+    if (!fs.existsSync(sitesPath)) {
+        throw new Error(`Le dossier ${sitesPath} n'existe pas`);
+    }
+    if (!shell.commandExists('setfacl')) {
+        throw new Error('La commande setfacl est requise (apt install acl)');
+    }
+
+    if (shell.userExists(sftpUser)) {
+        await shell.execCommand(`find "${sitesPath}" -user root -exec chown -h ${sftpUser}:${SFTP_GROUP} {} +`);
+    }
+
+    const entries = [`u:${user}:rwX`, `d:u:${user}:rwX`];
+    if (shell.userExists(sftpUser)) {
+        entries.push(`d:u:${sftpUser}:rwX`);
+    }
+    await shell.execCommand(`setfacl -R -m ${entries.join(',')} "${sitesPath}"`);
+
+    logger.success(`Permissions de ${sitesPath} ajustées pour ${user}`);
+}
+
+/**
+ * Supprime l'utilisateur d'exécution d'un projet, son démon PM2 et son dossier personnel
+ * @param {string} projectName - Nom du projet
+ * @returns {Promise<void>}
+ */
+export async function deleteRuntimeUser(projectName) {
+    const runtime = getRuntime(projectName);
+    if (!runtime) {
+        return;
+    }
+
+    try {
+        await shell.pm2Command('kill', null, runtime);
+    } catch {
+        // Ignorer si le démon n'est pas lancé
+    }
+
+    try {
+        await shell.pm2Command(`unstartup systemd -u ${runtime.user} --hp ${runtime.home}`);
+    } catch {
+        // Ignorer si le démarrage automatique n'était pas configuré
+    }
+
+    await shell.execCommand(`userdel ${runtime.user}`);
+    fs.rmSync(runtime.home, { recursive: true, force: true });
+
+    logger.success(`Utilisateur d'exécution ${runtime.user} supprimé`);
+}
+
+export default {
+    getRuntimeUsername,
+    getRuntimeHome,
+    getLogDir,
+    getRuntime,
+    ensureRuntimeUser,
+    reconcileOwnership,
+    deleteRuntimeUser
+};
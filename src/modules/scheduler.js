@@ -0,0 +1,214 @@
+/**
+ * Module des tâches planifiées des projets : configuration (project.json), état des tâches
+ * (dernière et prochaine exécution) et sélection des tâches arrivées à échéance
+ */
+
+import projects from './projects.js';
+import tasks from './tasks.js';
+import cron from './cron.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Résumé d'une exécution, sans sa sortie
+ * @param {object} run - Exécution
+ * @returns {object}
+ */
+function summarizeRun(run) {
+    const { output, ...summary } = run;
+    return summary;
+}
+
+/**
+ * Ajoute à une tâche son état : exécution en cours, dernière exécution et prochaine échéance
+ * @param {string} projectName - Nom du projet
+ * @param {object} task - Tâche
+ * @returns {object}
+ */
+function withState(projectName, task) {
+    const [lastRun] = tasks.getTaskHistory(projectName, task.name);
+    const nextRun = task.enabled ? cron.getNextRun(task.schedule) : null;
+
+    return {
+        ...task,
+        running: tasks.getRunningRun(projectName, task.name),
+        lastRun: lastRun ? summarizeRun(lastRun) : null,
+        nextRun: nextRun ? nextRun.toISOString() : null
+    };
+}
+
+/**
+ * Liste les tâches planifiées d'un projet avec leur état
+ * @param {string} projectName - Nom du projet
+ * @returns {Array}
+ */
+export function listTasks(projectName) {
+    const projectConfig = projects.loadProjectConfig(projectName);
+    return (projectConfig.tasks || []).map(task => withState(projectName, task));
+}
+
+/**
+ * Récupère une tâche planifiée avec son état
+ * @param {string} projectName - Nom du projet
+ * @param {string} taskName - Nom de la tâche
+ * @returns {object|null}
+ */
+export function getTask(projectName, taskName) {
+    const projectConfig = projects.loadProjectConfig(projectName);
+    const task = (projectConfig.tasks || []).find(t => t.name === taskName);
+    return task ? withState(projectName, task) : null;
+}
+
+/**
+ * Ajoute une tâche planifiée à un projet
+ * @param {string} projectName - Nom du projet
+ * @param {object} taskConfig - { name, schedule, command, directory, timeout, env, enabled, description }
+ * @returns {object} - Tâche créée
+ */
+export function addTask(projectName, taskConfig) {
+    const task = tasks.normalizeTask(taskConfig);
+    const projectConfig = projects.loadProjectConfig(projectName);
+    projectConfig.tasks = projectConfig.tasks || [];
+
+    if (projectConfig.tasks.some(t => t.name === task.name)) {
+        throw new Error(`La tâche ${task.name} existe déjà dans ce projet`);
+    }
+
+    task.createdAt = new Date().toISOString();
+    projectConfig.tasks.push(task);
+    projects.saveProjectConfig(projectName, projectConfig);
+
+    logger.success(`Tâche ${task.name} ajoutée au projet ${projectName}`);
+    return task;
+}
+
+/**
+ * Met à jour une tâche planifiée (son nom ne change pas)
+ * @param {string} projectName - Nom du projet
+ * @param {string} taskName - Nom de la tâche
+ * @param {object} updates - { schedule, command, directory, timeout, env, enabled, description }
+ * @returns {object} - Tâche mise à jour
+ */
+export function updateTask(projectName, taskName, updates) {
+    const projectConfig = projects.loadProjectConfig(projectName);
+    const index = (projectConfig.tasks || []).findIndex(t => t.name === taskName);
+
+    if (index === -1) {
+        throw new Error(`La tâche ${taskName} n'existe pas dans ce projet`);
+    }
+
+    const current = projectConfig.tasks[index];
+    const merged = { ...current };
+    for (const key of ['schedule', 'command', 'directory', 'timeout', 'env', 'enabled', 'description']) {
+        if (updates[key] !== undefined) {
+            merged[key] = updates[key];
+        }
+    }
+
+    const task = {
+        ...tasks.normalizeTask({ ...merged, name: taskName }),
+        createdAt: current.createdAt,
+        updatedAt: new Date().toISOString()
+    };
+    projectConfig.tasks[index] = task;
+    projects.saveProjectConfig(projectName, projectConfig);
+
+    logger.success(`Tâche ${taskName} mise à jour`);
+    return task;
+}
+
+/**
+ * Supprime une tâche planifiée et son historique (une exécution en cours va à son terme)
+ * @param {string} projectName - Nom du projet
+ * @param {string} taskName - Nom de la tâche
+ */
+export function removeTask(projectName, taskName) {
+    const projectConfig = projects.loadProjectConfig(projectName);
+    const index = (projectConfig.tasks || []).findIndex(t => t.name === taskName);
+
+    if (index === -1) {
+        throw new Error(`La tâche ${taskName} n'existe pas dans ce projet`);
+    }
+
+    projectConfig.tasks.splice(index, 1);
+    projects.saveProjectConfig(projectName, projectConfig);
+    tasks.removeTaskHistory(projectName, taskName);
+
+    logger.success(`Tâche ${taskName} supprimée du projet ${projectName}`);
+}
+
+/**
+ * Exécute une tâche planifiée immédiatement
+ * @param {string} projectName - Nom du projet
+ * @param {string} taskName - Nom de la tâche
+ * @param {object} options - { trigger, triggeredBy, onOutput } (voir tasks.runTask)
+ * @returns {Promise<object>} - Exécution
+ */
+export async function runTask(projectName, taskName, options = {}) {
+    const projectConfig = projects.loadProjectConfig(projectName);
+    const task = (projectConfig.tasks || []).find(t => t.name === taskName);
+
+    if (!task) {
+        throw new Error(`La tâche ${taskName} n'existe pas dans ce projet`);
+    }
+
+    return tasks.runTask(projectName, task, options);
+}
+
+/**
+ * Historique des exécutions d'une tâche, sans leur sortie
+ * @param {string} projectName - Nom du projet
+ * @param {string} taskName - Nom de la tâche
+ * @returns {Array}
+ */
+export function getTaskRuns(projectName, taskName) {
+    return tasks.getTaskHistory(projectName, taskName).map(summarizeRun);
+}
+
+/**
+ * Exécution d'une tâche, avec sa sortie
+ * @param {string} projectName - Nom du projet
+ * @param {string} taskName - Nom de la tâche
+ * @param {string} runId - Identifiant de l'exécution
+ * @returns {object|null}
+ */
+export function getTaskRun(projectName, taskName, runId) {
+    return tasks.getTaskHistory(projectName, taskName).find(run => run.id === runId) || null;
+}
+
+/**
+ * Tâches actives de tous les projets dont l'expression correspond à une minute donnée.
+ * Une tâche encore en cours d'exécution est écartée : les exécutions ne se chevauchent pas.
+ * @param {Date} date - Minute évaluée
+ * @returns {Array} - [{ project, task }]
+ */
+export function getDueTasks(date = new Date()) {
+    const due = [];
+
+    for (const project of projects.loadProjects()) {
+        for (const task of projects.loadProjectConfig(project.name).tasks || []) {
+            if (!task.enabled) continue;
+
+            try {
+                if (cron.matchesCron(task.schedule, date) && !tasks.getRunningRun(project.name, task.name)) {
+                    due.push({ project: project.name, task });
+                }
+            } catch (error) {
+                logger.warn(`Tâche ${project.name}/${task.name}: ${error.message}`);
+            }
+        }
+    }
+
+    return due;
+}
+
+export default {
+    listTasks,
+    getTask,
+    addTask,
+    updateTask,
+    removeTask,
+    runTask,
+    getTaskRuns,
+    getTaskRun,
+    getDueTasks
+};
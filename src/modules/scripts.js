@@ -6,8 +6,133 @@ import fs from 'fs';
 import path from 'path';
 import { BASE_PATH, PROJECT_STRUCTURE, SCRIPTS } from '../config/constants.js';
 import projects from './projects.js';
+import ecosystem from './ecosystem.js';
+import runtime from './runtime.js';
+import systemd from './systemd.js';
+import dependencies from './dependencies.js';
 import logger from '../utils/logger.js';
 
+/**
+ * Génère la fonction shell pm2_run, qui pilote le démon PM2 de l'utilisateur d'exécution du projet
+ * @param {string} projectName - Nom du projet
+ * @returns {string}
+ */
+function generatePm2Helper(projectName) {
+    const home = runtime.getRuntimeHome(projectName);
+
+    return `# Les services tournent sous l'utilisateur d'exécution du projet, avec son propre démon PM2
+RUNTIME_USER="${runtime.getRuntimeUsername(projectName)}"
+RUNTIME_HOME="${home}"
+
+pm2_run() {
+    if ! id "$RUNTIME_USER" &> /dev/null; then
+        # Projet antérieur à l'isolation : démon PM2 de root
+        pm2 "$@"
+    elif [ "$(id -un)" = "$RUNTIME_USER" ]; then
+        HOME="$RUNTIME_HOME" PM2_HOME="$RUNTIME_HOME/.pm2" pm2 "$@"
+    elif [ "$(id -u)" -eq 0 ]; then
+        runuser -u "$RUNTIME_USER" -- env HOME="$RUNTIME_HOME" PM2_HOME="$RUNTIME_HOME/.pm2" pm2 "$@"
+    else
+        echo "ERREUR: exécutez ce script en root ou en tant que $RUNTIME_USER"
+        exit 1
+    fi
+}
+`;
+}
+
+/**
+ * Génère les commandes systemctl d'un service géré par systemd
+ * (son unité est écrite par le gestionnaire au premier démarrage)
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @param {string} commands - Commandes à exécuter ($UNIT : nom de l'unité)
+ * @returns {string}
+ */
+function generateSystemdCommands(projectName, service, commands) {
+    const { unit } = systemd.getUnitPaths(projectName, service);
+
+    let script = `UNIT="${systemd.getUnitName(projectName, service)}"\n`;
+    script += `if [ -f "${unit}" ]; then\n`;
+    script += commands.split('\n').map(line => `    ${line}\n`).join('');
+    script += `else\n`;
+    script += `    echo "  (unité absente : démarrez le service une première fois depuis le gestionnaire)"\n`;
+    script += `fi\n`;
+    return script;
+}
+
+/**
+ * Protège une valeur pour le shell (entre apostrophes)
+ * @param {string} value
+ * @returns {string}
+ */
+function shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Génère les fonctions shell d'attente de disponibilité des services (sondes HTTP, TCP ou commande)
+ * @returns {string}
+ */
+function generateReadinessHelper() {
+    return `# Sondes de disponibilité : un service n'est démarré qu'une fois ses dépendances disponibles
+probe_http() {
+    [ "$(curl -s -o /dev/null -m 5 -w '%{http_code}' "http://127.0.0.1:$1$2")" = "$3" ]
+}
+
+probe_tcp() {
+    timeout 5 bash -c "exec 3<> /dev/tcp/127.0.0.1/$1" 2> /dev/null
+}
+
+probe_command() {
+    if id "$RUNTIME_USER" &> /dev/null && [ "$(id -u)" -eq 0 ]; then
+        (cd "$1" && timeout 5 runuser -u "$RUNTIME_USER" -- bash -c "$2")
+    else
+        (cd "$1" && timeout 5 bash -c "$2")
+    fi
+}
+
+# wait_ready <service> <attente maximale> <intervalle> <sonde...>
+wait_ready() {
+    local name="$1" max_wait="$2" interval="$3" elapsed=0
+    shift 3
+    echo "  → Attente de la disponibilité de $name ($max_wait s au plus)..."
+    until "$@" &> /dev/null; do
+        if [ "$elapsed" -ge "$max_wait" ]; then
+            echo "  ✗ $name non disponible après $max_wait s : services suivants non démarrés"
+            exit 1
+        fi
+        sleep "$interval"
+        elapsed=$((elapsed + interval))
+    done
+    echo "  ✔ $name disponible"
+}
+`;
+}
+
+/**
+ * Génère l'attente de disponibilité d'un service (rien sans sonde)
+ * @param {object} service - Service
+ * @returns {string}
+ */
+function generateReadinessWait(service) {
+    const { readiness } = service;
+    if (!readiness) {
+        return '';
+    }
+
+    let probe;
+    if (readiness.type === 'command') {
+        probe = `probe_command ${shellQuote(service.directory)} ${shellQuote(readiness.command)}`;
+    } else {
+        const port = readiness.port || service.vhost?.port;
+        probe = readiness.type === 'http'
+            ? `probe_http ${port} ${shellQuote(readiness.path)} ${readiness.expectedStatus}`
+            : `probe_tcp ${port}`;
+    }
+
+    return `wait_ready "${service.name}" ${readiness.timeout} ${readiness.interval} ${probe}\n`;
+}
+
 /**
  * Génère le contenu du script start.sh
  * @param {string} projectName - Nom du projet
@@ -36,14 +161,21 @@ if ! command -v pm2 &> /dev/null; then
     exit 1
 fi
 
-`;
+# Définition des processus (ecosystem PM2 généré par le gestionnaire).
+# Les variables secrètes n'y figurent pas : un processus déjà connu de PM2 conserve les siennes,
+# passez par le gestionnaire pour appliquer une modification de variables.
+ECOSYSTEM="${ecosystem.getEcosystemPath(projectName)}"
+
+${generatePm2Helper(projectName)}
+${services.some(s => s.readiness) ? `\n${generateReadinessHelper()}\n` : ''}`;
 
     if (services.length === 0) {
         script += `echo "Aucun service configuré pour ce projet"\n`;
         script += `exit 0\n`;
     } else {
-        for (const service of services) {
-            const pm2Name = `${projectName}-${service.name}`;
+        // Chaque service après ceux dont il dépend
+        for (const service of dependencies.sortServices(services)) {
+            const pm2Name = ecosystem.getPm2Name(projectName, service);
             script += `# Service: ${service.name}\n`;
             script += `echo "Démarrage de ${service.name}..."\n`;
             script += `cd "${service.directory}"\n`;
@@ -56,19 +188,23 @@ fi
                 script += `echo ""\n`;
             }
             
-            script += `pm2 start "${service.command}" --name "${pm2Name}" --cwd "${service.directory}" 2>/dev/null || pm2 restart "${pm2Name}"\n`;
+            if (service.processManager === 'systemd') {
+                script += generateSystemdCommands(projectName, service, 'systemctl enable "$UNIT"\nsystemctl restart "$UNIT"');
+            } else {
+                script += `pm2_run startOrRestart "$ECOSYSTEM" --only "${pm2Name}"\n`;
+            }
             script += `echo "  ✔ ${service.name} démarré"\n`;
+            script += generateReadinessWait(service);
             script += `echo ""\n\n`;
         }
 
         script += `# Sauvegarder la configuration PM2\n`;
-        script += `pm2 save\n\n`;
+        script += `pm2_run save\n\n`;
         script += `echo "=========================================="
 echo "  Tous les services ont été démarrés"
 echo "=========================================="
 echo ""
-echo "Utilisez 'pm2 status' pour voir l'état des services"
-echo "Utilisez 'pm2 logs' pour voir les logs"
+echo "Utilisez './scripts/status.sh' pour voir l'état des services"
 `;
     }
 
@@ -102,23 +238,31 @@ if ! command -v pm2 &> /dev/null; then
     exit 1
 fi
 
+ECOSYSTEM="${ecosystem.getEcosystemPath(projectName)}"
+
+${generatePm2Helper(projectName)}
 `;
 
     if (services.length === 0) {
         script += `echo "Aucun service configuré pour ce projet"\n`;
         script += `exit 0\n`;
     } else {
-        for (const service of services) {
-            const pm2Name = `${projectName}-${service.name}`;
+        // Ordre inverse du démarrage : un service avant ceux dont il dépend
+        for (const service of dependencies.sortServices(services).reverse()) {
+            const pm2Name = ecosystem.getPm2Name(projectName, service);
             script += `# Service: ${service.name}\n`;
             script += `echo "Arrêt de ${service.name}..."\n`;
-            script += `pm2 stop "${pm2Name}" 2>/dev/null || echo "  (non actif)"\n`;
+            if (service.processManager === 'systemd') {
+                script += generateSystemdCommands(projectName, service, 'systemctl disable --now "$UNIT" 2>/dev/null || echo "  (non actif)"');
+            } else {
+                script += `pm2_run stop "$ECOSYSTEM" --only "${pm2Name}" 2>/dev/null || echo "  (non actif)"\n`;
+            }
             script += `echo "  ✔ ${service.name} arrêté"\n`;
             script += `echo ""\n\n`;
         }
 
         script += `# Sauvegarder la configuration PM2\n`;
-        script += `pm2 save\n\n`;
+        script += `pm2_run save\n\n`;
         script += `echo "=========================================="
 echo "  Tous les services ont été arrêtés"
 echo "=========================================="
@@ -155,23 +299,33 @@ if ! command -v pm2 &> /dev/null; then
     exit 1
 fi
 
-`;
+ECOSYSTEM="${ecosystem.getEcosystemPath(projectName)}"
+
+${generatePm2Helper(projectName)}
+${services.some(s => s.readiness) ? `\n${generateReadinessHelper()}\n` : ''}`;
 
     if (services.length === 0) {
         script += `echo "Aucun service configuré pour ce projet"\n`;
         script += `exit 0\n`;
     } else {
-        for (const service of services) {
-            const pm2Name = `${projectName}-${service.name}`;
+        for (const service of dependencies.sortServices(services)) {
+            const pm2Name = ecosystem.getPm2Name(projectName, service);
             script += `# Service: ${service.name}\n`;
+            // Mode cluster : rechargement des instances une à une, sans interruption
+            const action = ecosystem.isClustered(service) ? 'startOrReload' : 'startOrRestart';
             script += `echo "Redémarrage de ${service.name}..."\n`;
-            script += `pm2 restart "${pm2Name}" 2>/dev/null || echo "  (démarrage initial...)"\n`;
+            if (service.processManager === 'systemd') {
+                script += generateSystemdCommands(projectName, service, 'systemctl restart "$UNIT"');
+            } else {
+                script += `pm2_run ${action} "$ECOSYSTEM" --only "${pm2Name}"\n`;
+            }
             script += `echo "  ✔ ${service.name} redémarré"\n`;
+            script += generateReadinessWait(service);
             script += `echo ""\n\n`;
         }
 
         script += `# Sauvegarder la configuration PM2\n`;
-        script += `pm2 save\n\n`;
+        script += `pm2_run save\n\n`;
         script += `echo "=========================================="
 echo "  Tous les services ont été redémarrés"
 echo "=========================================="
@@ -234,6 +388,15 @@ fix_permissions() {
         for (const service of services) {
             script += `# Service: ${service.name}\n`;
             script += `echo "Déploiement de ${service.name}..."\n`;
+
+            // Les services déployés depuis git ont leurs propres releases (menu ou API)
+            if (service.git) {
+                script += `echo "  → Déployé depuis git (${service.git.repository}, branche ${service.git.branch})"\n`;
+                script += `echo "  Utilisez le menu ou POST /api/projects/${projectName}/services/${service.name}/deploy"\n`;
+                script += `echo ""\n\n`;
+                continue;
+            }
+
             script += `cd "${service.directory}"\n\n`;
             
             script += `# Vérifier et corriger les permissions si nécessaire\n`;
@@ -299,13 +462,23 @@ if ! command -v pm2 &> /dev/null; then
     exit 1
 fi
 
+${generatePm2Helper(projectName)}
 `;
 
     if (services.length === 0) {
         script += `echo "Aucun service configuré pour ce projet"\n`;
     } else {
-        script += `# Afficher le statut de tous les services du projet\n`;
-        script += `pm2 list | grep -E "(${services.map(s => `${projectName}-${s.name}`).join('|')}|Name|─)" || echo "Aucun service actif"\n`;
+        const pm2Services = services.filter(s => s.processManager !== 'systemd');
+        const systemdServices = services.filter(s => s.processManager === 'systemd');
+
+        if (pm2Services.length > 0) {
+            script += `# Afficher le statut de tous les services PM2 du projet\n`;
+            script += `pm2_run list | grep -E "(${pm2Services.map(s => ecosystem.getPm2Name(projectName, s)).join('|')}|Name|─)" || echo "Aucun service actif"\n`;
+        }
+        if (systemdServices.length > 0) {
+            script += `# Services gérés par systemd\n`;
+            script += `systemctl --no-pager --lines=0 status ${systemdServices.map(s => systemd.getUnitName(projectName, s)).join(' ')}\n`;
+        }
     }
 
     return script;
@@ -319,6 +492,8 @@ fi
 export function generateScripts(projectName) {
     const projectConfig = projects.loadProjectConfig(projectName);
     const services = projectConfig.services || [];
+    // Les sites statiques sont servis par nginx : pas de processus PM2
+    const processServices = services.filter(s => !s.vhost?.static);
     const scriptsPath = path.join(BASE_PATH, projectName, PROJECT_STRUCTURE.scripts);
 
     // S'assurer que le dossier scripts existe
@@ -326,30 +501,33 @@ export function generateScripts(projectName) {
         fs.mkdirSync(scriptsPath, { recursive: true });
     }
 
+    // Générer ecosystem.config.cjs (définition des processus utilisée par les scripts)
+    ecosystem.writeEcosystem(projectName);
+
     // Générer start.sh
     const startScriptPath = path.join(scriptsPath, SCRIPTS.start);
-    const startContent = generateStartScript(projectName, services);
+    const startContent = generateStartScript(projectName, processServices);
     fs.writeFileSync(startScriptPath, startContent);
     fs.chmodSync(startScriptPath, '755');
     logger.debug(`Script créé: ${startScriptPath}`);
 
     // Générer stop.sh
     const stopScriptPath = path.join(scriptsPath, SCRIPTS.stop);
-    const stopContent = generateStopScript(projectName, services);
+    const stopContent = generateStopScript(projectName, processServices);
     fs.writeFileSync(stopScriptPath, stopContent);
     fs.chmodSync(stopScriptPath, '755');
     logger.debug(`Script créé: ${stopScriptPath}`);
 
     // Générer restart.sh
     const restartScriptPath = path.join(scriptsPath, 'restart.sh');
-    const restartContent = generateRestartScript(projectName, services);
+    const restartContent = generateRestartScript(projectName, processServices);
     fs.writeFileSync(restartScriptPath, restartContent);
     fs.chmodSync(restartScriptPath, '755');
     logger.debug(`Script créé: ${restartScriptPath}`);
 
     // Générer status.sh
     const statusScriptPath = path.join(scriptsPath, 'status.sh');
-    const statusContent = generateStatusScript(projectName, services);
+    const statusContent = generateStatusScript(projectName, processServices);
     fs.writeFileSync(statusScriptPath, statusContent);
     fs.chmodSync(statusScriptPath, '755');
     logger.debug(`Script créé: ${statusScriptPath}`);
@@ -396,7 +574,8 @@ export function getScriptsPaths(projectName) {
         stop: path.join(scriptsPath, SCRIPTS.stop),
         restart: path.join(scriptsPath, 'restart.sh'),
         status: path.join(scriptsPath, 'status.sh'),
-        deploy: path.join(scriptsPath, 'deploy.sh')
+        deploy: path.join(scriptsPath, 'deploy.sh'),
+        ecosystem: ecosystem.getEcosystemPath(projectName)
     };
 }
 
@@ -4,11 +4,92 @@
 
 import fs from 'fs';
 import path from 'path';
-import { BASE_PATH, PROJECT_STRUCTURE } from '../config/constants.js';
+import { BASE_PATH, PROJECT_STRUCTURE, SFTP_USER_PREFIX, SFTP_GROUP } from '../config/constants.js';
 import projects from './projects.js';
+import nginx from './nginx.js';
+import certificates from './certificates.js';
+import environment from './environment.js';
+import ecosystem from './ecosystem.js';
+import runtime from './runtime.js';
+import pm2 from './pm2.js';
+import systemd from './systemd.js';
+import health from './health.js';
+import dependencies from './dependencies.js';
+import cron from './cron.js';
+import logstream from './logstream.js';
+import metrics from './metrics.js';
+import deploy from './deploy.js';
+import webhooks from './webhooks.js';
 import shell from '../utils/shell.js';
 import logger from '../utils/logger.js';
 
+/**
+ * Gestionnaires de processus disponibles. Chacun expose la même interface :
+ * start(projet, service, env), stop(projet, service), restart(projet, service, env),
+ * remove(projet, service), getProcesses(projet, service), getLogs(projet, service, lignes)
+ * et flushLogs(projet, service).
+ */
+const PROCESS_MANAGERS = { pm2, systemd };
+
+/**
+ * Gestionnaire de processus d'un service (PM2 par défaut)
+ * @param {object} service - Service
+ * @returns {object}
+ */
+export function getProcessManager(service) {
+    return PROCESS_MANAGERS[service.processManager || 'pm2'];
+}
+
+/**
+ * Valide un gestionnaire de processus
+ * @param {string} value - pm2 ou systemd
+ * @returns {string}
+ */
+function normalizeProcessManager(value) {
+    const normalized = String(value || 'pm2').trim().toLowerCase();
+    if (!PROCESS_MANAGERS[normalized]) {
+        throw new Error(`Gestionnaire de processus invalide: ${value} (${Object.keys(PROCESS_MANAGERS).join(', ')})`);
+    }
+    return normalized;
+}
+
+/**
+ * Valide un redémarrage planifié (cron_restart de PM2)
+ * @param {string} value - Expression cron (ex: 0 4 * * *)
+ * @param {string} processManager - Gestionnaire de processus du service
+ * @returns {string|null} - Expression normalisée, null si vide
+ */
+function normalizeCronRestart(value, processManager) {
+    if (!value || !String(value).trim()) {
+        return null;
+    }
+    if (processManager !== 'pm2') {
+        throw new Error('Le redémarrage planifié n\'est disponible qu\'avec PM2');
+    }
+    return cron.normalizeCron(value);
+}
+
+/**
+ * Valide le dossier d'un service et le résout dans le dossier sites/ du projet
+ * @param {string} projectName - Nom du projet
+ * @param {string} directory - Dossier relatif à sites/ ou absolu
+ * @returns {string} - Chemin absolu
+ */
+function resolveServiceDirectory(projectName, directory) {
+    const value = String(directory ?? '').trim();
+    // Le chemin est repris dans les unités systemd et les scripts : pas de retour à la ligne
+    if (!value || /[\x00-\x1f\x7f]/.test(value)) {
+        throw new Error(`Dossier du service invalide: ${JSON.stringify(directory)}`);
+    }
+
+    const sitesPath = path.join(BASE_PATH, projectName, PROJECT_STRUCTURE.sites);
+    const servicePath = path.resolve(sitesPath, value);
+    if (servicePath !== sitesPath && !servicePath.startsWith(sitesPath + path.sep)) {
+        throw new Error(`Le dossier du service doit se trouver dans ${sitesPath}`);
+    }
+    return servicePath;
+}
+
 /**
  * Ajoute un service à un projet
  * @param {string} projectName - Nom du projet
@@ -16,13 +97,20 @@ import logger from '../utils/logger.js';
  * @returns {object} - Service créé
  */
 export function addService(projectName, serviceConfig) {
-    const { name, directory, command, description, setupCommands, technology } = serviceConfig;
+    const { name, directory, command, description, setupCommands, technology, maxMemoryRestart, processManager, dependsOn, readiness, cronRestart } = serviceConfig;
 
     // Valider le nom du service
     if (!/^[a-zA-Z][a-zA-Z0-9_-]*$/.test(name)) {
         throw new Error('Le nom du service doit commencer par une lettre et ne contenir que des lettres, chiffres, tirets et underscores');
     }
 
+    const maxMemory = ecosystem.normalizeMaxMemory(maxMemoryRestart);
+    const manager = normalizeProcessManager(processManager);
+    const requiredServices = dependencies.normalizeDependsOn(dependsOn, name);
+    // Le virtual host n'est configuré qu'après l'ajout : une sonde réseau doit indiquer son port
+    const readinessProbe = readiness ? health.normalizeReadinessProbe(readiness, {}) : null;
+    const restartSchedule = normalizeCronRestart(cronRestart, manager);
+
     // Charger la configuration du projet
     const projectConfig = projects.loadProjectConfig(projectName);
 
@@ -31,10 +119,10 @@ export function addService(projectName, serviceConfig) {
         throw new Error(`Le service ${name} existe déjà dans ce projet`);
     }
 
+    dependencies.assertDependencies([...projectConfig.services, { name, dependsOn: requiredServices }]);
+
     // Construire le chemin complet du service
-    const servicePath = directory.startsWith('/')
-        ? directory
-        : path.join(BASE_PATH, projectName, PROJECT_STRUCTURE.sites, directory);
+    const servicePath = resolveServiceDirectory(projectName, directory);
 
     // Vérifier si le dossier du service existe
     if (!fs.existsSync(servicePath)) {
@@ -52,6 +140,11 @@ export function addService(projectName, serviceConfig) {
         command: command || 'npm start',
         description: description || '',
         pm2Name: `${projectName}-${name}`,
+        ...(maxMemory && { maxMemoryRestart: maxMemory }),
+        ...(manager !== 'pm2' && { processManager: manager }),
+        ...(requiredServices.length > 0 && { dependsOn: requiredServices }),
+        ...(readinessProbe && { readiness: readinessProbe }),
+        ...(restartSchedule && { cronRestart: restartSchedule }),
         createdAt: new Date().toISOString()
     };
 
@@ -79,6 +172,11 @@ export async function removeService(projectName, serviceName) {
 
     const service = projectConfig.services[serviceIndex];
 
+    const dependents = dependencies.getDependents(projectConfig.services, serviceName);
+    if (dependents.length > 0) {
+        throw new Error(`Le service ${serviceName} est requis par: ${dependents.join(', ')} (retirez d'abord ces dépendances)`);
+    }
+
     // Arrêter le service s'il est en cours
     try {
         await stopService(projectName, serviceName);
@@ -86,16 +184,27 @@ export async function removeService(projectName, serviceName) {
         // Ignorer si le service n'est pas en cours
     }
 
-    // Supprimer de PM2
+    // Supprimer du gestionnaire de processus
     try {
-        await shell.pm2Command(`delete ${service.pm2Name}`);
+        await getProcessManager(service).remove(projectName, service);
     } catch {
         // Ignorer si le processus n'existe pas
     }
 
     // Retirer de la configuration
     projectConfig.services.splice(serviceIndex, 1);
+
+    // Retirer son virtual host nginx
+    if (service.vhost) {
+        await nginx.applyProjectVhosts(projectName, projectConfig.services);
+    }
+
     projects.saveProjectConfig(projectName, projectConfig);
+    environment.removeEnvironment(projectName, serviceName);
+    health.removeHealth(projectName, serviceName);
+    metrics.removeMetrics(projectName, serviceName);
+    deploy.removeDeployHistory(projectName, serviceName);
+    webhooks.removeWebhooks(projectName, serviceName);
 
     logger.success(`Service ${serviceName} supprimé du projet ${projectName}`);
 }
@@ -105,9 +214,9 @@ export async function removeService(projectName, serviceName) {
  * @param {string} projectName - Nom du projet
  * @param {string} serviceName - Nom du service
  * @param {object} updates - Mises à jour à appliquer
- * @returns {object}
+ * @returns {Promise<object>}
  */
-export function updateService(projectName, serviceName, updates) {
+export async function updateService(projectName, serviceName, updates) {
     const projectConfig = projects.loadProjectConfig(projectName);
     const serviceIndex = projectConfig.services.findIndex(s => s.name === serviceName);
 
@@ -115,13 +224,18 @@ export function updateService(projectName, serviceName, updates) {
         throw new Error(`Le service ${serviceName} n'existe pas dans ce projet`);
     }
 
-    // Appliquer les mises à jour
+    // Appliquer les mises à jour (validations comprises) avant toute action sur les processus
     const service = projectConfig.services[serviceIndex];
     
+    const previousService = { ...service };
+    let managerChanged = false;
+
     if (updates.directory) {
-        service.directory = updates.directory.startsWith('/')
-            ? updates.directory
-            : path.join(BASE_PATH, projectName, PROJECT_STRUCTURE.sites, updates.directory);
+        const directory = resolveServiceDirectory(projectName, updates.directory);
+        if (service.git && directory !== service.directory) {
+            throw new Error(`Le dossier du service ${serviceName} est géré par son déploiement git (${service.directory})`);
+        }
+        service.directory = directory;
     }
     
     if (updates.command) {
@@ -140,14 +254,472 @@ export function updateService(projectName, serviceName, updates) {
         service.technology = updates.technology;
     }
 
+    if (updates.maxMemoryRestart !== undefined) {
+        const maxMemory = ecosystem.normalizeMaxMemory(updates.maxMemoryRestart);
+        if (maxMemory) {
+            service.maxMemoryRestart = maxMemory;
+        } else {
+            delete service.maxMemoryRestart;
+        }
+    }
+
+    // Changement de gestionnaire : le processus de l'ancien est retiré une fois les validations passées,
+    // le service sera démarré par le nouveau
+    if (updates.processManager !== undefined) {
+        const manager = normalizeProcessManager(updates.processManager);
+        if (manager !== (service.processManager || 'pm2')) {
+            if (manager !== 'pm2' && ecosystem.isClustered(service)) {
+                throw new Error('Le mode cluster n\'est disponible qu\'avec PM2 : repassez d\'abord le service à une instance');
+            }
+            if (manager !== 'pm2' && (updates.cronRestart !== undefined ? updates.cronRestart : service.cronRestart)) {
+                throw new Error('Le redémarrage planifié n\'est disponible qu\'avec PM2 : retirez-le d\'abord');
+            }
+            managerChanged = true;
+            if (manager === 'pm2') {
+                delete service.processManager;
+            } else {
+                service.processManager = manager;
+            }
+        }
+    }
+
+    if (ecosystem.isClustered(service)) {
+        ecosystem.assertClusterable(service);
+    }
+
+    if (updates.dependsOn !== undefined) {
+        const requiredServices = dependencies.normalizeDependsOn(updates.dependsOn, serviceName);
+        dependencies.assertDependencies(projectConfig.services.map(s =>
+            s === service ? { name: s.name, dependsOn: requiredServices } : s));
+        if (requiredServices.length > 0) {
+            service.dependsOn = requiredServices;
+        } else {
+            delete service.dependsOn;
+        }
+    }
+
+    // Sonde de disponibilité : null ou vide pour la retirer
+    if (updates.readiness !== undefined) {
+        if (updates.readiness) {
+            if (isStaticService(service)) {
+                throw new Error(`Le service ${serviceName} est un site statique, sans processus à attendre`);
+            }
+            service.readiness = health.normalizeReadinessProbe(updates.readiness, service);
+        } else {
+            delete service.readiness;
+        }
+    }
+
+    // Redémarrage planifié : vide pour le retirer
+    if (updates.cronRestart !== undefined) {
+        if (updates.cronRestart && isStaticService(service)) {
+            throw new Error(`Le service ${serviceName} est un site statique, sans processus à redémarrer`);
+        }
+        const restartSchedule = normalizeCronRestart(updates.cronRestart, service.processManager || 'pm2');
+        if (restartSchedule) {
+            service.cronRestart = restartSchedule;
+        } else {
+            delete service.cronRestart;
+        }
+    }
+
     service.updatedAt = new Date().toISOString();
 
+    // La racine d'un site statique suit le dossier du service
+    if (isStaticService(service) && service.directory !== previousService.directory) {
+        await nginx.applyProjectVhosts(projectName, projectConfig.services);
+    }
+
+    if (managerChanged) {
+        try {
+            await getProcessManager(previousService).remove(projectName, previousService);
+        } catch (error) {
+            logger.warn(`Processus de ${serviceName} non retiré: ${error.message}`);
+        }
+    }
+
     projects.saveProjectConfig(projectName, projectConfig);
     logger.success(`Service ${serviceName} mis à jour`);
 
     return service;
 }
 
+/**
+ * Vérifie qu'aucun autre service (tous projets confondus) n'utilise déjà le domaine ou le port
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {object} vhost - Configuration vhost normalisée
+ */
+function assertVhostAvailable(projectName, serviceName, vhost) {
+    const domains = [vhost.domain, ...vhost.aliases];
+
+    for (const project of projects.loadProjects()) {
+        for (const other of projects.loadProjectConfig(project.name).services || []) {
+            if (!other.vhost || (project.name === projectName && other.name === serviceName)) continue;
+
+            const otherDomains = [other.vhost.domain, ...(other.vhost.aliases || [])];
+            const domain = domains.find(d => otherDomains.includes(d));
+            if (domain) {
+                throw new Error(`Le domaine ${domain} est déjà utilisé par ${project.name}/${other.name}`);
+            }
+            if (!vhost.static && other.vhost.port === vhost.port) {
+                throw new Error(`Le port ${vhost.port} est déjà utilisé par ${project.name}/${other.name}`);
+            }
+        }
+    }
+}
+
+/**
+ * Expose un service sur un domaine (virtual host nginx).
+ * Le fichier nginx du projet est régénéré, validé et rechargé avant l'enregistrement.
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {object} vhost - { domain, aliases, port, static, root }
+ * @returns {Promise<object>} - Configuration vhost enregistrée
+ */
+export async function setServiceVhost(projectName, serviceName, vhost) {
+    const normalized = nginx.normalizeVhost(vhost);
+    const projectConfig = projects.loadProjectConfig(projectName);
+    const service = projectConfig.services.find(s => s.name === serviceName);
+
+    if (!service) {
+        throw new Error(`Le service ${serviceName} n'existe pas dans ce projet`);
+    }
+
+    assertVhostAvailable(projectName, serviceName, normalized);
+
+    const wasStatic = Boolean(service.vhost?.static);
+    service.vhost = normalized;
+    service.updatedAt = new Date().toISOString();
+
+    await nginx.applyProjectVhosts(projectName, projectConfig.services);
+    projects.saveProjectConfig(projectName, projectConfig);
+
+    // Un site statique n'a pas de processus : retirer celui qui tournait éventuellement
+    if (normalized.static && !wasStatic) {
+        try {
+            await getProcessManager(service).remove(projectName, service);
+        } catch {
+            // Ignorer si le processus n'existe pas
+        }
+    }
+
+    logger.success(`Service ${serviceName} exposé sur ${normalized.domain}`);
+    return normalized;
+}
+
+/**
+ * Retire le virtual host nginx d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @returns {Promise<void>}
+ */
+export async function removeServiceVhost(projectName, serviceName) {
+    const projectConfig = projects.loadProjectConfig(projectName);
+    const service = projectConfig.services.find(s => s.name === serviceName);
+
+    if (!service) {
+        throw new Error(`Le service ${serviceName} n'existe pas dans ce projet`);
+    }
+
+    if (!service.vhost) {
+        throw new Error(`Le service ${serviceName} n'a pas de virtual host`);
+    }
+
+    delete service.vhost;
+    service.updatedAt = new Date().toISOString();
+
+    // Un contrôle réseau sans port explicite visait le port du virtual host
+    if (service.healthCheck && service.healthCheck.type !== 'command' && !service.healthCheck.port) {
+        delete service.healthCheck;
+        health.removeHealth(projectName, serviceName);
+        logger.warn(`Contrôle de santé du service ${serviceName} supprimé (il utilisait le port du virtual host)`);
+    }
+
+    await nginx.applyProjectVhosts(projectName, projectConfig.services);
+    projects.saveProjectConfig(projectName, projectConfig);
+
+    logger.success(`Virtual host du service ${serviceName} supprimé`);
+}
+
+/**
+ * Domaines d'un service exposé (domaine principal puis alias)
+ * @param {object} service - Service
+ * @returns {Array<string>}
+ */
+function getServiceDomains(service) {
+    return [service.vhost.domain, ...(service.vhost.aliases || [])];
+}
+
+/**
+ * Demande (ou renouvelle) le certificat HTTPS d'un service exposé,
+ * puis régénère les virtual hosts du projet pour le servir en HTTPS
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @returns {Promise<object>} - Informations du certificat
+ */
+export async function requestServiceCertificate(projectName, serviceName) {
+    const projectConfig = projects.loadProjectConfig(projectName);
+    const service = projectConfig.services.find(s => s.name === serviceName);
+
+    if (!service) {
+        throw new Error(`Le service ${serviceName} n'existe pas dans ce projet`);
+    }
+
+    if (!service.vhost) {
+        throw new Error(`Le service ${serviceName} doit d'abord être exposé sur un domaine`);
+    }
+
+    // Le server block HTTP doit être en place pour répondre au challenge
+    await nginx.applyProjectVhosts(projectName, projectConfig.services);
+
+    const info = await certificates.issueCertificate(projectName, getServiceDomains(service));
+
+    // Le fichier nginx est inchangé lors d'un renouvellement : recharger pour prendre le nouveau certificat
+    if (!await nginx.applyProjectVhosts(projectName, projectConfig.services)) {
+        await shell.reloadNginx();
+    }
+
+    return info;
+}
+
+/**
+ * Supprime le certificat d'un service (retour en HTTP seul)
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @returns {Promise<void>}
+ */
+export async function removeServiceCertificate(projectName, serviceName) {
+    const projectConfig = projects.loadProjectConfig(projectName);
+    const service = projectConfig.services.find(s => s.name === serviceName);
+
+    if (!service?.vhost) {
+        throw new Error(`Le service ${serviceName} n'est pas exposé sur un domaine`);
+    }
+
+    const { dir } = certificates.getCertificatePaths(service.vhost.domain);
+    if (!fs.existsSync(dir)) {
+        throw new Error(`Aucun certificat pour ${service.vhost.domain}`);
+    }
+    const backupDir = `${dir}.removed-${process.pid}`;
+
+    // Retirer le certificat, régénérer nginx sans HTTPS, et le remettre en place si nginx refuse
+    fs.renameSync(dir, backupDir);
+    try {
+        await nginx.applyProjectVhosts(projectName, projectConfig.services);
+    } catch (error) {
+        fs.renameSync(backupDir, dir);
+        throw error;
+    }
+    fs.rmSync(backupDir, { recursive: true, force: true });
+
+    logger.success(`Certificat de ${service.vhost.domain} supprimé`);
+}
+
+/**
+ * Renouvelle les certificats arrivant à échéance (tous projets confondus)
+ * @returns {Promise<Array>} - [{ project, service, domain, success, error }]
+ */
+export async function renewCertificates() {
+    const results = [];
+
+    for (const project of projects.loadProjects()) {
+        for (const service of projects.loadProjectConfig(project.name).services || []) {
+            if (!service.vhost) continue;
+
+            const info = certificates.getCertificateInfo(service.vhost.domain);
+            if (!info || !certificates.isRenewalDue(info)) continue;
+
+            const result = { project: project.name, service: service.name, domain: service.vhost.domain };
+            try {
+                await requestServiceCertificate(project.name, service.name);
+                results.push({ ...result, success: true });
+            } catch (error) {
+                logger.error(`Renouvellement du certificat de ${service.vhost.domain} impossible: ${error.message}`);
+                results.push({ ...result, success: false, error: error.message });
+            }
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Configure (ou supprime) le contrôle de santé d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {object|null} config - { type (http, tcp, command), path, expectedStatus, port, command,
+ *                               interval, timeout, threshold } ; null pour supprimer le contrôle
+ * @returns {object|null} - Contrôle normalisé
+ */
+export function setServiceHealthCheck(projectName, serviceName, config) {
+    const projectConfig = projects.loadProjectConfig(projectName);
+    const service = projectConfig.services.find(s => s.name === serviceName);
+
+    if (!service) {
+        throw new Error(`Le service ${serviceName} n'existe pas dans ce projet`);
+    }
+
+    if (!config) {
+        if (!service.healthCheck) {
+            throw new Error(`Le service ${serviceName} n'a pas de contrôle de santé`);
+        }
+        delete service.healthCheck;
+        service.updatedAt = new Date().toISOString();
+        projects.saveProjectConfig(projectName, projectConfig);
+        health.removeHealth(projectName, serviceName);
+        logger.success(`Contrôle de santé du service ${serviceName} supprimé`);
+        return null;
+    }
+
+    if (isStaticService(service)) {
+        throw new Error(`Le service ${serviceName} est un site statique, sans processus à contrôler`);
+    }
+
+    service.healthCheck = health.normalizeHealthCheck(config, service);
+    service.updatedAt = new Date().toISOString();
+    projects.saveProjectConfig(projectName, projectConfig);
+    // Repartir d'un décompte vierge avec la nouvelle configuration
+    health.removeHealth(projectName, serviceName);
+
+    logger.success(`Contrôle de santé du service ${serviceName} configuré (${service.healthCheck.type})`);
+    return service.healthCheck;
+}
+
+/**
+ * Résumé de l'état de santé d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @returns {object|null} - { status, consecutiveFailures, threshold, lastCheckAt, message }, null sans contrôle
+ */
+function getHealthSummary(projectName, service) {
+    if (!service.healthCheck) {
+        return null;
+    }
+
+    const state = health.getHealth(projectName, service.name);
+    return {
+        status: state.status,
+        consecutiveFailures: state.consecutiveFailures,
+        threshold: service.healthCheck.threshold,
+        lastCheckAt: state.lastCheckAt,
+        message: state.history[0]?.message || null
+    };
+}
+
+/**
+ * Configuration, état et historique du contrôle de santé d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @returns {object} - { healthCheck, status, consecutiveFailures, lastCheckAt, lastSuccessAt,
+ *                     lastRestartAt, restarts, history }
+ */
+export function getServiceHealth(projectName, serviceName) {
+    const service = getService(projectName, serviceName);
+
+    if (!service) {
+        throw new Error(`Le service ${serviceName} n'existe pas`);
+    }
+
+    return {
+        healthCheck: service.healthCheck || null,
+        ...health.getHealth(projectName, serviceName)
+    };
+}
+
+/**
+ * Exécute les contrôles de santé arrivés à échéance (tous projets confondus) et redémarre
+ * les services ayant atteint leur seuil d'échecs consécutifs. Les services arrêtés ne sont pas contrôlés.
+ * @returns {Promise<Array>} - [{ project, service, healthy, message, consecutiveFailures, restarted, error }]
+ */
+export async function runHealthChecks() {
+    const results = [];
+
+    for (const project of projects.loadProjects()) {
+        for (const service of projects.loadProjectConfig(project.name).services || []) {
+            if (!service.healthCheck || isStaticService(service)) continue;
+            if (!health.isCheckDue(project.name, service)) continue;
+
+            let processes;
+            try {
+                processes = await getProcessManager(service).getProcesses(project.name, service);
+            } catch (error) {
+                logger.debug(`Statut de ${service.name} indisponible: ${error.message}`);
+                continue;
+            }
+            if (!processes.some(p => p.status === 'online')) {
+                health.resetHealth(project.name, service.name);
+                continue;
+            }
+
+            const check = await health.runHealthCheck(project.name, service, getServiceEnv(project.name, service));
+            const state = health.recordResult(project.name, service.name, check);
+            const result = {
+                project: project.name,
+                service: service.name,
+                healthy: check.healthy,
+                message: check.message,
+                consecutiveFailures: state.consecutiveFailures,
+                restarted: false
+            };
+
+            if (!check.healthy) {
+                logger.warn(`Contrôle de santé de ${project.name}/${service.name} en échec (${state.consecutiveFailures}/${service.healthCheck.threshold}): ${check.message}`);
+            }
+
+            if (state.consecutiveFailures >= service.healthCheck.threshold) {
+                health.recordRestart(project.name, service.name);
+                try {
+                    await restartService(project.name, service.name);
+                    result.restarted = true;
+                } catch (error) {
+                    logger.error(`Redémarrage de ${project.name}/${service.name} impossible: ${error.message}`);
+                    result.error = error.message;
+                }
+            }
+
+            results.push(result);
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Indique si un service est un site statique servi directement par nginx (aucun processus PM2)
+ * @param {object} service - Service
+ * @returns {boolean}
+ */
+export function isStaticService(service) {
+    return Boolean(service?.vhost?.static);
+}
+
+/**
+ * Variables d'environnement transmises au processus du service :
+ * PORT du virtual host, puis variables du projet et du service (qui peuvent le surcharger)
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @returns {object}
+ */
+function getServiceEnv(projectName, service) {
+    return {
+        ...(service.vhost?.port && { PORT: String(service.vhost.port) }),
+        ...environment.resolveEnvironment(projectName, service.name)
+    };
+}
+
+/**
+ * Nom du processus d'un service dans son gestionnaire (processus PM2 ou unité systemd)
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @returns {string}
+ */
+function getProcessName(projectName, service) {
+    return getProcessManager(service) === systemd
+        ? systemd.getUnitName(projectName, service)
+        : ecosystem.getPm2Name(projectName, service);
+}
+
 /**
  * Récupère un service
  * @param {string} projectName - Nom du projet
@@ -170,11 +742,13 @@ export function listServices(projectName) {
 }
 
 /**
- * Exécute les commandes de setup d'un service
+ * Exécute les commandes de setup d'un service, sous l'utilisateur d'exécution du projet
+ * @param {string} projectName - Nom du projet
  * @param {object} service - Service
+ * @param {string} directory - Dossier d'exécution (dossier du service par défaut, release lors d'un déploiement)
  * @returns {Promise<void>}
  */
-async function runSetupCommands(service) {
+async function runSetupCommands(projectName, service, directory = service.directory) {
     const setupCommands = service.setupCommands || [];
     
     if (setupCommands.length === 0) {
@@ -183,10 +757,16 @@ async function runSetupCommands(service) {
 
     logger.info(`Exécution des commandes de setup pour ${service.name}...`);
 
+    const projectRuntime = await runtime.ensureRuntimeUser(projectName);
+    const options = {
+        cwd: directory,
+        ...shell.runtimeOptions(projectRuntime, getServiceEnv(projectName, service))
+    };
+
     for (const cmd of setupCommands) {
         logger.info(`  → ${cmd}`);
         try {
-            await shell.execCommand(cmd, { cwd: service.directory });
+            await shell.execCommand(cmd, options);
             logger.success(`  ✓ ${cmd}`);
         } catch (error) {
             throw new Error(`Erreur lors de l'exécution de "${cmd}": ${error.message}`);
@@ -215,30 +795,19 @@ export async function startService(projectName, serviceName, runSetup = true) {
 
     // Exécuter les commandes de setup si demandé
     if (runSetup) {
-        await runSetupCommands(service);
+        await runSetupCommands(projectName, service);
+    }
+
+    if (isStaticService(service)) {
+        logger.info(`Service ${serviceName} statique : servi par nginx, aucun processus à démarrer`);
+        return;
     }
 
     logger.info(`Démarrage du service ${serviceName}...`);
 
-    // Démarrer avec PM2
-    const pm2Name = service.pm2Name || `${projectName}-${serviceName}`;
-    
     try {
-        // Vérifier si le processus existe déjà
-        const status = await shell.getPm2ProcessStatus(pm2Name);
-        
-        if (status) {
-            // Redémarrer si existe
-            await shell.pm2Command(`restart ${pm2Name}`);
-        } else {
-            // Créer un nouveau processus
-            await shell.pm2Command(`start "${service.command}" --name "${pm2Name}" --cwd "${service.directory}"`);
-        }
-
-        // Sauvegarder la configuration PM2
-        await shell.pm2Command('save');
-        
-        logger.success(`Service ${serviceName} démarré (${pm2Name})`);
+        await getProcessManager(service).start(projectName, service, getServiceEnv(projectName, service));
+        logger.success(`Service ${serviceName} démarré (${getProcessName(projectName, service)})`);
     } catch (error) {
         throw new Error(`Erreur lors du démarrage: ${error.message}`);
     }
@@ -257,13 +826,14 @@ export async function stopService(projectName, serviceName) {
         throw new Error(`Le service ${serviceName} n'existe pas`);
     }
 
-    const pm2Name = service.pm2Name || `${projectName}-${serviceName}`;
+    if (isStaticService(service)) {
+        return;
+    }
 
     logger.info(`Arrêt du service ${serviceName}...`);
 
     try {
-        await shell.pm2Command(`stop ${pm2Name}`);
-        await shell.pm2Command('save');
+        await getProcessManager(service).stop(projectName, service);
         logger.success(`Service ${serviceName} arrêté`);
     } catch (error) {
         throw new Error(`Erreur lors de l'arrêt: ${error.message}`);
@@ -283,19 +853,82 @@ export async function restartService(projectName, serviceName) {
         throw new Error(`Le service ${serviceName} n'existe pas`);
     }
 
-    const pm2Name = service.pm2Name || `${projectName}-${serviceName}`;
+    if (isStaticService(service)) {
+        return;
+    }
 
     logger.info(`Redémarrage du service ${serviceName}...`);
 
     try {
-        await shell.pm2Command(`restart ${pm2Name}`);
-        await shell.pm2Command('save');
+        await getProcessManager(service).restart(projectName, service, getServiceEnv(projectName, service));
         logger.success(`Service ${serviceName} redémarré`);
     } catch (error) {
         throw new Error(`Erreur lors du redémarrage: ${error.message}`);
     }
 }
 
+/**
+ * Change le nombre d'instances d'un service (mode cluster au-delà d'une instance).
+ * Un service en cours d'exécution est mis à l'échelle à chaud (pm2 scale) ;
+ * le passage entre les modes fork et cluster recrée le processus.
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {number|string} instances - Nombre d'instances ou "max" (une par cœur)
+ * @returns {Promise<object>} - Service mis à jour
+ */
+export async function scaleService(projectName, serviceName, instances) {
+    const normalized = ecosystem.normalizeInstances(instances);
+    const projectConfig = projects.loadProjectConfig(projectName);
+    const service = projectConfig.services.find(s => s.name === serviceName);
+
+    if (!service) {
+        throw new Error(`Le service ${serviceName} n'existe pas dans ce projet`);
+    }
+
+    if (isStaticService(service)) {
+        throw new Error(`Le service ${serviceName} est un site statique, sans processus à mettre à l'échelle`);
+    }
+
+    if (normalized !== 1 && getProcessManager(service) !== pm2) {
+        throw new Error('Le mode cluster n\'est disponible qu\'avec PM2');
+    }
+
+    const wasClustered = ecosystem.isClustered(service);
+    const previous = { instances: service.instances, updatedAt: service.updatedAt };
+
+    if (normalized === 1) {
+        delete service.instances;
+    } else {
+        service.instances = normalized;
+        ecosystem.assertClusterable(service);
+    }
+    service.updatedAt = new Date().toISOString();
+    projects.saveProjectConfig(projectName, projectConfig);
+
+    // Un service en cours d'exécution est mis à l'échelle à chaud
+    let running = false;
+    if (getProcessManager(service) === pm2) {
+        try {
+            running = await pm2.scale(projectName, service, wasClustered, getServiceEnv(projectName, service));
+        } catch (error) {
+            // Revenir à la configuration précédente (project.json et fichier ecosystem)
+            for (const [key, value] of Object.entries(previous)) {
+                if (value === undefined) {
+                    delete service[key];
+                } else {
+                    service[key] = value;
+                }
+            }
+            projects.saveProjectConfig(projectName, projectConfig);
+            ecosystem.writeEcosystem(projectName);
+            throw new Error(`Erreur lors de la mise à l'échelle: ${error.message}`);
+        }
+    }
+
+    logger.success(`Service ${serviceName}: ${normalized} instance(s)${running ? '' : ' (appliqué au prochain démarrage)'}`);
+    return service;
+}
+
 /**
  * Récupère le statut d'un service
  * @param {string} projectName - Nom du projet
@@ -310,33 +943,113 @@ export async function getServiceStatus(projectName, serviceName) {
     }
 
     const pm2Name = service.pm2Name || `${projectName}-${serviceName}`;
-    const pm2Status = await shell.getPm2ProcessStatus(pm2Name);
+    const processManager = service.processManager || 'pm2';
+    const healthStatus = getHealthSummary(projectName, service);
 
-    if (!pm2Status) {
+    if (isStaticService(service)) {
         return {
             name: serviceName,
             pm2Name,
+            processManager,
+            status: 'static',
+            pid: null,
+            uptime: null,
+            restarts: 0,
+            memory: null,
+            cpu: null,
+            health: healthStatus,
+            processes: []
+        };
+    }
+
+    // Une entrée par instance (plusieurs en mode cluster PM2)
+    const processes = await getProcessManager(service).getProcesses(projectName, service);
+
+    if (processes.length === 0) {
+        return {
+            name: serviceName,
+            pm2Name,
+            processManager,
             status: 'stopped',
             pid: null,
             uptime: null,
             restarts: 0,
             memory: null,
-            cpu: null
+            cpu: null,
+            health: healthStatus,
+            processes: []
         };
     }
 
+    // Somme des instances, null si le gestionnaire ne fournit pas la mesure (0 est une mesure)
+    const sum = (field) => processes.some(p => p[field] !== null && p[field] !== undefined)
+        ? processes.reduce((total, p) => total + (p[field] || 0), 0)
+        : null;
+
     return {
         name: serviceName,
         pm2Name,
-        status: pm2Status.pm2_env?.status || 'unknown',
-        pid: pm2Status.pid || null,
-        uptime: pm2Status.pm2_env?.pm_uptime || null,
-        restarts: pm2Status.pm2_env?.restart_time || 0,
-        memory: pm2Status.monit?.memory || null,
-        cpu: pm2Status.monit?.cpu || null
+        processManager,
+        // En ligne tant qu'au moins une instance l'est
+        status: processes.some(p => p.status === 'online') ? 'online' : processes[0].status,
+        pid: processes[0].pid,
+        uptime: processes[0].uptime,
+        restarts: sum('restarts') || 0,
+        memory: sum('memory'),
+        cpu: sum('cpu'),
+        execMode: processes[0].execMode,
+        health: healthStatus,
+        processes: processes.map(({ execMode, ...p }) => p)
     };
 }
 
+/**
+ * Échantillonne les métriques des services en cours d'exécution (tous projets confondus)
+ * @returns {Promise<number>} - Nombre de services échantillonnés
+ */
+export async function collectMetrics() {
+    const timestamp = Date.now();
+    let sampled = 0;
+
+    for (const project of projects.loadProjects()) {
+        for (const service of projects.loadProjectConfig(project.name).services || []) {
+            if (isStaticService(service)) continue;
+
+            try {
+                const status = await getServiceStatus(project.name, service.name);
+                if (status.status !== 'online') continue;
+
+                metrics.recordSample(project.name, service.name, {
+                    cpu: status.cpu,
+                    memory: status.memory,
+                    restarts: status.restarts,
+                    uptime: status.uptime ? Math.max(0, Math.round((timestamp - status.uptime) / 1000)) : null
+                }, timestamp);
+                sampled++;
+            } catch (error) {
+                logger.debug(`Métriques de ${project.name}/${service.name} indisponibles: ${error.message}`);
+            }
+        }
+    }
+
+    return sampled;
+}
+
+/**
+ * Historique des métriques d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {object} options - { from, to, step } (voir metrics.getMetrics)
+ * @returns {object}
+ */
+export function getServiceMetrics(projectName, serviceName, options) {
+    if (!getService(projectName, serviceName)) {
+        throw new Error(`Le service ${serviceName} n'existe pas`);
+    }
+
+    return metrics.getMetrics(projectName, serviceName, options);
+}
+
 /**
  * Récupère le statut de tous les services d'un projet
  * @param {string} projectName - Nom du projet
@@ -371,15 +1084,49 @@ export async function getServiceLogs(projectName, serviceName, lines = 50) {
         throw new Error(`Le service ${serviceName} n'existe pas`);
     }
 
-    const pm2Name = service.pm2Name || `${projectName}-${serviceName}`;
-    
     try {
-        return await shell.getPm2Logs(pm2Name, lines);
+        return await getProcessManager(service).getLogs(projectName, service, lines);
     } catch (error) {
         throw new Error(`Erreur lors de la récupération des logs: ${error.message}`);
     }
 }
 
+/**
+ * Suit en direct les logs d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {object} options - { offset: reprise après une ligne déjà reçue, lines: lignes initiales sans offset,
+ *                             grep: filtre (expression régulière ou texte), stream: out ou err (défaut : les deux) }
+ * @param {Function} onLine - Reçoit { stream, line, offset }
+ * @returns {Function} - Arrête le suivi
+ */
+export function followServiceLogs(projectName, serviceName, options, onLine) {
+    const service = getService(projectName, serviceName);
+
+    if (!service) {
+        throw new Error(`Le service ${serviceName} n'existe pas`);
+    }
+
+    if (isStaticService(service)) {
+        throw new Error(`Le service ${serviceName} est un site statique, sans logs de processus`);
+    }
+
+    if (options.stream && !logstream.STREAMS.includes(options.stream)) {
+        throw new Error(`Flux invalide: ${options.stream} (${logstream.STREAMS.join(', ')})`);
+    }
+
+    const matches = logstream.createLineFilter(options.grep);
+
+    return getProcessManager(service).followLogs(projectName, service, {
+        offset: options.offset || null,
+        lines: logstream.normalizeLines(options.lines)
+    }, (entry) => {
+        if ((!options.stream || entry.stream === options.stream) && matches(entry.line)) {
+            onLine(entry);
+        }
+    });
+}
+
 /**
  * Réinitialise les logs d'un service
  * @param {string} projectName - Nom du projet
@@ -393,10 +1140,8 @@ export async function resetServiceLogs(projectName, serviceName) {
         throw new Error(`Le service ${serviceName} n'existe pas`);
     }
 
-    const pm2Name = service.pm2Name || `${projectName}-${serviceName}`;
-    
     try {
-        await shell.pm2Command(`flush ${pm2Name}`);
+        await getProcessManager(service).flushLogs(projectName, service);
         logger.success(`Logs du service ${serviceName} réinitialisés`);
     } catch (error) {
         throw new Error(`Erreur lors de la réinitialisation des logs: ${error.message}`);
@@ -422,38 +1167,304 @@ export async function runSetupOnly(projectName, serviceName) {
     }
 
     logger.info(`Exécution du setup pour ${serviceName}...`);
-    await runSetupCommands(service);
+    await runSetupCommands(projectName, service);
     logger.success(`Setup du service ${serviceName} terminé`);
 }
 
 /**
- * Démarre tous les services d'un projet
+ * Configure (ou retire) le déploiement git d'un service. Le dossier du service devient le lien
+ * `current` de ses releases ; il y reste lorsque le déploiement git est retiré.
  * @param {string} projectName - Nom du projet
- * @param {boolean} runSetup - Exécuter les commandes de setup (défaut: true)
+ * @param {string} serviceName - Nom du service
+ * @param {object|null} config - { repository, branch, keepReleases } ; null pour retirer le déploiement git
+ * @returns {Promise<object|null>} - Configuration normalisée
+ */
+export async function setServiceGit(projectName, serviceName, config) {
+    const projectConfig = projects.loadProjectConfig(projectName);
+    const service = projectConfig.services.find(s => s.name === serviceName);
+
+    if (!service) {
+        throw new Error(`Le service ${serviceName} n'existe pas dans ce projet`);
+    }
+
+    if (!config) {
+        if (!service.git) {
+            throw new Error(`Le service ${serviceName} n'est pas déployé depuis git`);
+        }
+        delete service.git;
+        service.updatedAt = new Date().toISOString();
+        projects.saveProjectConfig(projectName, projectConfig);
+        logger.success(`Déploiement git du service ${serviceName} retiré`);
+        return null;
+    }
+
+    const previousDirectory = service.directory;
+    service.git = deploy.normalizeGitConfig(config);
+    service.directory = deploy.getCurrentPath(projectName, serviceName);
+    service.updatedAt = new Date().toISOString();
+
+    if (isStaticService(service) && service.directory !== previousDirectory) {
+        await nginx.applyProjectVhosts(projectName, projectConfig.services);
+    }
+
+    projects.saveProjectConfig(projectName, projectConfig);
+    logger.success(`Service ${serviceName} déployé depuis ${service.git.repository} (${service.git.branch})`);
+    return service.git;
+}
+
+/**
+ * Prend en compte la release active : redémarre le service s'il tourne, le démarre s'il n'a
+ * jamais été lancé, et laisse arrêté un service arrêté volontairement
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @returns {Promise<void>}
+ */
+async function reloadDeployedService(projectName, service) {
+    // Un site statique est servi directement depuis le lien current
+    if (isStaticService(service)) {
+        return;
+    }
+
+    const processes = await getProcessManager(service).getProcesses(projectName, service);
+    if (processes.some(p => p.status === 'online')) {
+        await restartService(projectName, service.name);
+    } else if (processes.length === 0) {
+        await startService(projectName, service.name, false);
+    } else {
+        logger.info(`Service ${service.name} arrêté : la release sera utilisée à son prochain démarrage`);
+    }
+}
+
+/**
+ * Déploie un service depuis son dépôt git : clone de la branche dans une nouvelle release,
+ * commandes de setup dans la release, bascule du lien current, redémarrage du service
+ * et suppression des releases au-delà du nombre à conserver
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {string|null} deployedBy - Auteur du déploiement
+ * @returns {Promise<object>} - Release déployée { id, commit, message, previous }
+ */
+export async function deployService(projectName, serviceName, deployedBy = null) {
+    const service = getService(projectName, serviceName);
+
+    if (!service) {
+        throw new Error(`Le service ${serviceName} n'existe pas`);
+    }
+    if (!service.git) {
+        throw new Error(`Le service ${serviceName} n'est pas déployé depuis git`);
+    }
+
+    return deploy.withDeployLock(projectName, serviceName, async () => {
+        const { git } = service;
+        const entry = { type: 'deploy', branch: git.branch, deployedBy };
+        let release = null;
+
+        try {
+            release = await deploy.createRelease(projectName, serviceName, git);
+
+            // Fichiers clonés par root : rendus à l'utilisateur SFTP comme le reste de sites/
+            const sftpUser = `${SFTP_USER_PREFIX}${projectName}`;
+            if (shell.userExists(sftpUser)) {
+                await shell.execCommand(`chown -R ${sftpUser}:${SFTP_GROUP} "${release.path}"`);
+            }
+
+            await runSetupCommands(projectName, service, release.path);
+        } catch (error) {
+            if (release) {
+                deploy.removeRelease(projectName, serviceName, release.id);
+            }
+            deploy.recordDeployment(projectName, serviceName, {
+                ...entry,
+                id: release?.id || null,
+                commit: release?.commit || null,
+                message: release?.message || null,
+                status: 'failed',
+                error: error.message
+            });
+            throw error;
+        }
+
+        const previous = deploy.getCurrentRelease(projectName, serviceName);
+        deploy.activateRelease(projectName, serviceName, release.id);
+
+        const deployment = { ...entry, id: release.id, commit: release.commit, message: release.message, previous };
+        try {
+            await reloadDeployedService(projectName, service);
+        } catch (error) {
+            // La release reste active : un retour arrière reste possible
+            deploy.recordDeployment(projectName, serviceName, { ...deployment, status: 'failed', error: error.message });
+            throw error;
+        }
+        deploy.recordDeployment(projectName, serviceName, { ...deployment, status: 'success', error: null });
+
+        deploy.pruneReleases(projectName, serviceName, git.keepReleases);
+        logger.success(`Service ${serviceName} déployé (${release.id}, ${release.commit.slice(0, 7)})`);
+
+        return { id: release.id, commit: release.commit, message: release.message, previous };
+    });
+}
+
+/**
+ * Revient à une release précédente (sans nouveau clone ni commandes de setup)
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {string|null} releaseId - Release à réactiver (par défaut, celle qui précède la release active)
+ * @param {string|null} deployedBy - Auteur du retour arrière
+ * @returns {Promise<object>} - Release réactivée { id, commit, message, previous }
+ */
+export async function rollbackService(projectName, serviceName, releaseId = null, deployedBy = null) {
+    const service = getService(projectName, serviceName);
+
+    if (!service) {
+        throw new Error(`Le service ${serviceName} n'existe pas`);
+    }
+
+    return deploy.withDeployLock(projectName, serviceName, async () => {
+        const releases = deploy.listReleases(projectName, serviceName);
+        const currentIndex = releases.findIndex(r => r.current);
+        if (currentIndex === -1) {
+            throw new Error(`Aucune release active pour le service ${serviceName}`);
+        }
+
+        const target = releaseId
+            ? releases.find(r => r.id === releaseId)
+            : releases[currentIndex + 1];
+        if (!target) {
+            throw new Error(releaseId
+                ? `La release ${releaseId} n'existe pas`
+                : `Aucune release antérieure à ${releases[currentIndex].id}`);
+        }
+        if (target.current) {
+            throw new Error(`La release ${target.id} est déjà active`);
+        }
+
+        const previous = releases[currentIndex].id;
+        deploy.activateRelease(projectName, serviceName, target.id);
+
+        const deployment = {
+            type: 'rollback',
+            id: target.id,
+            commit: target.commit,
+            message: target.message,
+            branch: target.branch,
+            deployedBy,
+            previous
+        };
+        try {
+            await reloadDeployedService(projectName, service);
+        } catch (error) {
+            deploy.recordDeployment(projectName, serviceName, { ...deployment, status: 'failed', error: error.message });
+            throw error;
+        }
+        deploy.recordDeployment(projectName, serviceName, { ...deployment, status: 'success', error: null });
+
+        logger.success(`Service ${serviceName} revenu à la release ${target.id}`);
+        return { id: target.id, commit: target.commit, message: target.message, previous };
+    });
+}
+
+/**
+ * Déploiement git d'un service : configuration, releases présentes et historique
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @returns {object} - { git, current, releases, history }
+ */
+export function getServiceDeployments(projectName, serviceName) {
+    const service = getService(projectName, serviceName);
+
+    if (!service) {
+        throw new Error(`Le service ${serviceName} n'existe pas`);
+    }
+
+    return {
+        git: service.git || null,
+        current: deploy.getCurrentRelease(projectName, serviceName),
+        releases: deploy.listReleases(projectName, serviceName),
+        history: deploy.getDeployHistory(projectName, serviceName)
+    };
+}
+
+/**
+ * Liste les processus de tous les démons PM2 : celui de root (processus antérieurs à l'isolation)
+ * puis celui de l'utilisateur d'exécution de chaque projet
+ * @returns {Promise<Array>} - Processus PM2 (jlist), complétés du nom du projet et de l'utilisateur
+ */
+export async function getPm2Overview() {
+    const overview = (await shell.getPm2Processes()).map(p => ({ ...p, project: null, user: 'root' }));
+
+    for (const project of projects.loadProjects()) {
+        const projectRuntime = runtime.getRuntime(project.name);
+        if (!projectRuntime) continue;
+
+        const processes = await shell.getPm2Processes(projectRuntime);
+        overview.push(...processes.map(p => ({ ...p, project: project.name, user: projectRuntime.user })));
+    }
+
+    return overview;
+}
+
+/**
+ * Attend qu'un service démarré réponde à sa sonde de disponibilité (sans sonde : disponible dès son démarrage)
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
  * @returns {Promise<void>}
  */
-export async function startAllServices(projectName, runSetup = true) {
+async function waitForServiceReady(projectName, service) {
+    if (!service.readiness || isStaticService(service)) {
+        return;
+    }
+
+    logger.info(`Attente de la disponibilité de ${service.name} (${service.readiness.type}, ${service.readiness.timeout}s au plus)...`);
+    const { message, duration } = await health.waitForReady(projectName, service, getServiceEnv(projectName, service));
+    logger.success(`Service ${service.name} disponible (${message}, ${Math.round(duration / 1000)}s)`);
+}
+
+/**
+ * Démarre tous les services d'un projet, chacun après ceux dont il dépend (et leur disponibilité).
+ * Les services dont une dépendance a échoué ne sont pas démarrés.
+ * @param {string} projectName - Nom du projet
+ * @param {boolean} runSetup - Exécuter les commandes de setup (défaut: true)
+ * @param {Function} onProgress - Appelée avant chaque service : (index, total, serviceName) (optionnel)
+ * @returns {Promise<Array>} - Services en échec : [{ service, error }]
+ */
+export async function startAllServices(projectName, runSetup = true, onProgress = null) {
     const services = listServices(projectName);
     
     if (services.length === 0) {
         throw new Error('Aucun service configuré pour ce projet');
     }
 
-    logger.info(`Démarrage de tous les services de ${projectName}...`);
+    const ordered = dependencies.sortServices(services);
+    logger.info(`Démarrage de tous les services de ${projectName} (ordre: ${ordered.map(s => s.name).join(', ')})...`);
+
+    const failures = [];
+    for (const [index, service] of ordered.entries()) {
+        onProgress?.(index, ordered.length, service.name);
+
+        const failedDependencies = (service.dependsOn || []).filter(d => failures.some(f => f.service === d));
+        if (failedDependencies.length > 0) {
+            const error = `Dépendance en échec: ${failedDependencies.join(', ')}`;
+            logger.warn(`Service ${service.name} non démarré (${error})`);
+            failures.push({ service: service.name, error });
+            continue;
+        }
 
-    for (const service of services) {
         try {
             await startService(projectName, service.name, runSetup);
+            await waitForServiceReady(projectName, service);
         } catch (error) {
             logger.error(`Erreur pour ${service.name}: ${error.message}`);
+            failures.push({ service: service.name, error: error.message });
         }
     }
 
     logger.success('Tous les services ont été traités');
+    return failures;
 }
 
 /**
- * Arrête tous les services d'un projet
+ * Arrête tous les services d'un projet, dans l'ordre inverse du démarrage
+ * (un service est arrêté avant ceux dont il dépend)
  * @param {string} projectName - Nom du projet
  * @returns {Promise<void>}
  */
@@ -466,7 +1477,7 @@ export async function stopAllServices(projectName) {
 
     logger.info(`Arrêt de tous les services de ${projectName}...`);
 
-    for (const service of services) {
+    for (const service of dependencies.sortServices(services).reverse()) {
         try {
             await stopService(projectName, service.name);
         } catch (error) {
@@ -478,19 +1489,38 @@ export async function stopAllServices(projectName) {
 }
 
 export default {
+    getProcessManager,
     addService,
     removeService,
     updateService,
     getService,
     listServices,
+    setServiceVhost,
+    removeServiceVhost,
+    scaleService,
+    requestServiceCertificate,
+    removeServiceCertificate,
+    renewCertificates,
+    setServiceHealthCheck,
+    getServiceHealth,
+    runHealthChecks,
+    isStaticService,
     startService,
     stopService,
     restartService,
     getServiceStatus,
     getAllServicesStatus,
+    collectMetrics,
+    getServiceMetrics,
     getServiceLogs,
+    followServiceLogs,
     resetServiceLogs,
+    getPm2Overview,
     runSetupOnly,
+    setServiceGit,
+    deployService,
+    rollbackService,
+    getServiceDeployments,
     startAllServices,
     stopAllServices
 };
@@ -0,0 +1,177 @@
+/**
+ * Module de gestion des sessions de l'interface Web
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import crypto from 'crypto';
+import { SESSION_CONFIG } from '../config/constants.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SESSIONS_FILE = path.join(__dirname, '../../data/sessions.json');
+const DATA_DIR = path.join(__dirname, '../../data');
+
+// Intervalle minimal entre deux écritures de lastSeenAt (1 minute)
+const TOUCH_INTERVAL = 60 * 1000;
+
+/**
+ * Hash un jeton de session (seul le hash est stocké sur disque)
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Lit les sessions
+ */
+function readSessions() {
+    if (!fs.existsSync(SESSIONS_FILE)) {
+        return { sessions: [] };
+    }
+    const data = fs.readFileSync(SESSIONS_FILE, 'utf8');
+    return JSON.parse(data);
+}
+
+/**
+ * Écrit les sessions
+ */
+function writeSessions(data) {
+    if (!fs.existsSync(DATA_DIR)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+    }
+    fs.writeFileSync(SESSIONS_FILE, JSON.stringify(data, null, 2), { mode: 0o600 });
+}
+
+/**
+ * Indique si une session est expirée (durée maximale ou inactivité)
+ */
+function isExpired(session, now = Date.now()) {
+    return new Date(session.expiresAt).getTime() <= now ||
+        new Date(session.lastSeenAt).getTime() + SESSION_CONFIG.idleTimeout <= now;
+}
+
+/**
+ * Retire les champs internes d'une session avant de la renvoyer
+ */
+function toPublicSession({ tokenHash, ...session }) {
+    return session;
+}
+
+/**
+ * Crée une session pour un utilisateur
+ * @param {string} userId - ID de l'utilisateur
+ * @param {object} meta - Informations sur le client (ip, userAgent)
+ * @returns {{token: string, session: object}}
+ */
+function createSession(userId, meta = {}) {
+    const data = readSessions();
+    const now = Date.now();
+
+    // Purger les sessions expirées au passage
+    data.sessions = data.sessions.filter(s => !isExpired(s, now));
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const session = {
+        id: crypto.randomUUID(),
+        tokenHash: hashToken(token),
+        userId,
+        ip: meta.ip || null,
+        userAgent: meta.userAgent || null,
+        createdAt: new Date(now).toISOString(),
+        lastSeenAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + SESSION_CONFIG.maxAge).toISOString()
+    };
+
+    data.sessions.push(session);
+    writeSessions(data);
+
+    return { token, session: toPublicSession(session) };
+}
+
+/**
+ * Valide un jeton et rafraîchit la date de dernière activité
+ * @param {string} token - Jeton de session
+ * @returns {object|null} - Session valide ou null
+ */
+function validateSession(token) {
+    if (!token) return null;
+
+    const data = readSessions();
+    const tokenHash = hashToken(token);
+    const index = data.sessions.findIndex(s => s.tokenHash === tokenHash);
+
+    if (index === -1) return null;
+
+    const session = data.sessions[index];
+    const now = Date.now();
+
+    if (isExpired(session, now)) {
+        data.sessions.splice(index, 1);
+        writeSessions(data);
+        return null;
+    }
+
+    // Limiter les écritures disque : lastSeenAt n'est mis à jour qu'une fois par minute
+    if (now - new Date(session.lastSeenAt).getTime() > TOUCH_INTERVAL) {
+        session.lastSeenAt = new Date(now).toISOString();
+        writeSessions(data);
+    }
+
+    return toPublicSession(session);
+}
+
+/**
+ * Révoque une session par son ID
+ * @param {string} sessionId - ID de la session
+ */
+function revokeSession(sessionId) {
+    const data = readSessions();
+    const before = data.sessions.length;
+    data.sessions = data.sessions.filter(s => s.id !== sessionId);
+
+    if (data.sessions.length !== before) {
+        writeSessions(data);
+    }
+}
+
+/**
+ * Révoque toutes les sessions d'un utilisateur
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string|null} exceptSessionId - Session à conserver (ex: la session courante)
+ * @returns {number} - Nombre de sessions révoquées
+ */
+function revokeUserSessions(userId, exceptSessionId = null) {
+    const data = readSessions();
+    const before = data.sessions.length;
+    data.sessions = data.sessions.filter(s => s.userId !== userId || s.id === exceptSessionId);
+
+    const revoked = before - data.sessions.length;
+    if (revoked > 0) {
+        writeSessions(data);
+    }
+    return revoked;
+}
+
+/**
+ * Liste les sessions actives d'un utilisateur
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Array}
+ */
+function listUserSessions(userId) {
+    const data = readSessions();
+    const now = Date.now();
+    return data.sessions
+        .filter(s => s.userId === userId && !isExpired(s, now))
+        .map(toPublicSession);
+}
+
+export default {
+    createSession,
+    validateSession,
+    revokeSession,
+    revokeUserSessions,
+    listUserSessions
+};
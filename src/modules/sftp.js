@@ -4,7 +4,17 @@
 
 import fs from 'fs';
 import path from 'path';
-import { SFTP_USER_PREFIX, SFTP_GROUP, SSH_CONFIG_PATH, BASE_PATH } from '../config/constants.js';
+import crypto from 'crypto';
+import {
+    SFTP_USER_PREFIX,
+    SFTP_GROUP,
+    SSH_CONFIG_PATH,
+    SSH_CONFIG_BACKUP_DIR,
+    SSH_CONFIG_BACKUP_RETENTION,
+    BASE_PATH,
+    SFTP_AUTHORIZED_KEYS_DIR,
+    PROJECT_STRUCTURE
+} from '../config/constants.js';
 import shell from '../utils/shell.js';
 import logger from '../utils/logger.js';
 
@@ -14,6 +24,19 @@ import logger from '../utils/logger.js';
 const SFTP_CONFIG_MARKER = '# === NODEJS PROJECT MANAGER SFTP CONFIG ===';
 const SFTP_CONFIG_END_MARKER = '# === END NODEJS PROJECT MANAGER SFTP CONFIG ===';
 
+/**
+ * Types de clés publiques acceptés
+ */
+const ALLOWED_KEY_TYPES = [
+    'ssh-ed25519',
+    'ssh-rsa',
+    'ecdsa-sha2-nistp256',
+    'ecdsa-sha2-nistp384',
+    'ecdsa-sha2-nistp521',
+    'sk-ssh-ed25519@openssh.com',
+    'sk-ecdsa-sha2-nistp256@openssh.com'
+];
+
 /**
  * Crée le groupe SFTP s'il n'existe pas
  * @returns {Promise<void>}
@@ -94,6 +117,13 @@ export async function deleteSftpUser(projectName) {
 
     // Supprimer l'utilisateur
     await shell.execCommand(`userdel ${username}`);
+
+    // Supprimer ses clés publiques
+    const keysFile = getAuthorizedKeysPath(projectName);
+    if (fs.existsSync(keysFile)) {
+        fs.unlinkSync(keysFile);
+    }
+
     logger.success(`Utilisateur ${username} supprimé`);
 }
 
@@ -110,20 +140,132 @@ function readSSHConfig() {
 }
 
 /**
- * Écrit la configuration SSH
- * @param {string} content - Contenu de la configuration
+ * Écrit un fichier de façon atomique (fichier temporaire dans le même dossier puis rename)
+ * @param {string} filePath - Fichier cible
+ * @param {string} content - Contenu
+ * @param {number} mode - Permissions
+ */
+function writeFileAtomic(filePath, content, mode = 0o644) {
+    const tmpPath = `${filePath}.tmp-${process.pid}`;
+    fs.writeFileSync(tmpPath, content, { mode });
+    fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Sauvegarde la version courante de sshd_config dans l'historique
+ * @returns {string} - ID de la sauvegarde
+ */
+function backupSSHConfig() {
+    if (!fs.existsSync(SSH_CONFIG_BACKUP_DIR)) {
+        fs.mkdirSync(SSH_CONFIG_BACKUP_DIR, { recursive: true, mode: 0o700 });
+    }
+
+    const id = `sshd_config.${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    fs.copyFileSync(SSH_CONFIG_PATH, path.join(SSH_CONFIG_BACKUP_DIR, id));
+    logger.debug(`Backup créé: ${id}`);
+
+    pruneSSHConfigBackups();
+    return id;
+}
+
+/**
+ * Applique la politique de rétention des sauvegardes.
+ * Supprime aussi les anciennes copies sshd_config.backup.<timestamp> laissées dans /etc/ssh.
  */
-function writeSSHConfig(content) {
+function pruneSSHConfigBackups() {
+    const backups = listSSHConfigBackups();
+    for (const backup of backups.slice(SSH_CONFIG_BACKUP_RETENTION)) {
+        fs.unlinkSync(path.join(SSH_CONFIG_BACKUP_DIR, backup.id));
+    }
+
+    const sshDir = path.dirname(SSH_CONFIG_PATH);
+    const legacyPattern = new RegExp(`^${path.basename(SSH_CONFIG_PATH)}\\.backup\\.\\d+$`);
+    for (const file of fs.readdirSync(sshDir)) {
+        if (legacyPattern.test(file)) {
+            fs.unlinkSync(path.join(sshDir, file));
+            logger.debug(`Ancienne sauvegarde supprimée: ${file}`);
+        }
+    }
+}
+
+/**
+ * Liste les sauvegardes de sshd_config (plus récentes en premier)
+ * @returns {Array} - [{ id, createdAt, size }]
+ */
+export function listSSHConfigBackups() {
+    if (!fs.existsSync(SSH_CONFIG_BACKUP_DIR)) {
+        return [];
+    }
+
+    return fs.readdirSync(SSH_CONFIG_BACKUP_DIR)
+        .filter(file => file.startsWith('sshd_config.'))
+        .map(file => {
+            const stat = fs.statSync(path.join(SSH_CONFIG_BACKUP_DIR, file));
+            return { id: file, createdAt: stat.mtime.toISOString(), size: stat.size };
+        })
+        .sort((a, b) => b.id.localeCompare(a.id));
+}
+
+/**
+ * Remplace sshd_config de façon transactionnelle :
+ * validation du fichier candidat (sshd -t -f), sauvegarde, remplacement atomique
+ * puis rechargement ; la version précédente est restaurée en cas d'échec.
+ * @param {string} content - Nouveau contenu
+ * @returns {Promise<boolean>} - false si le contenu est identique (rien à faire)
+ */
+async function applySSHConfig(content) {
+    const previous = readSSHConfig();
+    if (content === previous) {
+        logger.debug('Configuration SSH inchangée');
+        return false;
+    }
+
+    const mode = fs.statSync(SSH_CONFIG_PATH).mode & 0o777;
+    const candidatePath = `${SSH_CONFIG_PATH}.candidate-${process.pid}`;
+
     try {
-        // Créer une sauvegarde
-        const backupPath = `${SSH_CONFIG_PATH}.backup.${Date.now()}`;
-        fs.copyFileSync(SSH_CONFIG_PATH, backupPath);
-        logger.debug(`Backup créé: ${backupPath}`);
+        fs.writeFileSync(candidatePath, content, { mode });
+        if (!await shell.testSSHConfig(candidatePath)) {
+            throw new Error('La configuration SSH générée est invalide, sshd_config n\'a pas été modifié');
+        }
+    } finally {
+        if (fs.existsSync(candidatePath)) {
+            fs.unlinkSync(candidatePath);
+        }
+    }
+
+    backupSSHConfig();
 
-        fs.writeFileSync(SSH_CONFIG_PATH, content);
+    try {
+        writeFileAtomic(SSH_CONFIG_PATH, content, mode);
+        await shell.reloadSSH();
     } catch (error) {
-        throw new Error(`Impossible d'écrire ${SSH_CONFIG_PATH}: ${error.message}`);
+        logger.error(`Échec de l'application de la configuration SSH, restauration: ${error.message}`);
+        writeFileAtomic(SSH_CONFIG_PATH, previous, mode);
+        try {
+            await shell.reloadSSH();
+        } catch (reloadError) {
+            logger.error(`Rechargement après restauration impossible: ${reloadError.message}`);
+        }
+        throw new Error(`Configuration SSH non appliquée (version précédente restaurée): ${error.message}`);
     }
+
+    return true;
+}
+
+/**
+ * Restaure une version sauvegardée de sshd_config
+ * @param {string} id - ID de la sauvegarde (voir listSSHConfigBackups)
+ * @returns {Promise<void>}
+ */
+export async function restoreSSHConfig(id) {
+    if (!listSSHConfigBackups().some(b => b.id === id)) {
+        throw new Error(`Sauvegarde ${id} introuvable`);
+    }
+
+    const content = fs.readFileSync(path.join(SSH_CONFIG_BACKUP_DIR, id), 'utf8');
+    const changed = await applySSHConfig(content);
+    logger.success(changed ? `Configuration SSH restaurée depuis ${id}` : 'La configuration SSH est déjà identique à cette sauvegarde');
 }
 
 /**
@@ -139,12 +281,34 @@ function generateSftpConfig(projects) {
     let config = `\n${SFTP_CONFIG_MARKER}\n`;
     config += `# Configuration générée automatiquement - Ne pas modifier manuellement\n\n`;
 
+    // Projets en authentification par clé uniquement.
+    // sshd retient la première valeur rencontrée : ce bloc doit précéder celui du groupe.
+    const keyOnlyUsers = projects
+        .filter(p => p.sftpPasswordAuth === false)
+        .map(p => p.sftpUser || `${SFTP_USER_PREFIX}${p.name}`);
+
+    if (keyOnlyUsers.length > 0) {
+        config += `Match User ${keyOnlyUsers.join(',')}\n`;
+        config += `    PasswordAuthentication no\n\n`;
+    }
+
+    // Comptes additionnels : dossier de départ dans sites/ et lecture seule éventuelle
+    for (const project of projects) {
+        for (const account of project.sftpAccounts || []) {
+            const startDir = path.posix.join('/', PROJECT_STRUCTURE.sites, account.scope || '');
+            config += `Match User ${account.username}\n`;
+            config += `    ForceCommand internal-sftp -d ${startDir}${account.readOnly ? ' -R' : ''}\n\n`;
+        }
+    }
+
     // Configuration du groupe SFTP
     config += `Match Group ${SFTP_GROUP}\n`;
     config += `    ChrootDirectory %h\n`;
     config += `    ForceCommand internal-sftp\n`;
     config += `    AllowTcpForwarding no\n`;
     config += `    X11Forwarding no\n`;
+    config += `    PubkeyAuthentication yes\n`;
+    config += `    AuthorizedKeysFile ${SFTP_AUTHORIZED_KEYS_DIR}/%u\n`;
     config += `    PasswordAuthentication yes\n`;
 
     config += `\n${SFTP_CONFIG_END_MARKER}\n`;
@@ -175,18 +339,10 @@ export async function updateSSHConfig(projects) {
     const newConfig = generateSftpConfig(projects);
     sshConfig = sshConfig.trimEnd() + newConfig;
 
-    // Écrire la configuration
-    writeSSHConfig(sshConfig);
-
-    // Tester la configuration
-    const isValid = await shell.testSSHConfig();
-    if (!isValid) {
-        throw new Error('La configuration SSH générée est invalide');
+    // Valider, appliquer et recharger (restauration automatique en cas d'échec)
+    if (await applySSHConfig(sshConfig)) {
+        logger.success('Configuration SSH mise à jour');
     }
-
-    // Redémarrer SSH
-    await shell.restartSSH();
-    logger.success('Configuration SSH mise à jour');
 }
 
 /**
@@ -215,6 +371,347 @@ export async function changeSftpPassword(projectName, newPassword) {
     logger.success(`Mot de passe de ${username} modifié`);
 }
 
+/**
+ * Protège une valeur pour le shell (entre apostrophes)
+ * @param {string} value
+ * @returns {string}
+ */
+function shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Nom système d'un compte SFTP additionnel
+ * @param {string} projectName - Nom du projet
+ * @param {string} accountName - Nom du compte
+ * @returns {string}
+ */
+export function getSftpAccountUsername(projectName, accountName) {
+    return `${SFTP_USER_PREFIX}${projectName}-${accountName}`;
+}
+
+/**
+ * Résout le sous-dossier de sites/ auquel un compte additionnel est restreint.
+ * root y pose des ACL : aucun composant du chemin ne peut être un lien symbolique
+ * (l'utilisateur SFTP principal peut en créer dans sites/).
+ * @param {string} projectName - Nom du projet
+ * @param {string} scope - Chemin relatif à sites/ ('' pour tout sites/)
+ * @returns {string} - Chemin absolu
+ */
+export function resolveAccountScope(projectName, scope = '') {
+    const sitesPath = path.join(BASE_PATH, projectName, PROJECT_STRUCTURE.sites);
+
+    if (scope && !/^[a-zA-Z0-9._\/-]+$/.test(scope)) {
+        throw new Error('Le sous-dossier ne peut contenir que lettres, chiffres, points, tirets, underscores et /');
+    }
+
+    const scopePath = path.resolve(sitesPath, scope || '.');
+    if (scopePath !== sitesPath && !scopePath.startsWith(sitesPath + path.sep)) {
+        throw new Error('Le sous-dossier doit se trouver dans sites/');
+    }
+
+    let current = sitesPath;
+    for (const part of ['', ...path.relative(sitesPath, scopePath).split(path.sep).filter(Boolean)]) {
+        current = path.join(current, part);
+        let stats;
+        try {
+            stats = fs.lstatSync(current);
+        } catch {
+            throw new Error(`Le dossier ${scopePath} n'existe pas`);
+        }
+        if (stats.isSymbolicLink()) {
+            throw new Error(`Le sous-dossier ne peut pas passer par un lien symbolique (${current})`);
+        }
+        if (!stats.isDirectory()) {
+            throw new Error(`${current} n'est pas un dossier`);
+        }
+    }
+
+    const realSitesPath = fs.realpathSync(sitesPath);
+    const realScopePath = fs.realpathSync(scopePath);
+    if (realScopePath !== realSitesPath && !realScopePath.startsWith(realSitesPath + path.sep)) {
+        throw new Error('Le sous-dossier doit se trouver dans sites/');
+    }
+
+    return scopePath;
+}
+
+/**
+ * Limite un compte à une seule entrée d'un dossier : le dossier n'est que traversable et les autres
+ * entrées, y compris celles créées ensuite (ACL par défaut), lui sont refusées par une ACL nominative
+ * qui prime sur les droits « others »
+ * @param {string} username - Utilisateur système du compte
+ * @param {string} dir - Dossier
+ * @param {string} allowed - Entrée du dossier laissée accessible
+ * @returns {Promise<void>}
+ */
+async function restrictToEntry(username, dir, allowed) {
+    await shell.execCommand(`setfacl -P -m u:${username}:--x,d:u:${username}:--- ${shellQuote(dir)}`);
+
+    // Les liens symboliques sont ignorés : setfacl agirait sur leur cible
+    const others = fs.readdirSync(dir)
+        .map(name => path.join(dir, name))
+        .filter(entry => entry !== allowed && !fs.lstatSync(entry).isSymbolicLink());
+    if (others.length > 0) {
+        await shell.execCommand(`setfacl -P -m u:${username}:--- ${others.map(shellQuote).join(' ')}`);
+    }
+}
+
+/**
+ * Crée l'utilisateur système d'un compte SFTP additionnel.
+ * Le compte est chrooté au projet comme l'utilisateur principal (le chroot d'OpenSSH doit appartenir
+ * à root : le sous-dossier, modifiable par l'utilisateur SFTP, ne peut pas en servir). Sa restriction
+ * au sous-dossier passe par des ACL POSIX (paquet acl requis) : droits sur le sous-dossier, simple
+ * traversée des dossiers qui y mènent depuis la racine du projet, et refus explicite de toutes les
+ * autres entrées de ces dossiers.
+ * @param {string} projectName - Nom du projet
+ * @param {object} account - { username, scope, readOnly }
+ * @param {string} password - Mot de passe du compte
+ * @returns {Promise<void>}
+ */
+export async function createSftpAccountUser(projectName, account, password) {
+    const { username, scope, readOnly } = account;
+    const projectPath = path.join(BASE_PATH, projectName);
+    const sitesPath = path.join(projectPath, PROJECT_STRUCTURE.sites);
+    const mainUser = `${SFTP_USER_PREFIX}${projectName}`;
+
+    if (username.length > 32) {
+        throw new Error(`Le nom d'utilisateur ${username} dépasse 32 caractères`);
+    }
+
+    if (shell.userExists(username)) {
+        throw new Error(`L'utilisateur ${username} existe déjà`);
+    }
+
+    if (!shell.commandExists('setfacl')) {
+        throw new Error('La commande setfacl est requise (apt install acl)');
+    }
+
+    const scopePath = resolveAccountScope(projectName, scope);
+
+    await ensureSftpGroup();
+
+    logger.info(`Création du compte ${username}...`);
+
+    await shell.execCommand(
+        `useradd -g ${SFTP_GROUP} -d ${projectPath} -s /usr/sbin/nologin ${username}`
+    );
+    shell.execSyncSafe('chpasswd', { input: `${username}:${password}` });
+
+    // Racine du projet (project.json, scripts/...) puis dossiers au-dessus du périmètre :
+    // seul le chemin vers le périmètre est accessible
+    await restrictToEntry(username, projectPath, sitesPath);
+    const parts = path.relative(sitesPath, scopePath).split(path.sep).filter(Boolean);
+    let dir = sitesPath;
+    for (const part of parts) {
+        await restrictToEntry(username, dir, path.join(dir, part));
+        dir = path.join(dir, part);
+    }
+
+    // Périmètre : lecture (et écriture) récursive ; les nouveaux fichiers restent modifiables par l'utilisateur principal
+    const perms = readOnly ? 'rX' : 'rwX';
+    await shell.execCommand(
+        `setfacl -R -P -m u:${username}:${perms},d:u:${username}:${perms},d:u:${mainUser}:rwX ${shellQuote(scopePath)}`
+    );
+
+    logger.success(`Compte ${username} créé`);
+}
+
+/**
+ * Verrouille ou déverrouille un compte SFTP additionnel
+ * @param {string} username - Utilisateur système
+ * @param {boolean} locked - true pour désactiver le compte
+ * @returns {Promise<void>}
+ */
+export async function setSftpAccountLocked(username, locked) {
+    if (!shell.userExists(username)) {
+        throw new Error(`L'utilisateur ${username} n'existe pas`);
+    }
+
+    // Un compte expiré est refusé quelle que soit la méthode d'authentification
+    await shell.execCommand(`usermod --expiredate ${locked ? '1' : "''"} ${username}`);
+
+    if (locked) {
+        try {
+            await shell.execCommand(`pkill -u ${username}`);
+        } catch {
+            // Ignorer si aucune session n'est ouverte
+        }
+    }
+
+    logger.success(`Compte ${username} ${locked ? 'désactivé' : 'réactivé'}`);
+}
+
+/**
+ * Supprime l'utilisateur système d'un compte SFTP additionnel et ses ACL
+ * @param {string} projectName - Nom du projet
+ * @param {string} username - Utilisateur système
+ * @returns {Promise<void>}
+ */
+export async function deleteSftpAccountUser(projectName, username) {
+    const projectPath = path.join(BASE_PATH, projectName);
+
+    if (fs.existsSync(projectPath)) {
+        try {
+            await shell.execCommand(`setfacl -R -P -x u:${username},d:u:${username} ${shellQuote(projectPath)}`);
+        } catch (error) {
+            logger.warn(`ACL de ${username} non retirées: ${error.message}`);
+        }
+    }
+
+    if (!shell.userExists(username)) {
+        return;
+    }
+
+    try {
+        await shell.execCommand(`pkill -u ${username}`);
+    } catch {
+        // Ignorer si aucun processus n'est en cours
+    }
+
+    await shell.execCommand(`userdel ${username}`);
+    logger.success(`Compte ${username} supprimé`);
+}
+
+/**
+ * Chemin du fichier authorized_keys d'un utilisateur SFTP
+ * @param {string} projectName - Nom du projet
+ * @returns {string}
+ */
+function getAuthorizedKeysPath(projectName) {
+    return path.join(SFTP_AUTHORIZED_KEYS_DIR, `${SFTP_USER_PREFIX}${projectName}`);
+}
+
+/**
+ * Analyse une ligne de clé publique OpenSSH ("type base64 [commentaire]")
+ * @param {string} line - Clé publique
+ * @returns {object} - { type, data, comment, fingerprint }
+ */
+function parsePublicKey(line) {
+    const parts = String(line || '').trim().split(/\s+/);
+    const [type, data, ...commentParts] = parts;
+
+    if (!ALLOWED_KEY_TYPES.includes(type) || !data) {
+        throw new Error(`Clé publique invalide (types acceptés: ${ALLOWED_KEY_TYPES.join(', ')})`);
+    }
+
+    const blob = Buffer.from(data, 'base64');
+    // Le blob commence par la longueur puis le nom du type de clé
+    const typeLength = blob.length > 4 ? blob.readUInt32BE(0) : 0;
+    if (blob.toString('base64') !== data || blob.subarray(4, 4 + typeLength).toString() !== type) {
+        throw new Error('Clé publique invalide (contenu base64 incorrect)');
+    }
+
+    return {
+        type,
+        data,
+        comment: commentParts.join(' '),
+        fingerprint: 'SHA256:' + crypto.createHash('sha256').update(blob).digest('base64').replace(/=+$/, '')
+    };
+}
+
+/**
+ * Écrit le fichier authorized_keys (root:root, 644 : lisible par sshd, non modifiable par l'utilisateur)
+ * @param {string} projectName - Nom du projet
+ * @param {Array} keys - Clés analysées par parsePublicKey
+ */
+function writeAuthorizedKeys(projectName, keys) {
+    if (!fs.existsSync(SFTP_AUTHORIZED_KEYS_DIR)) {
+        fs.mkdirSync(SFTP_AUTHORIZED_KEYS_DIR, { recursive: true, mode: 0o755 });
+    }
+
+    const keysFile = getAuthorizedKeysPath(projectName);
+    const content = keys.map(k => [k.type, k.data, k.comment].filter(Boolean).join(' ')).join('\n');
+    fs.writeFileSync(keysFile, content ? content + '\n' : '', { mode: 0o644 });
+    fs.chownSync(keysFile, 0, 0);
+    fs.chmodSync(keysFile, 0o644);
+}
+
+/**
+ * Lit les clés du fichier authorized_keys (les lignes invalides sont ignorées)
+ * @param {string} projectName - Nom du projet
+ * @returns {Array}
+ */
+function readAuthorizedKeys(projectName) {
+    const keysFile = getAuthorizedKeysPath(projectName);
+    if (!fs.existsSync(keysFile)) {
+        return [];
+    }
+
+    return fs.readFileSync(keysFile, 'utf8')
+        .split('\n')
+        .filter(line => line.trim() && !line.trim().startsWith('#'))
+        .flatMap(line => {
+            try {
+                return [parsePublicKey(line)];
+            } catch {
+                return [];
+            }
+        });
+}
+
+/**
+ * Liste les clés publiques d'un utilisateur SFTP
+ * @param {string} projectName - Nom du projet
+ * @returns {Array} - [{ type, comment, fingerprint }]
+ */
+export function listSftpKeys(projectName) {
+    return readAuthorizedKeys(projectName).map(({ type, comment, fingerprint }) => ({ type, comment, fingerprint }));
+}
+
+/**
+ * Ajoute une clé publique à un utilisateur SFTP
+ * @param {string} projectName - Nom du projet
+ * @param {string} publicKey - Clé publique OpenSSH
+ * @returns {object} - { type, comment, fingerprint }
+ */
+export function addSftpKey(projectName, publicKey) {
+    const username = `${SFTP_USER_PREFIX}${projectName}`;
+
+    if (!shell.userExists(username)) {
+        throw new Error(`L'utilisateur ${username} n'existe pas`);
+    }
+
+    if (String(publicKey || '').trim().includes('\n')) {
+        throw new Error('Une seule clé publique à la fois');
+    }
+
+    const key = parsePublicKey(publicKey);
+    const keys = readAuthorizedKeys(projectName);
+
+    if (keys.some(k => k.fingerprint === key.fingerprint)) {
+        throw new Error('Cette clé est déjà autorisée');
+    }
+
+    keys.push(key);
+    writeAuthorizedKeys(projectName, keys);
+    logger.success(`Clé ${key.fingerprint} ajoutée pour ${username}`);
+
+    return { type: key.type, comment: key.comment, fingerprint: key.fingerprint };
+}
+
+/**
+ * Révoque une clé publique d'un utilisateur SFTP
+ * @param {string} projectName - Nom du projet
+ * @param {string} fingerprint - Empreinte SHA256 de la clé
+ * @param {boolean} requireKey - Refuser de révoquer la dernière clé (mot de passe désactivé)
+ */
+export function removeSftpKey(projectName, fingerprint, requireKey = false) {
+    const keys = readAuthorizedKeys(projectName);
+    const remaining = keys.filter(k => k.fingerprint !== fingerprint);
+
+    if (remaining.length === keys.length) {
+        throw new Error('Clé non trouvée');
+    }
+
+    if (requireKey && remaining.length === 0) {
+        throw new Error('Impossible de révoquer la dernière clé tant que l\'authentification par mot de passe est désactivée');
+    }
+
+    writeAuthorizedKeys(projectName, remaining);
+    logger.success(`Clé ${fingerprint} révoquée pour ${SFTP_USER_PREFIX}${projectName}`);
+}
+
 /**
  * Récupère les informations d'un utilisateur SFTP
  * @param {string} projectName - Nom du projet
@@ -244,7 +741,17 @@ export default {
     createSftpUser,
     deleteSftpUser,
     updateSSHConfig,
+    listSSHConfigBackups,
+    restoreSSHConfig,
     isSftpConfigured,
     changeSftpPassword,
+    listSftpKeys,
+    addSftpKey,
+    removeSftpKey,
+    getSftpAccountUsername,
+    resolveAccountScope,
+    createSftpAccountUser,
+    setSftpAccountLocked,
+    deleteSftpAccountUser,
     getSftpUserInfo
 };
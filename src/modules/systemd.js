@@ -0,0 +1,420 @@
+/**
+ * Gestionnaire de processus systemd : alternative à PM2 pour les services qui s'y prêtent mal
+ * (workers Python, serveur intégré PHP...). Chaque service a son unité <projet>-<service>.service,
+ * exécutée sous l'utilisateur d'exécution du projet ; statut via systemctl show, logs via journald.
+ */
+
+import fs from 'fs';
+import { spawn } from 'child_process';
+import os from 'os';
+import path from 'path';
+import { SYSTEMD_CONFIG } from '../config/constants.js';
+import runtime from './runtime.js';
+import environment from './environment.js';
+import shell from '../utils/shell.js';
+import logger from '../utils/logger.js';
+
+// Opérateurs nécessitant de garder le shell (enchaînements, redirections)
+const SHELL_OPERATORS = /[;&|<>`]/;
+
+// Valeur renvoyée par systemctl show pour un compteur non renseigné
+const UNSET_COUNTER = '18446744073709551615';
+
+// Priorité syslog maximale des messages classés en erreur (err)
+const ERROR_PRIORITY = 3;
+
+/**
+ * Nom de l'unité systemd d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @returns {string}
+ */
+export function getUnitName(projectName, service) {
+    return `${projectName}-${service.name}.service`;
+}
+
+/**
+ * Chemins du fichier d'unité et du fichier des variables secrètes d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @returns {{unit: string, env: string}}
+ */
+export function getUnitPaths(projectName, service) {
+    const unitName = getUnitName(projectName, service);
+    return {
+        unit: path.join(SYSTEMD_CONFIG.unitPath, unitName),
+        env: path.join(SYSTEMD_CONFIG.envPath, `${unitName}.env`)
+    };
+}
+
+/**
+ * Indique si systemd est disponible
+ * @returns {boolean}
+ */
+export function isSystemdAvailable() {
+    return shell.commandExists('systemctl') && fs.existsSync('/run/systemd/system');
+}
+
+/**
+ * Place une valeur entre guillemets doubles (échappements du format systemd)
+ * @param {string} value
+ * @returns {string}
+ */
+function quoteValue(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+/**
+ * Place une valeur entre guillemets doubles dans un fichier d'unité
+ * (les % y sont des spécificateurs systemd)
+ * @param {string} value
+ * @returns {string}
+ */
+function quote(value) {
+    return quoteValue(value)
+        .replace(/[\x00-\x1f\x7f]/g, c => `\\x${c.charCodeAt(0).toString(16).padStart(2, '0')}`)
+        .replace(/%/g, '%%');
+}
+
+/**
+ * Valeur d'une directive lue telle quelle (chemin, utilisateur) : les caractères de contrôle et
+ * la barre oblique inverse finale (continuation de ligne) sont refusés, les % échappés
+ * @param {string} value
+ * @returns {string}
+ */
+function literal(value) {
+    const text = String(value);
+    if (/[\x00-\x1f\x7f]/.test(text) || text.endsWith('\\')) {
+        throw new Error(`Valeur invalide pour une unité systemd: ${JSON.stringify(text)}`);
+    }
+    return text.replace(/%/g, '%%');
+}
+
+/**
+ * Ligne ExecStart d'un service : la commande est lancée par /bin/sh (recherche dans le PATH),
+ * remplacé par le processus (exec) pour que systemd en suive le PID
+ * @param {object} service - Service
+ * @returns {string}
+ */
+function generateExecStart(service) {
+    const command = (service.command || 'npm start').trim();
+    const script = SHELL_OPERATORS.test(command) ? command : `exec ${command}`;
+    // $ est substitué par systemd dans ExecStart : le laisser au shell
+    return `/bin/sh -c ${quote(script).replace(/\$/g, '$$$$')}`;
+}
+
+/**
+ * Répartit l'environnement d'un service : les variables non secrètes vont dans l'unité (Environment=),
+ * les secrets dans l'EnvironmentFile, lisible par root seulement
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @param {object} env - Environnement du service (secrets compris)
+ * @returns {{plain: object, secret: object}}
+ */
+function splitEnvironment(projectName, service, env) {
+    const secretKeys = new Set();
+    for (const variable of [...environment.listVariables(projectName), ...environment.listVariables(projectName, service.name)]) {
+        if (variable.secret) {
+            secretKeys.add(variable.key);
+        } else {
+            secretKeys.delete(variable.key);
+        }
+    }
+
+    const plain = {};
+    const secret = {};
+    for (const [key, value] of Object.entries(env)) {
+        (secretKeys.has(key) ? secret : plain)[key] = value;
+    }
+    return { plain, secret };
+}
+
+/**
+ * Génère le fichier d'unité d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @param {object} plainEnv - Variables non secrètes
+ * @returns {string}
+ */
+export function generateUnit(projectName, service, plainEnv = {}) {
+    const user = runtime.getRuntimeUsername(projectName);
+    const { env } = getUnitPaths(projectName, service);
+    // Description sur une seule ligne
+    const details = String(service.description || '').replace(/[\x00-\x1f\x7f\\]+/g, ' ').trim();
+    const description = `${projectName}/${service.name}${details ? ` - ${details}` : ''}`;
+
+    let unit = `# ============================================
+# Unité systemd
+# Projet: ${projectName} - Service: ${service.name}
+# Généré automatiquement - Ne pas modifier
+# ============================================
+
+[Unit]
+Description=${literal(description)}
+After=network.target
+
+[Service]
+Type=simple
+User=${literal(user)}
+Group=${literal(user)}
+WorkingDirectory=${literal(service.directory)}
+`;
+    for (const [key, value] of Object.entries(plainEnv)) {
+        unit += `Environment=${quote(`${key}=${value}`)}\n`;
+    }
+    unit += `EnvironmentFile=-${env}\n`;
+    unit += `ExecStart=${generateExecStart(service)}\n`;
+    unit += `Restart=always\n`;
+    unit += `RestartSec=2\n`;
+    if (service.maxMemoryRestart) {
+        unit += `MemoryMax=${service.maxMemoryRestart}\n`;
+    }
+    unit += `SyslogIdentifier=${literal(`${projectName}-${service.name}`)}\n`;
+    unit += `\n[Install]\nWantedBy=multi-user.target\n`;
+
+    return unit;
+}
+
+/**
+ * Écrit l'unité d'un service et son fichier de secrets, puis recharge systemd
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @param {object} env - Environnement du service (secrets compris)
+ * @returns {Promise<void>}
+ */
+async function writeUnit(projectName, service, env) {
+    const paths = getUnitPaths(projectName, service);
+    const { plain, secret } = splitEnvironment(projectName, service, env);
+
+    fs.mkdirSync(SYSTEMD_CONFIG.envPath, { recursive: true, mode: 0o700 });
+    const envContent = Object.entries(secret).map(([key, value]) => `${key}=${quoteValue(value)}\n`).join('');
+    fs.writeFileSync(`${paths.env}.tmp`, envContent, { mode: 0o600 });
+    fs.renameSync(`${paths.env}.tmp`, paths.env);
+
+    fs.writeFileSync(`${paths.unit}.tmp`, generateUnit(projectName, service, plain), { mode: 0o644 });
+    fs.renameSync(`${paths.unit}.tmp`, paths.unit);
+
+    await shell.execCommand('systemctl daemon-reload');
+    logger.debug(`Unité systemd générée: ${paths.unit}`);
+}
+
+/**
+ * Vérifie que systemd est utilisable
+ */
+function assertAvailable() {
+    if (!isSystemdAvailable()) {
+        throw new Error('systemd n\'est pas disponible sur ce système');
+    }
+}
+
+/**
+ * Démarre (ou redémarre s'il tourne déjà) un service, activé au démarrage du serveur
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @param {object} env - Environnement du service (secrets compris)
+ * @returns {Promise<void>}
+ */
+export async function start(projectName, service, env) {
+    assertAvailable();
+    await runtime.ensureRuntimeUser(projectName);
+    await writeUnit(projectName, service, env);
+
+    const unitName = getUnitName(projectName, service);
+    await shell.execCommand(`systemctl enable ${unitName}`);
+    await shell.execCommand(`systemctl restart ${unitName}`);
+}
+
+/**
+ * Arrête un service et le désactive au démarrage du serveur
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @returns {Promise<void>}
+ */
+export async function stop(projectName, service) {
+    assertAvailable();
+    if (!fs.existsSync(getUnitPaths(projectName, service).unit)) {
+        return;
+    }
+
+    await shell.execCommand(`systemctl disable --now ${getUnitName(projectName, service)}`);
+}
+
+/**
+ * Redémarre un service (unité régénérée)
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @param {object} env - Environnement du service (secrets compris)
+ * @returns {Promise<void>}
+ */
+export async function restart(projectName, service, env) {
+    assertAvailable();
+    await runtime.ensureRuntimeUser(projectName);
+    await writeUnit(projectName, service, env);
+    await shell.execCommand(`systemctl restart ${getUnitName(projectName, service)}`);
+}
+
+/**
+ * Arrête un service et supprime son unité
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @returns {Promise<void>}
+ */
+export async function remove(projectName, service) {
+    const paths = getUnitPaths(projectName, service);
+    if (!fs.existsSync(paths.unit)) {
+        fs.rmSync(paths.env, { force: true });
+        return;
+    }
+
+    try {
+        await shell.execCommand(`systemctl disable --now ${getUnitName(projectName, service)}`);
+    } catch (error) {
+        logger.warn(`Arrêt de ${getUnitName(projectName, service)} impossible: ${error.message}`);
+    }
+
+    fs.rmSync(paths.unit, { force: true });
+    fs.rmSync(paths.env, { force: true });
+    await shell.execCommand('systemctl daemon-reload');
+}
+
+/**
+ * Processus d'un service, lus via systemctl show
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @returns {Promise<Array>} - [{ id, pid, status, uptime, restarts, memory, cpu, execMode }], vide si arrêté
+ */
+export async function getProcesses(projectName, service) {
+    if (!fs.existsSync(getUnitPaths(projectName, service).unit)) {
+        return [];
+    }
+
+    let properties;
+    try {
+        const { stdout } = await shell.execCommand(
+            `systemctl show ${getUnitName(projectName, service)} ` +
+            '--property=ActiveState,SubState,MainPID,NRestarts,MemoryCurrent,ActiveEnterTimestampMonotonic'
+        );
+        properties = Object.fromEntries(stdout.split('\n').filter(Boolean).map(line => {
+            const index = line.indexOf('=');
+            return [line.slice(0, index), line.slice(index + 1)];
+        }));
+    } catch {
+        return [];
+    }
+
+    const status = {
+        active: 'online',
+        reloading: 'online',
+        activating: 'launching',
+        deactivating: 'stopping',
+        failed: 'errored'
+    }[properties.ActiveState];
+
+    if (!status) {
+        return [];
+    }
+
+    // Horodatage monotone (µs depuis le démarrage du serveur) converti en date
+    const enteredAt = parseInt(properties.ActiveEnterTimestampMonotonic) || 0;
+    const memory = properties.MemoryCurrent && properties.MemoryCurrent !== UNSET_COUNTER && properties.MemoryCurrent !== '[not set]'
+        ? parseInt(properties.MemoryCurrent)
+        : null;
+
+    return [{
+        id: getUnitName(projectName, service),
+        pid: parseInt(properties.MainPID) || null,
+        status,
+        uptime: status === 'online' && enteredAt
+            ? Math.round(Date.now() - os.uptime() * 1000 + enteredAt / 1000)
+            : null,
+        restarts: parseInt(properties.NRestarts) || 0,
+        memory,
+        cpu: null,
+        execMode: 'systemd'
+    }];
+}
+
+/**
+ * Dernières lignes de logs d'un service (journald)
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @param {number} lines - Nombre de lignes
+ * @returns {Promise<string>}
+ */
+export async function getLogs(projectName, service, lines) {
+    try {
+        const { stdout } = await shell.execCommand(
+            `journalctl -u ${getUnitName(projectName, service)} -n ${parseInt(lines) || 50} --no-pager -o short-iso`
+        );
+        return stdout;
+    } catch (error) {
+        throw new Error(`Impossible de récupérer les logs: ${error.message}`);
+    }
+}
+
+/**
+ * Suit en direct les logs d'un service (journalctl -f). journald ne distingue pas les sorties
+ * standard et d'erreur : les messages de priorité err ou plus grave sont classés en erreur.
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @param {object} options - { offset: curseur journald (reprise), lines: lignes initiales sans offset }
+ * @param {Function} onLine - Reçoit { stream, line, offset }
+ * @returns {Function} - Arrête le suivi
+ */
+export function followLogs(projectName, service, options, onLine) {
+    if (options.offset && !/^s=[\w;=-]+$/.test(options.offset)) {
+        throw new Error(`Offset invalide: ${options.offset} (curseur journald attendu)`);
+    }
+
+    const args = ['-u', getUnitName(projectName, service), '-f', '-o', 'json', '--output-fields=MESSAGE,PRIORITY'];
+    args.push(...(options.offset ? ['--after-cursor', options.offset] : ['-n', String(options.lines)]));
+
+    const journal = spawn('journalctl', args, { stdio: ['ignore', 'pipe', 'ignore'] });
+    journal.on('error', (error) => logger.debug(`journalctl: ${error.message}`));
+
+    let remainder = '';
+    journal.stdout.setEncoding('utf8');
+    journal.stdout.on('data', (chunk) => {
+        const lines = (remainder + chunk).split('\n');
+        remainder = lines.pop();
+        for (const line of lines.filter(Boolean)) {
+            try {
+                const entry = JSON.parse(line);
+                // Message non UTF-8 : tableau d'octets
+                const message = Array.isArray(entry.MESSAGE) ? Buffer.from(entry.MESSAGE).toString('utf8') : String(entry.MESSAGE ?? '');
+                onLine({
+                    stream: parseInt(entry.PRIORITY) <= ERROR_PRIORITY ? 'err' : 'out',
+                    line: message,
+                    offset: entry.__CURSOR
+                });
+            } catch (error) {
+                logger.debug(`Entrée journald illisible: ${error.message}`);
+            }
+        }
+    });
+
+    return () => journal.kill();
+}
+
+/**
+ * journald ne permet pas de vider les logs d'une seule unité
+ * @returns {Promise<void>}
+ */
+export async function flushLogs() {
+    throw new Error('Les logs d\'un service systemd sont conservés par journald et ne peuvent pas être vidés individuellement');
+}
+
+export default {
+    getUnitName,
+    getUnitPaths,
+    isSystemdAvailable,
+    generateUnit,
+    start,
+    stop,
+    restart,
+    remove,
+    getProcesses,
+    getLogs,
+    followLogs,
+    flushLogs
+};
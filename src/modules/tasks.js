@@ -0,0 +1,334 @@
+/**
+ * Module d'exécution des tâches planifiées des projets : validation d'une tâche, exécution
+ * sous l'utilisateur d'exécution du projet (délai maximal, sortie capturée), verrou contre
+ * les exécutions simultanées et historique des exécutions.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { spawn } from 'child_process';
+import { BASE_PATH, PROJECT_STRUCTURE, TASKS_CONFIG } from '../config/constants.js';
+import cron from './cron.js';
+import runtime from './runtime.js';
+import environment from './environment.js';
+import shell from '../utils/shell.js';
+import logger from '../utils/logger.js';
+
+// Délai entre l'arrêt demandé (SIGTERM) et l'arrêt forcé (SIGKILL) d'une exécution trop longue
+const KILL_GRACE_PERIOD = 5000;
+
+// Groupes de processus des exécutions en cours, arrêtés avec le processus qui les a lancés
+// (annulation de la tâche de fond, arrêt du serveur Web)
+const runningGroups = new Set();
+process.on('exit', () => {
+    for (const pid of runningGroups) {
+        try {
+            process.kill(-pid, 'SIGTERM');
+        } catch {
+            // Groupe déjà terminé
+        }
+    }
+});
+
+/**
+ * Valide et normalise une tâche planifiée
+ * @param {object} config - { name, schedule, command, directory, timeout, env, enabled, description }
+ * @returns {object}
+ */
+export function normalizeTask(config) {
+    const name = String(config.name || '').trim();
+    if (!/^[a-zA-Z][a-zA-Z0-9_-]*$/.test(name)) {
+        throw new Error('Le nom de la tâche doit commencer par une lettre et ne contenir que des lettres, chiffres, tirets et underscores');
+    }
+
+    const command = String(config.command || '').trim();
+    if (!command) {
+        throw new Error('La commande de la tâche est requise');
+    }
+
+    // Dossier de travail relatif à sites/, sans en sortir
+    const directory = path.posix.normalize(String(config.directory || '.').trim() || '.').replace(/\/+$/, '') || '.';
+    if (path.posix.isAbsolute(directory) || directory === '..' || directory.startsWith('../')) {
+        throw new Error(`Dossier invalide: ${config.directory} (chemin relatif au dossier sites/ du projet)`);
+    }
+
+    const timeout = config.timeout === undefined || config.timeout === null || config.timeout === ''
+        ? TASKS_CONFIG.defaultTimeout
+        : Number(config.timeout);
+    if (!Number.isInteger(timeout) || timeout < 1 || timeout > TASKS_CONFIG.maxTimeout) {
+        throw new Error(`Délai invalide: ${config.timeout} (1 à ${TASKS_CONFIG.maxTimeout} secondes)`);
+    }
+
+    // Variables propres à la tâche : { NOM: valeur } (les secrets restent dans les variables chiffrées du projet)
+    const env = {};
+    for (const [key, value] of Object.entries(config.env || {})) {
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+            throw new Error(`Nom de variable invalide: ${key}`);
+        }
+        env[key] = String(value ?? '');
+    }
+
+    return {
+        name,
+        schedule: cron.normalizeCron(config.schedule),
+        command,
+        directory,
+        timeout,
+        env,
+        enabled: config.enabled !== false,
+        description: String(config.description || '').trim()
+    };
+}
+
+/**
+ * Dossier de travail d'une tâche
+ * @param {string} projectName - Nom du projet
+ * @param {object} task - Tâche
+ * @returns {string}
+ */
+export function getTaskDirectory(projectName, task) {
+    return path.join(BASE_PATH, projectName, PROJECT_STRUCTURE.sites, task.directory || '.');
+}
+
+/**
+ * Fichier d'historique des exécutions d'une tâche
+ * @param {string} projectName - Nom du projet
+ * @param {string} taskName - Nom de la tâche
+ * @returns {string}
+ */
+function getHistoryFile(projectName, taskName) {
+    return path.join(TASKS_CONFIG.historyPath, projectName, `${taskName}.json`);
+}
+
+/**
+ * Fichier de verrou d'une tâche (exécution en cours, y compris depuis un autre processus)
+ * @param {string} projectName - Nom du projet
+ * @param {string} taskName - Nom de la tâche
+ * @returns {string}
+ */
+function getLockFile(projectName, taskName) {
+    return path.join(TASKS_CONFIG.historyPath, projectName, `${taskName}.lock`);
+}
+
+/**
+ * Indique si un processus existe encore
+ * @param {number} pid
+ * @returns {boolean}
+ */
+function isAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Exécution en cours d'une tâche
+ * @param {string} projectName - Nom du projet
+ * @param {string} taskName - Nom de la tâche
+ * @returns {object|null} - { id, trigger, startedAt }, null si la tâche ne tourne pas
+ */
+export function getRunningRun(projectName, taskName) {
+    try {
+        const lock = JSON.parse(fs.readFileSync(getLockFile(projectName, taskName), 'utf8'));
+        return isAlive(lock.pid) ? { id: lock.id, trigger: lock.trigger, startedAt: lock.startedAt } : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Prend le verrou d'une tâche (un verrou laissé par un processus disparu est repris)
+ * @param {string} projectName - Nom du projet
+ * @param {string} taskName - Nom de la tâche
+ * @param {object} run - { id, trigger, startedAt }
+ */
+function lock(projectName, taskName, run) {
+    const lockFile = getLockFile(projectName, taskName);
+    fs.mkdirSync(path.dirname(lockFile), { recursive: true });
+    const content = JSON.stringify({ ...run, pid: process.pid });
+
+    try {
+        fs.writeFileSync(lockFile, content, { flag: 'wx' });
+        return;
+    } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+    }
+
+    if (getRunningRun(projectName, taskName)) {
+        throw new Error(`La tâche ${taskName} est déjà en cours d'exécution`);
+    }
+    fs.writeFileSync(lockFile, content);
+}
+
+/**
+ * Historique des exécutions d'une tâche (la plus récente en premier)
+ * @param {string} projectName - Nom du projet
+ * @param {string} taskName - Nom de la tâche
+ * @returns {Array} - [{ id, trigger (schedule, manual), triggeredBy, status (success, failed, timeout),
+ *                    exitCode, signal, error, startedAt, finishedAt, duration, output, truncated }]
+ */
+export function getTaskHistory(projectName, taskName) {
+    const file = getHistoryFile(projectName, taskName);
+    if (!fs.existsSync(file)) {
+        return [];
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        logger.warn(`Historique des exécutions illisible (${file}): ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Ajoute une exécution à l'historique d'une tâche
+ * @param {string} projectName - Nom du projet
+ * @param {string} taskName - Nom de la tâche
+ * @param {object} run - Exécution terminée
+ */
+function recordRun(projectName, taskName, run) {
+    const file = getHistoryFile(projectName, taskName);
+    const history = [run, ...getTaskHistory(projectName, taskName)].slice(0, TASKS_CONFIG.historySize);
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.tmp-${process.pid}`;
+    // La sortie peut contenir des données sensibles : lisible par root seulement
+    fs.writeFileSync(tmpFile, JSON.stringify(history, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpFile, file);
+}
+
+/**
+ * Lance la commande d'une tâche et attend sa fin. Au-delà du délai, son groupe de processus est arrêté.
+ * @param {string} command
+ * @param {object} options - Options de spawn (cwd, env, uid, gid)
+ * @param {number} timeout - Délai (secondes)
+ * @param {Function} onOutput - Appelée pour chaque morceau de sortie
+ * @returns {Promise<object>} - { exitCode, signal, timedOut, output, truncated }
+ */
+function execute(command, options, timeout, onOutput) {
+    return new Promise((resolve, reject) => {
+        // Groupe de processus dédié : le délai arrête aussi les commandes lancées par la tâche
+        const child = spawn('bash', ['-c', command], { ...options, detached: true, stdio: ['ignore', 'pipe', 'pipe'] });
+        let output = '';
+        let truncated = false;
+        let timedOut = false;
+        let killTimer = null;
+        runningGroups.add(child.pid);
+
+        const collect = (chunk) => {
+            const text = chunk.toString();
+            onOutput?.(text);
+            output += text;
+            // Seule la fin de la sortie est conservée
+            if (output.length > TASKS_CONFIG.maxOutput * 2) {
+                output = output.slice(-TASKS_CONFIG.maxOutput);
+                truncated = true;
+            }
+        };
+        child.stdout.on('data', collect);
+        child.stderr.on('data', collect);
+
+        const signalGroup = (signal) => {
+            try {
+                process.kill(-child.pid, signal);
+            } catch {
+                // Groupe déjà terminé
+            }
+        };
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            signalGroup('SIGTERM');
+            killTimer = setTimeout(() => signalGroup('SIGKILL'), KILL_GRACE_PERIOD);
+        }, timeout * 1000);
+
+        child.on('error', (error) => {
+            runningGroups.delete(child.pid);
+            clearTimeout(timer);
+            reject(error);
+        });
+        child.on('close', (exitCode, signal) => {
+            runningGroups.delete(child.pid);
+            clearTimeout(timer);
+            clearTimeout(killTimer);
+            if (output.length > TASKS_CONFIG.maxOutput) {
+                output = output.slice(-TASKS_CONFIG.maxOutput);
+                truncated = true;
+            }
+            resolve({ exitCode, signal, timedOut, output, truncated });
+        });
+    });
+}
+
+/**
+ * Exécute une tâche dans son dossier, sous l'utilisateur d'exécution du projet, avec les variables
+ * du projet et celles de la tâche. L'exécution est ajoutée à l'historique, réussie ou non.
+ * @param {string} projectName - Nom du projet
+ * @param {object} task - Tâche
+ * @param {object} options - { trigger (schedule, manual), triggeredBy, onOutput(texte) }
+ * @returns {Promise<object>} - Exécution (voir getTaskHistory)
+ */
+export async function runTask(projectName, task, { trigger = 'manual', triggeredBy = null, onOutput = null } = {}) {
+    const run = { id: crypto.randomUUID(), trigger, startedAt: new Date().toISOString() };
+    lock(projectName, task.name, run);
+
+    const startedAt = Date.now();
+    let result;
+    try {
+        const directory = getTaskDirectory(projectName, task);
+        if (!fs.existsSync(directory)) {
+            throw new Error(`Le dossier de la tâche n'existe pas: ${directory}`);
+        }
+
+        const projectRuntime = await runtime.ensureRuntimeUser(projectName);
+        const env = { ...environment.resolveEnvironment(projectName, null), ...task.env };
+        result = await execute(task.command, { cwd: directory, ...shell.runtimeOptions(projectRuntime, env) }, task.timeout, onOutput);
+    } catch (error) {
+        result = { exitCode: null, signal: null, timedOut: false, output: '', truncated: false, error: error.message };
+    } finally {
+        fs.rmSync(getLockFile(projectName, task.name), { force: true });
+    }
+
+    const status = result.timedOut ? 'timeout' : result.exitCode === 0 ? 'success' : 'failed';
+    const entry = {
+        ...run,
+        triggeredBy,
+        status,
+        exitCode: result.exitCode,
+        signal: result.signal,
+        error: result.error || (result.timedOut ? `Interrompue après ${task.timeout}s` : null),
+        finishedAt: new Date().toISOString(),
+        duration: Date.now() - startedAt,
+        output: result.output,
+        truncated: result.truncated
+    };
+    recordRun(projectName, task.name, entry);
+
+    return entry;
+}
+
+/**
+ * Supprime l'historique des exécutions d'une tâche, ou de tout un projet
+ * @param {string} projectName - Nom du projet
+ * @param {string|null} taskName - Nom de la tâche (null : tout le projet)
+ */
+export function removeTaskHistory(projectName, taskName = null) {
+    const target = taskName
+        ? getHistoryFile(projectName, taskName)
+        : path.join(TASKS_CONFIG.historyPath, projectName);
+    fs.rmSync(target, { recursive: true, force: true });
+}
+
+export default {
+    normalizeTask,
+    getTaskDirectory,
+    getRunningRun,
+    getTaskHistory,
+    runTask,
+    removeTaskHistory
+};
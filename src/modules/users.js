@@ -6,12 +6,19 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
+import { TOOL_CONFIG_PATH, PASSWORD_POLICY, SCRYPT_PARAMS } from '../config/constants.js';
+import logger from '../utils/logger.js';
+import totp from '../utils/totp.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const USERS_FILE = path.join(__dirname, '../../data/users.json');
 const DATA_DIR = path.join(__dirname, '../../data');
+const PASSWORD_POLICY_FILE = path.join(TOOL_CONFIG_PATH, 'password-policy.json');
+
+// Mot de passe du compte admin créé à l'initialisation (changement imposé à la première connexion)
+const BOOTSTRAP_ADMIN_PASSWORD = 'admin123';
 
 /**
  * Initialise le fichier des utilisateurs
@@ -27,22 +34,108 @@ function initUsersFile() {
                 {
                     id: crypto.randomUUID(),
                     username: 'admin',
-                    password: hashPassword('admin123'),
+                    password: hashPassword(BOOTSTRAP_ADMIN_PASSWORD),
                     role: 'admin',
+                    mustChangePassword: true,
                     createdAt: new Date().toISOString(),
                     projects: []
                 }
             ]
         };
         fs.writeFileSync(USERS_FILE, JSON.stringify(defaultAdmin, null, 2));
+        logger.warn(`Compte initial créé: admin / ${BOOTSTRAP_ADMIN_PASSWORD} (changement du mot de passe imposé à la première connexion)`);
     }
 }
 
 /**
- * Hash un mot de passe
+ * Hash un mot de passe avec scrypt et un sel aléatoire.
+ * Format stocké: scrypt$N$r$p$sel$hash (sel et hash en base64)
  */
 function hashPassword(password) {
-    return crypto.createHash('sha256').update(password).digest('hex');
+    const { N, r, p, keyLength } = SCRYPT_PARAMS;
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, keyLength, { N, r, p });
+    return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Vérifie un mot de passe contre un hash stocké.
+ * Les anciens hash SHA-256 non salés sont acceptés mais signalés pour être recalculés.
+ * @returns {{valid: boolean, needsRehash: boolean}}
+ */
+function verifyPassword(password, storedHash) {
+    if (typeof storedHash !== 'string') {
+        return { valid: false, needsRehash: false };
+    }
+
+    // Ancien format : SHA-256 hexadécimal sans sel
+    if (/^[a-f0-9]{64}$/.test(storedHash)) {
+        const legacy = crypto.createHash('sha256').update(password).digest();
+        const valid = crypto.timingSafeEqual(legacy, Buffer.from(storedHash, 'hex'));
+        return { valid, needsRehash: valid };
+    }
+
+    const [scheme, N, r, p, salt, hash] = storedHash.split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return { valid: false, needsRehash: false };
+    }
+
+    const expected = Buffer.from(hash, 'base64');
+    const params = { N: Number(N), r: Number(r), p: Number(p) };
+    // scrypt exige maxmem >= 128 * N * r ; on laisse une marge
+    const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64'), expected.length, {
+        ...params,
+        maxmem: 256 * params.N * params.r
+    });
+    const valid = crypto.timingSafeEqual(actual, expected);
+
+    // Paramètres obsolètes : recalculer avec les paramètres courants
+    const outdated = params.N !== SCRYPT_PARAMS.N || params.r !== SCRYPT_PARAMS.r ||
+        params.p !== SCRYPT_PARAMS.p || expected.length !== SCRYPT_PARAMS.keyLength;
+
+    return { valid, needsRehash: valid && outdated };
+}
+
+/**
+ * Retourne la politique de mots de passe effective
+ * (valeurs par défaut surchargées par password-policy.json s'il existe)
+ */
+function getPasswordPolicy() {
+    try {
+        if (fs.existsSync(PASSWORD_POLICY_FILE)) {
+            const overrides = JSON.parse(fs.readFileSync(PASSWORD_POLICY_FILE, 'utf8'));
+            return { ...PASSWORD_POLICY, ...overrides };
+        }
+    } catch (error) {
+        logger.warn(`Politique de mots de passe invalide, valeurs par défaut utilisées: ${error.message}`);
+    }
+    return { ...PASSWORD_POLICY };
+}
+
+/**
+ * Vérifie qu'un mot de passe respecte la politique, lève une erreur sinon
+ */
+function validatePassword(password) {
+    const policy = getPasswordPolicy();
+
+    if (typeof password !== 'string' || password.length < policy.minLength) {
+        throw new Error(`Le mot de passe doit contenir au moins ${policy.minLength} caractères`);
+    }
+    if (password === BOOTSTRAP_ADMIN_PASSWORD) {
+        throw new Error('Ce mot de passe n\'est pas autorisé');
+    }
+    if (policy.requireLowercase && !/[a-z]/.test(password)) {
+        throw new Error('Le mot de passe doit contenir au moins une lettre minuscule');
+    }
+    if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+        throw new Error('Le mot de passe doit contenir au moins une lettre majuscule');
+    }
+    if (policy.requireDigit && !/[0-9]/.test(password)) {
+        throw new Error('Le mot de passe doit contenir au moins un chiffre');
+    }
+    if (policy.requireSymbol && !/[^a-zA-Z0-9]/.test(password)) {
+        throw new Error('Le mot de passe doit contenir au moins un caractère spécial');
+    }
 }
 
 /**
@@ -61,10 +154,77 @@ function writeUsers(data) {
     fs.writeFileSync(USERS_FILE, JSON.stringify(data, null, 2));
 }
 
+/**
+ * Paramètres de sécurité globaux (stockés dans users.json)
+ */
+function getSettings(data) {
+    return { requireAdminTwoFactor: false, ...(data.settings || {}) };
+}
+
+/**
+ * Retourne un utilisateur sans mot de passe ni secrets 2FA
+ */
+function toPublicUser(user, settings) {
+    const { password, twoFactor, ...publicUser } = user;
+    const twoFactorEnabled = !!twoFactor?.enabled;
+
+    return {
+        ...publicUser,
+        twoFactorEnabled,
+        twoFactorSetupRequired: user.role === 'admin' && settings.requireAdminTwoFactor && !twoFactorEnabled
+    };
+}
+
+/**
+ * Hash un code de récupération (codes aléatoires à forte entropie, SHA-256 suffit)
+ */
+function hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+}
+
+/**
+ * Génère une série de codes de récupération
+ * @returns {{codes: string[], hashes: string[]}}
+ */
+function generateRecoveryCodes(count = 10) {
+    const codes = [];
+    for (let i = 0; i < count; i++) {
+        const raw = crypto.randomBytes(5).toString('hex');
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Vérifie un second facteur (code TOTP ou code de récupération).
+ * Met à jour l'utilisateur (anti-rejeu, consommation du code de récupération).
+ */
+function verifySecondFactor(user, code) {
+    const step = totp.verifyCode(user.twoFactor.secret, code);
+    if (step !== null) {
+        // Refuser la réutilisation d'un code déjà accepté
+        if (user.twoFactor.lastUsedStep !== undefined && step <= user.twoFactor.lastUsedStep) {
+            return false;
+        }
+        user.twoFactor.lastUsedStep = step;
+        return true;
+    }
+
+    const hash = hashRecoveryCode(String(code || ''));
+    const index = (user.twoFactor.recoveryCodes || []).indexOf(hash);
+    if (index !== -1) {
+        user.twoFactor.recoveryCodes.splice(index, 1);
+        return true;
+    }
+
+    return false;
+}
+
 /**
  * Authentifie un utilisateur
+ * @param {string} code - Code TOTP ou de récupération (si la 2FA est activée)
  */
-function authenticate(username, password) {
+function authenticate(username, password, code = null) {
     const data = readUsers();
     const user = data.users.find(u => u.username === username);
     
@@ -72,13 +232,40 @@ function authenticate(username, password) {
         return { success: false, error: 'Utilisateur non trouvé' };
     }
 
-    const hashedPassword = hashPassword(password);
-    if (user.password !== hashedPassword) {
+    const { valid, needsRehash } = verifyPassword(password, user.password);
+    if (!valid) {
         return { success: false, error: 'Mot de passe incorrect' };
     }
 
-    const { password: _, ...userWithoutPassword } = user;
-    return { success: true, user: userWithoutPassword };
+    let changed = false;
+
+    if (user.twoFactor?.enabled) {
+        if (!code) {
+            return { success: false, twoFactorRequired: true, error: 'Code de vérification requis' };
+        }
+        if (!verifySecondFactor(user, code)) {
+            return { success: false, twoFactorRequired: true, error: 'Code de vérification invalide' };
+        }
+        changed = true;
+    }
+
+    // Migration transparente des anciens hash
+    if (needsRehash) {
+        user.password = hashPassword(password);
+        changed = true;
+    }
+
+    // Le mot de passe initial doit toujours être changé
+    if (password === BOOTSTRAP_ADMIN_PASSWORD && !user.mustChangePassword) {
+        user.mustChangePassword = true;
+        changed = true;
+    }
+
+    if (changed) {
+        writeUsers(data);
+    }
+
+    return { success: true, user: toPublicUser(user, getSettings(data)) };
 }
 
 /**
@@ -86,7 +273,8 @@ function authenticate(username, password) {
  */
 function listUsers() {
     const data = readUsers();
-    return data.users.map(({ password, ...user }) => user);
+    const settings = getSettings(data);
+    return data.users.map(user => toPublicUser(user, settings));
 }
 
 /**
@@ -97,8 +285,7 @@ function getUserById(userId) {
     const user = data.users.find(u => u.id === userId);
     if (!user) return null;
     
-    const { password, ...userWithoutPassword } = user;
-    return userWithoutPassword;
+    return toPublicUser(user, getSettings(data));
 }
 
 /**
@@ -115,9 +302,7 @@ function createUser(username, password, role = 'user', mustChangePassword = fals
         throw new Error('Rôle invalide. Doit être "admin" ou "user"');
     }
 
-    if (password.length < 6) {
-        throw new Error('Le mot de passe doit contenir au moins 6 caractères');
-    }
+    validatePassword(password);
 
     const newUser = {
         id: crypto.randomUUID(),
@@ -134,8 +319,7 @@ function createUser(username, password, role = 'user', mustChangePassword = fals
     data.users.push(newUser);
     writeUsers(data);
 
-    const { password: _, ...userWithoutPassword } = newUser;
-    return userWithoutPassword;
+    return toPublicUser(newUser, getSettings(data));
 }
 
 /**
@@ -165,9 +349,7 @@ function deleteUser(userId) {
  * Change le mot de passe d'un utilisateur
  */
 function changePassword(userId, newPassword) {
-    if (newPassword.length < 6) {
-        throw new Error('Le mot de passe doit contenir au moins 6 caractères');
-    }
+    validatePassword(newPassword);
 
     const data = readUsers();
     const user = data.users.find(u => u.id === userId);
@@ -253,8 +435,7 @@ function updateUser(userId, updates) {
 
     writeUsers(data);
     
-    const { password, ...userWithoutPassword } = user;
-    return userWithoutPassword;
+    return toPublicUser(user, getSettings(data));
 }
 
 /**
@@ -283,8 +464,152 @@ function changeUserRole(userId, newRole) {
     writeUsers(data);
 }
 
+/**
+ * Démarre l'enrôlement 2FA : génère un secret en attente de confirmation
+ * @returns {{secret: string, otpauthUri: string}}
+ */
+function beginTwoFactorEnrollment(userId) {
+    const data = readUsers();
+    const user = data.users.find(u => u.id === userId);
+
+    if (!user) {
+        throw new Error('Utilisateur non trouvé');
+    }
+
+    if (user.twoFactor?.enabled) {
+        throw new Error('La double authentification est déjà activée');
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor = { enabled: false, pendingSecret: secret };
+    writeUsers(data);
+
+    return { secret, otpauthUri: totp.buildOtpauthUri(secret, user.username) };
+}
+
+/**
+ * Confirme l'enrôlement 2FA avec un premier code valide
+ * @returns {string[]} - Codes de récupération (affichés une seule fois)
+ */
+function confirmTwoFactorEnrollment(userId, code) {
+    const data = readUsers();
+    const user = data.users.find(u => u.id === userId);
+
+    if (!user) {
+        throw new Error('Utilisateur non trouvé');
+    }
+
+    const secret = user.twoFactor?.pendingSecret;
+    if (!secret) {
+        throw new Error('Aucun enrôlement en cours');
+    }
+
+    const step = totp.verifyCode(secret, code);
+    if (step === null) {
+        throw new Error('Code de vérification invalide');
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor = {
+        enabled: true,
+        secret,
+        recoveryCodes: hashes,
+        lastUsedStep: step,
+        enrolledAt: new Date().toISOString()
+    };
+    writeUsers(data);
+
+    return codes;
+}
+
+/**
+ * Régénère les codes de récupération (nécessite un code valide)
+ * @returns {string[]}
+ */
+function regenerateRecoveryCodes(userId, code) {
+    const data = readUsers();
+    const user = data.users.find(u => u.id === userId);
+
+    if (!user) {
+        throw new Error('Utilisateur non trouvé');
+    }
+
+    if (!user.twoFactor?.enabled) {
+        throw new Error('La double authentification n\'est pas activée');
+    }
+
+    if (!verifySecondFactor(user, code)) {
+        throw new Error('Code de vérification invalide');
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    writeUsers(data);
+
+    return codes;
+}
+
+/**
+ * Désactive sa propre 2FA (nécessite un code valide)
+ */
+function disableTwoFactor(userId, code) {
+    const data = readUsers();
+    const user = data.users.find(u => u.id === userId);
+
+    if (!user) {
+        throw new Error('Utilisateur non trouvé');
+    }
+
+    if (user.twoFactor?.enabled && !verifySecondFactor(user, code)) {
+        throw new Error('Code de vérification invalide');
+    }
+
+    delete user.twoFactor;
+    writeUsers(data);
+}
+
+/**
+ * Réinitialise la 2FA d'un utilisateur (action administrateur, ex: appareil perdu)
+ */
+function resetTwoFactor(userId) {
+    const data = readUsers();
+    const user = data.users.find(u => u.id === userId);
+
+    if (!user) {
+        throw new Error('Utilisateur non trouvé');
+    }
+
+    delete user.twoFactor;
+    writeUsers(data);
+}
+
+/**
+ * Récupère les paramètres de sécurité globaux
+ */
+function getSecuritySettings() {
+    return getSettings(readUsers());
+}
+
+/**
+ * Met à jour les paramètres de sécurité globaux
+ */
+function updateSecuritySettings(updates) {
+    const data = readUsers();
+    const settings = getSettings(data);
+
+    if (updates.requireAdminTwoFactor !== undefined) {
+        settings.requireAdminTwoFactor = !!updates.requireAdminTwoFactor;
+    }
+
+    data.settings = settings;
+    writeUsers(data);
+    return settings;
+}
+
 export default {
     authenticate,
+    getPasswordPolicy,
+    validatePassword,
     listUsers,
     getUserById,
     createUser,
@@ -294,5 +619,12 @@ export default {
     removeProjectFromUser,
     getUserProjects,
     updateUser,
-    changeUserRole
+    changeUserRole,
+    beginTwoFactorEnrollment,
+    confirmTwoFactorEnrollment,
+    regenerateRecoveryCodes,
+    disableTwoFactor,
+    resetTwoFactor,
+    getSecuritySettings,
+    updateSecuritySettings
 };
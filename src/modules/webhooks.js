@@ -0,0 +1,370 @@
+/**
+ * Module des webhooks de déploiement : secret par service, vérification des livraisons
+ * envoyées par les forges git (signature HMAC GitHub / Gitea, jeton GitLab), lecture des
+ * événements push et historique des livraisons reçues.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { WEBHOOKS_CONFIG } from '../config/constants.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Forges reconnues : en-tête portant le nom de l'événement
+ */
+const EVENT_HEADERS = {
+    github: 'x-github-event',
+    gitea: 'x-gitea-event',
+    gogs: 'x-gogs-event',
+    gitlab: 'x-gitlab-event'
+};
+
+/**
+ * Charge les secrets des webhooks
+ * @returns {object} - { "<projet>/<service>": { secret, createdAt } }
+ */
+function loadSecrets() {
+    try {
+        if (fs.existsSync(WEBHOOKS_CONFIG.secretsFile)) {
+            return JSON.parse(fs.readFileSync(WEBHOOKS_CONFIG.secretsFile, 'utf8'));
+        }
+    } catch (error) {
+        logger.error(`Erreur lors du chargement des webhooks: ${error.message}`);
+    }
+    return {};
+}
+
+/**
+ * Sauvegarde les secrets des webhooks (lisibles par root seulement)
+ * @param {object} secrets
+ */
+function saveSecrets(secrets) {
+    fs.mkdirSync(path.dirname(WEBHOOKS_CONFIG.secretsFile), { recursive: true });
+    const tmpPath = `${WEBHOOKS_CONFIG.secretsFile}.tmp-${process.pid}`;
+    fs.writeFileSync(tmpPath, JSON.stringify(secrets, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, WEBHOOKS_CONFIG.secretsFile);
+}
+
+/**
+ * Fichier des livraisons reçues par le webhook d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @returns {string}
+ */
+function getDeliveriesFile(projectName, serviceName) {
+    return path.join(WEBHOOKS_CONFIG.deliveriesPath, projectName, `${serviceName}.json`);
+}
+
+/**
+ * Secret du webhook d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @returns {string|null} - null si le webhook n'est pas activé
+ */
+export function getWebhookSecret(projectName, serviceName) {
+    return loadSecrets()[`${projectName}/${serviceName}`]?.secret || null;
+}
+
+/**
+ * Active le webhook d'un service, ou remplace son secret (l'ancien cesse d'être accepté)
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @returns {string} - Nouveau secret, à renseigner dans la forge
+ */
+export function enableWebhook(projectName, serviceName) {
+    const secrets = loadSecrets();
+    const secret = crypto.randomBytes(32).toString('hex');
+    secrets[`${projectName}/${serviceName}`] = { secret, createdAt: new Date().toISOString() };
+    saveSecrets(secrets);
+
+    logger.success(`Webhook de déploiement activé pour ${projectName}/${serviceName}`);
+    return secret;
+}
+
+/**
+ * Désactive le webhook d'un service (l'historique des livraisons est conservé)
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ */
+export function disableWebhook(projectName, serviceName) {
+    const secrets = loadSecrets();
+    const key = `${projectName}/${serviceName}`;
+    if (!secrets[key]) {
+        throw new Error(`Le webhook du service ${serviceName} n'est pas activé`);
+    }
+    delete secrets[key];
+    saveSecrets(secrets);
+
+    logger.success(`Webhook de déploiement désactivé pour ${projectName}/${serviceName}`);
+}
+
+/**
+ * État du webhook d'un service (sans son secret) et dernières livraisons
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @returns {object} - { enabled, createdAt, path, deliveries }
+ */
+export function getWebhook(projectName, serviceName) {
+    const entry = loadSecrets()[`${projectName}/${serviceName}`];
+    return {
+        enabled: Boolean(entry),
+        createdAt: entry?.createdAt || null,
+        path: `/api/hooks/${projectName}/${serviceName}`,
+        deliveries: listDeliveries(projectName, serviceName)
+    };
+}
+
+/**
+ * Compare deux chaînes en temps constant
+ * @param {string} provided
+ * @param {string} expected
+ * @returns {boolean}
+ */
+function safeEqual(provided, expected) {
+    const a = Buffer.from(String(provided));
+    const b = Buffer.from(String(expected));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Vérifie l'authenticité d'une livraison : signature HMAC-SHA256 du corps (X-Hub-Signature-256
+ * de GitHub et Gitea, X-Gitea-Signature / X-Gogs-Signature) ou jeton GitLab (X-Gitlab-Token)
+ * @param {string} secret - Secret du webhook
+ * @param {object} headers - En-têtes de la requête (noms en minuscules)
+ * @param {Buffer} rawBody - Corps brut de la requête
+ * @returns {object} - { provider, event, deliveryId }
+ */
+export function verifyDelivery(secret, headers, rawBody) {
+    const provider = Object.keys(EVENT_HEADERS).find(name => headers[EVENT_HEADERS[name]]) || 'generic';
+    const hmac = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+    let valid;
+    if (headers['x-hub-signature-256']) {
+        valid = safeEqual(headers['x-hub-signature-256'], `sha256=${hmac}`);
+    } else if (headers['x-gitea-signature'] || headers['x-gogs-signature']) {
+        valid = safeEqual(headers['x-gitea-signature'] || headers['x-gogs-signature'], hmac);
+    } else if (headers['x-gitlab-token']) {
+        valid = safeEqual(headers['x-gitlab-token'], secret);
+    } else {
+        throw new Error('Signature manquante');
+    }
+    if (!valid) {
+        throw new Error('Signature invalide');
+    }
+
+    // GitLab nomme ses événements "Push Hook", "Tag Push Hook"...
+    const rawEvent = headers[EVENT_HEADERS[provider]] || 'push';
+    const event = provider === 'gitlab'
+        ? rawEvent.replace(/ Hook$/, '').toLowerCase().replace(/ /g, '_')
+        : rawEvent;
+
+    return {
+        provider,
+        event,
+        deliveryId: headers['x-github-delivery'] || headers['x-gitea-delivery'] || headers['x-gogs-delivery'] ||
+            headers['x-gitlab-event-uuid'] || null
+    };
+}
+
+/**
+ * Lit le corps d'une livraison : JSON, ou formulaire dont le champ `payload` contient le JSON
+ * (option "application/x-www-form-urlencoded" de GitHub)
+ * @param {Buffer} rawBody - Corps brut
+ * @param {string} contentType - En-tête Content-Type
+ * @returns {object}
+ */
+export function parsePayload(rawBody, contentType = '') {
+    let text = rawBody.toString('utf8');
+    if (contentType.startsWith('application/x-www-form-urlencoded')) {
+        text = new URLSearchParams(text).get('payload') || '';
+    }
+
+    try {
+        const payload = JSON.parse(text);
+        if (!payload || typeof payload !== 'object') throw new Error();
+        return payload;
+    } catch {
+        throw new Error('Corps de la livraison invalide (JSON attendu)');
+    }
+}
+
+/**
+ * Informations d'un événement push
+ * @param {object} payload - Corps de la livraison
+ * @returns {object} - { branch (null pour un tag), commit, pusher, deleted }
+ */
+export function parsePush(payload) {
+    const ref = String(payload.ref || '');
+    const commit = payload.after || payload.checkout_sha || null;
+    return {
+        branch: ref.startsWith('refs/heads/') ? ref.slice('refs/heads/'.length) : null,
+        commit,
+        pusher: payload.pusher?.name || payload.pusher?.login || payload.user_username || payload.sender?.login || null,
+        // Branche supprimée : le commit "after" est nul
+        deleted: Boolean(payload.deleted) || /^0+$/.test(commit || '')
+    };
+}
+
+/**
+ * Livraisons reçues par le webhook d'un service (la plus récente en premier)
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @returns {Array} - [{ id, receivedAt, provider, event, branch, commit, pusher, status
+ *                    (rejected, ignored, queued, running, success, failed), message, release }]
+ */
+export function listDeliveries(projectName, serviceName) {
+    const file = getDeliveriesFile(projectName, serviceName);
+    if (!fs.existsSync(file)) {
+        return [];
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        logger.warn(`Historique des livraisons illisible (${file}): ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Sauvegarde les livraisons d'un service
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {Array} deliveries
+ */
+function saveDeliveries(projectName, serviceName, deliveries) {
+    const file = getDeliveriesFile(projectName, serviceName);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.tmp-${process.pid}`;
+    fs.writeFileSync(tmpFile, JSON.stringify(deliveries.slice(0, WEBHOOKS_CONFIG.historySize), null, 2));
+    fs.renameSync(tmpFile, file);
+}
+
+/**
+ * Vérifie qu'un processus est toujours en vie
+ * @param {number} pid
+ * @returns {boolean}
+ */
+function isAlive(pid) {
+    if (!pid) return false;
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Exécute une fonction sous le verrou des livraisons d'un service, partagé entre le serveur Web
+ * (livraisons reçues) et le worker (avancement des déploiements)
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {Function} fn - Section critique (synchrone)
+ * @returns {*} - Valeur renvoyée par fn
+ */
+function withDeliveriesLock(projectName, serviceName, fn) {
+    const lockFile = `${getDeliveriesFile(projectName, serviceName)}.lock`;
+    fs.mkdirSync(path.dirname(lockFile), { recursive: true });
+
+    while (true) {
+        try {
+            fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx' });
+            break;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+
+        // Verrou laissé par un processus disparu : le reprendre
+        let owner;
+        try {
+            owner = fs.readFileSync(lockFile, 'utf8');
+        } catch {
+            continue;
+        }
+        if (owner && !isAlive(Number(owner))) {
+            fs.rmSync(lockFile, { force: true });
+            continue;
+        }
+        Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 10);
+    }
+
+    try {
+        return fn();
+    } finally {
+        fs.rmSync(lockFile, { force: true });
+    }
+}
+
+/**
+ * Enregistre une livraison reçue
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {object} delivery - { id, provider, event, branch, commit, pusher, status, message }
+ * @returns {object} - Livraison enregistrée
+ */
+export function recordDelivery(projectName, serviceName, delivery) {
+    const entry = {
+        ...delivery,
+        id: delivery.id || crypto.randomUUID(),
+        receivedAt: new Date().toISOString()
+    };
+    withDeliveriesLock(projectName, serviceName, () => {
+        saveDeliveries(projectName, serviceName, [entry, ...listDeliveries(projectName, serviceName)]);
+    });
+    return entry;
+}
+
+/**
+ * Met à jour une livraison (avancement et résultat du déploiement)
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {string} deliveryId - Identifiant de la livraison
+ * @param {object} updates - { status, message, release }
+ */
+export function updateDelivery(projectName, serviceName, deliveryId, updates) {
+    withDeliveriesLock(projectName, serviceName, () => {
+        const deliveries = listDeliveries(projectName, serviceName);
+        const delivery = deliveries.find(d => d.id === deliveryId);
+        if (!delivery) return;
+
+        Object.assign(delivery, updates, { updatedAt: new Date().toISOString() });
+        saveDeliveries(projectName, serviceName, deliveries);
+    });
+}
+
+/**
+ * Supprime le webhook et les livraisons d'un service, ou de tout un projet
+ * @param {string} projectName - Nom du projet
+ * @param {string|null} serviceName - Nom du service (null : tout le projet)
+ */
+export function removeWebhooks(projectName, serviceName = null) {
+    const secrets = loadSecrets();
+    const keys = Object.keys(secrets).filter(key => serviceName
+        ? key === `${projectName}/${serviceName}`
+        : key.startsWith(`${projectName}/`));
+    if (keys.length > 0) {
+        keys.forEach(key => delete secrets[key]);
+        saveSecrets(secrets);
+    }
+
+    const target = serviceName
+        ? getDeliveriesFile(projectName, serviceName)
+        : path.join(WEBHOOKS_CONFIG.deliveriesPath, projectName);
+    fs.rmSync(target, { recursive: true, force: true });
+}
+
+export default {
+    getWebhookSecret,
+    enableWebhook,
+    disableWebhook,
+    getWebhook,
+    verifyDelivery,
+    parsePayload,
+    parsePush,
+    listDeliveries,
+    recordDelivery,
+    updateDelivery,
+    removeWebhooks
+};
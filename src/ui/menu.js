@@ -8,13 +8,23 @@ import Table from 'cli-table3';
 import boxen from 'boxen';
 import figlet from 'figlet';
 import ora from 'ora';
+import readline from 'readline';
 
 import projects from '../modules/projects.js';
 import services from '../modules/services.js';
 import scripts from '../modules/scripts.js';
 import sftp from '../modules/sftp.js';
+import certificates from '../modules/certificates.js';
+import environment from '../modules/environment.js';
+import runtime from '../modules/runtime.js';
+import webhooks from '../modules/webhooks.js';
+import dependencies from '../modules/dependencies.js';
+import scheduler from '../modules/scheduler.js';
+import cron from '../modules/cron.js';
+import jobs from '../modules/jobs.js';
 import logger from '../utils/logger.js';
-import { MESSAGES } from '../config/constants.js';
+import audit from '../utils/audit.js';
+import { MESSAGES, HEALTH_CONFIG, DEPLOY_CONFIG, TASKS_CONFIG } from '../config/constants.js';
 
 /**
  * Affiche le header de l'application
@@ -55,6 +65,8 @@ export async function mainMenu() {
 
     choices.push({ name: '📊  Statut global PM2', value: 'pm2status' });
     choices.push({ name: '🔄  Régénérer tous les scripts', value: 'regenerate' });
+    choices.push({ name: '🕘  Historique sshd_config', value: 'sshd_history' });
+    choices.push({ name: '⏳  Tâches en arrière-plan', value: 'jobs' });
     choices.push(new inquirer.Separator());
     choices.push({ name: '❌  Quitter', value: 'exit' });
 
@@ -94,9 +106,11 @@ export async function showProjectsList() {
                 chalk.cyan('Utilisateur SFTP'),
                 chalk.cyan('Services'),
                 chalk.cyan('Actifs'),
+                chalk.cyan('Santé'),
+                chalk.cyan('HTTPS'),
                 chalk.cyan('Créé le')
             ],
-            colWidths: [20, 20, 12, 10, 20]
+            colWidths: [20, 20, 12, 10, 12, 16, 20]
         });
 
         for (const project of projectsWithStatus) {
@@ -111,6 +125,8 @@ export async function showProjectsList() {
                 chalk.gray(project.sftpUser || '-'),
                 project.totalServices.toString(),
                 statusColor(`${project.runningServices}/${project.totalServices}`),
+                formatHealth(project.health),
+                formatCertificatesExpiry(project.certificates),
                 new Date(project.createdAt).toLocaleDateString('fr-FR')
             ]);
         }
@@ -124,6 +140,40 @@ export async function showProjectsList() {
     await pressEnterToContinue();
 }
 
+/**
+ * Résume l'échéance la plus proche des certificats d'un projet
+ * @param {Array} projectCertificates - Certificats renvoyés par listProjectsWithStatus
+ * @returns {string}
+ */
+function formatCertificatesExpiry(projectCertificates = []) {
+    const issued = projectCertificates.filter(c => c.validTo);
+    if (issued.length === 0) {
+        return chalk.gray('-');
+    }
+
+    const next = issued.reduce((a, b) => (a.daysLeft <= b.daysLeft ? a : b));
+    const label = new Date(next.validTo).toLocaleDateString('fr-FR');
+    return next.daysLeft < certificates.getAcmeConfig().renewBeforeDays ? chalk.yellow(label) : chalk.green(label);
+}
+
+/**
+ * Résumé des contrôles de santé d'un projet pour la liste des projets
+ * @param {object} projectHealth - { checked, healthy, unhealthy } renvoyé par listProjectsWithStatus
+ * @returns {string}
+ */
+function formatHealth(projectHealth) {
+    if (!projectHealth?.checked) {
+        return chalk.gray('-');
+    }
+    if (projectHealth.unhealthy > 0) {
+        return chalk.red(`✖ ${projectHealth.unhealthy}/${projectHealth.checked}`);
+    }
+    if (projectHealth.healthy === projectHealth.checked) {
+        return chalk.green(`✔ ${projectHealth.healthy}/${projectHealth.checked}`);
+    }
+    return chalk.gray(`? ${projectHealth.healthy}/${projectHealth.checked}`);
+}
+
 /**
  * Formulaire de création de projet
  */
@@ -190,8 +240,10 @@ export async function createProjectForm() {
     const spinner = ora('Création du projet en cours...').start();
 
     try {
-        await projects.createProject(answers.name, answers.password);
-        scripts.generateScripts(answers.name);
+        await audit.track('project.create', { project: answers.name }, {}, async () => {
+            await projects.createProject(answers.name, answers.password);
+            scripts.generateScripts(answers.name);
+        });
         spinner.succeed('Projet créé avec succès !');
 
         // Afficher le résumé
@@ -284,7 +336,9 @@ export async function projectManagementMenu(projectName) {
             for (const svc of servicesStatus) {
                 const statusIcon = svc.status === 'online' 
                     ? chalk.green('● online') 
-                    : chalk.red('○ stopped');
+                    : svc.status === 'static'
+                        ? chalk.blue('◆ static')
+                        : chalk.red('○ stopped');
                 
                 const memory = svc.memory 
                     ? `${Math.round(svc.memory / 1024 / 1024)} MB` 
@@ -297,10 +351,10 @@ export async function projectManagementMenu(projectName) {
                 }[svc.technology || 'nodejs'] || '⚙️';
 
                 table.push([
-                    svc.name,
+                    svc.processManager === 'systemd' ? `${svc.name} ${chalk.gray('(systemd)')}` : svc.name,
                     techIcon,
                     statusIcon,
-                    svc.pid || '-',
+                    svc.processes?.length > 1 ? `×${svc.processes.length}` : svc.pid || '-',
                     svc.restarts || 0,
                     memory
                 ]);
@@ -318,20 +372,30 @@ export async function projectManagementMenu(projectName) {
                 { name: '▶️   Démarrer un service', value: 'start_service' },
                 { name: '⏹️   Arrêter un service', value: 'stop_service' },
                 { name: '🔄  Redémarrer un service', value: 'restart_service' },
+                { name: '⚖️   Mettre à l\'échelle un service', value: 'scale_service' },
+                { name: '🩺  Contrôles de santé', value: 'health' },
+                { name: '🔗  Dépendances et disponibilité', value: 'dependencies' },
+                { name: '🚀  Déploiement git', value: 'deploy' },
                 { name: '📋  Voir les logs', value: 'logs' },
                 new inquirer.Separator(),
                 { name: '▶️   Démarrer TOUS les services', value: 'start_all' },
                 { name: '⏹️   Arrêter TOUS les services', value: 'stop_all' },
                 new inquirer.Separator(),
                 { name: '✏️   Modifier un service', value: 'edit_service' },
+                { name: '🧩  Variables d\'environnement', value: 'environment' },
                 { name: '🗑️   Supprimer un service', value: 'remove_service' }
             );
         }
 
         choices.push(
+            { name: '⏰  Tâches planifiées', value: 'tasks' },
             new inquirer.Separator(),
             { name: '🔑  Changer mot de passe SFTP', value: 'change_password' },
+            { name: '🗝️   Clés SSH SFTP', value: 'sftp_keys' },
+            { name: '👥  Comptes SFTP additionnels', value: 'sftp_accounts' },
+            { name: '🔒  Certificats HTTPS', value: 'certificates' },
             { name: '📜  Régénérer les scripts', value: 'regenerate' },
+            { name: '🛡️   Réparer les permissions', value: 'permissions' },
             { name: '📂  Afficher les chemins', value: 'paths' },
             new inquirer.Separator(),
             { name: '← Retour au menu principal', value: 'back' }
@@ -360,6 +424,21 @@ export async function projectManagementMenu(projectName) {
             case 'restart_service':
                 await restartServiceAction(projectName);
                 break;
+            case 'scale_service':
+                await scaleServiceAction(projectName);
+                break;
+            case 'health':
+                await healthCheckMenu(projectName);
+                break;
+            case 'dependencies':
+                await dependenciesMenu(projectName);
+                break;
+            case 'deploy':
+                await deployMenu(projectName);
+                break;
+            case 'tasks':
+                await tasksMenu(projectName);
+                break;
             case 'logs':
                 await showServiceLogs(projectName);
                 break;
@@ -372,16 +451,32 @@ export async function projectManagementMenu(projectName) {
             case 'edit_service':
                 await editServiceForm(projectName);
                 break;
+            case 'environment':
+                await environmentMenu(projectName);
+                break;
             case 'remove_service':
                 await removeServiceAction(projectName);
                 break;
             case 'change_password':
                 await changePasswordForm(projectName);
                 break;
+            case 'sftp_keys':
+                await sftpKeysMenu(projectName);
+                break;
+            case 'sftp_accounts':
+                await sftpAccountsMenu(projectName);
+                break;
+            case 'certificates':
+                await certificatesMenu(projectName);
+                break;
             case 'regenerate':
-                scripts.generateScripts(projectName);
+                await audit.track('project.regenerate-scripts', { project: projectName }, {}, () =>
+                    scripts.generateScripts(projectName));
                 await pressEnterToContinue();
                 break;
+            case 'permissions':
+                await reconcilePermissionsAction(projectName);
+                break;
             case 'paths':
                 await showProjectPaths(projectName);
                 break;
@@ -391,6 +486,41 @@ export async function projectManagementMenu(projectName) {
     }
 }
 
+/**
+ * Question des services requis par un service (sans objet pour le premier service du projet)
+ * @param {Array} serviceNames - Autres services du projet
+ * @param {Array} current - Dépendances actuelles
+ * @returns {object}
+ */
+function dependsOnQuestion(serviceNames, current = []) {
+    return {
+        type: 'checkbox',
+        name: 'dependsOn',
+        message: 'Démarrer après (dépendances):',
+        choices: serviceNames.map(name => ({ name, value: name, checked: current.includes(name) })),
+        when: () => serviceNames.length > 0
+    };
+}
+
+/**
+ * Question du gestionnaire de processus d'un service (sans objet pour un site statique)
+ * @param {string} current - Gestionnaire actuel
+ * @returns {object}
+ */
+function processManagerQuestion(current = 'pm2') {
+    return {
+        type: 'list',
+        name: 'processManager',
+        message: 'Gestionnaire de processus:',
+        choices: [
+            { name: 'PM2 (mode cluster, logs PM2)', value: 'pm2' },
+            { name: 'systemd (unité dédiée, logs journald)', value: 'systemd' }
+        ],
+        default: current || 'pm2',
+        when: (answers) => !answers.vhostStatic
+    };
+}
+
 /**
  * Formulaire d'ajout de service
  */
@@ -444,10 +574,12 @@ async function addServiceForm(projectName) {
             },
             filter: (input) => input ? input.split(';').map(c => c.trim()).filter(c => c) : []
         },
+        ...vhostQuestions(),
         {
             type: 'input',
             name: 'command',
-            message: 'Commande de démarrage (PM2):',
+            message: 'Commande de démarrage:',
+            when: (answers) => !answers.vhostStatic,
             default: (answers) => {
                 switch(answers.technology) {
                     case 'nodejs': return 'npm start';
@@ -458,6 +590,8 @@ async function addServiceForm(projectName) {
             },
             validate: (input) => input && input.trim() !== '' ? true : 'La commande est requise'
         },
+        processManagerQuestion(),
+        dependsOnQuestion(services.listServices(projectName).map(s => s.name)),
         {
             type: 'input',
             name: 'description',
@@ -480,22 +614,30 @@ async function addServiceForm(projectName) {
     const spinner = ora('Ajout du service...').start();
 
     try {
-        services.addService(projectName, {
+        const serviceConfig = {
             name: answers.name,
             technology: answers.technology,
             directory: answers.directory,
             setupCommands: answers.setupCommands,
             command: answers.command,
+            processManager: answers.processManager,
+            dependsOn: answers.dependsOn,
             description: answers.description
-        });
+        };
 
-        scripts.generateScripts(projectName);
+        await audit.track('service.create', { project: projectName, service: answers.name }, serviceConfig, () => {
+            services.addService(projectName, serviceConfig);
+            scripts.generateScripts(projectName);
+        });
         spinner.succeed(`Service ${answers.name} ajouté`);
     } catch (error) {
         spinner.fail('Erreur');
         logger.error(error.message);
+        await pressEnterToContinue();
+        return;
     }
 
+    await applyVhostAnswers(projectName, answers.name, null, vhostFromAnswers(answers));
     await pressEnterToContinue();
 }
 
@@ -568,29 +710,33 @@ async function startServiceAction(projectName) {
         runSetup = setupChoice === 'with_setup' || setupChoice === 'setup_only';
 
         if (setupChoice === 'setup_only') {
-            const spinner = ora(`Exécution du setup pour ${serviceName}...`).start();
-            try {
-                for (const cmd of service.setupCommands) {
-                    spinner.text = `Exécution: ${cmd}`;
-                    const shell = (await import('../utils/shell.js')).default;
-                    await shell.execCommand(cmd, { cwd: service.directory });
-                }
-                spinner.succeed(`Setup terminé pour ${serviceName}`);
-            } catch (error) {
-                spinner.fail('Erreur');
-                logger.error(error.message);
-            }
-            await pressEnterToContinue();
+            await runJobAction({
+                type: 'service.setup',
+                title: `Setup du service ${projectName}/${serviceName}`,
+                target: { project: projectName, service: serviceName }
+            });
             return;
         }
 
         runSetup = setupChoice === 'with_setup';
     }
 
+    // Setup (npm install, build...) : exécuté en tâche de fond, qu'on peut suivre ou détacher
+    if (runSetup) {
+        await runJobAction({
+            type: 'service.start',
+            title: `Démarrage du service ${projectName}/${serviceName} (avec setup)`,
+            target: { project: projectName, service: serviceName },
+            params: { runSetup }
+        });
+        return;
+    }
+
     const spinner = ora(`Démarrage de ${serviceName}...`).start();
 
     try {
-        await services.startService(projectName, serviceName, runSetup);
+        await audit.track('service.start', { project: projectName, service: serviceName }, { runSetup }, () =>
+            services.startService(projectName, serviceName, runSetup));
         spinner.succeed(`${serviceName} démarré`);
     } catch (error) {
         spinner.fail('Erreur');
@@ -610,7 +756,8 @@ async function stopServiceAction(projectName) {
     const spinner = ora(`Arrêt de ${serviceName}...`).start();
 
     try {
-        await services.stopService(projectName, serviceName);
+        await audit.track('service.stop', { project: projectName, service: serviceName }, {}, () =>
+            services.stopService(projectName, serviceName));
         spinner.succeed(`${serviceName} arrêté`);
     } catch (error) {
         spinner.fail('Erreur');
@@ -630,7 +777,8 @@ async function restartServiceAction(projectName) {
     const spinner = ora(`Redémarrage de ${serviceName}...`).start();
 
     try {
-        await services.restartService(projectName, serviceName);
+        await audit.track('service.restart', { project: projectName, service: serviceName }, {}, () =>
+            services.restartService(projectName, serviceName));
         spinner.succeed(`${serviceName} redémarré`);
     } catch (error) {
         spinner.fail('Erreur');
@@ -641,18 +789,35 @@ async function restartServiceAction(projectName) {
 }
 
 /**
- * Afficher les logs d'un service
+ * Action: Mettre à l'échelle un service (mode cluster)
  */
-async function showServiceLogs(projectName) {
-    const serviceName = await selectService(projectName, 'Voir les logs de:');
+async function scaleServiceAction(projectName) {
+    const serviceName = await selectService(projectName, 'Service à mettre à l\'échelle:');
     if (!serviceName) return;
 
-    logger.section(`Logs: ${projectName}-${serviceName}`);
+    const service = services.getService(projectName, serviceName);
+
+    const { instances } = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'instances',
+            message: 'Nombre d\'instances (1 = mode fork, "max" = une par cœur):',
+            default: String(service.instances || 1),
+            filter: (input) => input.trim(),
+            validate: (input) => /^(max|\d+)$/i.test(input) ? true : 'Nombre ou "max" attendu'
+        }
+    ]);
+
+    const spinner = ora(`Mise à l'échelle de ${serviceName}...`).start();
 
     try {
-        const logs = await services.getServiceLogs(projectName, serviceName, 100);
-        console.log(logs);
+        await audit.track('service.scale', { project: projectName, service: serviceName }, { instances }, async () => {
+            await services.scaleService(projectName, serviceName, instances);
+            scripts.generateScripts(projectName);
+        });
+        spinner.succeed(`${serviceName}: ${instances} instance(s)`);
     } catch (error) {
+        spinner.fail('Erreur');
         logger.error(error.message);
     }
 
@@ -660,43 +825,138 @@ async function showServiceLogs(projectName) {
 }
 
 /**
- * Démarrer tous les services
+ * Contrôle de santé d'un service : état, derniers résultats, configuration
  */
-async function startAllServicesAction(projectName) {
-    const servicesList = services.listServices(projectName);
-    const hasAnySetup = servicesList.some(s => (s.setupCommands || []).length > 0);
+async function healthCheckMenu(projectName) {
+    const serviceName = await selectService(projectName, 'Service:');
+    if (!serviceName) return;
 
-    const { setupChoice } = await inquirer.prompt([
-        {
-            type: 'list',
-            name: 'setupChoice',
-            message: hasAnySetup 
-                ? 'Certains services ont des commandes de setup. Que faire ?' 
-                : 'Démarrer tous les services ?',
-            choices: hasAnySetup ? [
-                { name: '▶️  Exécuter setup + démarrer tous', value: 'with_setup' },
-                { name: '⏩  Démarrer tous sans setup', value: 'skip_setup' },
-                { name: '← Annuler', value: 'cancel' }
-            ] : [
-                { name: '▶️  Démarrer tous les services', value: 'skip_setup' },
-                { name: '← Annuler', value: 'cancel' }
-            ]
+    const state = services.getServiceHealth(projectName, serviceName);
+    const { healthCheck } = state;
+
+    logger.section(`Santé: ${projectName}-${serviceName}`);
+
+    if (!healthCheck) {
+        console.log(chalk.gray('Aucun contrôle de santé configuré'));
+    } else {
+        const target = healthCheck.type === 'command'
+            ? healthCheck.command
+            : `${healthCheck.type === 'http' ? `GET ${healthCheck.path} → ${healthCheck.expectedStatus}` : 'TCP'} ` +
+              `(port ${healthCheck.port || 'du virtual host'})`;
+        const statusLabel = {
+            healthy: chalk.green('✔ sain'),
+            unhealthy: chalk.red(`✖ en échec (${state.consecutiveFailures}/${healthCheck.threshold})`),
+            unknown: chalk.gray('? inconnu')
+        }[state.status];
+
+        console.log(`${chalk.cyan('Contrôle:')}       ${target}`);
+        console.log(`${chalk.cyan('Fréquence:')}      toutes les ${healthCheck.interval}s (délai ${healthCheck.timeout}s)`);
+        console.log(`${chalk.cyan('État:')}           ${statusLabel}`);
+        console.log(`${chalk.cyan('Redémarrages:')}   ${state.restarts}${state.lastRestartAt ? ` (dernier le ${new Date(state.lastRestartAt).toLocaleString('fr-FR')})` : ''}`);
+
+        if (state.history.length > 0) {
+            const table = new Table({
+                head: [chalk.cyan('Date'), chalk.cyan('Résultat'), chalk.cyan('Durée'), chalk.cyan('Détail')],
+                colWidths: [22, 10, 10, 50]
+            });
+            for (const entry of state.history.slice(0, 10)) {
+                table.push([
+                    new Date(entry.at).toLocaleString('fr-FR'),
+                    entry.healthy ? chalk.green('OK') : chalk.red('Échec'),
+                    `${entry.duration} ms`,
+                    entry.message
+                ]);
+            }
+            console.log(table.toString());
         }
+    }
+
+    const choices = [{ name: healthCheck ? '✏️   Modifier le contrôle' : '➕  Configurer un contrôle', value: 'configure' }];
+    if (healthCheck) {
+        choices.push({ name: '🗑️   Supprimer le contrôle', value: 'remove' });
+    }
+    choices.push({ name: '← Retour', value: 'back' });
+
+    const { action } = await inquirer.prompt([
+        { type: 'list', name: 'action', message: 'Action:', choices }
     ]);
 
-    if (setupChoice === 'cancel') return;
+    if (action === 'back') return;
 
-    const runSetup = setupChoice === 'with_setup';
-    const spinner = ora('Démarrage des services...').start();
+    const target = { project: projectName, service: serviceName };
 
     try {
-        for (const svc of servicesList) {
-            spinner.text = `Démarrage de ${svc.name}...`;
-            await services.startService(projectName, svc.name, runSetup);
+        if (action === 'remove') {
+            await audit.track('service.health.delete', target, {}, async () => {
+                services.setServiceHealthCheck(projectName, serviceName, null);
+            });
+        } else {
+            const config = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'type',
+                    message: 'Type de contrôle:',
+                    choices: [
+                        { name: 'HTTP (requête GET, statut attendu)', value: 'http' },
+                        { name: 'TCP (port ouvert)', value: 'tcp' },
+                        { name: 'Commande (code de sortie 0)', value: 'command' }
+                    ],
+                    default: healthCheck?.type
+                },
+                {
+                    type: 'input',
+                    name: 'path',
+                    message: 'Chemin:',
+                    default: healthCheck?.path || '/',
+                    when: (answers) => answers.type === 'http'
+                },
+                {
+                    type: 'input',
+                    name: 'expectedStatus',
+                    message: 'Statut HTTP attendu:',
+                    default: String(healthCheck?.expectedStatus || 200),
+                    when: (answers) => answers.type === 'http'
+                },
+                {
+                    type: 'input',
+                    name: 'port',
+                    message: 'Port (vide = port du virtual host):',
+                    default: healthCheck?.port ? String(healthCheck.port) : '',
+                    when: (answers) => answers.type !== 'command'
+                },
+                {
+                    type: 'input',
+                    name: 'command',
+                    message: 'Commande (lancée dans le dossier du service):',
+                    default: healthCheck?.command,
+                    when: (answers) => answers.type === 'command'
+                },
+                {
+                    type: 'input',
+                    name: 'interval',
+                    message: 'Intervalle (secondes):',
+                    default: String(healthCheck?.interval || HEALTH_CONFIG.defaultInterval)
+                },
+                {
+                    type: 'input',
+                    name: 'timeout',
+                    message: 'Délai de réponse (secondes):',
+                    default: String(healthCheck?.timeout || HEALTH_CONFIG.defaultTimeout)
+                },
+                {
+                    type: 'input',
+                    name: 'threshold',
+                    message: 'Échecs consécutifs avant redémarrage:',
+                    default: String(healthCheck?.threshold || HEALTH_CONFIG.defaultThreshold)
+                }
+            ]);
+
+            await audit.track('service.health.update', target, config, async () => {
+                services.setServiceHealthCheck(projectName, serviceName, config);
+            });
+            console.log(chalk.gray('Les contrôles sont exécutés par le serveur de l\'interface Web, qui doit être lancé.'));
         }
-        spinner.succeed('Tous les services démarrés');
     } catch (error) {
-        spinner.fail('Erreur');
         logger.error(error.message);
     }
 
@@ -704,100 +964,128 @@ async function startAllServicesAction(projectName) {
 }
 
 /**
- * Arrêter tous les services
+ * Dépendances entre services et sondes de disponibilité : ordre de démarrage, configuration
  */
-async function stopAllServicesAction(projectName) {
-    const { confirm } = await inquirer.prompt([
-        {
-            type: 'confirm',
-            name: 'confirm',
-            message: 'Arrêter tous les services ?',
-            default: false
-        }
-    ]);
-
-    if (!confirm) return;
+async function dependenciesMenu(projectName) {
+    const servicesList = services.listServices(projectName);
 
-    const spinner = ora('Arrêt des services...').start();
+    logger.section(`Ordre de démarrage: ${projectName}`);
 
+    let ordered;
     try {
-        await services.stopAllServices(projectName);
-        spinner.succeed('Tous les services arrêtés');
+        ordered = dependencies.sortServices(servicesList);
     } catch (error) {
-        spinner.fail('Erreur');
         logger.error(error.message);
+        ordered = servicesList;
     }
 
-    await pressEnterToContinue();
-}
+    const table = new Table({
+        head: [chalk.cyan('#'), chalk.cyan('Service'), chalk.cyan('Dépend de'), chalk.cyan('Disponibilité')],
+        colWidths: [5, 20, 30, 40]
+    });
+    for (const [index, service] of ordered.entries()) {
+        const { readiness } = service;
+        const probe = !readiness ? chalk.gray('dès le démarrage')
+            : readiness.type === 'command' ? readiness.command
+            : `${readiness.type === 'http' ? `GET ${readiness.path} → ${readiness.expectedStatus}` : 'TCP'} (port ${readiness.port || service.vhost?.port})`;
+        table.push([index + 1, service.name, (service.dependsOn || []).join(', ') || chalk.gray('-'), probe]);
+    }
+    console.log(table.toString());
+    console.log(chalk.gray('L\'arrêt de tous les services suit l\'ordre inverse.'));
 
-/**
- * Formulaire d'édition de service
- */
-async function editServiceForm(projectName) {
-    const serviceName = await selectService(projectName, 'Service à modifier:');
+    const serviceName = await selectService(projectName, 'Service à configurer:');
     if (!serviceName) return;
 
     const service = services.getService(projectName, serviceName);
-    const currentSetupCommands = (service.setupCommands || []).join('; ');
+    const choices = [
+        { name: '🔗  Modifier les dépendances', value: 'depends_on' },
+        { name: service.readiness ? '✏️   Modifier la sonde de disponibilité' : '➕  Configurer une sonde de disponibilité', value: 'readiness' }
+    ];
+    if (service.readiness) {
+        choices.push({ name: '🗑️   Supprimer la sonde de disponibilité', value: 'remove_readiness' });
+    }
+    choices.push({ name: '← Retour', value: 'back' });
 
-    const answers = await inquirer.prompt([
-        {
-            type: 'list',
-            name: 'technology',
-            message: 'Technologie:',
-            choices: [
-                { name: '🟢 Node.js', value: 'nodejs' },
-                { name: '🐍 Python', value: 'python' },
-                { name: '🐘 PHP', value: 'php' }
-            ],
-            default: service.technology || 'nodejs'
-        },
-        {
-            type: 'input',
-            name: 'directory',
-            message: 'Nouveau chemin du dossier:',
-            default: service.directory
-        },
-        {
-            type: 'input',
-            name: 'setupCommands',
-            message: 'Commandes de setup (séparées par ;):',
-            default: currentSetupCommands,
-            filter: (input) => input ? input.split(';').map(c => c.trim()).filter(c => c) : []
-        },
-        {
-            type: 'input',
-            name: 'command',
-            message: 'Nouvelle commande de démarrage:',
-            default: service.command
-        },
-        {
-            type: 'input',
-            name: 'description',
-            message: 'Nouvelle description:',
-            default: service.description
-        },
-        {
-            type: 'confirm',
-            name: 'confirm',
-            message: 'Appliquer les modifications ?',
-            default: true
-        }
+    const { action } = await inquirer.prompt([
+        { type: 'list', name: 'action', message: 'Action:', choices }
     ]);
 
-    if (!answers.confirm) return;
+    if (action === 'back') return;
+
+    let updates;
+    if (action === 'depends_on') {
+        const otherServices = servicesList.map(s => s.name).filter(name => name !== serviceName);
+        if (otherServices.length === 0) {
+            logger.warn('Aucun autre service dans ce projet');
+            await pressEnterToContinue();
+            return;
+        }
+        updates = await inquirer.prompt([dependsOnQuestion(otherServices, service.dependsOn)]);
+    } else if (action === 'remove_readiness') {
+        updates = { readiness: null };
+    } else {
+        const { readiness } = service;
+        const config = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'type',
+                message: 'Type de sonde:',
+                choices: [
+                    { name: 'HTTP (requête GET, statut attendu)', value: 'http' },
+                    { name: 'TCP (port ouvert)', value: 'tcp' },
+                    { name: 'Commande (code de sortie 0)', value: 'command' }
+                ],
+                default: readiness?.type
+            },
+            {
+                type: 'input',
+                name: 'path',
+                message: 'Chemin:',
+                default: readiness?.path || '/',
+                when: (answers) => answers.type === 'http'
+            },
+            {
+                type: 'input',
+                name: 'expectedStatus',
+                message: 'Statut HTTP attendu:',
+                default: String(readiness?.expectedStatus || 200),
+                when: (answers) => answers.type === 'http'
+            },
+            {
+                type: 'input',
+                name: 'port',
+                message: 'Port (vide = port du virtual host):',
+                default: readiness?.port ? String(readiness.port) : '',
+                when: (answers) => answers.type !== 'command'
+            },
+            {
+                type: 'input',
+                name: 'command',
+                message: 'Commande (lancée dans le dossier du service):',
+                default: readiness?.command,
+                when: (answers) => answers.type === 'command'
+            },
+            {
+                type: 'input',
+                name: 'timeout',
+                message: 'Attente maximale (secondes):',
+                default: String(readiness?.timeout || HEALTH_CONFIG.readinessTimeout)
+            },
+            {
+                type: 'input',
+                name: 'interval',
+                message: 'Intervalle entre deux tentatives (secondes):',
+                default: String(readiness?.interval || HEALTH_CONFIG.readinessInterval)
+            }
+        ]);
+        updates = { readiness: config };
+    }
 
     try {
-        services.updateService(projectName, serviceName, {
-            technology: answers.technology,
-            directory: answers.directory,
-            setupCommands: answers.setupCommands,
-            command: answers.command,
-            description: answers.description
+        await audit.track('service.update', { project: projectName, service: serviceName }, updates, async () => {
+            await services.updateService(projectName, serviceName, updates);
+            scripts.generateScripts(projectName);
         });
-
-        scripts.generateScripts(projectName);
         logger.success('Service mis à jour');
     } catch (error) {
         logger.error(error.message);
@@ -807,31 +1095,142 @@ async function editServiceForm(projectName) {
 }
 
 /**
- * Supprimer un service
+ * Sous-menu: Déploiement git d'un service (dépôt, déploiement, retour arrière)
  */
-async function removeServiceAction(projectName) {
-    const serviceName = await selectService(projectName, 'Service à supprimer:');
+async function deployMenu(projectName) {
+    const serviceName = await selectService(projectName, 'Service:');
     if (!serviceName) return;
 
-    const { confirm } = await inquirer.prompt([
-        {
-            type: 'confirm',
-            name: 'confirm',
-            message: `Supprimer le service "${serviceName}" ?`,
-            default: false
+    const { git, releases, history } = services.getServiceDeployments(projectName, serviceName);
+    const webhook = webhooks.getWebhook(projectName, serviceName);
+
+    logger.section(`Déploiement: ${projectName}-${serviceName}`);
+
+    if (!git) {
+        console.log(chalk.gray('Aucun dépôt git configuré (code déposé par SFTP)'));
+    } else {
+        console.log(`${chalk.cyan('Dépôt:')}     ${git.repository}`);
+        console.log(`${chalk.cyan('Branche:')}   ${git.branch}`);
+        console.log(`${chalk.cyan('Releases:')}  ${git.keepReleases} conservées`);
+        console.log(`${chalk.cyan('Webhook:')}   ${webhook.enabled ? `POST ${webhook.path}` : chalk.gray('désactivé')}`);
+    }
+
+    if (releases.length > 0) {
+        const table = new Table({
+            head: [chalk.cyan('Release'), chalk.cyan('Commit'), chalk.cyan('Message'), chalk.cyan('Par')],
+            colWidths: [22, 10, 40, 14]
+        });
+        for (const release of releases) {
+            table.push([
+                release.current ? chalk.green(`● ${release.id}`) : `  ${release.id}`,
+                release.commit ? release.commit.slice(0, 7) : '-',
+                release.message || '-',
+                release.deployedBy || '-'
+            ]);
+        }
+        console.log(table.toString());
+    }
+
+    const last = history[0];
+    if (last?.status === 'failed') {
+        console.log(chalk.red(`Dernier déploiement en échec (${new Date(last.deployedAt).toLocaleString('fr-FR')}): ${last.error}`));
+    }
+
+    const choices = [];
+    if (git) {
+        choices.push({ name: '🚀  Déployer maintenant', value: 'deploy' });
+    }
+    if (releases.length > 1) {
+        choices.push({ name: '⏪  Revenir à une release précédente', value: 'rollback' });
+    }
+    choices.push({ name: git ? '✏️   Modifier le dépôt' : '➕  Configurer un dépôt git', value: 'configure' });
+    if (git) {
+        choices.push({ name: webhook.enabled ? '🪝  Régénérer le secret du webhook' : '🪝  Activer le webhook (déploiement à chaque push)', value: 'webhook' });
+        if (webhook.enabled) {
+            choices.push({ name: '🔕  Désactiver le webhook', value: 'webhook_disable' });
         }
+        choices.push({ name: '🗑️   Retirer le déploiement git', value: 'remove' });
+    }
+    choices.push({ name: '← Retour', value: 'back' });
+
+    const { action } = await inquirer.prompt([
+        { type: 'list', name: 'action', message: 'Action:', choices }
     ]);
 
-    if (!confirm) return;
+    if (action === 'back') return;
 
-    const spinner = ora('Suppression...').start();
+    const target = { project: projectName, service: serviceName };
+    const actor = audit.cliActor();
+    const deployedBy = actor.sudoUser || actor.username;
 
     try {
-        await services.removeService(projectName, serviceName);
-        scripts.generateScripts(projectName);
-        spinner.succeed('Service supprimé');
+        if (action === 'deploy') {
+            const job = await watchJob(jobs.createJob({
+                type: 'service.deploy',
+                title: `Déploiement git du service ${projectName}/${serviceName} (${git.branch})`,
+                target,
+                actor
+            }));
+            if (job?.status === 'succeeded') {
+                const release = job.result;
+                logger.success(`Release ${release.id} déployée (${release.commit.slice(0, 7)} ${release.message})`);
+            }
+        } else if (action === 'rollback') {
+            const { release } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'release',
+                    message: 'Release à réactiver:',
+                    choices: releases.filter(r => !r.current).map(r => ({
+                        name: `${r.id} ${r.commit ? r.commit.slice(0, 7) : ''} ${r.message || ''}`.trim(),
+                        value: r.id
+                    }))
+                }
+            ]);
+            await audit.track('service.rollback', target, { release }, () =>
+                services.rollbackService(projectName, serviceName, release, deployedBy));
+        } else if (action === 'webhook') {
+            const secret = await audit.track('service.webhook.enable', target, {}, async () =>
+                webhooks.enableWebhook(projectName, serviceName));
+            console.log(`${chalk.cyan('URL:')}     <adresse de l'interface Web>${webhook.path}`);
+            console.log(`${chalk.cyan('Secret:')}  ${secret}`);
+            console.log(chalk.gray('Événement push, contenu application/json. GitHub / Gitea : champ "Secret" ; GitLab : "Secret token".'));
+            console.log(chalk.yellow('Le secret ne sera plus affiché.'));
+        } else if (action === 'webhook_disable') {
+            await audit.track('service.webhook.disable', target, {}, async () =>
+                webhooks.disableWebhook(projectName, serviceName));
+        } else if (action === 'remove') {
+            await audit.track('service.git.delete', target, {}, () =>
+                services.setServiceGit(projectName, serviceName, null));
+            scripts.generateScripts(projectName);
+        } else {
+            const config = await inquirer.prompt([
+                {
+                    type: 'input',
+                    name: 'repository',
+                    message: 'Dépôt (https://..., git@hôte:chemin.git):',
+                    default: git?.repository
+                },
+                {
+                    type: 'input',
+                    name: 'branch',
+                    message: 'Branche:',
+                    default: git?.branch || 'main'
+                },
+                {
+                    type: 'input',
+                    name: 'keepReleases',
+                    message: 'Releases conservées:',
+                    default: String(git?.keepReleases || DEPLOY_CONFIG.defaultKeepReleases)
+                }
+            ]);
+
+            await audit.track('service.git.update', target, config, () =>
+                services.setServiceGit(projectName, serviceName, config));
+            scripts.generateScripts(projectName);
+            console.log(chalk.gray('Le dossier du service est désormais le lien "current" de ses releases : lancez un déploiement.'));
+        }
     } catch (error) {
-        spinner.fail('Erreur');
         logger.error(error.message);
     }
 
@@ -839,15 +1238,622 @@ async function removeServiceAction(projectName) {
 }
 
 /**
- * Formulaire de changement de mot de passe
+ * Statut d'une exécution de tâche planifiée
+ * @param {object|null} run - Exécution
+ * @returns {string}
  */
-async function changePasswordForm(projectName) {
-    logger.section('Changer le mot de passe SFTP');
+function formatTaskRun(run) {
+    if (!run) {
+        return chalk.gray('jamais');
+    }
+    const labels = {
+        success: chalk.green('✓ réussie'),
+        failed: chalk.red(`✗ code ${run.exitCode ?? '-'}`),
+        timeout: chalk.yellow('⏱ délai dépassé')
+    };
+    return labels[run.status] || run.status;
+}
 
-    const answers = await inquirer.prompt([
+/**
+ * Questions de configuration d'une tâche planifiée
+ * @param {object|null} current - Tâche actuelle (null : nouvelle tâche)
+ * @returns {Array}
+ */
+function taskQuestions(current = null) {
+    return [
         {
-            type: 'password',
-            name: 'password',
+            type: 'input',
+            name: 'name',
+            message: 'Nom de la tâche (ex: backup, cleanup):',
+            when: () => !current,
+            validate: (input) => /^[a-zA-Z][a-zA-Z0-9_-]*$/.test(input.trim())
+                ? true
+                : 'Lettres, chiffres, tirets et underscores, en commençant par une lettre'
+        },
+        {
+            type: 'input',
+            name: 'schedule',
+            message: 'Planification (cron, ex: 0 3 * * *, @hourly):',
+            default: current?.schedule,
+            validate: (input) => {
+                try {
+                    cron.normalizeCron(input);
+                    return true;
+                } catch (error) {
+                    return error.message;
+                }
+            }
+        },
+        {
+            type: 'input',
+            name: 'command',
+            message: 'Commande:',
+            default: current?.command,
+            validate: (input) => input.trim() ? true : 'La commande est requise'
+        },
+        {
+            type: 'input',
+            name: 'directory',
+            message: 'Dossier de travail (relatif à sites/):',
+            default: current?.directory || '.'
+        },
+        {
+            type: 'input',
+            name: 'timeout',
+            message: 'Délai maximal (secondes):',
+            default: String(current?.timeout || TASKS_CONFIG.defaultTimeout)
+        },
+        {
+            type: 'input',
+            name: 'env',
+            message: 'Variables propres à la tâche (NOM=valeur, séparées par ;):',
+            default: Object.entries(current?.env || {}).map(([key, value]) => `${key}=${value}`).join('; '),
+            filter: (input) => Object.fromEntries(input.split(';').map(v => v.trim()).filter(v => v).map(v => {
+                const [key, ...value] = v.split('=');
+                return [key.trim(), value.join('=')];
+            }))
+        },
+        {
+            type: 'input',
+            name: 'description',
+            message: 'Description:',
+            default: current?.description || ''
+        }
+    ];
+}
+
+/**
+ * Sous-menu: Tâches planifiées d'un projet (commandes lancées selon une expression cron)
+ */
+async function tasksMenu(projectName) {
+    while (true) {
+        displayHeader();
+        logger.section(`Tâches planifiées: ${projectName}`);
+
+        const projectTasks = scheduler.listTasks(projectName);
+        if (projectTasks.length > 0) {
+            const table = new Table({
+                head: [chalk.cyan('Tâche'), chalk.cyan('Planification'), chalk.cyan('Commande'), chalk.cyan('Dernière exécution'), chalk.cyan('Prochaine')],
+                colWidths: [16, 16, 30, 30, 20]
+            });
+            for (const task of projectTasks) {
+                const lastRun = task.running
+                    ? chalk.cyan('● en cours')
+                    : task.lastRun
+                        ? `${formatTaskRun(task.lastRun)} ${chalk.gray(new Date(task.lastRun.startedAt).toLocaleString('fr-FR'))}`
+                        : formatTaskRun(null);
+                table.push([
+                    task.name,
+                    task.schedule,
+                    task.command,
+                    lastRun,
+                    task.enabled ? new Date(task.nextRun).toLocaleString('fr-FR') : chalk.gray('désactivée')
+                ]);
+            }
+            console.log(table.toString());
+            console.log(chalk.gray('Les tâches sont lancées par l\'interface Web (elle doit être démarrée), à l\'heure du serveur.'));
+        } else {
+            console.log(chalk.gray('Aucune tâche planifiée.'));
+        }
+
+        const choices = [{ name: '➕  Ajouter une tâche', value: 'add' }];
+        if (projectTasks.length > 0) {
+            choices.push(
+                { name: '▶️   Exécuter maintenant', value: 'run' },
+                { name: '📜  Historique des exécutions', value: 'history' },
+                { name: '✏️   Modifier une tâche', value: 'edit' },
+                { name: '⏸️   Activer / désactiver une tâche', value: 'toggle' },
+                { name: '🗑️   Supprimer une tâche', value: 'remove' }
+            );
+        }
+        choices.push(new inquirer.Separator(), { name: '← Retour', value: 'back' });
+
+        const { action } = await inquirer.prompt([
+            { type: 'list', name: 'action', message: 'Action:', choices }
+        ]);
+
+        if (action === 'back') return;
+
+        let task = null;
+        if (action !== 'add') {
+            const { taskName } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'taskName',
+                    message: 'Tâche:',
+                    choices: projectTasks.map(t => ({ name: `${t.name} ${chalk.gray(`(${t.schedule})`)}`, value: t.name }))
+                }
+            ]);
+            task = projectTasks.find(t => t.name === taskName);
+        }
+        const target = { project: projectName, task: task?.name };
+
+        try {
+            if (action === 'add') {
+                const config = await inquirer.prompt(taskQuestions());
+                await audit.track('task.create', { ...target, task: config.name }, { ...config, env: Object.keys(config.env) }, async () =>
+                    scheduler.addTask(projectName, config));
+            } else if (action === 'edit') {
+                const updates = await inquirer.prompt(taskQuestions(task));
+                await audit.track('task.update', target, { ...updates, env: Object.keys(updates.env) }, async () =>
+                    scheduler.updateTask(projectName, task.name, updates));
+            } else if (action === 'toggle') {
+                const updates = { enabled: !task.enabled };
+                await audit.track('task.update', target, updates, async () =>
+                    scheduler.updateTask(projectName, task.name, updates));
+                logger.success(`Tâche ${task.name} ${updates.enabled ? 'activée' : 'désactivée'}`);
+            } else if (action === 'remove') {
+                const { confirm } = await inquirer.prompt([
+                    { type: 'confirm', name: 'confirm', message: `Supprimer la tâche ${task.name} et son historique ?`, default: false }
+                ]);
+                if (!confirm) continue;
+                await audit.track('task.delete', target, {}, async () => scheduler.removeTask(projectName, task.name));
+            } else if (action === 'run') {
+                await runJobAction({
+                    type: 'task.run',
+                    title: `Exécution de la tâche ${projectName}/${task.name}`,
+                    target
+                });
+                continue;
+            } else if (action === 'history') {
+                await taskHistoryMenu(projectName, task.name);
+                continue;
+            }
+        } catch (error) {
+            logger.error(error.message);
+        }
+
+        await pressEnterToContinue();
+    }
+}
+
+/**
+ * Historique des exécutions d'une tâche planifiée, avec la sortie de chacune
+ */
+async function taskHistoryMenu(projectName, taskName) {
+    const runs = scheduler.getTaskRuns(projectName, taskName);
+    if (runs.length === 0) {
+        logger.info('Aucune exécution');
+        await pressEnterToContinue();
+        return;
+    }
+
+    const { runId } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'runId',
+            message: 'Exécution:',
+            choices: [
+                ...runs.map(run => ({
+                    name: `${new Date(run.startedAt).toLocaleString('fr-FR')}  ${formatTaskRun(run)}  ${chalk.gray(`${Math.round(run.duration / 1000)}s, ${run.trigger === 'schedule' ? 'planifiée' : `manuelle${run.triggeredBy ? ` (${run.triggeredBy})` : ''}`}`)}`,
+                    value: run.id
+                })),
+                new inquirer.Separator(),
+                { name: '← Retour', value: null }
+            ],
+            pageSize: 20
+        }
+    ]);
+
+    if (!runId) return;
+
+    const run = scheduler.getTaskRun(projectName, taskName, runId);
+    logger.section(`${taskName} - ${new Date(run.startedAt).toLocaleString('fr-FR')}`);
+    if (run.truncated) {
+        console.log(chalk.gray('(début de la sortie tronqué)'));
+    }
+    console.log(run.output || chalk.gray('(aucune sortie)'));
+    console.log(`${formatTaskRun(run)}${run.error ? `: ${run.error}` : ''}`);
+    await pressEnterToContinue();
+}
+
+/**
+ * Afficher les logs d'un service
+ */
+async function showServiceLogs(projectName) {
+    const serviceName = await selectService(projectName, 'Voir les logs de:');
+    if (!serviceName) return;
+
+    const { mode } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'mode',
+            message: 'Affichage:',
+            choices: [
+                { name: '📋  100 dernières lignes', value: 'last' },
+                { name: '📡  Suivi en direct', value: 'live' }
+            ]
+        }
+    ]);
+
+    if (mode === 'live') {
+        await followServiceLogsAction(projectName, serviceName);
+        return;
+    }
+
+    logger.section(`Logs: ${projectName}-${serviceName}`);
+
+    try {
+        const logs = await services.getServiceLogs(projectName, serviceName, 100);
+        console.log(logs);
+    } catch (error) {
+        logger.error(error.message);
+    }
+
+    await pressEnterToContinue();
+}
+
+/**
+ * Suivi en direct des logs d'un service, jusqu'à l'appui sur Entrée
+ */
+async function followServiceLogsAction(projectName, serviceName) {
+    const { grep } = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'grep',
+            message: 'Filtre (texte recherché, vide = toutes les lignes):'
+        }
+    ]);
+
+    logger.section(`Logs en direct: ${projectName}-${serviceName}`);
+    console.log(chalk.gray('Sortie d\'erreur en rouge - Appuyez sur Entrée pour arrêter\n'));
+
+    let stop;
+    try {
+        stop = services.followServiceLogs(projectName, serviceName, { grep: grep.trim() }, (entry) => {
+            console.log(entry.stream === 'err' ? chalk.red(entry.line) : entry.line);
+        });
+    } catch (error) {
+        logger.error(error.message);
+        await pressEnterToContinue();
+        return;
+    }
+
+    const rl = readline.createInterface({ input: process.stdin });
+    await new Promise(resolve => rl.once('line', resolve));
+    rl.close();
+    stop();
+}
+
+/**
+ * Démarrer tous les services
+ */
+async function startAllServicesAction(projectName) {
+    const servicesList = services.listServices(projectName);
+    const hasAnySetup = servicesList.some(s => (s.setupCommands || []).length > 0);
+
+    const { setupChoice } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'setupChoice',
+            message: hasAnySetup 
+                ? 'Certains services ont des commandes de setup. Que faire ?' 
+                : 'Démarrer tous les services ?',
+            choices: hasAnySetup ? [
+                { name: '▶️  Exécuter setup + démarrer tous', value: 'with_setup' },
+                { name: '⏩  Démarrer tous sans setup', value: 'skip_setup' },
+                { name: '← Annuler', value: 'cancel' }
+            ] : [
+                { name: '▶️  Démarrer tous les services', value: 'skip_setup' },
+                { name: '← Annuler', value: 'cancel' }
+            ]
+        }
+    ]);
+
+    if (setupChoice === 'cancel') return;
+
+    const runSetup = setupChoice === 'with_setup';
+    await runJobAction({
+        type: 'project.start-all',
+        title: `Démarrage de tous les services de ${projectName}${runSetup ? ' (avec setup)' : ''}`,
+        target: { project: projectName },
+        params: { runSetup }
+    });
+}
+
+/**
+ * Arrêter tous les services
+ */
+async function stopAllServicesAction(projectName) {
+    const { confirm } = await inquirer.prompt([
+        {
+            type: 'confirm',
+            name: 'confirm',
+            message: 'Arrêter tous les services ?',
+            default: false
+        }
+    ]);
+
+    if (!confirm) return;
+
+    const spinner = ora('Arrêt des services...').start();
+
+    try {
+        await audit.track('project.stop-all', { project: projectName }, {}, () =>
+            services.stopAllServices(projectName));
+        spinner.succeed('Tous les services arrêtés');
+    } catch (error) {
+        spinner.fail('Erreur');
+        logger.error(error.message);
+    }
+
+    await pressEnterToContinue();
+}
+
+/**
+ * Formulaire d'édition de service
+ */
+async function editServiceForm(projectName) {
+    const serviceName = await selectService(projectName, 'Service à modifier:');
+    if (!serviceName) return;
+
+    const service = services.getService(projectName, serviceName);
+    const currentSetupCommands = (service.setupCommands || []).join('; ');
+
+    const answers = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'technology',
+            message: 'Technologie:',
+            choices: [
+                { name: '🟢 Node.js', value: 'nodejs' },
+                { name: '🐍 Python', value: 'python' },
+                { name: '🐘 PHP', value: 'php' }
+            ],
+            default: service.technology || 'nodejs'
+        },
+        {
+            type: 'input',
+            name: 'directory',
+            message: 'Nouveau chemin du dossier:',
+            default: service.directory
+        },
+        {
+            type: 'input',
+            name: 'setupCommands',
+            message: 'Commandes de setup (séparées par ;):',
+            default: currentSetupCommands,
+            filter: (input) => input ? input.split(';').map(c => c.trim()).filter(c => c) : []
+        },
+        ...vhostQuestions(service.vhost),
+        {
+            type: 'input',
+            name: 'command',
+            message: 'Nouvelle commande de démarrage:',
+            default: service.command,
+            when: (answers) => !answers.vhostStatic
+        },
+        processManagerQuestion(service.processManager),
+        {
+            type: 'input',
+            name: 'maxMemoryRestart',
+            message: 'Redémarrer au-delà de (mémoire, ex: 512M, vide = sans limite):',
+            default: service.maxMemoryRestart || '',
+            when: (answers) => !answers.vhostStatic,
+            validate: (input) => !input.trim() || /^\d+[KMG]?$/i.test(input.trim()) ? true : 'Format attendu: 512M, 1G'
+        },
+        {
+            type: 'input',
+            name: 'cronRestart',
+            message: 'Redémarrage planifié (cron, ex: 0 4 * * *, vide = aucun):',
+            default: service.cronRestart || '',
+            when: (answers) => !answers.vhostStatic && answers.processManager === 'pm2',
+            validate: (input) => {
+                try {
+                    if (input.trim()) cron.normalizeCron(input);
+                    return true;
+                } catch (error) {
+                    return error.message;
+                }
+            }
+        },
+        {
+            type: 'input',
+            name: 'description',
+            message: 'Nouvelle description:',
+            default: service.description
+        },
+        {
+            type: 'confirm',
+            name: 'confirm',
+            message: 'Appliquer les modifications ?',
+            default: true
+        }
+    ]);
+
+    if (!answers.confirm) return;
+
+    try {
+        const updates = {
+            technology: answers.technology,
+            directory: answers.directory,
+            setupCommands: answers.setupCommands,
+            command: answers.command,
+            maxMemoryRestart: answers.maxMemoryRestart,
+            processManager: answers.processManager,
+            cronRestart: answers.cronRestart,
+            description: answers.description
+        };
+
+        await audit.track('service.update', { project: projectName, service: serviceName }, updates, async () => {
+            await services.updateService(projectName, serviceName, updates);
+            scripts.generateScripts(projectName);
+        });
+        logger.success('Service mis à jour');
+    } catch (error) {
+        logger.error(error.message);
+        await pressEnterToContinue();
+        return;
+    }
+
+    await applyVhostAnswers(projectName, serviceName, service.vhost, vhostFromAnswers(answers));
+    await pressEnterToContinue();
+}
+
+/**
+ * Questions de configuration du virtual host nginx d'un service
+ * @param {object|null} current - Configuration vhost actuelle
+ * @returns {Array}
+ */
+function vhostQuestions(current = null) {
+    return [
+        {
+            type: 'confirm',
+            name: 'exposeVhost',
+            message: 'Exposer ce service sur un domaine (nginx) ?',
+            default: Boolean(current)
+        },
+        {
+            type: 'input',
+            name: 'domain',
+            message: 'Domaine (ex: app.example.com):',
+            default: current?.domain,
+            when: (answers) => answers.exposeVhost,
+            validate: (input) => input && input.trim() !== '' ? true : 'Le domaine est requis'
+        },
+        {
+            type: 'input',
+            name: 'aliases',
+            message: 'Domaines supplémentaires (séparés par des espaces, optionnel):',
+            default: (current?.aliases || []).join(' '),
+            when: (answers) => answers.exposeVhost
+        },
+        {
+            type: 'confirm',
+            name: 'vhostStatic',
+            message: 'Site statique servi directement par nginx (aucun processus PM2) ?',
+            default: Boolean(current?.static),
+            when: (answers) => answers.exposeVhost
+        },
+        {
+            type: 'input',
+            name: 'root',
+            message: 'Dossier servi (relatif au dossier du service, ex: dist):',
+            default: current?.root || '',
+            when: (answers) => answers.exposeVhost && answers.vhostStatic
+        },
+        {
+            type: 'input',
+            name: 'port',
+            message: 'Port interne du service (transmis via la variable PORT):',
+            default: current?.port ? String(current.port) : undefined,
+            when: (answers) => answers.exposeVhost && !answers.vhostStatic,
+            validate: (input) => /^\d+$/.test(input) && input >= 1 && input <= 65535 ? true : 'Port invalide (1-65535)'
+        }
+    ];
+}
+
+/**
+ * Construit la configuration vhost à partir des réponses de vhostQuestions()
+ * @param {object} answers - Réponses du formulaire
+ * @returns {object|null}
+ */
+function vhostFromAnswers(answers) {
+    if (!answers.exposeVhost) return null;
+
+    return {
+        domain: answers.domain,
+        aliases: answers.aliases,
+        static: answers.vhostStatic,
+        root: answers.root,
+        port: answers.port
+    };
+}
+
+/**
+ * Applique (ou retire) le virtual host nginx saisi dans un formulaire de service
+ * @param {string} projectName - Nom du projet
+ * @param {string} serviceName - Nom du service
+ * @param {object|null} current - Configuration vhost actuelle
+ * @param {object|null} vhost - Configuration saisie (null : pas de domaine)
+ */
+async function applyVhostAnswers(projectName, serviceName, current, vhost) {
+    if (!vhost && !current) return;
+
+    const spinner = ora('Mise à jour du virtual host nginx...').start();
+    const target = { project: projectName, service: serviceName };
+
+    try {
+        if (vhost) {
+            await audit.track('service.vhost.update', target, vhost, () =>
+                services.setServiceVhost(projectName, serviceName, vhost));
+            spinner.succeed(`Service exposé sur ${vhost.domain}`);
+        } else {
+            await audit.track('service.vhost.delete', target, {}, () =>
+                services.removeServiceVhost(projectName, serviceName));
+            spinner.succeed('Virtual host supprimé');
+        }
+        scripts.generateScripts(projectName);
+    } catch (error) {
+        spinner.fail('Virtual host non appliqué');
+        logger.error(error.message);
+    }
+}
+
+/**
+ * Supprimer un service
+ */
+async function removeServiceAction(projectName) {
+    const serviceName = await selectService(projectName, 'Service à supprimer:');
+    if (!serviceName) return;
+
+    const { confirm } = await inquirer.prompt([
+        {
+            type: 'confirm',
+            name: 'confirm',
+            message: `Supprimer le service "${serviceName}" ?`,
+            default: false
+        }
+    ]);
+
+    if (!confirm) return;
+
+    const spinner = ora('Suppression...').start();
+
+    try {
+        await audit.track('service.delete', { project: projectName, service: serviceName }, {}, async () => {
+            await services.removeService(projectName, serviceName);
+            scripts.generateScripts(projectName);
+        });
+        spinner.succeed('Service supprimé');
+    } catch (error) {
+        spinner.fail('Erreur');
+        logger.error(error.message);
+    }
+
+    await pressEnterToContinue();
+}
+
+/**
+ * Formulaire de changement de mot de passe
+ */
+async function changePasswordForm(projectName) {
+    logger.section('Changer le mot de passe SFTP');
+
+    const answers = await inquirer.prompt([
+        {
+            type: 'password',
+            name: 'password',
             message: 'Nouveau mot de passe:',
             mask: '*',
             validate: (input) => input && input.length >= 8 ? true : 'Minimum 8 caractères'
@@ -860,18 +1866,447 @@ async function changePasswordForm(projectName) {
             validate: (input, answers) => input === answers.password ? true : 'Non identique'
         },
         {
-            type: 'confirm',
-            name: 'confirm',
-            message: 'Changer le mot de passe ?',
-            default: true
+            type: 'confirm',
+            name: 'confirm',
+            message: 'Changer le mot de passe ?',
+            default: true
+        }
+    ]);
+
+    if (!answers.confirm) return;
+
+    try {
+        await audit.track('sftp.change-password', { project: projectName }, {}, () =>
+            sftp.changeSftpPassword(projectName, answers.password));
+        logger.success('Mot de passe changé');
+    } catch (error) {
+        logger.error(error.message);
+    }
+
+    await pressEnterToContinue();
+}
+
+/**
+ * Gestion des clés publiques SFTP et de l'authentification par mot de passe
+ */
+async function sftpKeysMenu(projectName) {
+    while (true) {
+        displayHeader();
+        logger.section(`Clés SSH SFTP: ${projectName}`);
+
+        const keys = sftp.listSftpKeys(projectName);
+        const passwordAuth = projects.getProject(projectName)?.sftpPasswordAuth !== false;
+
+        if (keys.length > 0) {
+            const table = new Table({
+                head: [chalk.cyan('Type'), chalk.cyan('Empreinte'), chalk.cyan('Commentaire')]
+            });
+            for (const key of keys) {
+                table.push([key.type, key.fingerprint, key.comment || '-']);
+            }
+            console.log(table.toString());
+        } else {
+            console.log(chalk.gray('Aucune clé autorisée.'));
+        }
+
+        console.log(`\n${chalk.white('Mot de passe:')} ${passwordAuth ? chalk.green('autorisé') : chalk.yellow('désactivé (clés uniquement)')}\n`);
+
+        const choices = [{ name: '➕  Ajouter une clé', value: 'add' }];
+        if (keys.length > 0) {
+            choices.push({ name: '🗑️   Révoquer une clé', value: 'remove' });
+        }
+        choices.push(
+            { name: passwordAuth ? '🔒  Désactiver le mot de passe' : '🔓  Réactiver le mot de passe', value: 'toggle_password' },
+            new inquirer.Separator(),
+            { name: '← Retour', value: 'back' }
+        );
+
+        const { action } = await inquirer.prompt([
+            { type: 'list', name: 'action', message: 'Action:', choices }
+        ]);
+
+        try {
+            if (action === 'add') {
+                const { publicKey } = await inquirer.prompt([
+                    {
+                        type: 'input',
+                        name: 'publicKey',
+                        message: 'Clé publique (ssh-ed25519 AAAA... commentaire):',
+                        validate: (input) => input && input.trim() !== '' ? true : 'La clé est requise'
+                    }
+                ]);
+                const key = await audit.track('sftp.key.add', { project: projectName }, {}, () =>
+                    sftp.addSftpKey(projectName, publicKey));
+                logger.success(`Clé ajoutée: ${key.fingerprint}`);
+            } else if (action === 'remove') {
+                const { fingerprint } = await inquirer.prompt([
+                    {
+                        type: 'list',
+                        name: 'fingerprint',
+                        message: 'Clé à révoquer:',
+                        choices: keys.map(k => ({ name: `${k.fingerprint} ${k.comment}`, value: k.fingerprint }))
+                    }
+                ]);
+                await audit.track('sftp.key.remove', { project: projectName, key: fingerprint }, {}, () =>
+                    sftp.removeSftpKey(projectName, fingerprint, !passwordAuth));
+                logger.success('Clé révoquée');
+            } else if (action === 'toggle_password') {
+                await audit.track('sftp.password-auth', { project: projectName }, { enabled: !passwordAuth }, () =>
+                    projects.setSftpPasswordAuth(projectName, !passwordAuth));
+            } else {
+                return;
+            }
+        } catch (error) {
+            logger.error(error.message);
+        }
+
+        await pressEnterToContinue();
+    }
+}
+
+/**
+ * Gestion des certificats HTTPS des services exposés d'un projet
+ */
+async function certificatesMenu(projectName) {
+    while (true) {
+        displayHeader();
+        logger.section(`Certificats HTTPS: ${projectName}`);
+
+        const exposed = services.listServices(projectName).filter(s => s.vhost);
+
+        if (exposed.length === 0) {
+            logger.warn('Aucun service exposé sur un domaine (voir « Modifier un service »).');
+            await pressEnterToContinue();
+            return;
+        }
+
+        const table = new Table({
+            head: [chalk.cyan('Service'), chalk.cyan('Domaine'), chalk.cyan('Expire le'), chalk.cyan('Jours restants')]
+        });
+        const infos = {};
+        for (const service of exposed) {
+            const info = certificates.getCertificateInfo(service.vhost.domain);
+            infos[service.name] = info;
+            table.push([
+                service.name,
+                [service.vhost.domain, ...service.vhost.aliases].join('\n'),
+                info ? new Date(info.validTo).toLocaleDateString('fr-FR') : chalk.gray('aucun certificat'),
+                info ? (certificates.isRenewalDue(info) ? chalk.yellow(info.daysLeft) : chalk.green(info.daysLeft)) : '-'
+            ]);
+        }
+        console.log(table.toString());
+
+        const { action } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'action',
+                message: 'Action:',
+                choices: [
+                    { name: '🔒  Obtenir / renouveler un certificat', value: 'request' },
+                    { name: '🗑️   Supprimer un certificat', value: 'remove' },
+                    new inquirer.Separator(),
+                    { name: '← Retour', value: 'back' }
+                ]
+            }
+        ]);
+
+        if (action === 'back') return;
+
+        const candidates = action === 'remove' ? exposed.filter(s => infos[s.name]) : exposed;
+        if (candidates.length === 0) {
+            logger.warn('Aucun certificat à supprimer.');
+            await pressEnterToContinue();
+            continue;
+        }
+
+        const { serviceName } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'serviceName',
+                message: 'Service:',
+                choices: candidates.map(s => ({ name: `${s.name} (${s.vhost.domain})`, value: s.name }))
+            }
+        ]);
+
+        const target = { project: projectName, service: serviceName };
+
+        if (action === 'request') {
+            const spinner = ora('Demande du certificat (challenge HTTP-01)...').start();
+            try {
+                const info = await audit.track('service.certificate.request', target, {}, () =>
+                    services.requestServiceCertificate(projectName, serviceName));
+                spinner.succeed(`Certificat obtenu, expire le ${new Date(info.validTo).toLocaleDateString('fr-FR')}`);
+            } catch (error) {
+                spinner.fail('Erreur');
+                logger.error(error.message);
+            }
+        } else {
+            try {
+                await audit.track('service.certificate.delete', target, {}, () =>
+                    services.removeServiceCertificate(projectName, serviceName));
+            } catch (error) {
+                logger.error(error.message);
+            }
+        }
+
+        await pressEnterToContinue();
+    }
+}
+
+/**
+ * Gestion des variables d'environnement d'un projet ou d'un de ses services
+ */
+async function environmentMenu(projectName) {
+    const { scope } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'scope',
+            message: 'Variables de:',
+            choices: [
+                { name: '📁  Projet (communes à tous les services)', value: 'project' },
+                { name: '⚙️   Un service', value: 'service' },
+                new inquirer.Separator(),
+                { name: '← Annuler', value: 'cancel' }
+            ]
         }
     ]);
 
-    if (!answers.confirm) return;
+    if (scope === 'cancel') return;
+
+    const serviceName = scope === 'service' ? await selectService(projectName) : null;
+    if (scope === 'service' && !serviceName) return;
+
+    const label = serviceName ? `${projectName}/${serviceName}` : projectName;
+    const target = { project: projectName, service: serviceName };
+    const auditPrefix = serviceName ? 'service.env' : 'project.env';
+
+    while (true) {
+        displayHeader();
+        logger.section(`Variables d'environnement: ${label}`);
+
+        const variables = environment.listVariables(projectName, serviceName);
+        const inherited = serviceName ? environment.listVariables(projectName) : [];
+
+        if (variables.length > 0 || inherited.length > 0) {
+            const table = new Table({
+                head: [chalk.cyan('Variable'), chalk.cyan('Valeur'), chalk.cyan('Source')]
+            });
+            for (const variable of inherited.filter(v => !variables.some(o => o.key === v.key))) {
+                table.push([chalk.gray(variable.key), chalk.gray(variable.value), chalk.gray('projet')]);
+            }
+            for (const variable of variables) {
+                table.push([
+                    variable.key,
+                    variable.secret ? chalk.yellow(variable.value) : variable.value,
+                    serviceName ? 'service' : 'projet'
+                ]);
+            }
+            console.log(table.toString());
+        } else {
+            console.log(chalk.gray('Aucune variable définie.'));
+        }
+
+        if (serviceName) {
+            console.log(chalk.gray('\nLes modifications sont appliquées au prochain démarrage ou redémarrage du service.\n'));
+        }
+
+        const choices = [{ name: '➕  Ajouter / modifier une variable', value: 'set' }];
+        if (variables.length > 0) {
+            choices.push({ name: '🗑️   Supprimer une variable', value: 'remove' });
+        }
+        choices.push(new inquirer.Separator(), { name: '← Retour', value: 'back' });
+
+        const { action } = await inquirer.prompt([
+            { type: 'list', name: 'action', message: 'Action:', choices }
+        ]);
+
+        try {
+            if (action === 'set') {
+                const answers = await inquirer.prompt([
+                    {
+                        type: 'input',
+                        name: 'key',
+                        message: 'Nom (ex: NODE_ENV):',
+                        validate: (input) => /^[A-Za-z_][A-Za-z0-9_]*$/.test(input.trim())
+                            ? true
+                            : 'Lettres, chiffres et underscores, sans chiffre en tête'
+                    },
+                    {
+                        type: 'confirm',
+                        name: 'secret',
+                        message: 'Valeur secrète (chiffrée et masquée) ?',
+                        default: (answers) => /pass|secret|token|key/i.test(answers.key)
+                    },
+                    {
+                        type: 'password',
+                        name: 'value',
+                        message: 'Valeur:',
+                        mask: '*',
+                        when: (answers) => answers.secret
+                    },
+                    {
+                        type: 'input',
+                        name: 'value',
+                        message: 'Valeur:',
+                        when: (answers) => !answers.secret,
+                        default: (answers) => variables.find(v => v.key === answers.key.trim() && !v.secret)?.value
+                    }
+                ]);
+                const key = answers.key.trim();
+                await audit.track(`${auditPrefix}.update`, target, { variable: key, masked: answers.secret }, () => {
+                    environment.setVariable(projectName, serviceName, key, answers.value, answers.secret);
+                    scripts.generateScripts(projectName);
+                });
+            } else if (action === 'remove') {
+                const { key } = await inquirer.prompt([
+                    {
+                        type: 'list',
+                        name: 'key',
+                        message: 'Variable à supprimer:',
+                        choices: variables.map(v => v.key)
+                    }
+                ]);
+                await audit.track(`${auditPrefix}.delete`, target, { variable: key }, () => {
+                    environment.removeVariable(projectName, serviceName, key);
+                    scripts.generateScripts(projectName);
+                });
+            } else {
+                return;
+            }
+        } catch (error) {
+            logger.error(error.message);
+        }
+
+        await pressEnterToContinue();
+    }
+}
+
+/**
+ * Gestion des comptes SFTP additionnels d'un projet
+ */
+async function sftpAccountsMenu(projectName) {
+    while (true) {
+        displayHeader();
+        logger.section(`Comptes SFTP: ${projectName}`);
+
+        const accounts = projects.listSftpAccounts(projectName);
+
+        if (accounts.length > 0) {
+            const table = new Table({
+                head: [chalk.cyan('Utilisateur'), chalk.cyan('Dossier'), chalk.cyan('Accès'), chalk.cyan('Statut')]
+            });
+            for (const account of accounts) {
+                table.push([
+                    account.username,
+                    `sites/${account.scope}`,
+                    account.readOnly ? 'lecture seule' : 'lecture/écriture',
+                    account.disabled ? chalk.yellow('désactivé') : chalk.green('actif')
+                ]);
+            }
+            console.log(table.toString());
+        } else {
+            console.log(chalk.gray('Aucun compte additionnel.'));
+        }
+
+        const choices = [{ name: '➕  Créer un compte', value: 'create' }];
+        if (accounts.length > 0) {
+            choices.push(
+                { name: '⏯️   Désactiver / réactiver un compte', value: 'toggle' },
+                { name: '🗑️   Supprimer un compte', value: 'delete' }
+            );
+        }
+        choices.push(new inquirer.Separator(), { name: '← Retour', value: 'back' });
+
+        const { action } = await inquirer.prompt([
+            { type: 'list', name: 'action', message: 'Action:', choices }
+        ]);
+
+        if (action === 'back') return;
+
+        try {
+            if (action === 'create') {
+                const answers = await inquirer.prompt([
+                    {
+                        type: 'input',
+                        name: 'name',
+                        message: `Nom du compte (utilisateur sftp_${projectName}-<nom>):`,
+                        validate: (input) => /^[a-zA-Z][a-zA-Z0-9_-]*$/.test(input) ? true : 'Le nom doit commencer par une lettre'
+                    },
+                    {
+                        type: 'password',
+                        name: 'password',
+                        message: 'Mot de passe:',
+                        mask: '*',
+                        validate: (input) => input && input.length >= 8 ? true : 'Minimum 8 caractères'
+                    },
+                    {
+                        type: 'input',
+                        name: 'scope',
+                        message: 'Sous-dossier de sites/ (vide pour tout sites/):',
+                        default: ''
+                    },
+                    {
+                        type: 'confirm',
+                        name: 'readOnly',
+                        message: 'Lecture seule ?',
+                        default: false
+                    }
+                ]);
+
+                const spinner = ora('Création du compte...').start();
+                try {
+                    const account = await audit.track('sftp.account.create', { project: projectName, account: answers.name },
+                        { scope: answers.scope, readOnly: answers.readOnly },
+                        () => projects.addSftpAccount(projectName, answers));
+                    spinner.succeed(`Compte ${account.username} créé`);
+                } catch (error) {
+                    spinner.fail('Erreur');
+                    throw error;
+                }
+            } else {
+                const { accountName } = await inquirer.prompt([
+                    {
+                        type: 'list',
+                        name: 'accountName',
+                        message: 'Compte:',
+                        choices: accounts.map(a => ({ name: a.username, value: a.name }))
+                    }
+                ]);
+                const account = accounts.find(a => a.name === accountName);
+
+                if (action === 'toggle') {
+                    await audit.track('sftp.account.update', { project: projectName, account: accountName }, { disabled: !account.disabled }, () =>
+                        projects.setSftpAccountDisabled(projectName, accountName, !account.disabled));
+                } else {
+                    const { confirm } = await inquirer.prompt([
+                        { type: 'confirm', name: 'confirm', message: `Supprimer le compte "${account.username}" ?`, default: false }
+                    ]);
+                    if (!confirm) continue;
+
+                    await audit.track('sftp.account.delete', { project: projectName, account: accountName }, {}, () =>
+                        projects.removeSftpAccount(projectName, accountName));
+                }
+            }
+        } catch (error) {
+            logger.error(error.message);
+        }
+
+        await pressEnterToContinue();
+    }
+}
+
+/**
+ * Rétablir les droits de l'utilisateur d'exécution sur le dossier sites/
+ * (fichiers déposés avant l'isolation du projet ou sans les ACL par défaut)
+ */
+async function reconcilePermissionsAction(projectName) {
+    logger.section(`Permissions: ${projectName}`);
 
     try {
-        await sftp.changeSftpPassword(projectName, answers.password);
-        logger.success('Mot de passe changé');
+        await audit.track('project.permissions.reconcile', { project: projectName }, {}, async () => {
+            await runtime.ensureRuntimeUser(projectName);
+            await runtime.reconcileOwnership(projectName);
+        });
     } catch (error) {
         logger.error(error.message);
     }
@@ -890,6 +2325,10 @@ async function showProjectPaths(projectName) {
     console.log(chalk.white('Dossier projet:'), `/var/www/${projectName}`);
     console.log(chalk.white('Dossier sites:'), `/var/www/${projectName}/sites`);
     console.log(chalk.white('Scripts:'), scriptPaths.directory);
+    console.log(chalk.white('Ecosystem PM2:'), scriptPaths.ecosystem);
+    console.log(chalk.white('Utilisateur d\'exécution:'), runtime.getRuntimeUsername(projectName));
+    console.log(chalk.white('PM2_HOME:'), `${runtime.getRuntimeHome(projectName)}/.pm2`);
+    console.log(chalk.white('Logs PM2:'), runtime.getLogDir(projectName));
     console.log('');
     console.log(chalk.gray('Scripts disponibles:'));
     console.log(`  ${scriptPaths.start}`);
@@ -934,7 +2373,8 @@ export async function deleteProjectForm() {
     const spinner = ora('Suppression en cours...').start();
 
     try {
-        await projects.deleteProject(projectName, deleteFiles);
+        await audit.track('project.delete', { project: projectName }, { deleteFiles }, () =>
+            projects.deleteProject(projectName, deleteFiles));
         spinner.succeed(`Projet ${projectName} supprimé`);
     } catch (error) {
         spinner.fail('Erreur');
@@ -951,13 +2391,30 @@ export async function showPm2Status() {
     displayHeader();
     logger.section('Statut PM2 global');
 
+    const shell = await import('../utils/shell.js').then(m => m.default);
+
     try {
-        const { stdout } = await import('../utils/shell.js').then(m => m.default.execCommand('pm2 list'));
+        const { stdout } = await shell.execCommand('pm2 list');
+        console.log(chalk.white('Démon root'));
         console.log(stdout);
     } catch (error) {
         logger.error(`PM2 non disponible: ${error.message}`);
     }
 
+    // Démons PM2 des utilisateurs d'exécution des projets
+    for (const project of projects.loadProjects()) {
+        const projectRuntime = runtime.getRuntime(project.name);
+        if (!projectRuntime) continue;
+
+        try {
+            const { stdout } = await shell.execCommand('pm2 list', shell.runtimeOptions(projectRuntime));
+            console.log(chalk.white(`Projet ${project.name} (${projectRuntime.user})`));
+            console.log(stdout);
+        } catch (error) {
+            logger.warn(`PM2 de ${project.name} non disponible: ${error.message}`);
+        }
+    }
+
     await pressEnterToContinue();
 }
 
@@ -971,7 +2428,7 @@ export async function regenerateAllScriptsAction() {
     const spinner = ora('Régénération...').start();
 
     try {
-        scripts.regenerateAllScripts();
+        await audit.track('scripts.regenerate-all', {}, {}, () => scripts.regenerateAllScripts());
         spinner.succeed('Scripts régénérés');
     } catch (error) {
         spinner.fail('Erreur');
@@ -981,6 +2438,196 @@ export async function regenerateAllScriptsAction() {
     await pressEnterToContinue();
 }
 
+/**
+ * Historique de sshd_config et restauration d'une version
+ */
+export async function sshConfigHistoryMenu() {
+    displayHeader();
+    logger.section('Historique sshd_config');
+
+    const backups = sftp.listSSHConfigBackups();
+
+    if (backups.length === 0) {
+        logger.info('Aucune sauvegarde disponible');
+        await pressEnterToContinue();
+        return;
+    }
+
+    const { id } = await inquirer.prompt([
+        {
+            type: 'list',
+            name: 'id',
+            message: 'Version à restaurer:',
+            choices: [
+                ...backups.map(b => ({
+                    name: `${new Date(b.createdAt).toLocaleString('fr-FR')}  ${chalk.gray(b.id)}`,
+                    value: b.id
+                })),
+                new inquirer.Separator(),
+                { name: '← Retour', value: null }
+            ],
+            pageSize: 15
+        }
+    ]);
+
+    if (!id) return;
+
+    const { confirm } = await inquirer.prompt([
+        {
+            type: 'confirm',
+            name: 'confirm',
+            message: `Restaurer ${id} ? La configuration actuelle sera sauvegardée.`,
+            default: false
+        }
+    ]);
+
+    if (!confirm) return;
+
+    try {
+        await audit.track('sshd-config.restore', {}, { id }, () => sftp.restoreSSHConfig(id));
+    } catch (error) {
+        logger.error(error.message);
+    }
+
+    await pressEnterToContinue();
+}
+
+/**
+ * Statut d'une tâche, en couleur
+ * @param {string} status
+ * @returns {string}
+ */
+function formatJobStatus(status) {
+    const labels = {
+        queued: chalk.gray('en attente'),
+        running: chalk.cyan('en cours'),
+        succeeded: chalk.green('terminée'),
+        failed: chalk.red('échec'),
+        cancelled: chalk.yellow('annulée')
+    };
+    return labels[status] || status;
+}
+
+/**
+ * Suit le journal d'une tâche jusqu'à sa fin. Entrée détache le suivi (la tâche continue),
+ * "a" puis Entrée annule la tâche.
+ * @param {object} job - Tâche
+ * @returns {Promise<object|null>} - Tâche terminée, null si le suivi a été détaché
+ */
+async function watchJob(job) {
+    logger.section(job.title);
+    console.log(chalk.gray(`Tâche ${job.id} - Entrée pour détacher (la tâche continue), "a" + Entrée pour l'annuler\n`));
+
+    const rl = readline.createInterface({ input: process.stdin });
+    let stop;
+    const finished = await new Promise((resolve) => {
+        stop = jobs.followJobLog(job.id, {}, (entry) => console.log(entry.line), resolve);
+        rl.on('line', (input) => {
+            if (input.trim().toLowerCase() !== 'a') {
+                resolve(null);
+                return;
+            }
+            // Le suivi continue jusqu'à l'arrêt effectif de la tâche
+            try {
+                jobs.cancelJob(job.id);
+            } catch (error) {
+                logger.error(error.message);
+            }
+        });
+    });
+    stop();
+    rl.close();
+
+    if (!finished) {
+        logger.info('Suivi détaché : la tâche continue (menu principal > Tâches en arrière-plan)');
+    } else if (finished.status !== 'succeeded') {
+        console.log(`\nTâche ${formatJobStatus(finished.status)}${finished.error ? `: ${finished.error}` : ''}`);
+    }
+    return finished;
+}
+
+/**
+ * Lance une opération longue en tâche de fond et suit son journal
+ * @param {object} options - { type, title, target, params }
+ */
+async function runJobAction({ type, title, target, params = {} }) {
+    try {
+        await watchJob(jobs.createJob({ type, title, target, params, actor: audit.cliActor() }));
+    } catch (error) {
+        logger.error(error.message);
+    }
+
+    await pressEnterToContinue();
+}
+
+/**
+ * Tâches en arrière-plan : liste, suivi, journal et annulation
+ */
+export async function jobsMenu() {
+    while (true) {
+        displayHeader();
+        logger.section('Tâches en arrière-plan');
+
+        const recentJobs = jobs.listJobs({ limit: 20 });
+        if (recentJobs.length === 0) {
+            logger.info('Aucune tâche');
+            await pressEnterToContinue();
+            return;
+        }
+
+        const { id } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'id',
+                message: 'Tâche:',
+                choices: [
+                    ...recentJobs.map(job => ({
+                        name: `${new Date(job.createdAt).toLocaleString('fr-FR')}  ${formatJobStatus(job.status)}  ${job.title}`,
+                        value: job.id
+                    })),
+                    new inquirer.Separator(),
+                    { name: '← Retour', value: null }
+                ],
+                pageSize: 22
+            }
+        ]);
+
+        if (!id) return;
+
+        const job = jobs.getJob(id);
+        const finished = jobs.FINISHED_STATUSES.includes(job.status);
+        const { action } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'action',
+                message: `${job.title} (${formatJobStatus(job.status)}):`,
+                choices: [
+                    { name: finished ? '📜  Afficher le journal' : '👁️   Suivre', value: 'watch' },
+                    ...(finished ? [] : [{ name: '⛔  Annuler', value: 'cancel' }]),
+                    { name: '← Retour', value: 'back' }
+                ]
+            }
+        ]);
+
+        try {
+            if (action === 'watch' && finished) {
+                logger.section(job.title);
+                console.log(jobs.getJobLog(id) || chalk.gray('(journal vide)'));
+                console.log(`Tâche ${formatJobStatus(job.status)}${job.error ? `: ${job.error}` : ''}`);
+                await pressEnterToContinue();
+            } else if (action === 'watch') {
+                await watchJob(job);
+                await pressEnterToContinue();
+            } else if (action === 'cancel') {
+                jobs.cancelJob(id);
+            }
+        } catch (error) {
+            logger.error(error.message);
+            await pressEnterToContinue();
+        }
+    }
+}
+
 /**
  * Pause - Appuyer sur Entrée pour continuer
  */
@@ -1003,5 +2650,7 @@ export default {
     projectManagementMenu,
     deleteProjectForm,
     showPm2Status,
-    regenerateAllScriptsAction
+    regenerateAllScriptsAction,
+    sshConfigHistoryMenu,
+    jobsMenu
 };
@@ -0,0 +1,264 @@
+/**
+ * Journal d'audit : trace structurée (JSON lines) des actions modifiant l'état du serveur
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import logger from './logger.js';
+
+const AUDIT_DIR = '/var/log/nodejs-project-manager';
+const AUDIT_FILE = path.join(AUDIT_DIR, 'audit.log');
+
+// Clés dont la valeur n'est jamais écrite dans le journal
+const SENSITIVE_KEY_PATTERN = /pass|secret|token|code|key|authorization/i;
+
+// Longueur maximale d'une valeur texte conservée dans les paramètres
+const MAX_VALUE_LENGTH = 500;
+
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+
+/**
+ * Masque les secrets et tronque les valeurs trop longues
+ * @param {*} value - Paramètres à nettoyer
+ * @returns {*}
+ */
+export function redact(value) {
+    if (Array.isArray(value)) {
+        return value.map(redact);
+    }
+
+    if (value && typeof value === 'object') {
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            result[key] = SENSITIVE_KEY_PATTERN.test(key) && item !== undefined && item !== null && item !== ''
+                ? '[REDACTED]'
+                : redact(item);
+        }
+        return result;
+    }
+
+    if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) {
+        return `${value.slice(0, MAX_VALUE_LENGTH)}… (${value.length} caractères)`;
+    }
+
+    return value;
+}
+
+/**
+ * Retire les entrées vides d'une cible
+ * @param {object} target
+ * @returns {object}
+ */
+function compactTarget(target = {}) {
+    return Object.fromEntries(
+        Object.entries(target).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+}
+
+/**
+ * Ajoute une entrée au journal d'audit
+ * @param {object} entry
+ * @param {object} entry.actor - Auteur de l'action ({ type: 'web'|'cli', username, ... })
+ * @param {string} entry.action - Nom de l'action (ex: service.start)
+ * @param {object} entry.target - Cible (project, service, database, user, file)
+ * @param {object} entry.params - Paramètres de l'action (les secrets sont masqués)
+ * @param {string} entry.result - 'success' ou 'failure'
+ * @param {string|null} entry.error - Message d'erreur en cas d'échec
+ * @returns {object} - Entrée écrite
+ */
+export function record({ actor, action, target = {}, params = {}, result = 'success', error = null, status }) {
+    const entry = {
+        id: crypto.randomUUID(),
+        timestamp: new Date().toISOString(),
+        actor,
+        action,
+        target: compactTarget(target),
+        params: redact(params),
+        result,
+        ...(status !== undefined && { status }),
+        ...(error && { error })
+    };
+
+    try {
+        if (!fs.existsSync(AUDIT_DIR)) {
+            fs.mkdirSync(AUDIT_DIR, { recursive: true });
+        }
+        fs.appendFileSync(AUDIT_FILE, JSON.stringify(entry) + '\n', { mode: 0o640 });
+    } catch (err) {
+        logger.debug(`Audit: écriture impossible (${err.message})`);
+    }
+
+    return entry;
+}
+
+/**
+ * Auteur des actions lancées depuis le menu CLI
+ * @returns {object}
+ */
+export function cliActor() {
+    return {
+        type: 'cli',
+        username: os.userInfo().username,
+        sudoUser: process.env.SUDO_USER || null
+    };
+}
+
+/**
+ * Exécute une action CLI et la consigne dans le journal (succès ou échec)
+ * @param {string} action - Nom de l'action
+ * @param {object} target - Cible de l'action
+ * @param {object} params - Paramètres de l'action
+ * @param {Function} fn - Action à exécuter
+ * @returns {Promise<*>} - Résultat de l'action (l'erreur éventuelle est relancée)
+ */
+export async function track(action, target, params, fn) {
+    try {
+        const result = await fn();
+        record({ actor: cliActor(), action, target, params, result: 'success' });
+        return result;
+    } catch (error) {
+        record({ actor: cliActor(), action, target, params, result: 'failure', error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Middleware de route nommant l'action auditée.
+ * @param {string} name - Nom de l'action
+ * @param {Function} getTarget - Cible complémentaire déduite de la requête (optionnel)
+ * @param {Function} getParams - Paramètres consignés à la place du corps de la requête (optionnel)
+ * @returns {Function}
+ */
+export function action(name, getTarget = null, getParams = null) {
+    const middleware = (req, res, next) => next();
+    // Lu par auditRequests, y compris quand la requête est rejetée avant d'atteindre ce middleware
+    middleware.auditAction = name;
+    middleware.auditTarget = getTarget;
+    middleware.auditParams = getParams;
+    return middleware;
+}
+
+/**
+ * Auteur d'une requête de l'API Web
+ * @param {object} req - Requête Express
+ * @returns {object}
+ */
+export function webActor(req) {
+    if (req.user) {
+        return { type: 'web', id: req.user.id, username: req.user.username, ip: req.ip };
+    }
+    // Connexion échouée : on garde le nom saisi
+    return { type: 'web', id: null, username: req.body?.username || null, ip: req.ip };
+}
+
+/**
+ * Middleware global de l'API : consigne, à la fin de la réponse, chaque requête
+ * dont la route a été nommée avec action()
+ */
+export function auditRequests(req, res, next) {
+    let responseBody = null;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        responseBody = body;
+        return json(body);
+    };
+
+    res.on('finish', () => {
+        const layer = req.route?.stack.find(l => l.handle.auditAction);
+        if (!layer) return;
+
+        const { auditAction, auditTarget, auditParams } = layer.handle;
+        const body = req.body || {};
+        const success = res.statusCode < 400 && responseBody?.success !== false;
+
+        const params = auditParams ? auditParams(req) : { ...req.query, ...body };
+        // Seules les routes du gestionnaire de fichiers désignent un fichier par path
+        const isFileRoute = req.route.path.includes('/files');
+        if (req.files?.length) {
+            params.files = req.files.map(f => f.originalname);
+        }
+
+        record({
+            actor: webActor(req),
+            action: auditAction,
+            target: {
+                project: req.params.name || req.params.projectName || body.projectName,
+                service: req.params.serviceName,
+                database: req.params.id,
+                user: req.params.userId,
+                file: isFileRoute ? (body.path ?? req.query.path ?? body.sourcePath) : undefined,
+                ...(auditTarget ? auditTarget(req) : {})
+            },
+            params,
+            result: success ? 'success' : 'failure',
+            status: res.statusCode,
+            error: success ? null : responseBody?.error || null
+        });
+    });
+
+    next();
+}
+
+/**
+ * Recherche dans le journal d'audit (entrées les plus récentes en premier)
+ * @param {object} filters
+ * @param {string} filters.user - Nom d'utilisateur de l'auteur
+ * @param {string} filters.project - Projet ciblé
+ * @param {string} filters.action - Action exacte ou préfixe (ex: "service." ou "service.start")
+ * @param {string} filters.from - Date de début (ISO 8601)
+ * @param {string} filters.to - Date de fin (ISO 8601)
+ * @param {number} filters.limit - Nombre maximal d'entrées
+ * @returns {Array}
+ */
+export function queryAudit({ user, project, action, from, to, limit } = {}) {
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+    if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+        throw new Error('Date invalide');
+    }
+
+    const max = Math.min(parseInt(limit) || DEFAULT_QUERY_LIMIT, MAX_QUERY_LIMIT);
+
+    if (!fs.existsSync(AUDIT_FILE)) {
+        return [];
+    }
+
+    const lines = fs.readFileSync(AUDIT_FILE, 'utf8').split('\n');
+    const results = [];
+
+    for (let i = lines.length - 1; i >= 0 && results.length < max; i--) {
+        if (!lines[i]) continue;
+
+        let entry;
+        try {
+            entry = JSON.parse(lines[i]);
+        } catch {
+            continue;
+        }
+
+        const time = new Date(entry.timestamp).getTime();
+        if (user && entry.actor?.username !== user) continue;
+        if (project && entry.target?.project !== project) continue;
+        if (action && entry.action !== action && !entry.action.startsWith(action)) continue;
+        if (fromTime !== null && time < fromTime) continue;
+        if (toTime !== null && time > toTime) continue;
+
+        results.push(entry);
+    }
+
+    return results;
+}
+
+export default {
+    redact,
+    record,
+    cliActor,
+    webActor,
+    track,
+    action,
+    auditRequests,
+    queryAudit
+};
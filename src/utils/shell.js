@@ -123,13 +123,33 @@ export async function restartSSH() {
     }
 }
 
+/**
+ * Recharge la configuration du service SSH sans couper les sessions ouvertes
+ * @returns {Promise<void>}
+ */
+export async function reloadSSH() {
+    try {
+        await execCommand('systemctl reload sshd');
+        logger.success('Configuration SSH rechargée');
+    } catch (error) {
+        // Essayer avec ssh au lieu de sshd sur certains systèmes
+        try {
+            await execCommand('systemctl reload ssh');
+            logger.success('Configuration SSH rechargée');
+        } catch (e) {
+            throw new Error(`Impossible de recharger SSH: ${e.message}`);
+        }
+    }
+}
+
 /**
  * Vérifie la configuration SSH
+ * @param {string|null} configPath - Fichier à valider (sshd_config actif par défaut)
  * @returns {Promise<boolean>}
  */
-export async function testSSHConfig() {
+export async function testSSHConfig(configPath = null) {
     try {
-        await execCommand('sshd -t');
+        await execCommand(configPath ? `sshd -t -f "${configPath}"` : 'sshd -t');
         return true;
     } catch (error) {
         logger.error(`Configuration SSH invalide: ${error.message}`);
@@ -137,14 +157,69 @@ export async function testSSHConfig() {
     }
 }
 
+/**
+ * Vérifie la configuration nginx complète (nginx -t)
+ * @returns {Promise<boolean>}
+ */
+export async function testNginxConfig() {
+    try {
+        await execCommand('nginx -t');
+        return true;
+    } catch (error) {
+        logger.error(`Configuration nginx invalide: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Recharge nginx sans interrompre les connexions en cours
+ * @returns {Promise<void>}
+ */
+export async function reloadNginx() {
+    try {
+        await execCommand('systemctl reload nginx');
+        logger.success('Configuration nginx rechargée');
+    } catch (error) {
+        throw new Error(`Impossible de recharger nginx: ${error.message}`);
+    }
+}
+
+/**
+ * Options d'exécution d'une commande sous l'utilisateur d'exécution d'un projet
+ * (uid/gid, HOME et PM2_HOME de son démon PM2)
+ * @param {object|null} runtime - { user, uid, gid, home, pm2Home } (null : root)
+ * @param {object|null} env - Variables d'environnement supplémentaires
+ * @returns {object}
+ */
+export function runtimeOptions(runtime, env = null) {
+    if (!runtime && !env) {
+        return {};
+    }
+
+    const options = { env: { ...process.env, ...env } };
+    if (runtime) {
+        Object.assign(options.env, {
+            HOME: runtime.home,
+            PM2_HOME: runtime.pm2Home,
+            USER: runtime.user,
+            LOGNAME: runtime.user
+        });
+        options.uid = runtime.uid;
+        options.gid = runtime.gid;
+    }
+    return options;
+}
+
 /**
  * Exécute une commande PM2
  * @param {string} args - Arguments PM2
+ * @param {object} env - Variables d'environnement transmises au processus (start / restart --update-env)
+ * @param {object|null} runtime - Utilisateur d'exécution du projet (démon PM2 de root si null)
  * @returns {Promise<string>}
  */
-export async function pm2Command(args) {
+export async function pm2Command(args, env = null, runtime = null) {
     try {
-        const { stdout } = await execCommand(`pm2 ${args}`);
+        const { stdout } = await execCommand(`pm2 ${args}`, runtimeOptions(runtime, env));
         return stdout;
     } catch (error) {
         throw new Error(`Erreur PM2: ${error.message}`);
@@ -152,29 +227,51 @@ export async function pm2Command(args) {
 }
 
 /**
- * Récupère le statut d'un processus PM2
- * @param {string} processName - Nom du processus
- * @returns {Promise<object|null>}
+ * Liste les processus d'un démon PM2
+ * @param {object|null} runtime - Utilisateur d'exécution du projet (démon PM2 de root si null)
+ * @returns {Promise<Array>}
  */
-export async function getPm2ProcessStatus(processName) {
+export async function getPm2Processes(runtime = null) {
     try {
-        const { stdout } = await execCommand('pm2 jlist');
-        const processes = JSON.parse(stdout);
-        return processes.find(p => p.name === processName) || null;
+        const { stdout } = await execCommand('pm2 jlist', runtimeOptions(runtime));
+        return JSON.parse(stdout);
     } catch {
-        return null;
+        return [];
     }
 }
 
+/**
+ * Récupère le statut d'un processus PM2
+ * @param {string} processName - Nom du processus
+ * @param {object|null} runtime - Utilisateur d'exécution du projet (démon PM2 de root si null)
+ * @returns {Promise<object|null>}
+ */
+export async function getPm2ProcessStatus(processName, runtime = null) {
+    const processes = await getPm2Processes(runtime);
+    return processes.find(p => p.name === processName) || null;
+}
+
+/**
+ * Récupère toutes les instances d'un processus PM2 (plusieurs en mode cluster)
+ * @param {string} processName - Nom du processus
+ * @param {object|null} runtime - Utilisateur d'exécution du projet (démon PM2 de root si null)
+ * @returns {Promise<Array>}
+ */
+export async function getPm2ProcessInstances(processName, runtime = null) {
+    const processes = await getPm2Processes(runtime);
+    return processes.filter(p => p.name === processName);
+}
+
 /**
  * Récupère les logs d'un processus PM2
  * @param {string} processName - Nom du processus
  * @param {number} lines - Nombre de lignes
+ * @param {object|null} runtime - Utilisateur d'exécution du projet (démon PM2 de root si null)
  * @returns {Promise<string>}
  */
-export async function getPm2Logs(processName, lines = 50) {
+export async function getPm2Logs(processName, lines = 50, runtime = null) {
     try {
-        const { stdout } = await execCommand(`pm2 logs ${processName} --nostream --lines ${lines}`);
+        const { stdout } = await execCommand(`pm2 logs ${processName} --nostream --lines ${lines}`, runtimeOptions(runtime));
         return stdout;
     } catch (error) {
         throw new Error(`Impossible de récupérer les logs: ${error.message}`);
@@ -189,8 +286,14 @@ export default {
     userExists,
     groupExists,
     restartSSH,
+    reloadSSH,
     testSSHConfig,
+    testNginxConfig,
+    reloadNginx,
+    runtimeOptions,
     pm2Command,
+    getPm2Processes,
     getPm2ProcessStatus,
+    getPm2ProcessInstances,
     getPm2Logs
 };
@@ -0,0 +1,159 @@
+/**
+ * Module TOTP (RFC 6238) pour l'authentification à deux facteurs
+ */
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Paramètres compatibles avec les applications courantes (Google Authenticator, Aegis, 1Password...)
+const DIGITS = 6;
+const PERIOD = 30;
+
+/**
+ * Encode un buffer en base32 (sans padding)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+/**
+ * Décode une chaîne base32
+ * @param {string} input
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+    const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const output = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Secret TOTP invalide');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            output.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(output);
+}
+
+/**
+ * Génère un secret TOTP aléatoire (160 bits, encodé en base32)
+ * @returns {string}
+ */
+export function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Calcule le code HOTP pour un compteur donné
+ * @param {string} secret - Secret base32
+ * @param {number} counter - Compteur (pas de temps pour TOTP)
+ * @returns {string}
+ */
+function hotp(secret, counter) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+    return code.toString().padStart(DIGITS, '0');
+}
+
+/**
+ * Retourne le pas de temps courant
+ * @param {number} now - Timestamp en millisecondes
+ * @returns {number}
+ */
+export function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / PERIOD);
+}
+
+/**
+ * Génère le code TOTP courant
+ * @param {string} secret - Secret base32
+ * @param {number} now - Timestamp en millisecondes
+ * @returns {string}
+ */
+export function generateCode(secret, now = Date.now()) {
+    return hotp(secret, currentStep(now));
+}
+
+/**
+ * Vérifie un code TOTP en tolérant un décalage d'horloge de ±1 pas
+ * @param {string} secret - Secret base32
+ * @param {string} code - Code saisi
+ * @param {number} window - Nombre de pas tolérés de part et d'autre
+ * @returns {number|null} - Pas de temps correspondant au code, ou null si invalide
+ */
+export function verifyCode(secret, code, window = 1) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) {
+        return null;
+    }
+
+    const step = currentStep();
+    for (let offset = -window; offset <= window; offset++) {
+        const expected = hotp(secret, step + offset);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step + offset;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Construit l'URI otpauth:// à encoder dans le QR code
+ * @param {string} secret - Secret base32
+ * @param {string} accountName - Nom du compte (ex: nom d'utilisateur)
+ * @param {string} issuer - Émetteur affiché dans l'application
+ * @returns {string}
+ */
+export function buildOtpauthUri(secret, accountName, issuer = 'WebSFTP') {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(PERIOD)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+export default {
+    generateSecret,
+    currentStep,
+    generateCode,
+    verifyCode,
+    buildOtpauthUri
+};
@@ -7,17 +7,61 @@ import projects from '../modules/projects.js';
 import services from '../modules/services.js';
 import scriptsModule from '../modules/scripts.js';
 import sftp from '../modules/sftp.js';
+import nginx from '../modules/nginx.js';
+import certificates from '../modules/certificates.js';
+import environment from '../modules/environment.js';
+import runtime from '../modules/runtime.js';
+import alerts from '../modules/alerts.js';
+import prometheus from '../modules/prometheus.js';
+import webhooks from '../modules/webhooks.js';
+import jobs from '../modules/jobs.js';
+import scheduler from '../modules/scheduler.js';
+import { LOG_STREAM_CONFIG, JOBS_CONFIG } from '../config/constants.js';
 import shell from '../utils/shell.js';
 import logger from '../utils/logger.js';
 import users from '../modules/users.js';
 import fileManager from '../modules/fileManager.js';
 import databases from '../modules/databases.js';
+import sessions from '../modules/sessions.js';
+import auth from './auth.js';
+import audit from '../utils/audit.js';
 import multer from 'multer';
+import QRCode from 'qrcode';
+import fs from 'fs';
 import path from 'path';
 
 const router = Router();
 const upload = multer({ dest: '/tmp/uploads/' });
 
+// Toutes les routes exigent une session valide, sauf la connexion
+router.use(auth.requireAuth);
+
+// Journal d'audit des routes nommées avec audit.action()
+router.use(audit.auditRequests);
+
+// Un utilisateur non admin n'accède qu'aux projets (et aux BDD de ces projets) qui lui sont assignés
+router.param('name', auth.checkProjectParam);
+router.param('id', auth.checkDatabaseParam);
+router.param('jobId', auth.checkJobParam);
+
+/**
+ * Lance une opération longue comme tâche de fond et répond 202 avec la tâche créée
+ * (suivie ensuite via /api/jobs/:jobId et /api/jobs/:jobId/stream)
+ * @param {object} req - Requête Express
+ * @param {object} res - Réponse Express
+ * @param {object} options - { type, title, params, target (par défaut le projet et le service de la route) }
+ */
+function startJob(req, res, { type, title, params = {}, target = null }) {
+    const job = jobs.createJob({
+        type,
+        title,
+        target: target || { project: req.params.name, service: req.params.serviceName },
+        params,
+        actor: audit.webActor(req)
+    });
+    res.status(202).json({ success: true, data: job });
+}
+
 // ============================================
 // PROJETS
 // ============================================
@@ -28,7 +72,8 @@ const upload = multer({ dest: '/tmp/uploads/' });
 router.get('/projects', async (req, res) => {
     try {
         const projectsWithStatus = await projects.listProjectsWithStatus();
-        res.json({ success: true, data: projectsWithStatus });
+        const visibleProjects = projectsWithStatus.filter(p => auth.canAccessProject(req.user, p.name));
+        res.json({ success: true, data: visibleProjects });
     } catch (error) {
         logger.error(`API: ${error.message}`);
         res.status(500).json({ success: false, error: error.message });
@@ -64,9 +109,9 @@ router.get('/projects/:name', async (req, res) => {
 });
 
 /**
- * POST /api/projects - Créer un projet
+ * POST /api/projects - Créer un projet (tâche de fond)
  */
-router.post('/projects', async (req, res) => {
+router.post('/projects', audit.action('project.create', req => ({ project: req.body.name })), auth.requireAdmin, (req, res) => {
     try {
         const { name, password } = req.body;
         if (!name || !password) {
@@ -75,11 +120,14 @@ router.post('/projects', async (req, res) => {
         if (password.length < 8) {
             return res.status(400).json({ success: false, error: 'Le mot de passe doit contenir au moins 8 caractères' });
         }
+        projects.assertProjectNameAvailable(name);
 
-        const result = await projects.createProject(name, password);
-        scriptsModule.generateScripts(name);
-
-        res.json({ success: true, data: result });
+        startJob(req, res, {
+            type: 'project.create',
+            title: `Création du projet ${name}`,
+            target: { project: name },
+            params: { password }
+        });
     } catch (error) {
         logger.error(`API: ${error.message}`);
         res.status(400).json({ success: false, error: error.message });
@@ -89,7 +137,7 @@ router.post('/projects', async (req, res) => {
 /**
  * DELETE /api/projects/:name - Supprimer un projet
  */
-router.delete('/projects/:name', async (req, res) => {
+router.delete('/projects/:name', audit.action('project.delete'), auth.requireAdmin, async (req, res) => {
     try {
         const deleteFiles = req.query.deleteFiles === 'true';
         await projects.deleteProject(req.params.name, deleteFiles);
@@ -100,6 +148,20 @@ router.delete('/projects/:name', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/projects/:name/permissions/reconcile - Rétablir les droits de l'utilisateur d'exécution sur sites/
+ */
+router.post('/projects/:name/permissions/reconcile', audit.action('project.permissions.reconcile'), async (req, res) => {
+    try {
+        await runtime.ensureRuntimeUser(req.params.name);
+        await runtime.reconcileOwnership(req.params.name);
+        res.json({ success: true, message: `Permissions du projet ${req.params.name} ajustées` });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
 // ============================================
 // SERVICES
 // ============================================
@@ -120,9 +182,9 @@ router.get('/projects/:name/services', async (req, res) => {
 /**
  * POST /api/projects/:name/services - Ajouter un service
  */
-router.post('/projects/:name/services', (req, res) => {
+router.post('/projects/:name/services', audit.action('service.create', req => ({ service: req.body.name })), (req, res) => {
     try {
-        const { name, directory, command, description, setupCommands } = req.body;
+        const { name, directory, command, description, setupCommands, maxMemoryRestart, processManager, dependsOn, readiness, cronRestart } = req.body;
         if (!name) {
             return res.status(400).json({ success: false, error: 'Nom du service requis' });
         }
@@ -132,7 +194,12 @@ router.post('/projects/:name/services', (req, res) => {
             directory: directory || name,
             command: command || 'npm start',
             description: description || '',
-            setupCommands: setupCommands || []
+            setupCommands: setupCommands || [],
+            maxMemoryRestart,
+            processManager,
+            dependsOn,
+            readiness,
+            cronRestart
         });
 
         scriptsModule.generateScripts(req.params.name);
@@ -146,14 +213,19 @@ router.post('/projects/:name/services', (req, res) => {
 /**
  * PUT /api/projects/:name/services/:serviceName - Modifier un service
  */
-router.put('/projects/:name/services/:serviceName', (req, res) => {
+router.put('/projects/:name/services/:serviceName', audit.action('service.update'), async (req, res) => {
     try {
-        const { directory, command, description, setupCommands } = req.body;
-        const updated = services.updateService(req.params.name, req.params.serviceName, {
+        const { directory, command, description, setupCommands, maxMemoryRestart, processManager, dependsOn, readiness, cronRestart } = req.body;
+        const updated = await services.updateService(req.params.name, req.params.serviceName, {
             directory,
             command,
             description,
-            setupCommands
+            setupCommands,
+            maxMemoryRestart,
+            processManager,
+            dependsOn,
+            readiness,
+            cronRestart
         });
 
         scriptsModule.generateScripts(req.params.name);
@@ -167,7 +239,7 @@ router.put('/projects/:name/services/:serviceName', (req, res) => {
 /**
  * DELETE /api/projects/:name/services/:serviceName - Supprimer un service
  */
-router.delete('/projects/:name/services/:serviceName', async (req, res) => {
+router.delete('/projects/:name/services/:serviceName', audit.action('service.delete'), async (req, res) => {
     try {
         await services.removeService(req.params.name, req.params.serviceName);
         scriptsModule.generateScripts(req.params.name);
@@ -178,18 +250,235 @@ router.delete('/projects/:name/services/:serviceName', async (req, res) => {
     }
 });
 
+// ============================================
+// VIRTUAL HOSTS NGINX
+// ============================================
+
+/**
+ * GET /api/projects/:name/services/:serviceName/vhost - Domaine et port exposés du service
+ */
+router.get('/projects/:name/services/:serviceName/vhost', (req, res) => {
+    try {
+        const service = services.getService(req.params.name, req.params.serviceName);
+        if (!service) {
+            return res.status(404).json({ success: false, error: 'Service non trouvé' });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                vhost: service.vhost || null,
+                certificate: service.vhost ? certificates.getCertificateInfo(service.vhost.domain) : null,
+                nginxInstalled: nginx.isNginxInstalled()
+            }
+        });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/projects/:name/services/:serviceName/vhost - Exposer le service sur un domaine
+ */
+router.put('/projects/:name/services/:serviceName/vhost', audit.action('service.vhost.update'), async (req, res) => {
+    try {
+        const { domain, aliases, port, static: isStatic, root } = req.body;
+        if (!domain) {
+            return res.status(400).json({ success: false, error: 'Domaine requis' });
+        }
+
+        const vhost = await services.setServiceVhost(req.params.name, req.params.serviceName, {
+            domain,
+            aliases,
+            port,
+            static: isStatic,
+            root
+        });
+
+        scriptsModule.generateScripts(req.params.name);
+        res.json({ success: true, data: vhost });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/projects/:name/services/:serviceName/vhost - Retirer le virtual host du service
+ */
+router.delete('/projects/:name/services/:serviceName/vhost', audit.action('service.vhost.delete'), async (req, res) => {
+    try {
+        await services.removeServiceVhost(req.params.name, req.params.serviceName);
+        scriptsModule.generateScripts(req.params.name);
+        res.json({ success: true, message: 'Virtual host supprimé' });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/projects/:name/services/:serviceName/certificate - Certificat HTTPS du service
+ */
+router.get('/projects/:name/services/:serviceName/certificate', (req, res) => {
+    try {
+        const service = services.getService(req.params.name, req.params.serviceName);
+        if (!service?.vhost) {
+            return res.status(404).json({ success: false, error: 'Service non exposé sur un domaine' });
+        }
+
+        const info = certificates.getCertificateInfo(service.vhost.domain);
+        res.json({
+            success: true,
+            data: {
+                certificate: info,
+                renewalDue: info ? certificates.isRenewalDue(info) : false
+            }
+        });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/projects/:name/services/:serviceName/certificate - Obtenir ou renouveler le certificat (ACME HTTP-01)
+ */
+router.post('/projects/:name/services/:serviceName/certificate', audit.action('service.certificate.request'), async (req, res) => {
+    try {
+        const info = await services.requestServiceCertificate(req.params.name, req.params.serviceName);
+        res.json({ success: true, data: info });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/projects/:name/services/:serviceName/certificate - Supprimer le certificat (retour en HTTP)
+ */
+router.delete('/projects/:name/services/:serviceName/certificate', audit.action('service.certificate.delete'), async (req, res) => {
+    try {
+        await services.removeServiceCertificate(req.params.name, req.params.serviceName);
+        res.json({ success: true, message: 'Certificat supprimé' });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// ============================================
+// VARIABLES D'ENVIRONNEMENT
+// ============================================
+
+/**
+ * Paramètres consignés dans le journal d'audit pour une modification de variables :
+ * les noms seulement, jamais les valeurs
+ * @param {object} req - Requête Express
+ * @returns {object}
+ */
+function envAuditParams(req) {
+    const variables = Array.isArray(req.body?.variables) ? req.body.variables : [];
+    // (noms de paramètres choisis pour ne pas être masqués par audit.redact)
+    return {
+        variables: variables.map(v => v?.key),
+        masked: variables.filter(v => v?.secret).map(v => v.key)
+    };
+}
+
+/**
+ * GET /api/projects/:name/env - Variables communes à tous les services du projet (secrets masqués)
+ */
+router.get('/projects/:name/env', (req, res) => {
+    try {
+        if (!projects.getProject(req.params.name)) {
+            return res.status(404).json({ success: false, error: 'Projet non trouvé' });
+        }
+        res.json({ success: true, data: environment.listVariables(req.params.name) });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/projects/:name/env - Remplacer les variables communes du projet
+ * (un secret renvoyé masqué ou sans valeur conserve sa valeur)
+ */
+router.put('/projects/:name/env', audit.action('project.env.update', null, envAuditParams), (req, res) => {
+    try {
+        if (!projects.getProject(req.params.name)) {
+            return res.status(404).json({ success: false, error: 'Projet non trouvé' });
+        }
+        const variables = environment.setVariables(req.params.name, null, req.body.variables);
+        scriptsModule.generateScripts(req.params.name);
+        res.json({ success: true, data: variables });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/projects/:name/services/:serviceName/env - Variables du service et variables héritées du projet
+ */
+router.get('/projects/:name/services/:serviceName/env', (req, res) => {
+    try {
+        if (!services.getService(req.params.name, req.params.serviceName)) {
+            return res.status(404).json({ success: false, error: 'Service non trouvé' });
+        }
+        res.json({
+            success: true,
+            data: {
+                service: environment.listVariables(req.params.name, req.params.serviceName),
+                project: environment.listVariables(req.params.name)
+            }
+        });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/projects/:name/services/:serviceName/env - Remplacer les variables du service
+ * (appliquées au prochain démarrage ou redémarrage)
+ */
+router.put('/projects/:name/services/:serviceName/env', audit.action('service.env.update', null, envAuditParams), (req, res) => {
+    try {
+        if (!services.getService(req.params.name, req.params.serviceName)) {
+            return res.status(404).json({ success: false, error: 'Service non trouvé' });
+        }
+        const variables = environment.setVariables(req.params.name, req.params.serviceName, req.body.variables);
+        scriptsModule.generateScripts(req.params.name);
+        res.json({ success: true, data: variables });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
 // ============================================
 // ACTIONS SUR LES SERVICES
 // ============================================
 
 /**
- * POST /api/projects/:name/services/:serviceName/start
+ * POST /api/projects/:name/services/:serviceName/start - Setup puis démarrage (tâche de fond)
+ * Body: { runSetup } (défaut: true)
  */
-router.post('/projects/:name/services/:serviceName/start', async (req, res) => {
+router.post('/projects/:name/services/:serviceName/start', audit.action('service.start'), (req, res) => {
     try {
+        if (!services.getService(req.params.name, req.params.serviceName)) {
+            return res.status(404).json({ success: false, error: 'Service non trouvé' });
+        }
+
         const runSetup = req.body.runSetup !== false;
-        await services.startService(req.params.name, req.params.serviceName, runSetup);
-        res.json({ success: true, message: 'Service démarré' });
+        startJob(req, res, {
+            type: 'service.start',
+            title: `Démarrage du service ${req.params.name}/${req.params.serviceName}${runSetup ? ' (avec setup)' : ''}`,
+            params: { runSetup }
+        });
     } catch (error) {
         logger.error(`API: ${error.message}`);
         res.status(400).json({ success: false, error: error.message });
@@ -199,7 +488,7 @@ router.post('/projects/:name/services/:serviceName/start', async (req, res) => {
 /**
  * POST /api/projects/:name/services/:serviceName/stop
  */
-router.post('/projects/:name/services/:serviceName/stop', async (req, res) => {
+router.post('/projects/:name/services/:serviceName/stop', audit.action('service.stop'), async (req, res) => {
     try {
         await services.stopService(req.params.name, req.params.serviceName);
         res.json({ success: true, message: 'Service arrêté' });
@@ -212,7 +501,7 @@ router.post('/projects/:name/services/:serviceName/stop', async (req, res) => {
 /**
  * POST /api/projects/:name/services/:serviceName/restart
  */
-router.post('/projects/:name/services/:serviceName/restart', async (req, res) => {
+router.post('/projects/:name/services/:serviceName/restart', audit.action('service.restart'), async (req, res) => {
     try {
         await services.restartService(req.params.name, req.params.serviceName);
         res.json({ success: true, message: 'Service redémarré' });
@@ -222,6 +511,86 @@ router.post('/projects/:name/services/:serviceName/restart', async (req, res) =>
     }
 });
 
+/**
+ * POST /api/projects/:name/services/:serviceName/scale - Nombre d'instances (mode cluster)
+ */
+router.post('/projects/:name/services/:serviceName/scale', audit.action('service.scale'), async (req, res) => {
+    try {
+        const { instances } = req.body;
+        if (instances === undefined || instances === null || instances === '') {
+            return res.status(400).json({ success: false, error: 'Nombre d\'instances requis' });
+        }
+
+        const service = await services.scaleService(req.params.name, req.params.serviceName, instances);
+        scriptsModule.generateScripts(req.params.name);
+        res.json({ success: true, data: service });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/projects/:name/services/:serviceName/health - Contrôle de santé : configuration, état et historique
+ */
+router.get('/projects/:name/services/:serviceName/health', (req, res) => {
+    try {
+        const data = services.getServiceHealth(req.params.name, req.params.serviceName);
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(404).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/projects/:name/services/:serviceName/health - Configure le contrôle de santé
+ */
+router.put('/projects/:name/services/:serviceName/health', audit.action('service.health.update'), (req, res) => {
+    try {
+        const { type, path: checkPath, expectedStatus, port, command, interval, timeout, threshold } = req.body;
+        if (!type) {
+            return res.status(400).json({ success: false, error: 'Type de contrôle requis (http, tcp, command)' });
+        }
+
+        const healthCheck = services.setServiceHealthCheck(req.params.name, req.params.serviceName, {
+            type, path: checkPath, expectedStatus, port, command, interval, timeout, threshold
+        });
+        res.json({ success: true, data: healthCheck });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/projects/:name/services/:serviceName/health - Supprime le contrôle de santé
+ */
+router.delete('/projects/:name/services/:serviceName/health', audit.action('service.health.delete'), (req, res) => {
+    try {
+        services.setServiceHealthCheck(req.params.name, req.params.serviceName, null);
+        res.json({ success: true, message: 'Contrôle de santé supprimé' });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/projects/:name/services/:serviceName/metrics - Historique CPU, mémoire, redémarrages et uptime
+ * Query: from, to (timestamp en ms ou date ISO), step (secondes)
+ */
+router.get('/projects/:name/services/:serviceName/metrics', (req, res) => {
+    try {
+        const { from, to, step } = req.query;
+        const data = services.getServiceMetrics(req.params.name, req.params.serviceName, { from, to, step });
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
 /**
  * GET /api/projects/:name/services/:serviceName/logs
  */
@@ -236,10 +605,47 @@ router.get('/projects/:name/services/:serviceName/logs', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/projects/:name/services/:serviceName/logs/stream - Suivi en direct des logs (Server-Sent Events)
+ * Query: lines, grep, stream (out|err), offset (ou en-tête Last-Event-ID) pour reprendre après une ligne reçue
+ */
+router.get('/projects/:name/services/:serviceName/logs/stream', (req, res) => {
+    let stop;
+    try {
+        stop = services.followServiceLogs(req.params.name, req.params.serviceName, {
+            offset: req.query.offset || req.get('Last-Event-ID'),
+            lines: req.query.lines,
+            grep: req.query.grep,
+            stream: req.query.stream
+        }, (entry) => {
+            res.write(`id: ${entry.offset}\ndata: ${JSON.stringify({ stream: entry.stream, line: entry.line })}\n\n`);
+        });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        // Pas de mise en tampon par un reverse proxy nginx
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), LOG_STREAM_CONFIG.heartbeatInterval);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        stop();
+    });
+});
+
 /**
  * POST /api/projects/:name/services/:serviceName/reset-logs - Reset les logs
  */
-router.post('/projects/:name/services/:serviceName/reset-logs', async (req, res) => {
+router.post('/projects/:name/services/:serviceName/reset-logs', audit.action('service.reset-logs'), async (req, res) => {
     try {
         await services.resetServiceLogs(req.params.name, req.params.serviceName);
         res.json({ success: true, message: 'Logs réinitialisés' });
@@ -250,12 +656,18 @@ router.post('/projects/:name/services/:serviceName/reset-logs', async (req, res)
 });
 
 /**
- * POST /api/projects/:name/services/:serviceName/setup - Lancer uniquement le setup
+ * POST /api/projects/:name/services/:serviceName/setup - Lancer uniquement le setup (tâche de fond)
  */
-router.post('/projects/:name/services/:serviceName/setup', async (req, res) => {
+router.post('/projects/:name/services/:serviceName/setup', audit.action('service.setup'), (req, res) => {
     try {
-        await services.runSetupOnly(req.params.name, req.params.serviceName);
-        res.json({ success: true, message: 'Setup exécuté' });
+        if (!services.getService(req.params.name, req.params.serviceName)) {
+            return res.status(404).json({ success: false, error: 'Service non trouvé' });
+        }
+
+        startJob(req, res, {
+            type: 'service.setup',
+            title: `Setup du service ${req.params.name}/${req.params.serviceName}`
+        });
     } catch (error) {
         logger.error(`API: ${error.message}`);
         res.status(400).json({ success: false, error: error.message });
@@ -265,7 +677,7 @@ router.post('/projects/:name/services/:serviceName/setup', async (req, res) => {
 /**
  * POST /api/projects/:name/services/:serviceName/start-only - Lancer uniquement le service (sans setup)
  */
-router.post('/projects/:name/services/:serviceName/start-only', async (req, res) => {
+router.post('/projects/:name/services/:serviceName/start-only', audit.action('service.start-only'), async (req, res) => {
     try {
         await services.startService(req.params.name, req.params.serviceName, false);
         res.json({ success: true, message: 'Service démarré (sans setup)' });
@@ -276,13 +688,154 @@ router.post('/projects/:name/services/:serviceName/start-only', async (req, res)
 });
 
 /**
- * POST /api/projects/:name/services/start-all
+ * GET /api/projects/:name/services/:serviceName/deployments - Dépôt git, releases et historique des déploiements
  */
-router.post('/projects/:name/services-start-all', async (req, res) => {
+router.get('/projects/:name/services/:serviceName/deployments', (req, res) => {
     try {
+        const data = services.getServiceDeployments(req.params.name, req.params.serviceName);
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(404).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/projects/:name/services/:serviceName/git - Configure le dépôt git du service
+ * (clone effectué par root, avec ses clés SSH : réservé aux administrateurs)
+ */
+router.put('/projects/:name/services/:serviceName/git', audit.action('service.git.update'), auth.requireAdmin, async (req, res) => {
+    try {
+        const { repository, branch, keepReleases } = req.body;
+        const git = await services.setServiceGit(req.params.name, req.params.serviceName, { repository, branch, keepReleases });
+        scriptsModule.generateScripts(req.params.name);
+        res.json({ success: true, data: git });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/projects/:name/services/:serviceName/git - Retire le déploiement git (la release active reste en place)
+ */
+router.delete('/projects/:name/services/:serviceName/git', audit.action('service.git.delete'), auth.requireAdmin, async (req, res) => {
+    try {
+        await services.setServiceGit(req.params.name, req.params.serviceName, null);
+        scriptsModule.generateScripts(req.params.name);
+        res.json({ success: true, message: 'Déploiement git retiré' });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/projects/:name/services/:serviceName/deploy - Déploie la branche configurée dans une nouvelle release
+ * (tâche de fond)
+ */
+router.post('/projects/:name/services/:serviceName/deploy', audit.action('service.deploy'), (req, res) => {
+    try {
+        const service = services.getService(req.params.name, req.params.serviceName);
+        if (!service) {
+            return res.status(404).json({ success: false, error: 'Service non trouvé' });
+        }
+        if (!service.git) {
+            return res.status(400).json({ success: false, error: `Le service ${service.name} n'est pas déployé depuis git` });
+        }
+
+        startJob(req, res, {
+            type: 'service.deploy',
+            title: `Déploiement git du service ${req.params.name}/${req.params.serviceName} (${service.git.branch})`
+        });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/projects/:name/services/:serviceName/rollback - Revient à une release précédente
+ * Body: { release } (optionnel, par défaut celle qui précède la release active)
+ */
+router.post('/projects/:name/services/:serviceName/rollback', audit.action('service.rollback'), async (req, res) => {
+    try {
+        const release = await services.rollbackService(
+            req.params.name, req.params.serviceName, req.body.release || null, req.user.username
+        );
+        res.json({ success: true, data: release });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/projects/:name/services/:serviceName/webhook - Webhook de déploiement : état et dernières livraisons
+ */
+router.get('/projects/:name/services/:serviceName/webhook', (req, res) => {
+    try {
+        if (!services.getService(req.params.name, req.params.serviceName)) {
+            return res.status(404).json({ success: false, error: `Le service ${req.params.serviceName} n'existe pas` });
+        }
+        res.json({ success: true, data: webhooks.getWebhook(req.params.name, req.params.serviceName) });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/projects/:name/services/:serviceName/webhook - Active le webhook ou régénère son secret
+ * (le secret n'est renvoyé qu'ici)
+ */
+router.post('/projects/:name/services/:serviceName/webhook', audit.action('service.webhook.enable'), auth.requireAdmin, (req, res) => {
+    try {
+        const service = services.getService(req.params.name, req.params.serviceName);
+        if (!service) {
+            return res.status(404).json({ success: false, error: `Le service ${req.params.serviceName} n'existe pas` });
+        }
+        if (!service.git) {
+            return res.status(400).json({ success: false, error: `Le service ${service.name} n'est pas déployé depuis git` });
+        }
+
+        const secret = webhooks.enableWebhook(req.params.name, service.name);
+        res.json({ success: true, data: { secret, path: `/api/hooks/${req.params.name}/${service.name}` } });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/projects/:name/services/:serviceName/webhook - Désactive le webhook
+ */
+router.delete('/projects/:name/services/:serviceName/webhook', audit.action('service.webhook.disable'), auth.requireAdmin, (req, res) => {
+    try {
+        webhooks.disableWebhook(req.params.name, req.params.serviceName);
+        res.json({ success: true, message: 'Webhook désactivé' });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/projects/:name/services/start-all - Démarrage de tous les services (tâche de fond)
+ * Body: { runSetup } (défaut: true)
+ */
+router.post('/projects/:name/services-start-all', audit.action('project.start-all'), (req, res) => {
+    try {
+        if (services.listServices(req.params.name).length === 0) {
+            return res.status(400).json({ success: false, error: 'Aucun service configuré pour ce projet' });
+        }
+
         const runSetup = req.body.runSetup !== false;
-        await services.startAllServices(req.params.name, runSetup);
-        res.json({ success: true, message: 'Tous les services démarrés' });
+        startJob(req, res, {
+            type: 'project.start-all',
+            title: `Démarrage de tous les services de ${req.params.name}${runSetup ? ' (avec setup)' : ''}`,
+            params: { runSetup }
+        });
     } catch (error) {
         logger.error(`API: ${error.message}`);
         res.status(400).json({ success: false, error: error.message });
@@ -292,7 +845,7 @@ router.post('/projects/:name/services-start-all', async (req, res) => {
 /**
  * POST /api/projects/:name/services/stop-all
  */
-router.post('/projects/:name/services-stop-all', async (req, res) => {
+router.post('/projects/:name/services-stop-all', audit.action('project.stop-all'), async (req, res) => {
     try {
         await services.stopAllServices(req.params.name);
         res.json({ success: true, message: 'Tous les services arrêtés' });
@@ -309,7 +862,7 @@ router.post('/projects/:name/services-stop-all', async (req, res) => {
 /**
  * POST /api/projects/:name/sftp/change-password
  */
-router.post('/projects/:name/sftp/change-password', async (req, res) => {
+router.post('/projects/:name/sftp/change-password', audit.action('sftp.change-password'), async (req, res) => {
     try {
         const { password } = req.body;
         if (!password || password.length < 8) {
@@ -323,6 +876,136 @@ router.post('/projects/:name/sftp/change-password', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/projects/:name/sftp/keys - Clés publiques SFTP du projet
+ */
+router.get('/projects/:name/sftp/keys', (req, res) => {
+    try {
+        const project = projects.getProject(req.params.name);
+        if (!project) {
+            return res.status(404).json({ success: false, error: 'Projet non trouvé' });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                keys: sftp.listSftpKeys(req.params.name),
+                passwordAuthentication: project.sftpPasswordAuth !== false
+            }
+        });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/projects/:name/sftp/keys - Autoriser une clé publique
+ */
+router.post('/projects/:name/sftp/keys', audit.action('sftp.key.add'), (req, res) => {
+    try {
+        const { publicKey } = req.body;
+        if (!publicKey) {
+            return res.status(400).json({ success: false, error: 'Clé publique requise' });
+        }
+
+        const key = sftp.addSftpKey(req.params.name, publicKey);
+        res.json({ success: true, data: key });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/projects/:name/sftp/keys/:fingerprint - Révoquer une clé publique
+ */
+router.delete('/projects/:name/sftp/keys/:fingerprint', audit.action('sftp.key.remove', req => ({ key: req.params.fingerprint })), (req, res) => {
+    try {
+        const project = projects.getProject(req.params.name);
+        sftp.removeSftpKey(req.params.name, req.params.fingerprint, project?.sftpPasswordAuth === false);
+        res.json({ success: true, message: 'Clé révoquée' });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/projects/:name/sftp/password-auth - Autoriser ou non la connexion SFTP par mot de passe
+ */
+router.put('/projects/:name/sftp/password-auth', audit.action('sftp.password-auth'), async (req, res) => {
+    try {
+        const { enabled } = req.body;
+        if (typeof enabled !== 'boolean') {
+            return res.status(400).json({ success: false, error: 'Paramètre enabled (booléen) requis' });
+        }
+
+        await projects.setSftpPasswordAuth(req.params.name, enabled);
+        res.json({ success: true, message: `Authentification par mot de passe ${enabled ? 'activée' : 'désactivée'}` });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/projects/:name/sftp/accounts - Comptes SFTP additionnels du projet
+ */
+router.get('/projects/:name/sftp/accounts', (req, res) => {
+    try {
+        res.json({ success: true, data: projects.listSftpAccounts(req.params.name) });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(404).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/projects/:name/sftp/accounts - Créer un compte SFTP additionnel
+ */
+router.post('/projects/:name/sftp/accounts', audit.action('sftp.account.create', req => ({ account: req.body.name })), async (req, res) => {
+    try {
+        const { name, password, scope, readOnly } = req.body;
+        const account = await projects.addSftpAccount(req.params.name, { name, password, scope, readOnly });
+        res.json({ success: true, data: account });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/projects/:name/sftp/accounts/:account - Désactiver ou réactiver un compte
+ */
+router.put('/projects/:name/sftp/accounts/:account', audit.action('sftp.account.update', req => ({ account: req.params.account })), async (req, res) => {
+    try {
+        const { disabled } = req.body;
+        if (typeof disabled !== 'boolean') {
+            return res.status(400).json({ success: false, error: 'Paramètre disabled (booléen) requis' });
+        }
+
+        const account = await projects.setSftpAccountDisabled(req.params.name, req.params.account, disabled);
+        res.json({ success: true, data: account });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/projects/:name/sftp/accounts/:account - Supprimer un compte
+ */
+router.delete('/projects/:name/sftp/accounts/:account', audit.action('sftp.account.delete', req => ({ account: req.params.account })), async (req, res) => {
+    try {
+        await projects.removeSftpAccount(req.params.name, req.params.account);
+        res.json({ success: true, message: 'Compte supprimé' });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
 // ============================================
 // SCRIPTS
 // ============================================
@@ -330,7 +1013,7 @@ router.post('/projects/:name/sftp/change-password', async (req, res) => {
 /**
  * POST /api/projects/:name/regenerate-scripts
  */
-router.post('/projects/:name/regenerate-scripts', (req, res) => {
+router.post('/projects/:name/regenerate-scripts', audit.action('project.regenerate-scripts'), (req, res) => {
     try {
         scriptsModule.generateScripts(req.params.name);
         res.json({ success: true, message: 'Scripts régénérés' });
@@ -343,7 +1026,7 @@ router.post('/projects/:name/regenerate-scripts', (req, res) => {
 /**
  * POST /api/regenerate-all-scripts
  */
-router.post('/regenerate-all-scripts', (req, res) => {
+router.post('/regenerate-all-scripts', audit.action('scripts.regenerate-all'), auth.requireAdmin, (req, res) => {
     try {
         scriptsModule.regenerateAllScripts();
         res.json({ success: true, message: 'Tous les scripts régénérés' });
@@ -358,12 +1041,11 @@ router.post('/regenerate-all-scripts', (req, res) => {
 // ============================================
 
 /**
- * GET /api/pm2/status
+ * GET /api/pm2/status - Processus du démon PM2 de root et des démons des projets
  */
-router.get('/pm2/status', async (req, res) => {
+router.get('/pm2/status', auth.requireAdmin, async (req, res) => {
     try {
-        const { stdout } = await shell.execCommand('pm2 jlist');
-        const processes = JSON.parse(stdout);
+        const processes = await services.getPm2Overview();
         res.json({ success: true, data: processes });
     } catch (error) {
         res.json({ success: true, data: [] });
@@ -377,19 +1059,192 @@ router.get('/pm2/status', async (req, res) => {
 /**
  * POST /api/auth/login - Authentification
  */
-router.post('/auth/login', (req, res) => {
+router.post('/auth/login', audit.action('auth.login'), (req, res) => {
     try {
-        const { username, password } = req.body;
+        const { username, password, code } = req.body;
         if (!username || !password) {
             return res.status(400).json({ success: false, error: 'Identifiants requis' });
         }
 
-        const result = users.authenticate(username, password);
+        const result = users.authenticate(username, password, code || null);
         if (!result.success) {
             return res.status(401).json(result);
         }
 
-        res.json(result);
+        const { token, session } = sessions.createSession(result.user.id, {
+            ip: req.ip,
+            userAgent: req.get('user-agent')
+        });
+        auth.setSessionCookie(req, res, token);
+
+        res.json({ ...result, token, expiresAt: session.expiresAt });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/auth/logout - Déconnexion (révoque la session courante)
+ */
+router.post('/auth/logout', audit.action('auth.logout'), (req, res) => {
+    try {
+        sessions.revokeSession(req.session.id);
+        auth.clearSessionCookie(res);
+        res.json({ success: true, message: 'Déconnecté' });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/auth/me - Utilisateur de la session courante
+ */
+router.get('/auth/me', (req, res) => {
+    res.json({ success: true, user: req.user, expiresAt: req.session.expiresAt });
+});
+
+/**
+ * GET /api/auth/password-policy - Politique de mots de passe en vigueur
+ */
+router.get('/auth/password-policy', (req, res) => {
+    try {
+        res.json({ success: true, data: users.getPasswordPolicy() });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ============================================
+// DOUBLE AUTHENTIFICATION (TOTP)
+// ============================================
+
+/**
+ * POST /api/auth/2fa/setup - Démarre l'enrôlement (secret, URI otpauth et QR code)
+ */
+router.post('/auth/2fa/setup', audit.action('auth.2fa.setup'), async (req, res) => {
+    try {
+        const { secret, otpauthUri } = users.beginTwoFactorEnrollment(req.user.id);
+        const qrCode = await QRCode.toDataURL(otpauthUri);
+        res.json({ success: true, data: { secret, otpauthUri, qrCode } });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/confirm - Valide l'enrôlement et renvoie les codes de récupération
+ */
+router.post('/auth/2fa/confirm', audit.action('auth.2fa.confirm'), (req, res) => {
+    try {
+        const { code } = req.body;
+        if (!code) {
+            return res.status(400).json({ success: false, error: 'Code de vérification requis' });
+        }
+
+        const recoveryCodes = users.confirmTwoFactorEnrollment(req.user.id, code);
+        res.json({ success: true, data: { recoveryCodes } });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes - Régénère les codes de récupération
+ */
+router.post('/auth/2fa/recovery-codes', audit.action('auth.2fa.recovery-codes'), (req, res) => {
+    try {
+        const recoveryCodes = users.regenerateRecoveryCodes(req.user.id, req.body.code);
+        res.json({ success: true, data: { recoveryCodes } });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/disable - Désactive sa propre 2FA
+ */
+router.post('/auth/2fa/disable', audit.action('auth.2fa.disable'), (req, res) => {
+    try {
+        if (req.user.role === 'admin' && users.getSecuritySettings().requireAdminTwoFactor) {
+            return res.status(403).json({ success: false, error: 'La double authentification est obligatoire pour les administrateurs' });
+        }
+
+        users.disableTwoFactor(req.user.id, req.body.code);
+        res.json({ success: true, message: 'Double authentification désactivée' });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/users/:userId/2fa - Réinitialiser la 2FA d'un utilisateur
+ */
+router.delete('/users/:userId/2fa', audit.action('user.2fa.reset'), auth.requireAdmin, (req, res) => {
+    try {
+        users.resetTwoFactor(req.params.userId);
+        sessions.revokeUserSessions(req.params.userId);
+        res.json({ success: true, message: 'Double authentification réinitialisée' });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/settings/security - Paramètres de sécurité globaux
+ */
+router.get('/settings/security', auth.requireAdmin, (req, res) => {
+    try {
+        res.json({ success: true, data: users.getSecuritySettings() });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/settings/security - Modifier les paramètres de sécurité globaux
+ */
+router.put('/settings/security', audit.action('settings.security.update'), auth.requireAdmin, (req, res) => {
+    try {
+        // Éviter que l'administrateur ne se bloque lui-même hors du panel
+        if (req.body.requireAdminTwoFactor && !req.user.twoFactorEnabled) {
+            return res.status(400).json({ success: false, error: 'Activez d\'abord la double authentification sur votre propre compte' });
+        }
+
+        const settings = users.updateSecuritySettings({ requireAdminTwoFactor: req.body.requireAdminTwoFactor });
+        res.json({ success: true, data: settings });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/settings/metrics-token - Jeton de collecte Prometheus (GET /metrics)
+ */
+router.get('/settings/metrics-token', auth.requireAdmin, (req, res) => {
+    try {
+        res.json({ success: true, data: { token: prometheus.getScrapeToken() } });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/settings/metrics-token - Générer un nouveau jeton de collecte (l'ancien est révoqué)
+ */
+router.post('/settings/metrics-token', audit.action('settings.metrics-token.regenerate'), auth.requireAdmin, (req, res) => {
+    try {
+        res.json({ success: true, data: { token: prometheus.regenerateScrapeToken() } });
     } catch (error) {
         logger.error(`API: ${error.message}`);
         res.status(500).json({ success: false, error: error.message });
@@ -403,7 +1258,7 @@ router.post('/auth/login', (req, res) => {
 /**
  * GET /api/users - Liste tous les utilisateurs
  */
-router.get('/users', (req, res) => {
+router.get('/users', auth.requireAdmin, (req, res) => {
     try {
         const usersList = users.listUsers();
         res.json({ success: true, data: usersList });
@@ -416,7 +1271,7 @@ router.get('/users', (req, res) => {
 /**
  * GET /api/users/:userId - Détails d'un utilisateur
  */
-router.get('/users/:userId', (req, res) => {
+router.get('/users/:userId', auth.requireSelfOrAdmin, (req, res) => {
     try {
         const user = users.getUserById(req.params.userId);
         if (!user) {
@@ -432,7 +1287,7 @@ router.get('/users/:userId', (req, res) => {
 /**
  * POST /api/users - Créer un utilisateur
  */
-router.post('/users', (req, res) => {
+router.post('/users', audit.action('user.create', req => ({ user: req.body.username })), auth.requireAdmin, (req, res) => {
     try {
         const { username, password, role, mustChangePassword, firstName, lastName } = req.body;
         if (!username || !password) {
@@ -450,9 +1305,10 @@ router.post('/users', (req, res) => {
 /**
  * DELETE /api/users/:userId - Supprimer un utilisateur
  */
-router.delete('/users/:userId', (req, res) => {
+router.delete('/users/:userId', audit.action('user.delete'), auth.requireAdmin, (req, res) => {
     try {
         users.deleteUser(req.params.userId);
+        sessions.revokeUserSessions(req.params.userId);
         res.json({ success: true, message: 'Utilisateur supprimé' });
     } catch (error) {
         logger.error(`API: ${error.message}`);
@@ -463,7 +1319,7 @@ router.delete('/users/:userId', (req, res) => {
 /**
  * PUT /api/users/:userId - Mettre à jour un utilisateur
  */
-router.put('/users/:userId', (req, res) => {
+router.put('/users/:userId', audit.action('user.update'), auth.requireAdmin, (req, res) => {
     try {
         const { firstName, lastName, username, mustChangePassword } = req.body;
         const updated = users.updateUser(req.params.userId, { firstName, lastName, username, mustChangePassword });
@@ -477,7 +1333,7 @@ router.put('/users/:userId', (req, res) => {
 /**
  * PUT /api/users/:userId/password - Changer le mot de passe
  */
-router.put('/users/:userId/password', (req, res) => {
+router.put('/users/:userId/password', audit.action('user.password.change'), auth.requireSelfOrAdmin, (req, res) => {
     try {
         const { password } = req.body;
         if (!password) {
@@ -485,6 +1341,8 @@ router.put('/users/:userId/password', (req, res) => {
         }
 
         users.changePassword(req.params.userId, password);
+        // Invalider les autres sessions de l'utilisateur
+        sessions.revokeUserSessions(req.params.userId, req.session.id);
         res.json({ success: true, message: 'Mot de passe changé' });
     } catch (error) {
         logger.error(`API: ${error.message}`);
@@ -495,7 +1353,7 @@ router.put('/users/:userId/password', (req, res) => {
 /**
  * PUT /api/users/:userId/role - Changer le rôle
  */
-router.put('/users/:userId/role', (req, res) => {
+router.put('/users/:userId/role', audit.action('user.role.change'), auth.requireAdmin, (req, res) => {
     try {
         const { role } = req.body;
         if (!role) {
@@ -510,10 +1368,36 @@ router.put('/users/:userId/role', (req, res) => {
     }
 });
 
+/**
+ * GET /api/users/:userId/sessions - Sessions actives d'un utilisateur
+ */
+router.get('/users/:userId/sessions', auth.requireSelfOrAdmin, (req, res) => {
+    try {
+        const sessionsList = sessions.listUserSessions(req.params.userId);
+        res.json({ success: true, data: sessionsList });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/users/:userId/sessions - Révoquer toutes les sessions d'un utilisateur
+ */
+router.delete('/users/:userId/sessions', audit.action('user.sessions.revoke'), auth.requireSelfOrAdmin, (req, res) => {
+    try {
+        const revoked = sessions.revokeUserSessions(req.params.userId);
+        res.json({ success: true, message: `${revoked} session(s) révoquée(s)` });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
 /**
  * POST /api/users/:userId/projects/:projectName - Associer un projet
  */
-router.post('/users/:userId/projects/:projectName', (req, res) => {
+router.post('/users/:userId/projects/:projectName', audit.action('user.project.assign'), auth.requireAdmin, (req, res) => {
     try {
         users.assignProjectToUser(req.params.userId, req.params.projectName);
         res.json({ success: true, message: 'Projet associé' });
@@ -526,7 +1410,7 @@ router.post('/users/:userId/projects/:projectName', (req, res) => {
 /**
  * DELETE /api/users/:userId/projects/:projectName - Retirer un projet
  */
-router.delete('/users/:userId/projects/:projectName', (req, res) => {
+router.delete('/users/:userId/projects/:projectName', audit.action('user.project.remove'), auth.requireAdmin, (req, res) => {
     try {
         users.removeProjectFromUser(req.params.userId, req.params.projectName);
         res.json({ success: true, message: 'Projet retiré' });
@@ -539,7 +1423,7 @@ router.delete('/users/:userId/projects/:projectName', (req, res) => {
 /**
  * GET /api/users/:userId/projects - Projets d'un utilisateur
  */
-router.get('/users/:userId/projects', (req, res) => {
+router.get('/users/:userId/projects', auth.requireSelfOrAdmin, (req, res) => {
     try {
         const projectsList = users.getUserProjects(req.params.userId);
         res.json({ success: true, data: projectsList });
@@ -577,7 +1461,7 @@ router.get('/projects/:name/files', async (req, res) => {
 /**
  * POST /api/projects/:name/files/mkdir - Créer un dossier
  */
-router.post('/projects/:name/files/mkdir', async (req, res) => {
+router.post('/projects/:name/files/mkdir', audit.action('file.mkdir'), async (req, res) => {
     try {
         const project = projects.getProject(req.params.name);
         if (!project) {
@@ -602,7 +1486,7 @@ router.post('/projects/:name/files/mkdir', async (req, res) => {
 /**
  * DELETE /api/projects/:name/files - Supprimer un fichier ou dossier
  */
-router.delete('/projects/:name/files', async (req, res) => {
+router.delete('/projects/:name/files', audit.action('file.delete'), async (req, res) => {
     try {
         const project = projects.getProject(req.params.name);
         if (!project) {
@@ -622,23 +1506,21 @@ router.delete('/projects/:name/files', async (req, res) => {
             return res.status(400).json({ success: false, error: 'Chemin invalide' });
         }
 
-        // Arrêter les services PM2 dont le répertoire est dans le chemin à supprimer
+        // Arrêter les services dont le répertoire est dans le chemin à supprimer
         try {
             const projectConfig = projects.loadProjectConfig(req.params.name);
             for (const service of projectConfig.services || []) {
                 if (service.directory && service.directory.startsWith(fullTargetPath)) {
-                    const pm2Name = service.pm2Name || `${req.params.name}-${service.name}`;
                     try {
-                        await shell.pm2Command(`stop ${pm2Name}`);
-                        await shell.pm2Command(`delete ${pm2Name}`);
-                        logger.info(`Service PM2 arrêté avant suppression: ${pm2Name}`);
+                        await services.getProcessManager(service).remove(req.params.name, service);
+                        logger.info(`Service arrêté avant suppression: ${service.name}`);
                     } catch {
                         // Ignorer si le processus n'existe pas
                     }
                 }
             }
         } catch (error) {
-            logger.warn(`Impossible de vérifier les services PM2: ${error.message}`);
+            logger.warn(`Impossible de vérifier les services: ${error.message}`);
         }
 
         await shell.execCommand(`rm -rf "${fullTargetPath}"`);
@@ -653,7 +1535,7 @@ router.delete('/projects/:name/files', async (req, res) => {
 /**
  * POST /api/projects/:name/files/copy - Copier un fichier ou dossier
  */
-router.post('/projects/:name/files/copy', async (req, res) => {
+router.post('/projects/:name/files/copy', audit.action('file.copy'), async (req, res) => {
     try {
         const project = projects.getProject(req.params.name);
         if (!project) {
@@ -678,7 +1560,7 @@ router.post('/projects/:name/files/copy', async (req, res) => {
 /**
  * PUT /api/projects/:name/files/rename - Renommer un fichier ou dossier
  */
-router.put('/projects/:name/files/rename', async (req, res) => {
+router.put('/projects/:name/files/rename', audit.action('file.rename'), async (req, res) => {
     try {
         const project = projects.getProject(req.params.name);
         if (!project) {
@@ -729,11 +1611,13 @@ router.get('/projects/:name/files/download', async (req, res) => {
 
 /**
  * POST /api/projects/:name/files/upload - Upload un ou plusieurs fichiers
+ * Les fichiers reçus sont copiés dans le projet par une tâche de fond.
  */
-router.post('/projects/:name/files/upload', upload.array('files', 100), async (req, res) => {
+router.post('/projects/:name/files/upload', audit.action('file.upload'), upload.array('files', 100), (req, res) => {
     try {
         const project = projects.getProject(req.params.name);
         if (!project) {
+            req.files?.forEach(file => fs.rmSync(file.path, { force: true }));
             return res.status(404).json({ success: false, error: 'Projet non trouvé' });
         }
 
@@ -742,45 +1626,22 @@ router.post('/projects/:name/files/upload', upload.array('files', 100), async (r
         }
 
         const relativePath = req.body.path || '';
-        const projectPath = `/var/www/${req.params.name}/sites`;
-        const fs = await import('fs');
-        
-        const uploadedFiles = [];
-        const errors = [];
-
-        for (let i = 0; i < req.files.length; i++) {
-            const file = req.files[i];
-            try {
-                // Récupérer le chemin relatif du fichier (pour les dossiers)
-                const fileRelativePath = req.body[`relativePath_${i}`] || file.originalname;
-                const targetPath = path.join(relativePath, fileRelativePath);
-                
-                const fileStream = fs.createReadStream(file.path);
-                await fileManager.writeFile(projectPath, targetPath, fileStream);
-                
-                // Supprimer le fichier temporaire
-                fs.unlinkSync(file.path);
-                
-                uploadedFiles.push(targetPath);
-            } catch (error) {
-                errors.push({ file: file.originalname, error: error.message });
-                // Supprimer le fichier temporaire en cas d'erreur
-                try { fs.unlinkSync(file.path); } catch {}
+        startJob(req, res, {
+            type: 'file.upload',
+            title: `Upload de ${req.files.length} fichier(s) dans ${req.params.name}/${relativePath}`,
+            params: {
+                path: relativePath,
+                // Chemin relatif du fichier (pour les dossiers)
+                files: req.files.map((file, i) => ({
+                    tmpPath: file.path,
+                    name: file.originalname,
+                    relativePath: req.body[`relativePath_${i}`] || file.originalname
+                }))
             }
-        }
-        
-        if (errors.length > 0 && uploadedFiles.length === 0) {
-            return res.status(400).json({ success: false, error: 'Échec de tous les uploads', details: errors });
-        }
-        
-        res.json({ 
-            success: true, 
-            message: `${uploadedFiles.length} fichier(s) uploadé(s)`,
-            uploaded: uploadedFiles,
-            errors: errors.length > 0 ? errors : undefined
         });
     } catch (error) {
         logger.error(`API: ${error.message}`);
+        req.files?.forEach(file => fs.rmSync(file.path, { force: true }));
         res.status(400).json({ success: false, error: error.message });
     }
 });
@@ -820,7 +1681,10 @@ router.get('/projects/:name/files/info', async (req, res) => {
 router.get('/databases', async (req, res) => {
     try {
         const { projectName } = req.query;
-        const allDatabases = databases.getAllDatabases(projectName || null);
+        let allDatabases = databases.getDatabasesForUser(req.user);
+        if (projectName) {
+            allDatabases = allDatabases.filter(db => db.projectName === projectName);
+        }
         res.json({ success: true, data: allDatabases });
     } catch (error) {
         logger.error(`API: ${error.message}`);
@@ -847,7 +1711,7 @@ router.get('/databases/:id', async (req, res) => {
 /**
  * POST /api/databases/mysql - Créer une base de données MySQL
  */
-router.post('/databases/mysql', async (req, res) => {
+router.post('/databases/mysql', audit.action('database.create.mysql', req => ({ database: req.body.name })), auth.requireAdmin, async (req, res) => {
     try {
         const { name, host, port, username, password, projectName } = req.body;
         if (!name || !host || !username || !password) {
@@ -868,7 +1732,7 @@ router.post('/databases/mysql', async (req, res) => {
 /**
  * POST /api/databases/mongodb - Créer une base de données MongoDB
  */
-router.post('/databases/mongodb', async (req, res) => {
+router.post('/databases/mongodb', audit.action('database.create.mongodb', req => ({ database: req.body.name })), auth.requireAdmin, async (req, res) => {
     try {
         const { name, host, port, username, password, authDatabase, projectName } = req.body;
         if (!name || !host) {
@@ -889,7 +1753,7 @@ router.post('/databases/mongodb', async (req, res) => {
 /**
  * PUT /api/databases/:id - Mettre à jour une base de données
  */
-router.put('/databases/:id', async (req, res) => {
+router.put('/databases/:id', audit.action('database.update'), auth.requireAdmin, async (req, res) => {
     try {
         const updates = req.body;
         const updated = databases.updateDatabase(req.params.id, updates);
@@ -903,7 +1767,7 @@ router.put('/databases/:id', async (req, res) => {
 /**
  * DELETE /api/databases/:id - Supprimer une base de données
  */
-router.delete('/databases/:id', async (req, res) => {
+router.delete('/databases/:id', audit.action('database.delete'), auth.requireAdmin, async (req, res) => {
     try {
         await databases.deleteDatabase(req.params.id);
         res.json({ success: true, message: 'Base de données supprimée' });
@@ -916,7 +1780,7 @@ router.delete('/databases/:id', async (req, res) => {
 /**
  * POST /api/databases/:id/assign - Assigner une BDD à un projet
  */
-router.post('/databases/:id/assign', async (req, res) => {
+router.post('/databases/:id/assign', audit.action('database.assign'), auth.requireAdmin, async (req, res) => {
     try {
         const { projectName } = req.body;
         if (!projectName) {
@@ -934,7 +1798,7 @@ router.post('/databases/:id/assign', async (req, res) => {
 /**
  * POST /api/databases/:id/unassign - Retirer l'assignation d'une BDD
  */
-router.post('/databases/:id/unassign', async (req, res) => {
+router.post('/databases/:id/unassign', audit.action('database.unassign'), auth.requireAdmin, async (req, res) => {
     try {
         const updated = databases.unassignDatabaseFromProject(req.params.id);
         res.json({ success: true, data: updated });
@@ -960,7 +1824,7 @@ router.get('/databases/:id/connection-string', async (req, res) => {
 /**
  * POST /api/databases/test-mysql - Tester une connexion MySQL
  */
-router.post('/databases/test-mysql', async (req, res) => {
+router.post('/databases/test-mysql', auth.requireAdmin, async (req, res) => {
     try {
         const result = await databases.testMySQLConnection(req.body);
         res.json({ success: result, message: result ? 'Connexion réussie' : 'Connexion échouée' });
@@ -973,7 +1837,7 @@ router.post('/databases/test-mysql', async (req, res) => {
 /**
  * POST /api/databases/test-mongodb - Tester une connexion MongoDB
  */
-router.post('/databases/test-mongodb', async (req, res) => {
+router.post('/databases/test-mongodb', auth.requireAdmin, async (req, res) => {
     try {
         const result = await databases.testMongoConnection(req.body);
         res.json({ success: result, message: result ? 'Connexion réussie' : 'Connexion échouée' });
@@ -990,7 +1854,7 @@ router.post('/databases/test-mongodb', async (req, res) => {
 /**
  * POST /api/databases/:id/query - Exécuter une requête SQL MySQL
  */
-router.post('/databases/:id/query', async (req, res) => {
+router.post('/databases/:id/query', audit.action('database.query'), async (req, res) => {
     try {
         const { query } = req.body;
         if (!query) {
@@ -1062,7 +1926,7 @@ router.get('/databases/:id/collections', async (req, res) => {
 /**
  * POST /api/databases/:id/collections/:collectionName/query - Requête MongoDB
  */
-router.post('/databases/:id/collections/:collectionName/query', async (req, res) => {
+router.post('/databases/:id/collections/:collectionName/query', audit.action('database.collection.query', req => ({ collection: req.params.collectionName })), async (req, res) => {
     try {
         const { operation, query, options } = req.body;
         if (!operation) {
@@ -1083,4 +1947,403 @@ router.post('/databases/:id/collections/:collectionName/query', async (req, res)
     }
 });
 
+// ============================================
+// ALERTES
+// ============================================
+
+// Les paramètres des canaux (URLs de webhooks Slack, mots de passe SMTP) ne sont pas consignés
+const channelAuditParams = req => ({ name: req.body.name, type: req.body.type, enabled: req.body.enabled });
+
+/**
+ * GET /api/alerts - Règles, canaux (secrets masqués), silences en cours, alertes actives et derniers événements
+ */
+router.get('/alerts', auth.requireAdmin, (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                rules: alerts.listRules(),
+                channels: alerts.listChannels(),
+                silences: alerts.listSilences(),
+                active: alerts.getActiveAlerts(),
+                events: alerts.getAlertEvents()
+            }
+        });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/alerts/rules - Ajouter une règle d'alerte
+ * Body: { name, type (service_down, restarts, memory, disk, certificate), project, service,
+ *         threshold, quota, duration (s), repeatInterval (min), channels: [id], enabled }
+ */
+router.post('/alerts/rules', audit.action('alert.rule.create'), auth.requireAdmin, (req, res) => {
+    try {
+        const rule = alerts.createRule(req.body);
+        res.json({ success: true, data: rule });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/alerts/rules/:ruleId - Modifier une règle d'alerte (champs absents conservés)
+ */
+router.put('/alerts/rules/:ruleId', audit.action('alert.rule.update', req => ({ rule: req.params.ruleId })), auth.requireAdmin, (req, res) => {
+    try {
+        const rule = alerts.updateRule(req.params.ruleId, req.body);
+        res.json({ success: true, data: rule });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/alerts/rules/:ruleId - Supprimer une règle d'alerte
+ */
+router.delete('/alerts/rules/:ruleId', audit.action('alert.rule.delete', req => ({ rule: req.params.ruleId })), auth.requireAdmin, (req, res) => {
+    try {
+        alerts.deleteRule(req.params.ruleId);
+        res.json({ success: true, message: 'Règle supprimée' });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(404).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/alerts/channels - Ajouter un canal de notification
+ * Body: { name, type (email, webhook, slack), enabled, settings }
+ */
+router.post('/alerts/channels', audit.action('alert.channel.create', null, channelAuditParams), auth.requireAdmin, (req, res) => {
+    try {
+        const channel = alerts.createChannel(req.body);
+        res.json({ success: true, data: channel });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/alerts/channels/:channelId - Modifier un canal (un secret masqué conserve sa valeur)
+ */
+router.put('/alerts/channels/:channelId', audit.action('alert.channel.update', req => ({ channel: req.params.channelId }), channelAuditParams), auth.requireAdmin, (req, res) => {
+    try {
+        const channel = alerts.updateChannel(req.params.channelId, req.body);
+        res.json({ success: true, data: channel });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/alerts/channels/:channelId - Supprimer un canal
+ */
+router.delete('/alerts/channels/:channelId', audit.action('alert.channel.delete', req => ({ channel: req.params.channelId })), auth.requireAdmin, (req, res) => {
+    try {
+        alerts.deleteChannel(req.params.channelId);
+        res.json({ success: true, message: 'Canal supprimé' });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(404).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/alerts/channels/:channelId/test - Envoyer une notification de test
+ */
+router.post('/alerts/channels/:channelId/test', audit.action('alert.channel.test', req => ({ channel: req.params.channelId })), auth.requireAdmin, async (req, res) => {
+    try {
+        await alerts.testChannel(req.params.channelId);
+        res.json({ success: true, message: 'Notification de test envoyée' });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/alerts/silences - Suspendre les notifications des alertes correspondantes
+ * Body: { ruleId, project, service (optionnels), duration (minutes) ou until (ISO 8601), comment }
+ */
+router.post('/alerts/silences', audit.action('alert.silence.create', req => ({ project: req.body.project })), auth.requireAdmin, (req, res) => {
+    try {
+        const silence = alerts.createSilence(req.body, req.user.username);
+        res.json({ success: true, data: silence });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/alerts/silences/:silenceId - Lever un silence
+ */
+router.delete('/alerts/silences/:silenceId', audit.action('alert.silence.delete', req => ({ silence: req.params.silenceId })), auth.requireAdmin, (req, res) => {
+    try {
+        alerts.deleteSilence(req.params.silenceId);
+        res.json({ success: true, message: 'Silence levé' });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(404).json({ success: false, error: error.message });
+    }
+});
+
+// ============================================
+// TÂCHES PLANIFIÉES
+// ============================================
+
+// Cible auditée : la tâche planifiée de la route
+const taskTarget = req => ({ task: req.params.taskName || req.body?.name });
+
+/**
+ * Paramètres consignés dans le journal d'audit pour une tâche planifiée :
+ * les noms des variables de la tâche, jamais leurs valeurs
+ * @param {object} req - Requête Express
+ * @returns {object}
+ */
+function taskAuditParams(req) {
+    const { env, ...params } = req.body || {};
+    return { ...params, ...(env && { variables: Object.keys(env) }) };
+}
+
+/**
+ * GET /api/projects/:name/tasks - Tâches planifiées du projet, avec leur dernière et prochaine exécution
+ */
+router.get('/projects/:name/tasks', (req, res) => {
+    try {
+        if (!projects.getProject(req.params.name)) {
+            return res.status(404).json({ success: false, error: 'Projet non trouvé' });
+        }
+        res.json({ success: true, data: scheduler.listTasks(req.params.name) });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/projects/:name/tasks - Ajouter une tâche planifiée
+ * Body: { name, schedule, command, directory, timeout, env, enabled, description }
+ */
+router.post('/projects/:name/tasks', audit.action('task.create', taskTarget, taskAuditParams), (req, res) => {
+    try {
+        if (!projects.getProject(req.params.name)) {
+            return res.status(404).json({ success: false, error: 'Projet non trouvé' });
+        }
+        const { name, schedule, command, directory, timeout, env, enabled, description } = req.body;
+        const task = scheduler.addTask(req.params.name, { name, schedule, command, directory, timeout, env, enabled, description });
+        res.json({ success: true, data: task });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/projects/:name/tasks/:taskName - Détails d'une tâche planifiée et historique de ses exécutions
+ */
+router.get('/projects/:name/tasks/:taskName', (req, res) => {
+    try {
+        const task = scheduler.getTask(req.params.name, req.params.taskName);
+        if (!task) {
+            return res.status(404).json({ success: false, error: 'Tâche non trouvée' });
+        }
+        res.json({ success: true, data: { ...task, runs: scheduler.getTaskRuns(req.params.name, req.params.taskName) } });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/projects/:name/tasks/:taskName/runs/:runId - Exécution d'une tâche, avec sa sortie
+ */
+router.get('/projects/:name/tasks/:taskName/runs/:runId', (req, res) => {
+    try {
+        const run = scheduler.getTaskRun(req.params.name, req.params.taskName, req.params.runId);
+        if (!run) {
+            return res.status(404).json({ success: false, error: 'Exécution non trouvée' });
+        }
+        res.json({ success: true, data: run });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PUT /api/projects/:name/tasks/:taskName - Modifier une tâche planifiée
+ * Body: { schedule, command, directory, timeout, env, enabled, description }
+ */
+router.put('/projects/:name/tasks/:taskName', audit.action('task.update', taskTarget, taskAuditParams), (req, res) => {
+    try {
+        const { schedule, command, directory, timeout, env, enabled, description } = req.body;
+        const task = scheduler.updateTask(req.params.name, req.params.taskName, { schedule, command, directory, timeout, env, enabled, description });
+        res.json({ success: true, data: task });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/projects/:name/tasks/:taskName - Supprimer une tâche planifiée et son historique
+ */
+router.delete('/projects/:name/tasks/:taskName', audit.action('task.delete', taskTarget), (req, res) => {
+    try {
+        scheduler.removeTask(req.params.name, req.params.taskName);
+        res.json({ success: true, message: 'Tâche supprimée' });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/projects/:name/tasks/:taskName/run - Exécuter une tâche planifiée immédiatement (tâche de fond)
+ */
+router.post('/projects/:name/tasks/:taskName/run', audit.action('task.run', taskTarget), (req, res) => {
+    try {
+        if (!scheduler.getTask(req.params.name, req.params.taskName)) {
+            return res.status(404).json({ success: false, error: 'Tâche non trouvée' });
+        }
+
+        startJob(req, res, {
+            type: 'task.run',
+            title: `Exécution de la tâche ${req.params.name}/${req.params.taskName}`,
+            target: { project: req.params.name, task: req.params.taskName }
+        });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ============================================
+// TÂCHES DE FOND
+// ============================================
+
+/**
+ * GET /api/jobs - Tâches des projets accessibles (la plus récente en premier)
+ * Filtres (query) : project, status (queued, running, succeeded, failed, cancelled), limit
+ */
+router.get('/jobs', (req, res) => {
+    try {
+        const { project, status, limit } = req.query;
+        const visibleJobs = jobs.listJobs({ project, status })
+            .filter(job => auth.canAccessProject(req.user, job.target.project));
+        const max = parseInt(limit);
+        res.json({ success: true, data: max > 0 ? visibleJobs.slice(0, max) : visibleJobs });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/jobs/:jobId - Détail d'une tâche (statut, avancement, résultat)
+ */
+router.get('/jobs/:jobId', (req, res) => {
+    res.json({ success: true, data: req.job });
+});
+
+/**
+ * GET /api/jobs/:jobId/stream - Suivi en direct du journal d'une tâche (Server-Sent Events)
+ * Événements : lignes du journal (id = offset de reprise), `job` à chaque changement de statut
+ * ou d'avancement, `end` avec la tâche terminée (le flux est alors fermé).
+ * Query: offset (ou en-tête Last-Event-ID) pour reprendre après une ligne reçue
+ */
+router.get('/jobs/:jobId/stream', (req, res) => {
+    const id = req.params.jobId;
+    let lastState = null;
+    const sendState = (job) => {
+        const state = JSON.stringify(job);
+        if (state !== lastState) {
+            lastState = state;
+            res.write(`event: job\ndata: ${state}\n\n`);
+        }
+    };
+
+    let stop;
+    try {
+        stop = jobs.followJobLog(id, { offset: req.query.offset || req.get('Last-Event-ID') }, (entry) => {
+            res.write(`id: ${entry.offset}\ndata: ${JSON.stringify({ line: entry.line })}\n\n`);
+        }, (job) => {
+            clearInterval(heartbeat);
+            clearInterval(statePoll);
+            res.write(`event: end\ndata: ${JSON.stringify(job)}\n\n`);
+            res.end();
+        });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        // Pas de mise en tampon par un reverse proxy nginx
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    sendState(req.job);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), LOG_STREAM_CONFIG.heartbeatInterval);
+    const statePoll = setInterval(() => {
+        const job = jobs.getJob(id);
+        if (job) sendState(job);
+    }, JOBS_CONFIG.pollInterval * 2);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        clearInterval(statePoll);
+        stop();
+    });
+});
+
+/**
+ * POST /api/jobs/:jobId/cancel - Annuler une tâche en attente ou en cours
+ */
+router.post('/jobs/:jobId/cancel', audit.action('job.cancel', req => ({
+    project: req.job?.target.project,
+    service: req.job?.target.service,
+    job: req.params.jobId
+})), (req, res) => {
+    try {
+        const job = jobs.cancelJob(req.params.jobId);
+        res.json({ success: true, message: 'Annulation demandée', data: job });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// ============================================
+// JOURNAL D'AUDIT
+// ============================================
+
+/**
+ * GET /api/audit - Consulter le journal d'audit
+ * Filtres (query) : user, project, action (préfixe accepté), from, to (ISO 8601), limit
+ */
+router.get('/audit', auth.requireAdmin, (req, res) => {
+    try {
+        const { user, project, action, from, to, limit } = req.query;
+        const entries = audit.queryAudit({ user, project, action, from, to, limit });
+        res.json({ success: true, data: entries });
+    } catch (error) {
+        logger.error(`API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
 export default router;
@@ -0,0 +1,203 @@
+/**
+ * Middlewares d'authentification et d'autorisation de l'API Web
+ */
+
+import { SESSION_CONFIG } from '../config/constants.js';
+import sessions from '../modules/sessions.js';
+import users from '../modules/users.js';
+import databases from '../modules/databases.js';
+import jobs from '../modules/jobs.js';
+
+// Routes accessibles sans session (chemins relatifs à /api)
+const PUBLIC_ROUTES = [
+    { method: 'POST', path: '/auth/login' }
+];
+
+/**
+ * Extrait le jeton de session de la requête (en-tête Bearer ou cookie)
+ * @param {object} req - Requête Express
+ * @returns {string|null}
+ */
+export function getRequestToken(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+        return authorization.slice(7).trim() || null;
+    }
+
+    const cookies = req.headers.cookie || '';
+    for (const part of cookies.split(';')) {
+        const [name, ...value] = part.trim().split('=');
+        if (name === SESSION_CONFIG.cookieName) {
+            return decodeURIComponent(value.join('=')) || null;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Pose le cookie de session sur la réponse
+ * @param {object} req - Requête Express
+ * @param {object} res - Réponse Express
+ * @param {string} token - Jeton de session
+ */
+export function setSessionCookie(req, res, token) {
+    res.cookie(SESSION_CONFIG.cookieName, token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: req.secure,
+        path: '/',
+        maxAge: SESSION_CONFIG.maxAge
+    });
+}
+
+/**
+ * Supprime le cookie de session
+ * @param {object} res - Réponse Express
+ */
+export function clearSessionCookie(res) {
+    res.clearCookie(SESSION_CONFIG.cookieName, { path: '/' });
+}
+
+/**
+ * Rejette les requêtes sans session valide.
+ * Renseigne req.user (sans mot de passe, relu à chaque requête) et req.session.
+ */
+export function requireAuth(req, res, next) {
+    if (PUBLIC_ROUTES.some(r => r.method === req.method && r.path === req.path)) {
+        return next();
+    }
+
+    const session = sessions.validateSession(getRequestToken(req));
+    if (!session) {
+        clearSessionCookie(res);
+        return res.status(401).json({ success: false, error: 'Session invalide ou expirée' });
+    }
+
+    const user = users.getUserById(session.userId);
+    if (!user) {
+        sessions.revokeSession(session.id);
+        clearSessionCookie(res);
+        return res.status(401).json({ success: false, error: 'Session invalide ou expirée' });
+    }
+
+    req.session = session;
+    req.user = user;
+
+    // Tant que le mot de passe n'a pas été changé, seules les routes nécessaires au changement sont ouvertes
+    if (user.mustChangePassword && !isPasswordChangeRoute(req)) {
+        return res.status(403).json({ success: false, error: 'Changement de mot de passe requis', mustChangePassword: true });
+    }
+
+    // Idem pour l'activation de la 2FA lorsqu'elle est imposée aux administrateurs
+    if (user.twoFactorSetupRequired && !isPasswordChangeRoute(req) && !req.path.startsWith('/auth/2fa/')) {
+        return res.status(403).json({ success: false, error: 'Activation de la double authentification requise', twoFactorSetupRequired: true });
+    }
+
+    next();
+}
+
+/**
+ * Indique si la requête fait partie du parcours de changement de mot de passe imposé
+ * @param {object} req - Requête Express
+ * @returns {boolean}
+ */
+function isPasswordChangeRoute(req) {
+    if (req.method === 'PUT' && req.path === `/users/${req.user.id}/password`) return true;
+    if (req.method === 'GET' && ['/auth/me', '/auth/password-policy'].includes(req.path)) return true;
+    return req.method === 'POST' && req.path === '/auth/logout';
+}
+
+/**
+ * Réponse uniforme en cas d'accès refusé
+ * @param {object} res - Réponse Express
+ */
+function forbidden(res) {
+    return res.status(403).json({ success: false, error: 'Accès refusé' });
+}
+
+/**
+ * Indique si un utilisateur peut accéder à un projet
+ * @param {object} user - Utilisateur (sans mot de passe)
+ * @param {string} projectName - Nom du projet
+ * @returns {boolean}
+ */
+export function canAccessProject(user, projectName) {
+    if (!user) return false;
+    if (user.role === 'admin') return true;
+    return (user.projects || []).includes(projectName);
+}
+
+/**
+ * Restreint une route aux administrateurs
+ */
+export function requireAdmin(req, res, next) {
+    if (req.user?.role !== 'admin') {
+        return forbidden(res);
+    }
+    next();
+}
+
+/**
+ * Restreint une route à l'utilisateur concerné (:userId) ou aux administrateurs
+ */
+export function requireSelfOrAdmin(req, res, next) {
+    if (req.user?.role !== 'admin' && req.user?.id !== req.params.userId) {
+        return forbidden(res);
+    }
+    next();
+}
+
+/**
+ * Handler router.param('name') : vérifie l'accès au projet de la route
+ */
+export function checkProjectParam(req, res, next, projectName) {
+    if (!canAccessProject(req.user, projectName)) {
+        return forbidden(res);
+    }
+    next();
+}
+
+/**
+ * Handler router.param('id') : vérifie l'accès à une base de données
+ * via le projet auquel elle est assignée
+ */
+export function checkDatabaseParam(req, res, next, databaseId) {
+    if (req.user?.role === 'admin') {
+        return next();
+    }
+
+    const database = databases.getDatabaseById(databaseId);
+    if (!database || !database.projectName || !canAccessProject(req.user, database.projectName)) {
+        return forbidden(res);
+    }
+    next();
+}
+
+/**
+ * Handler router.param('jobId') : vérifie l'accès à une tâche via le projet qu'elle concerne
+ */
+export function checkJobParam(req, res, next, jobId) {
+    const job = jobs.getJob(jobId);
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Tâche non trouvée' });
+    }
+    if (!canAccessProject(req.user, job.target.project)) {
+        return forbidden(res);
+    }
+    req.job = job;
+    next();
+}
+
+export default {
+    getRequestToken,
+    setSessionCookie,
+    clearSessionCookie,
+    requireAuth,
+    canAccessProject,
+    requireAdmin,
+    requireSelfOrAdmin,
+    checkProjectParam,
+    checkDatabaseParam,
+    checkJobParam
+};
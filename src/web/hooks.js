@@ -0,0 +1,130 @@
+/**
+ * Webhooks de déploiement appelés directement par les forges git (GitHub, GitLab, Gitea) :
+ * routes sans session, authentifiées par la signature de chaque livraison
+ */
+
+import express, { Router } from 'express';
+import services from '../modules/services.js';
+import webhooks from '../modules/webhooks.js';
+import jobs from '../modules/jobs.js';
+import { WEBHOOKS_CONFIG } from '../config/constants.js';
+import audit from '../utils/audit.js';
+import logger from '../utils/logger.js';
+
+const router = Router();
+
+/**
+ * Programme le déploiement d'un service pour une livraison. Une livraison reçue avant le démarrage
+ * d'un déploiement déjà programmé lui est rattachée : il clone de toute façon le dernier commit de la branche.
+ * @param {string} projectName - Nom du projet
+ * @param {object} service - Service
+ * @param {object} delivery - Livraison enregistrée
+ * @param {object} actor - Auteur consigné au journal d'audit
+ * @returns {object} - Tâche de déploiement
+ */
+function queueDeploy(projectName, service, delivery, actor) {
+    const pending = jobs.listJobs({ project: projectName, status: 'queued' })
+        .find(job => job.type === 'service.deploy' && job.target.service === service.name);
+    const attached = pending && jobs.amendQueuedJob(pending.id, (params) => {
+        params.deliveries = [...(params.deliveries || []), delivery.id];
+    });
+    if (attached) {
+        return pending;
+    }
+
+    return jobs.createJob({
+        type: 'service.deploy',
+        title: `Déploiement git du service ${projectName}/${service.name} (${service.git.branch}, webhook ${delivery.provider})`,
+        target: { project: projectName, service: service.name },
+        params: { deliveries: [delivery.id] },
+        actor
+    });
+}
+
+/**
+ * POST /api/hooks/:project/:service - Livraison d'une forge git (événement push)
+ * Le corps est lu brut : la signature porte sur les octets reçus.
+ */
+router.post('/:project/:service', express.raw({ type: () => true, limit: WEBHOOKS_CONFIG.maxPayloadSize }), (req, res) => {
+    const { project: projectName, service: serviceName } = req.params;
+
+    // Même réponse pour un service inconnu et un webhook désactivé
+    const secret = webhooks.getWebhookSecret(projectName, serviceName);
+    const service = secret ? services.getService(projectName, serviceName) : null;
+    if (!service) {
+        return res.status(404).json({ success: false, error: 'Webhook inconnu' });
+    }
+
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    let verified;
+    try {
+        verified = webhooks.verifyDelivery(secret, req.headers, rawBody);
+    } catch (error) {
+        logger.warn(`Webhook ${projectName}/${serviceName} refusé (${req.ip}): ${error.message}`);
+        webhooks.recordDelivery(projectName, serviceName, { status: 'rejected', message: error.message, ip: req.ip });
+        audit.record({
+            actor: { type: 'webhook', username: null, ip: req.ip },
+            action: 'service.webhook.delivery',
+            target: { project: projectName, service: serviceName },
+            result: 'failure',
+            status: 401,
+            error: error.message
+        });
+        return res.status(401).json({ success: false, error: error.message });
+    }
+
+    const { provider, event, deliveryId } = verified;
+    const base = { id: deliveryId, provider, event, ip: req.ip };
+
+    let payload;
+    try {
+        payload = webhooks.parsePayload(rawBody, req.headers['content-type']);
+    } catch (error) {
+        webhooks.recordDelivery(projectName, serviceName, { ...base, status: 'rejected', message: error.message });
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    // Événement de test envoyé par GitHub et Gitea à la création du webhook
+    if (event === 'ping') {
+        webhooks.recordDelivery(projectName, serviceName, { ...base, status: 'ignored', message: 'Ping' });
+        return res.json({ success: true, message: 'pong' });
+    }
+
+    if (event !== 'push') {
+        webhooks.recordDelivery(projectName, serviceName, { ...base, status: 'ignored', message: `Événement ${event} ignoré` });
+        return res.json({ success: true, message: `Événement ${event} ignoré` });
+    }
+
+    const push = webhooks.parsePush(payload);
+    const delivery = { ...base, branch: push.branch, commit: push.commit, pusher: push.pusher };
+
+    let ignored = null;
+    if (!service.git) {
+        ignored = `Le service ${serviceName} n'est pas déployé depuis git`;
+    } else if (push.branch !== service.git.branch) {
+        ignored = `Branche ${push.branch || payload.ref || '(aucune)'} ignorée (déploiement de ${service.git.branch})`;
+    } else if (push.deleted) {
+        ignored = `Branche ${push.branch} supprimée`;
+    }
+    if (ignored) {
+        webhooks.recordDelivery(projectName, serviceName, { ...delivery, status: 'ignored', message: ignored });
+        return res.json({ success: true, message: ignored });
+    }
+
+    const recorded = webhooks.recordDelivery(projectName, serviceName, { ...delivery, status: 'queued', message: null });
+    const job = queueDeploy(projectName, service, recorded, {
+        type: 'webhook',
+        username: push.pusher ? `${provider}:${push.pusher}` : provider,
+        ip: req.ip
+    });
+
+    res.status(202).json({ success: true, message: 'Déploiement programmé', data: { delivery: recorded.id, job: job.id } });
+});
+
+// Corps trop volumineux ou illisible
+router.use((error, req, res, next) => {
+    logger.warn(`Webhook: ${error.message}`);
+    res.status(error.status || 400).json({ success: false, error: error.message });
+});
+
+export default router;
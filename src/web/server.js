@@ -9,7 +9,16 @@ import express from 'express';
 import { fileURLToPath } from 'url';
 import path from 'path';
 import apiRouter from './api.js';
+import hooksRouter from './hooks.js';
 import projects from '../modules/projects.js';
+import services from '../modules/services.js';
+import certificates from '../modules/certificates.js';
+import alerts from '../modules/alerts.js';
+import prometheus from '../modules/prometheus.js';
+import scheduler from '../modules/scheduler.js';
+import tasks from '../modules/tasks.js';
+import { ALERTS_CONFIG, HEALTH_CONFIG, METRICS_CONFIG, TASKS_CONFIG } from '../config/constants.js';
+import audit from '../utils/audit.js';
 import logger from '../utils/logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -18,6 +27,10 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.WEB_PORT || 3847;
 
+// Webhooks des forges git : sans session (livraisons signées), corps lu brut pour vérifier
+// la signature, donc déclarés avant les parseurs JSON
+app.use('/api/hooks', prometheus.trackRequests, hooksRouter);
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -25,14 +38,164 @@ app.use(express.urlencoded({ extended: true }));
 // Servir les fichiers statiques du frontend
 app.use(express.static(path.join(__dirname, 'public')));
 
-// API routes
-app.use('/api', apiRouter);
+// API routes (requêtes comptées pour Prometheus)
+app.use('/api', prometheus.trackRequests, apiRouter);
+
+// Métriques au format Prometheus, protégées par le jeton de collecte
+app.get('/metrics', prometheus.requireScrapeToken, async (req, res) => {
+    try {
+        res.type('text/plain; version=0.0.4; charset=utf-8').send(await prometheus.renderMetrics());
+    } catch (error) {
+        logger.error(`Métriques Prometheus: ${error.message}`);
+        res.status(500).type('text/plain').send(`${error.message}\n`);
+    }
+});
 
 // SPA fallback - toutes les routes non-API renvoient index.html
 app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+/**
+ * Renouvelle les certificats HTTPS arrivant à échéance et consigne chaque renouvellement
+ */
+async function renewCertificates() {
+    try {
+        const results = await services.renewCertificates();
+        for (const result of results) {
+            audit.record({
+                actor: { type: 'system', username: 'scheduler' },
+                action: 'certificate.renew',
+                target: { project: result.project, service: result.service, domain: result.domain },
+                result: result.success ? 'success' : 'failure',
+                error: result.error || null
+            });
+        }
+    } catch (error) {
+        logger.error(`Renouvellement des certificats: ${error.message}`);
+    }
+}
+
+// Une passe de contrôles de santé à la fois (un contrôle lent ne doit pas chevaucher le suivant)
+let healthChecksRunning = false;
+
+/**
+ * Exécute les contrôles de santé arrivés à échéance et consigne chaque redémarrage automatique
+ */
+async function runHealthChecks() {
+    if (healthChecksRunning) return;
+    healthChecksRunning = true;
+
+    try {
+        const results = await services.runHealthChecks();
+        for (const result of results.filter(r => r.restarted || r.error)) {
+            audit.record({
+                actor: { type: 'system', username: 'scheduler' },
+                action: 'service.health.restart',
+                target: { project: result.project, service: result.service },
+                params: { reason: result.message, consecutiveFailures: result.consecutiveFailures },
+                result: result.restarted ? 'success' : 'failure',
+                error: result.error || null
+            });
+        }
+    } catch (error) {
+        logger.error(`Contrôles de santé: ${error.message}`);
+    } finally {
+        healthChecksRunning = false;
+    }
+}
+
+let metricsRunning = false;
+
+/**
+ * Échantillonne les métriques des services en cours d'exécution
+ */
+async function collectMetrics() {
+    if (metricsRunning) return;
+    metricsRunning = true;
+
+    try {
+        await services.collectMetrics();
+    } catch (error) {
+        logger.error(`Collecte des métriques: ${error.message}`);
+    } finally {
+        metricsRunning = false;
+    }
+}
+
+let alertsRunning = false;
+
+/**
+ * Évalue les règles d'alerte et envoie les notifications
+ */
+async function evaluateAlerts() {
+    if (alertsRunning) return;
+    alertsRunning = true;
+
+    try {
+        const sent = await alerts.evaluateAlerts();
+        for (const notification of sent) {
+            logger.info(`Alerte ${notification.rule} (${notification.target}) : ${notification.status === 'firing' ? 'déclenchée' : 'résolue'}`);
+        }
+    } catch (error) {
+        logger.error(`Évaluation des alertes: ${error.message}`);
+    } finally {
+        alertsRunning = false;
+    }
+}
+
+/**
+ * Exécute une tâche planifiée et consigne son exécution
+ * @param {string} projectName - Nom du projet
+ * @param {object} task - Tâche
+ */
+async function runScheduledTask(projectName, task) {
+    const entry = {
+        actor: { type: 'system', username: 'scheduler' },
+        action: 'task.run',
+        target: { project: projectName, task: task.name }
+    };
+
+    try {
+        const run = await tasks.runTask(projectName, task, { trigger: 'schedule' });
+        const error = run.status === 'success' ? null : run.error || `Code de sortie ${run.exitCode}`;
+        if (error) {
+            logger.warn(`Tâche ${projectName}/${task.name} en échec: ${error}`);
+        }
+        audit.record({
+            ...entry,
+            // (le code de sortie figure dans l'erreur : un paramètre "code" serait masqué par audit.redact)
+            params: { run: run.id, status: run.status, duration: run.duration },
+            result: error ? 'failure' : 'success',
+            error
+        });
+    } catch (error) {
+        logger.error(`Tâche ${projectName}/${task.name}: ${error.message}`);
+        audit.record({ ...entry, result: 'failure', error: error.message });
+    }
+}
+
+// Dernière minute évaluée : chaque minute ne déclenche les tâches qu'une fois
+let lastTaskMinute = null;
+
+/**
+ * Lance les tâches planifiées arrivées à échéance, en parallèle et sans attendre leur fin
+ */
+function runScheduledTasks() {
+    const now = new Date();
+    now.setSeconds(0, 0);
+    if (lastTaskMinute === now.getTime()) return;
+    lastTaskMinute = now.getTime();
+
+    try {
+        for (const { project, task } of scheduler.getDueTasks(now)) {
+            runScheduledTask(project, task);
+        }
+    } catch (error) {
+        logger.error(`Tâches planifiées: ${error.message}`);
+    }
+}
+
 /**
  * Démarrage du serveur
  */
@@ -46,6 +209,22 @@ async function start() {
             console.log(`\n🌐 Interface Web démarrée sur http://localhost:${PORT}\n`);
             logger.info(`Serveur Web démarré sur le port ${PORT}`);
         });
+
+        // Première vérification peu après le démarrage, puis à intervalle régulier
+        setTimeout(renewCertificates, 60 * 1000).unref();
+        setInterval(renewCertificates, certificates.getAcmeConfig().renewCheckInterval).unref();
+
+        // Contrôles de santé : chaque service est contrôlé selon son propre intervalle
+        setInterval(runHealthChecks, HEALTH_CONFIG.tickInterval).unref();
+
+        // Historique CPU / mémoire des services
+        setInterval(collectMetrics, METRICS_CONFIG.sampleInterval).unref();
+
+        // Règles d'alerte
+        setInterval(evaluateAlerts, ALERTS_CONFIG.evaluateInterval).unref();
+
+        // Tâches planifiées des projets (évaluées à chaque minute)
+        setInterval(runScheduledTasks, TASKS_CONFIG.tickInterval).unref();
     } catch (error) {
         console.error(`Erreur fatale: ${error.message}`);
         process.exit(1);
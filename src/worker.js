@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/**
+ * Exécution d'une tâche de fond, dans un processus détaché lancé par jobs.createJob()
+ * Usage: node src/worker.js <id de la tâche>
+ */
+
+import fs from 'fs';
+import path from 'path';
+import jobs from './modules/jobs.js';
+import projects from './modules/projects.js';
+import services from './modules/services.js';
+import scripts from './modules/scripts.js';
+import webhooks from './modules/webhooks.js';
+import scheduler from './modules/scheduler.js';
+import fileManager from './modules/fileManager.js';
+import { BASE_PATH, PROJECT_STRUCTURE } from './config/constants.js';
+import logger from './utils/logger.js';
+
+/**
+ * Exécution de chaque type de tâche
+ */
+const handlers = {
+    /**
+     * Création d'un projet. Params: { password }
+     */
+    'project.create': async ({ target, params }) => {
+        const config = await projects.createProject(target.project, params.password);
+        scripts.generateScripts(target.project);
+        return { project: config.name, sftpUser: config.sftpUser };
+    },
+
+    /**
+     * Commandes de setup d'un service, sans le démarrer
+     */
+    'service.setup': ({ target }) => services.runSetupOnly(target.project, target.service),
+
+    /**
+     * Démarrage d'un service. Params: { runSetup }
+     */
+    'service.start': ({ target, params }) => services.startService(target.project, target.service, params.runSetup !== false),
+
+    /**
+     * Démarrage de tous les services d'un projet. Params: { runSetup }
+     */
+    'project.start-all': async ({ target, params, progress }) => {
+        const failures = await services.startAllServices(target.project, params.runSetup !== false, progress);
+        if (failures.length > 0) {
+            throw new Error(`${failures.length} service(s) en échec: ${failures.map(f => f.service).join(', ')}`);
+        }
+    },
+
+    /**
+     * Déploiement git d'un service. Params: { deliveries } (livraisons de webhook à l'origine du déploiement)
+     */
+    'service.deploy': async ({ id, target, actor }) => {
+        // Relu à chaque fois : des livraisons reçues pendant l'attente ont pu être regroupées dans cette tâche
+        const updateDeliveries = (updates) => {
+            for (const deliveryId of jobs.getJob(id)?.params.deliveries || []) {
+                webhooks.updateDelivery(target.project, target.service, deliveryId, updates);
+            }
+        };
+
+        updateDeliveries({ status: 'running' });
+        try {
+            const release = await services.deployService(target.project, target.service, actor.sudoUser || actor.username);
+            updateDeliveries({ status: 'success', message: `Release ${release.id} (${release.commit.slice(0, 7)})`, release: release.id });
+            return release;
+        } catch (error) {
+            updateDeliveries({ status: 'failed', message: error.message, release: null });
+            throw error;
+        }
+    },
+
+    /**
+     * Exécution immédiate d'une tâche planifiée : sa sortie est recopiée dans le journal de la tâche de fond
+     */
+    'task.run': async ({ target, actor }) => {
+        const run = await scheduler.runTask(target.project, target.task, {
+            trigger: 'manual',
+            triggeredBy: actor.sudoUser || actor.username,
+            onOutput: (text) => process.stdout.write(text)
+        });
+        if (run.status !== 'success') {
+            throw new Error(run.error || `Code de sortie ${run.exitCode}`);
+        }
+        return { run: run.id, exitCode: run.exitCode, duration: run.duration };
+    },
+
+    /**
+     * Copie des fichiers reçus par l'API dans le dossier sites/ du projet.
+     * Params: { path, files: [{ tmpPath, name, relativePath }] }
+     */
+    'file.upload': async ({ target, params, progress }) => {
+        const projectPath = path.join(BASE_PATH, target.project, PROJECT_STRUCTURE.sites);
+        const uploaded = [];
+        const errors = [];
+
+        try {
+            for (const [index, file] of params.files.entries()) {
+                const targetPath = path.join(params.path || '', file.relativePath || file.name);
+                progress(index, params.files.length, targetPath);
+                try {
+                    await fileManager.writeFile(projectPath, targetPath, fs.createReadStream(file.tmpPath));
+                    uploaded.push(targetPath);
+                    logger.info(`  ✓ ${targetPath}`);
+                } catch (error) {
+                    errors.push({ file: file.name, error: error.message });
+                    logger.error(`  ✗ ${targetPath}: ${error.message}`);
+                }
+            }
+        } finally {
+            params.files.forEach(file => fs.rmSync(file.tmpPath, { force: true }));
+        }
+
+        if (uploaded.length === 0) {
+            throw new Error('Échec de tous les uploads');
+        }
+        return { uploaded, errors };
+    }
+};
+
+const [id] = process.argv.slice(2);
+if (!id) {
+    console.error('Usage: node src/worker.js <id de la tâche>');
+    process.exit(1);
+}
+
+jobs.runJob(id, handlers)
+    .then(() => process.exit(0))
+    .catch((error) => {
+        logger.error(`Tâche ${id}: ${error.message}`);
+        process.exit(1);
+    });